@@ -29,8 +29,12 @@ CREATE TABLE positions (
     altitude INTEGER,
     ground_speed INTEGER,
 
-    -- Orientation (Pitch/Bank/Heading packed as string: "pitch:bank:heading")
+    -- Orientation: packed pitch/bank/heading as sent, and decoded (degrees)
     pbh VARCHAR(50),
+    heading REAL,
+    pitch REAL,
+    bank REAL,
+    on_ground BOOLEAN,
 
     -- Flags (integer representing various state flags)
     flags INTEGER,
@@ -38,6 +42,13 @@ CREATE TABLE positions (
     -- Message type for filtering
     message_type VARCHAR(20) NOT NULL,  -- 'POSITION_FAST' or 'POSITION_SLOW'
 
+    -- Capture metadata: who sent the line on which connection
+    direction VARCHAR(8),               -- 'outbound' (client → server) or 'inbound'
+    src_endpoint VARCHAR(64),           -- sender ip:port
+    dst_endpoint VARCHAR(64),           -- receiver ip:port
+    connection_id INTEGER,              -- per-port TCP connection id
+    origin VARCHAR(64),                 -- forwarding host id (aggregator ingest ports)
+
     -- Raw message for reference
     raw_message TEXT
 );
@@ -72,6 +83,13 @@ CREATE TABLE messages (
     -- Structured data (JSONB for flexibility)
     data JSONB NOT NULL,
 
+    -- Capture metadata: who sent the line on which connection
+    direction VARCHAR(8),               -- 'outbound' (client → server) or 'inbound'
+    src_endpoint VARCHAR(64),           -- sender ip:port
+    dst_endpoint VARCHAR(64),           -- receiver ip:port
+    connection_id INTEGER,              -- per-port TCP connection id
+    origin VARCHAR(64),                 -- forwarding host id (aggregator ingest ports)
+
     -- Raw message for reference
     raw_message TEXT NOT NULL
 );
@@ -158,6 +176,9 @@ GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA public TO euroscope;
 -- SELECT time, callsign,
 --        data->>'departure' as departure,
 --        data->>'destination' as destination,
+--        data->'aircraft'->>'type' as aircraft_type,
+--        (data->>'cruiseAltitude')::int as cruise_altitude,
+--        data->'item18'->>'REG' as registration,
 --        data->>'route' as route
 -- FROM messages
 -- WHERE message_type = 'FLIGHT_PLAN'
@@ -0,0 +1,38 @@
+-- Upgrade script for existing euroscope2mcp databases
+--
+-- init.sql only runs when the database volume is first created. Run this
+-- script against an existing database to add columns introduced since then:
+--
+--   docker compose -f docker/docker-compose.yml exec -T timescaledb psql -U euroscope -d euroscope < docker/timescaledb/upgrade.sql
+--
+-- Every statement is idempotent, so the script can be re-run safely.
+
+-- =============================================================================
+-- Capture metadata (direction, endpoints, connection id)
+-- =============================================================================
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS direction VARCHAR(8);
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS src_endpoint VARCHAR(64);
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS dst_endpoint VARCHAR(64);
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS connection_id INTEGER;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS direction VARCHAR(8);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS src_endpoint VARCHAR(64);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS dst_endpoint VARCHAR(64);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS connection_id INTEGER;
+
+-- =============================================================================
+-- Forwarding origin (host id of lines received on an aggregator ingest port)
+-- =============================================================================
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS origin VARCHAR(64);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS origin VARCHAR(64);
+
+-- =============================================================================
+-- Decoded pitch/bank/heading (from the packed pbh value)
+-- =============================================================================
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS heading REAL;
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS pitch REAL;
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS bank REAL;
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS on_ground BOOLEAN;
@@ -0,0 +1,84 @@
+/**
+ * proxy-demo.js
+ * Example: Proxy capture against a local fake FSD server (no tshark needed)
+ *
+ * Starts a fake FSD server on 127.0.0.1:16809, a proxy capture on 127.0.0.1:6809
+ * and a fake client that connects through the proxy, then prints every line seen.
+ */
+
+const net = require('net');
+const { loadConfig, createPipelineManager } = require('../src/index');
+
+const FAKE_SERVER_PORT = 16809;
+const PROXY_PORT = 6809;
+
+/**
+ * Fake FSD server: greets the client and echoes position updates back as broadcasts
+ */
+function startFakeServer() {
+  const server = net.createServer(socket => {
+    socket.write('$DISERVER:CLIENT:VATSIM FSD V3.43:fake\r\n');
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      lines.forEach(line => {
+        if (line.startsWith('@')) {
+          socket.write('%EGLL_TWR:18500:4:50:5:51.47:-0.46:0\r\n');
+        }
+      });
+    });
+  });
+
+  server.listen(FAKE_SERVER_PORT, '127.0.0.1');
+  return server;
+}
+
+async function main() {
+  console.log('Proxy Capture Demo\n');
+
+  const fakeServer = startFakeServer();
+
+  const config = loadConfig();
+  config.capture.ports = [{
+    port: PROXY_PORT,
+    parser: 'fsd',
+    source: 'proxy',
+    label: 'FSD via proxy',
+    proxy: {
+      listenHost: '127.0.0.1',
+      listenPort: PROXY_PORT,
+      targetHost: '127.0.0.1',
+      targetPort: FAKE_SERVER_PORT
+    }
+  }];
+
+  const pipeline = createPipelineManager(config);
+  pipeline.init();
+
+  pipeline.on('message', (message) => {
+    console.log(`[${message.type}] ${message.raw}`);
+  });
+
+  pipeline.captureManager.on('port-started', () => {
+    // Fake EuroScope client: send a position update split across two TCP writes
+    const client = net.connect(PROXY_PORT, '127.0.0.1', () => {
+      client.write('@N:BAW42Y:2200:1:51.47');
+      setTimeout(() => client.write(':-0.45:3000:180:4261415936:0\r\n'), 100);
+    });
+
+    setTimeout(() => {
+      client.end();
+      pipeline.stop();
+      fakeServer.close();
+      console.log('\nDone');
+    }, 1000);
+  });
+
+  pipeline.start();
+}
+
+main().catch(console.error);
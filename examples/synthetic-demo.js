@@ -0,0 +1,47 @@
+/**
+ * synthetic-demo.js
+ * Example: Generated FSD traffic through the full pipeline (no network needed)
+ *
+ * Usage: bun examples/synthetic-demo.js [aircraft] [speed]
+ * Prints every message for 30 seconds, then the message counts per type.
+ */
+
+const { loadConfig, createPipelineManager } = require('../src/index');
+
+const DURATION = 30000;
+
+async function main() {
+  console.log('Synthetic Traffic Demo\n');
+
+  const config = loadConfig();
+  config.capture.ports = [{
+    port: 6809,
+    parser: 'fsd',
+    source: 'synthetic',
+    label: 'Synthetic FSD',
+    synthetic: {
+      aircraft: parseInt(process.argv[2], 10) || 10,
+      rate: 0.2,
+      speed: parseFloat(process.argv[3]) || 20
+    }
+  }];
+
+  const pipeline = createPipelineManager(config);
+  pipeline.init();
+
+  const counts = {};
+  pipeline.on('message', (message) => {
+    counts[message.type] = (counts[message.type] || 0) + 1;
+    console.log(`[${message.type}] ${message.humanReadable}`);
+  });
+
+  pipeline.start();
+
+  setTimeout(() => {
+    pipeline.stop();
+    console.log('\nMessages by type:', counts);
+    process.exit(0);
+  }, DURATION);
+}
+
+main().catch(console.error);
@@ -1,36 +1,54 @@
 // Quick diagnostic to see if tshark is working
-const { spawn } = require('child_process');
+// Usage: bun examples/test-tshark.js [port] [interface]
+const { discoverCapture, formatDiagnostic } = require('../src/capture/tshark-discovery');
+const { createTsharkCapture } = require('../src/capture/tshark-capture');
 
-console.log('Testing tshark...\n');
+const port = parseInt(process.argv[2], 10) || 6809;
+const iface = process.argv[3] || 'auto';
 
-const tshark = spawn('C:\\Program Files\\Wireshark\\tshark.exe', [
-  '-i', 'Ethernet',
-  '-f', 'tcp port 6809',
-  '-T', 'fields',
-  '-e', 'data.text',
-  '-c', '5'  // Capture just 5 packets
-]);
-
-tshark.stdout.on('data', (data) => {
-  console.log('✅ Got data:');
-  console.log(data.toString());
-});
+console.log('Testing tshark...\n');
 
-tshark.stderr.on('data', (data) => {
-  console.log('ℹ️  tshark says:', data.toString());
-});
+discoverCapture({ port, interface: iface, tsharkPath: process.env.TSHARK_PATH || 'auto' }).then((diagnostic) => {
+  console.log(formatDiagnostic(diagnostic));
 
-tshark.on('close', (code) => {
-  console.log(`\ntshark exited with code: ${code}`);
-  if (code === 0) {
-    console.log('✅ tshark is working!');
-  } else {
-    console.log('❌ tshark failed - may need admin privileges');
+  if (diagnostic.error) {
+    console.log('\n❌ tshark is not usable - see error above');
+    process.exit(1);
   }
-});
 
-tshark.on('error', (err) => {
-  console.error('❌ Error spawning tshark:', err.message);
-});
+  const capture = createTsharkCapture({
+    port,
+    interface: diagnostic.interface,
+    tsharkPath: diagnostic.tsharkPath,
+    restart: { enabled: false }
+  });
 
-console.log('Waiting for 5 packets...\n');
+  let lines = 0;
+
+  capture.on('data', (line, meta) => {
+    console.log(`✅ ${meta.direction} ${line}`);
+    if (++lines >= 5) {
+      capture.stop();
+      console.log('\n✅ tshark is working!');
+      process.exit(0);
+    }
+  });
+
+  capture.on('warning', (msg) => {
+    console.log('ℹ️  tshark says:', msg.trim());
+  });
+
+  capture.on('error', (err) => {
+    console.error('❌ Error:', err.message);
+  });
+
+  capture.on('stopped', (info) => {
+    if (info && info.requested === false) {
+      console.log('\n❌ tshark failed - may need admin privileges');
+      process.exit(1);
+    }
+  });
+
+  capture.start();
+  console.log(`\nWaiting for 5 lines on ${diagnostic.interface}, port ${port}...\n`);
+});
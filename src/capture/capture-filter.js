@@ -0,0 +1,64 @@
+/**
+ * capture-filter.js
+ * Capture filters for a port: protocol, server host restrictions or a custom BPF expression
+ *
+ * tshark applies the filter in the kernel (BPF); the pcap file source has no
+ * BPF engine and matches protocol, port and hosts natively instead.
+ */
+
+const PROTOCOLS = ['tcp', 'udp'];
+
+/**
+ * Build the BPF capture filter for a port
+ * @param {Object} options - Port capture options
+ * @param {string} options.protocol - 'tcp' (default) or 'udp'
+ * @param {number} options.port - Server port
+ * @param {string|Array} options.hosts - Restrict to these server hosts/addresses (optional)
+ * @param {string} options.filter - Custom BPF expression; replaces the generated filter
+ * @returns {string} e.g. "tcp port 6809 and (host 1.2.3.4 or host fsd.example.net)"
+ */
+function buildCaptureFilter(options) {
+  if (options.filter) {
+    return options.filter;
+  }
+
+  const filter = `${options.protocol || 'tcp'} port ${options.port}`;
+  const hosts = normalizeHosts(options.hosts);
+
+  if (hosts.length === 0) {
+    return filter;
+  }
+
+  return `${filter} and (${hosts.map(host => `host ${host}`).join(' or ')})`;
+}
+
+/**
+ * Normalize a hosts option to an array
+ * @param {string|Array} hosts - Single host, comma-separated list or array
+ * @returns {Array<string>} Host list (empty = no restriction)
+ */
+function normalizeHosts(hosts) {
+  if (!hosts) return [];
+
+  const list = Array.isArray(hosts) ? hosts : String(hosts).split(',');
+  return list.map(host => String(host).trim()).filter(Boolean);
+}
+
+/**
+ * Whether a packet's addresses satisfy a host restriction
+ * Only IP addresses can match; hostnames are resolved by tshark, not here.
+ * @param {Array<string>} hosts - Normalized host list
+ * @param {string} src - Source IP
+ * @param {string} dst - Destination IP
+ * @returns {boolean} True if unrestricted or either address is listed
+ */
+function matchesHosts(hosts, src, dst) {
+  return hosts.length === 0 || hosts.includes(src) || hosts.includes(dst);
+}
+
+module.exports = {
+  PROTOCOLS,
+  buildCaptureFilter,
+  normalizeHosts,
+  matchesHosts
+};
@@ -0,0 +1,30 @@
+const { describe, test, expect } = require('bun:test');
+const { buildCaptureFilter, normalizeHosts, matchesHosts } = require('./capture-filter');
+
+describe('capture filter', () => {
+  test('builds a protocol and port filter, tcp by default', () => {
+    expect(buildCaptureFilter({ port: 6809 })).toBe('tcp port 6809');
+    expect(buildCaptureFilter({ port: 3290, protocol: 'udp' })).toBe('udp port 3290');
+  });
+
+  test('restricts the filter to server hosts given as a list or comma-separated string', () => {
+    expect(buildCaptureFilter({ port: 6809, hosts: ['1.2.3.4', 'fsd.example.net'] }))
+      .toBe('tcp port 6809 and (host 1.2.3.4 or host fsd.example.net)');
+    expect(buildCaptureFilter({ port: 3290, protocol: 'udp', hosts: ' 1.2.3.4, ,5.6.7.8 ' }))
+      .toBe('udp port 3290 and (host 1.2.3.4 or host 5.6.7.8)');
+  });
+
+  test('a custom filter replaces the generated one', () => {
+    expect(buildCaptureFilter({ port: 6809, hosts: ['1.2.3.4'], filter: 'tcp port 6809 and net 10.0.0.0/8' }))
+      .toBe('tcp port 6809 and net 10.0.0.0/8');
+  });
+
+  test('matches packets by either address, or all packets without hosts', () => {
+    const hosts = normalizeHosts('1.2.3.4');
+
+    expect(matchesHosts(hosts, '10.0.0.2', '1.2.3.4')).toBe(true);
+    expect(matchesHosts(hosts, '1.2.3.4', '10.0.0.2')).toBe(true);
+    expect(matchesHosts(hosts, '10.0.0.2', '10.0.0.1')).toBe(false);
+    expect(matchesHosts(normalizeHosts(null), '10.0.0.2', '10.0.0.1')).toBe(true);
+  });
+});
@@ -1,10 +1,28 @@
 /**
  * capture-manager.js
- * Manages multiple tshark capture instances (multi-port support)
+ * Manages multiple capture instances (multi-port support)
  */
 
 const EventEmitter = require('events');
 const { createTsharkCapture } = require('./tshark-capture');
+const { createProxyCapture } = require('./proxy-capture');
+const { createPcapCapture } = require('./pcap-capture');
+const { createSyntheticCapture } = require('./synthetic-capture');
+const { createReplayCapture } = require('./replay-capture');
+const { createIngestCapture } = require('./ingest-capture');
+
+// Capture source name -> factory(options)
+const CAPTURE_SOURCES = {
+  tshark: createTsharkCapture,
+  proxy: createProxyCapture,
+  pcap: createPcapCapture,
+  synthetic: createSyntheticCapture,
+  replay: createReplayCapture,
+  ingest: createIngestCapture
+};
+
+// Playback controls a capture source may implement (see replay-capture)
+const PLAYBACK_ACTIONS = ['pause', 'resume', 'seek'];
 
 /**
  * Create capture manager for multiple ports
@@ -15,8 +33,10 @@ function createCaptureManager(options = {}) {
   const stats = new Map(); // port -> statistics
 
   const config = {
-    interface: options.interface || 'Ethernet',
-    tsharkPath: options.tsharkPath || 'C:\\Program Files\\Wireshark\\tshark.exe'
+    interface: options.interface || 'auto',
+    tsharkPath: options.tsharkPath || 'auto',
+    probeDuration: options.probeDuration,
+    restart: options.restart
   };
 
   /**
@@ -24,17 +44,14 @@ function createCaptureManager(options = {}) {
    */
   function addPort(portConfig) {
     const { port, parser, label, enabled = true } = portConfig;
+    const source = portConfig.source || 'tshark';
 
     if (captures.has(port)) {
       throw new Error(`Port ${port} already being monitored`);
     }
 
     // Create capture instance
-    const capture = createTsharkCapture({
-      ...config,
-      port,
-      interface: portConfig.interface || config.interface
-    });
+    const capture = createCapture(portConfig);
 
     // Initialize stats
     stats.set(port, {
@@ -48,43 +65,158 @@ function createCaptureManager(options = {}) {
     });
 
     // Forward events with port metadata
-    capture.on('data', (data) => {
-      const portStats = stats.get(port);
+    capture.on('data', (data, meta = {}) => {
+      // Lines still in flight when the port was removed belong to no port
+      const portStats = currentStats(port, capture);
+      if (!portStats) return;
+
       portStats.messageCount++;
       portStats.bytesReceived += data.length;
       portStats.lastMessageTime = Date.now();
 
+      // Replayed and forwarded lines carry the parser they were captured with;
+      // forwarded lines also carry the host and port they were captured on
       emitter.emit('data', {
         port,
-        parser,
+        parser: meta.parser || parser,
         label,
-        data
+        source,
+        data,
+        timestamp: meta.timestamp,
+        direction: meta.direction || null,
+        connectionId: meta.connectionId || null,
+        src: meta.src || null,
+        dst: meta.dst || null,
+        origin: meta.origin || null,
+        originPort: meta.originPort || null
       });
     });
 
     capture.on('started', (info) => {
-      const portStats = stats.get(port);
+      const portStats = currentStats(port, capture);
+      if (!portStats) return;
+
       portStats.startTime = Date.now();
       emitter.emit('port-started', { port, ...info });
+      emitHealth(port);
+    });
+
+    capture.on('stopped', (info = {}) => {
+      emitter.emit('port-stopped', { port, ...info });
+      emitHealth(port);
     });
 
-    capture.on('stopped', () => {
-      emitter.emit('port-stopped', { port });
+    capture.on('diagnostic', (diagnostic) => {
+      emitter.emit('port-diagnostic', { port, diagnostic });
+    });
+
+    capture.on('exited', (info) => {
+      emitter.emit('port-exited', { port, ...info });
+    });
+
+    capture.on('restarting', (info) => {
+      emitter.emit('port-restarting', { port, ...info });
+      emitHealth(port);
+    });
+
+    capture.on('restarted', (info) => {
+      emitter.emit('port-restarted', { port, ...info });
+      emitHealth(port);
+    });
+
+    capture.on('recovered', (info) => {
+      emitter.emit('port-recovered', { port, ...info });
+      emitHealth(port);
     });
 
     capture.on('error', (err) => {
       emitter.emit('port-error', { port, error: err });
     });
 
+    capture.on('finished', (summary) => {
+      emitter.emit('port-finished', { port, ...summary });
+    });
+
     capture.on('warning', (msg) => {
       emitter.emit('port-warning', { port, message: msg });
     });
 
-    captures.set(port, { capture, config: portConfig, enabled });
+    capture.on('paused', (playback) => {
+      emitter.emit('port-paused', { port, ...playback });
+    });
+
+    capture.on('resumed', (playback) => {
+      emitter.emit('port-resumed', { port, ...playback });
+    });
+
+    capture.on('seeked', (playback) => {
+      emitter.emit('port-seeked', { port, ...playback });
+    });
+
+    captures.set(port, { capture, config: portConfig, enabled, health: 'stopped' });
 
     return true;
   }
 
+  /**
+   * Helper: Emit 'port-health' when a port's health changes
+   */
+  function emitHealth(port) {
+    const entry = captures.get(port);
+    if (!entry) return;
+
+    const health = getPortHealth(entry);
+    if (health !== entry.health) {
+      entry.health = health;
+      emitter.emit('port-health', { port, health });
+    }
+  }
+
+  /**
+   * Helper: Stats of a port while this capture still serves it
+   * A port removed (and possibly added again) no longer counts its old capture's events
+   */
+  function currentStats(port, capture) {
+    const entry = captures.get(port);
+    return entry && entry.capture === capture ? stats.get(port) : null;
+  }
+
+  /**
+   * Helper: Health of a port
+   * 'ok' = capturing, 'degraded' = crashed and restarting or not yet stable again,
+   * 'failed' = gave up restarting, 'stopped' = not capturing by request
+   */
+  function getPortHealth(entry) {
+    const status = entry.capture.getStatus();
+
+    if (status.state === 'failed') return 'failed';
+    if (status.state === 'restarting' || (status.isCapturing && status.consecutiveFailures > 0)) return 'degraded';
+    return status.isCapturing ? 'ok' : 'stopped';
+  }
+
+  /**
+   * Create the capture instance for a port's configured source
+   */
+  function createCapture(portConfig) {
+    const source = portConfig.source || 'tshark';
+    const factory = CAPTURE_SOURCES[source];
+
+    if (!factory) {
+      throw new Error(`Unknown capture source '${source}' for port ${portConfig.port}`);
+    }
+
+    return factory({
+      ...config,
+      ...(portConfig[source] || {}),
+      port: portConfig.port,
+      protocol: portConfig.protocol || 'tcp',
+      hosts: portConfig.hosts,
+      filter: portConfig.filter,
+      encoding: portConfig.encoding,
+      interface: portConfig.interface || config.interface
+    });
+  }
+
   /**
    * Remove a port from monitoring
    */
@@ -161,6 +293,41 @@ function createCaptureManager(options = {}) {
     }
   }
 
+  /**
+   * Pause, resume or seek a port whose source supports playback (replay)
+   * @param {number} port - Port number
+   * @param {string} action - 'pause', 'resume' or 'seek'
+   * @param {*} value - Action argument (seek: epoch ms or ISO time)
+   * @returns {Object} Playback state after the action
+   */
+  function controlPort(port, action, value) {
+    const entry = captures.get(port);
+    if (!entry) {
+      throw new Error(`Port ${port} not configured`);
+    }
+
+    if (!PLAYBACK_ACTIONS.includes(action) || typeof entry.capture[action] !== 'function') {
+      throw new Error(`Port ${port} (${entry.config.source || 'tshark'}) does not support ${action}`);
+    }
+
+    return entry.capture[action](value);
+  }
+
+  /**
+   * Pause or resume reading a port while its ingestion queue is full
+   * @param {number} port - Port number
+   * @param {boolean} blocked - true to hold the source, false to release it
+   * @returns {boolean} false when the source cannot be held (live proxy, synthetic)
+   */
+  function setBackpressure(port, blocked) {
+    const entry = captures.get(port);
+    if (!entry || typeof entry.capture.setBackpressure !== 'function') {
+      return false;
+    }
+
+    return entry.capture.setBackpressure(blocked);
+  }
+
   /**
    * Enable a port
    */
@@ -205,8 +372,20 @@ function createCaptureManager(options = {}) {
         port,
         label: entry.config.label,
         parser: entry.config.parser,
+        source: entry.config.source || 'tshark',
+        protocol: entry.config.protocol || 'tcp',
+        filter: captureStatus.filter || null,
         enabled: entry.enabled,
         isCapturing: captureStatus.isCapturing,
+        health: getPortHealth(entry),
+        interface: captureStatus.interface || null,
+        diagnostic: captureStatus.diagnostic || null,
+        restarts: captureStatus.restarts || 0,
+        lastExitCode: captureStatus.lastExitCode !== undefined ? captureStatus.lastExitCode : null,
+        lastExitTime: captureStatus.lastExitTime || null,
+        lastError: captureStatus.lastError || null,
+        nextRestartTime: captureStatus.nextRestartTime || null,
+        playback: captureStatus.playback || null,
         stats: { ...portStats }
       });
     }
@@ -214,6 +393,7 @@ function createCaptureManager(options = {}) {
     return {
       totalPorts: captures.size,
       activePorts: portStatus.filter(p => p.isCapturing).length,
+      degraded: portStatus.some(p => p.enabled && (p.health === 'degraded' || p.health === 'failed')),
       ports: portStatus
     };
   }
@@ -225,6 +405,14 @@ function createCaptureManager(options = {}) {
     return stats.get(port) || null;
   }
 
+  /**
+   * Get the configuration a port was added with
+   */
+  function getPortConfig(port) {
+    const entry = captures.get(port);
+    return entry ? entry.config : null;
+  }
+
   /**
    * List all configured ports
    */
@@ -239,10 +427,13 @@ function createCaptureManager(options = {}) {
     stopPort,
     startAll,
     stopAll,
+    controlPort,
+    setBackpressure,
     enablePort,
     disablePort,
     getStatus,
     getPortStats,
+    getPortConfig,
     listPorts,
     on: emitter.on.bind(emitter),
     once: emitter.once.bind(emitter),
@@ -250,4 +441,4 @@ function createCaptureManager(options = {}) {
   };
 }
 
-module.exports = { createCaptureManager };
+module.exports = { createCaptureManager, CAPTURE_SOURCES };
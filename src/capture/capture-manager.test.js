@@ -0,0 +1,60 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createCaptureManager } = require('./capture-manager');
+const { buildPcap, buildTcpFrame } = require('../../test/fixtures/pcap-builder');
+
+const PORT = 6809;
+
+describe('capture manager', () => {
+  let dir;
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeCapture(lines) {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'capture-manager-'));
+    const file = join(dir, 'session.pcap');
+    const endpoints = { src: '10.0.0.2', dst: '10.0.0.1', srcPort: 50000, dstPort: PORT };
+    fs.writeFileSync(file, buildPcap([
+      { timestamp: Date.now(), data: buildTcpFrame({ ...endpoints, seq: 1000, payload: lines.join('\r\n') + '\r\n' }) }
+    ]));
+    return file;
+  }
+
+  test('ignores lines a removed port still delivers', async () => {
+    const manager = createCaptureManager();
+    const received = [];
+    manager.on('data', (captureData) => {
+      received.push(captureData.data);
+      manager.removePort(PORT);
+    });
+
+    manager.addPort({ port: PORT, parser: 'fsd', source: 'pcap', pcap: { file: writeCapture(['#TMA:B:one', '#TMA:B:two']) } });
+    manager.startPort(PORT);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(received).toEqual(['#TMA:B:one']);
+    expect(manager.getStatus().ports).toEqual([]);
+  });
+
+  test('reports a crashing tshark port as degraded, then failed', async () => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'capture-manager-'));
+    const tsharkPath = join(dir, 'tshark');
+    fs.writeFileSync(tsharkPath, '#!/bin/sh\nif [ "$1" = "-D" ]; then echo "1. eth0"; exit 0; fi\nexit 2\n');
+    fs.chmodSync(tsharkPath, 0o755);
+
+    const manager = createCaptureManager({ tsharkPath, restart: { initialDelay: 10, maxAttempts: 1 } });
+    const health = [];
+    manager.on('port-health', event => health.push(event.health));
+    const stopped = new Promise(resolve => manager.once('port-stopped', resolve));
+
+    manager.addPort({ port: PORT, parser: 'fsd', interface: 'eth0' });
+    manager.startPort(PORT);
+
+    expect(await stopped).toMatchObject({ port: PORT, requested: false, code: 2 });
+    expect(health).toEqual(['ok', 'degraded', 'failed']);
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * ingest-capture.js
+ * Factory function for receiving lines forwarded by other euroscope2mcp instances
+ *
+ * An aggregator runs an ingest port; every instance with a forwarder output
+ * (outputs/forwarder.js) connects to it over TCP or WebSocket and streams its
+ * captured lines. Streams are merged into one port and every line is tagged
+ * with the host it came from (meta.origin) and its original port.
+ *
+ * The origin is the host id of the connection's hello. Only a relay (an
+ * aggregator forwarding lines it ingested, authenticated with relayToken)
+ * may pass on the origin of each line; other forwarders cannot claim lines
+ * for another host.
+ *
+ * Several EuroScope clients on the same FSD server receive the same server
+ * broadcasts (and each other's position updates). The first copy of a line
+ * wins: the identical line from another host within dedupeWindow is dropped.
+ * Repeats from the same host are never dropped.
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+const { createLineFramer } = require('./line-framer');
+
+const TRANSPORTS = ['tcp', 'websocket'];
+
+/**
+ * Create an ingest capture instance
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - Port label used by the capture manager (default: 6810)
+ * @param {string} options.transport - 'tcp' (default) or 'websocket' (requires Bun)
+ * @param {string} options.listenHost - Address to accept forwarders on (default: 127.0.0.1; set a token before opening it to the network)
+ * @param {number} options.listenPort - Port to accept forwarders on (default: port)
+ * @param {string} options.token - Shared token forwarders must present (optional)
+ * @param {string} options.relayToken - Token that marks a forwarder as a relay keeping per-line origins (optional)
+ * @param {number} options.dedupeWindow - Milliseconds an identical line from another host counts as a duplicate (default: 2000, 0 = off)
+ * @returns {Object} Capture controller with start/stop methods
+ */
+function createIngestCapture(options = {}) {
+  const config = {
+    port: options.port || 6810,
+    transport: options.transport || 'tcp',
+    listenHost: options.listenHost || '127.0.0.1',
+    listenPort: options.listenPort || options.port || 6810,
+    token: options.token || null,
+    relayToken: options.relayToken || null,
+    dedupeWindow: options.dedupeWindow !== undefined ? options.dedupeWindow : 2000
+  };
+
+  const emitter = new EventEmitter();
+  const hosts = new Map(); // host id -> { connections, lines, duplicates, lastSeen }
+  const recent = new Map(); // line -> { host, expires }, oldest first
+  const links = new Set(); // connected forwarders: { remote, host, relay, drop }
+  let server = null;
+  let isCapturing = false;
+
+  const stats = {
+    lines: 0,
+    duplicates: 0,
+    invalid: 0,
+    rejected: 0
+  };
+
+  /**
+   * Start accepting forwarders
+   */
+  function start() {
+    if (isCapturing) {
+      throw new Error('Capture already running');
+    }
+
+    if (!TRANSPORTS.includes(config.transport)) {
+      throw new Error(`Unknown ingest transport '${config.transport}' (expected ${TRANSPORTS.join(', ')})`);
+    }
+
+    recent.clear();
+    isCapturing = true;
+
+    if (config.transport === 'websocket') {
+      startWebSocket();
+    } else {
+      startTcp();
+    }
+  }
+
+  /**
+   * Helper: Listen for TCP forwarders (JSON lines)
+   */
+  function startTcp() {
+    server = net.createServer((socket) => {
+      const link = openLink(socket.remoteAddress + ':' + socket.remotePort, () => socket.destroy());
+      const framer = createLineFramer(line => handleLine(link, line));
+
+      socket.on('data', chunk => framer.push(chunk));
+      socket.on('close', () => {
+        framer.flush();
+        closeLink(link);
+      });
+      socket.on('error', (err) => {
+        emitter.emit('warning', `Forwarder ${link.remote} error: ${err.message}`);
+      });
+    });
+
+    server.on('error', handleServerError);
+    server.listen(config.listenPort, config.listenHost, announce);
+  }
+
+  /**
+   * Helper: Listen for WebSocket forwarders (one JSON object per message)
+   */
+  function startWebSocket() {
+    if (typeof Bun === 'undefined') {
+      isCapturing = false;
+      throw new Error('WebSocket ingest requires Bun; use transport "tcp" under Node');
+    }
+
+    try {
+      server = Bun.serve({
+        port: config.listenPort,
+        hostname: config.listenHost,
+
+        fetch(request, bunServer) {
+          const remote = bunServer.requestIP(request);
+          if (bunServer.upgrade(request, { data: { remote: remote ? remote.address + ':' + remote.port : 'unknown' } })) {
+            return undefined;
+          }
+          return new Response('WebSocket upgrade required', { status: 426 });
+        },
+
+        websocket: {
+          open(ws) {
+            ws.data.link = openLink(ws.data.remote, () => ws.close());
+          },
+          message(ws, message) {
+            String(message).split('\n').forEach(line => handleLine(ws.data.link, line));
+          },
+          close(ws) {
+            closeLink(ws.data.link);
+          }
+        }
+      });
+    } catch (err) {
+      isCapturing = false;
+      server = null;
+      throw err;
+    }
+
+    announce();
+  }
+
+  /**
+   * Helper: Emit 'started' once listening
+   */
+  function announce() {
+    emitter.emit('started', {
+      transport: config.transport,
+      listenHost: config.listenHost,
+      listenPort: config.listenPort,
+      port: config.port
+    });
+  }
+
+  /**
+   * Stop accepting forwarders and drop connected ones
+   */
+  function stop() {
+    if (!isCapturing || !server) {
+      return;
+    }
+
+    if (config.transport === 'websocket') {
+      server.stop(true);
+    } else {
+      server.close();
+    }
+    for (const link of links) {
+      link.drop();
+    }
+
+    server = null;
+    isCapturing = false;
+    emitter.emit('stopped', { requested: true });
+  }
+
+  /**
+   * Helper: Track a new forwarder connection until its hello names the host
+   */
+  function openLink(remote, drop) {
+    const link = { remote, host: null, relay: false, drop };
+    links.add(link);
+    return link;
+  }
+
+  /**
+   * Helper: Forget a closed forwarder connection
+   */
+  function closeLink(link) {
+    if (!links.delete(link)) return;
+
+    if (link.host) {
+      const host = hosts.get(link.host);
+      host.connections--;
+      emitter.emit('connection-closed', { host: link.host, remote: link.remote });
+    }
+  }
+
+  /**
+   * Handle one forwarded JSON line
+   */
+  function handleLine(link, line) {
+    if (!line.trim() || !links.has(link)) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      stats.invalid++;
+      return;
+    }
+
+    if (entry.type === 'hello') {
+      handleHello(link, entry);
+      return;
+    }
+
+    if (!link.host) {
+      // Data before hello: the forwarder did not introduce itself
+      reject(link, 'missing hello');
+      return;
+    }
+
+    if (typeof entry.data !== 'string' || !entry.data.trim()) {
+      stats.invalid++;
+      return;
+    }
+
+    const host = link.relay && typeof entry.host === 'string' && entry.host ? entry.host : link.host;
+    const hostStats = getHost(host);
+    hostStats.lastSeen = Date.now();
+
+    if (isDuplicate(host, entry.data)) {
+      stats.duplicates++;
+      hostStats.duplicates++;
+      return;
+    }
+
+    stats.lines++;
+    hostStats.lines++;
+
+    emitter.emit('data', entry.data, {
+      timestamp: typeof entry.timestamp === 'number' ? entry.timestamp : Date.now(),
+      parser: entry.parser,
+      direction: entry.direction,
+      connectionId: entry.connectionId,
+      src: entry.src,
+      dst: entry.dst,
+      origin: host,
+      originPort: entry.port
+    });
+  }
+
+  /**
+   * Helper: A forwarder introduced itself; check its token
+   * A connection introduces itself once, it cannot move its lines to another host
+   */
+  function handleHello(link, hello) {
+    if (link.host) {
+      reject(link, 'repeated hello');
+      return;
+    }
+
+    const relay = config.relayToken !== null && hello.token === config.relayToken;
+    if (config.token && hello.token !== config.token && !relay) {
+      reject(link, 'invalid token');
+      return;
+    }
+
+    if (typeof hello.host !== 'string' || !hello.host) {
+      reject(link, 'hello without host id');
+      return;
+    }
+
+    link.host = hello.host;
+    link.relay = relay;
+    getHost(link.host).connections++;
+    emitter.emit('connection-opened', { host: link.host, remote: link.remote, relay });
+  }
+
+  /**
+   * Helper: Drop a forwarder connection
+   */
+  function reject(link, reason) {
+    stats.rejected++;
+    emitter.emit('warning', `Rejected forwarder ${link.remote}: ${reason}`);
+    closeLink(link);
+    link.drop();
+  }
+
+  /**
+   * Helper: Per-host counters
+   */
+  function getHost(host) {
+    let hostStats = hosts.get(host);
+    if (!hostStats) {
+      hostStats = { connections: 0, lines: 0, duplicates: 0, lastSeen: null };
+      hosts.set(host, hostStats);
+    }
+    return hostStats;
+  }
+
+  /**
+   * Helper: Same line already received from another host within the window
+   */
+  function isDuplicate(host, line) {
+    if (!config.dedupeWindow) return false;
+
+    const now = Date.now();
+
+    // Expire old lines (the map is in insertion order)
+    for (const [key, seen] of recent) {
+      if (seen.expires > now) break;
+      recent.delete(key);
+    }
+
+    const seen = recent.get(line);
+    if (seen && seen.host !== host) {
+      return true;
+    }
+
+    // Re-insert so the map stays ordered by expiry
+    recent.delete(line);
+    recent.set(line, { host, expires: now + config.dedupeWindow });
+    return false;
+  }
+
+  /**
+   * Handle listen errors (e.g. port already in use)
+   */
+  function handleServerError(err) {
+    isCapturing = false;
+    server = null;
+    emitter.emit('error', err);
+    emitter.emit('stopped', { requested: false, error: err.message });
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    const hostStatus = {};
+    for (const [host, hostStats] of hosts) {
+      hostStatus[host] = { ...hostStats };
+    }
+
+    return {
+      isCapturing,
+      connections: links.size,
+      hosts: hostStatus,
+      ...stats,
+      config: { ...config, token: config.token ? '***' : null, relayToken: config.relayToken ? '***' : null }
+    };
+  }
+
+  // Public API
+  return {
+    start,
+    stop,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+module.exports = { createIngestCapture, TRANSPORTS };
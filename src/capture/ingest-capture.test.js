@@ -0,0 +1,130 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const net = require('net');
+const { createIngestCapture } = require('./ingest-capture');
+const { createForwarder } = require('../outputs/forwarder');
+
+const PORT = 46810;
+
+describe('ingest capture', () => {
+  let ingest;
+
+  afterEach(() => {
+    ingest.stop();
+  });
+
+  async function listen(options) {
+    ingest = createIngestCapture({ port: PORT, token: 'secret', dedupeWindow: 2000, ...options });
+    const received = [];
+    ingest.on('data', (data, meta) => received.push({ data, origin: meta.origin }));
+    const started = new Promise(resolve => ingest.once('started', resolve));
+    ingest.start();
+    await started;
+    return received;
+  }
+
+  function sendLines(lines) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(PORT, '127.0.0.1', () => {
+        socket.end(lines.map(line => JSON.stringify(line) + '\n').join(''));
+      });
+      socket.on('close', resolve);
+      socket.on('error', reject);
+    });
+  }
+
+  test('tags lines with the hello host, whatever host they claim', async () => {
+    const received = await listen();
+    await sendLines([
+      { type: 'hello', host: 'tower-pc', token: 'secret' },
+      { host: 'approach-pc', data: '#TMA:B:one' },
+      { data: '#TMA:B:two' }
+    ]);
+    await sendLines([
+      { type: 'hello', host: 'approach-pc', token: 'secret' },
+      { data: '#TMA:B:one' }
+    ]);
+    await settle();
+
+    // The claimed host did not defeat the dedupe either: approach-pc's copy is a duplicate
+    expect(received).toEqual([
+      { data: '#TMA:B:one', origin: 'tower-pc' },
+      { data: '#TMA:B:two', origin: 'tower-pc' }
+    ]);
+    expect(ingest.getStatus().duplicates).toBe(1);
+  });
+
+  test('a relay keeps the origin of each line', async () => {
+    const received = await listen({ relayToken: 'relay-secret' });
+    await sendLines([
+      { type: 'hello', host: 'hub', token: 'relay-secret' },
+      { host: 'tower-pc', data: '#TMA:B:one' },
+      { data: '#TMA:B:two' }
+    ]);
+    await settle();
+
+    expect(received).toEqual([
+      { data: '#TMA:B:one', origin: 'tower-pc' },
+      { data: '#TMA:B:two', origin: 'hub' }
+    ]);
+  });
+
+  test('rejects a wrong token', async () => {
+    const received = await listen({ relayToken: 'relay-secret' });
+    await sendLines([
+      { type: 'hello', host: 'tower-pc', token: 'guess' },
+      { data: '#TMA:B:one' }
+    ]);
+    await settle();
+
+    expect(received).toEqual([]);
+    expect(ingest.getStatus().rejected).toBe(1);
+  });
+
+  test('rejects a repeated hello and releases the first host', async () => {
+    const received = await listen();
+    await sendLines([
+      { type: 'hello', host: 'tower-pc', token: 'secret' },
+      { type: 'hello', host: 'approach-pc', token: 'secret' },
+      { data: '#TMA:B:one' }
+    ]);
+    await settle();
+
+    expect(received).toEqual([]);
+    expect(ingest.getStatus()).toMatchObject({ rejected: 1, connections: 0, hosts: { 'tower-pc': { connections: 0 } } });
+    expect(ingest.getStatus().hosts['approach-pc']).toBeUndefined();
+  });
+
+  test('reports requested stops and listen errors', async () => {
+    await listen();
+    const blocked = createIngestCapture({ port: PORT, token: 'secret' });
+    const failed = new Promise(resolve => blocked.once('stopped', resolve));
+    blocked.on('error', () => {});
+    blocked.start();
+    expect(await failed).toEqual({ requested: false, error: expect.stringContaining('EADDRINUSE') });
+
+    const stopped = new Promise(resolve => ingest.once('stopped', resolve));
+    ingest.stop();
+    expect(await stopped).toEqual({ requested: true });
+  });
+
+  test('a closing forwarder sends its buffered lines first', async () => {
+    const received = await listen();
+    const forwarder = createForwarder({ host: '127.0.0.1', port: PORT, hostId: 'tower-pc', token: 'secret', bufferSize: 50000 });
+    const connected = new Promise(resolve => forwarder.once('connected', resolve));
+    forwarder.connect();
+    await connected;
+
+    const lines = Array.from({ length: 20000 }, (_, i) => '#TMA:B:' + 'x'.repeat(40) + i);
+    lines.forEach(data => forwarder.forward({ port: 6809, parser: 'fsd', data }));
+    await forwarder.close();
+    await settle();
+
+    // Far more than the socket takes at once, so most lines were still buffered
+    expect(received.map(entry => entry.data)).toEqual(lines);
+    expect(forwarder.getStatus()).toMatchObject({ forwarded: lines.length, buffered: 0, dropped: 0 });
+  });
+});
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 100));
+}
@@ -0,0 +1,43 @@
+/**
+ * line-framer.js
+ * Split a TCP byte stream into complete protocol lines
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Split a byte stream into CRLF (or LF) terminated lines
+ * @param {Function} onLine - Called with each complete line (without terminator)
+ * @returns {Object} Framer with push(chunk) and flush()
+ */
+function createLineFramer(onLine) {
+  const decoder = new StringDecoder('utf-8');
+  let buffer = '';
+
+  /**
+   * Add received bytes, emitting every line they complete
+   */
+  function push(chunk) {
+    buffer += decoder.write(chunk);
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    lines.forEach(line => onLine(line.replace(/\r$/, '')));
+  }
+
+  /**
+   * Emit any trailing partial line (e.g. when the connection closes)
+   */
+  function flush() {
+    buffer += decoder.end();
+    if (buffer) {
+      onLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+    }
+  }
+
+  return { push, flush };
+}
+
+module.exports = { createLineFramer };
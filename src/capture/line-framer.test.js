@@ -0,0 +1,46 @@
+const { describe, test, expect } = require('bun:test');
+const { createLineFramer } = require('./line-framer');
+
+function collect() {
+  const lines = [];
+  const framer = createLineFramer(line => lines.push(line));
+  return { framer, lines };
+}
+
+describe('line framer', () => {
+  test('splits CRLF and LF terminated lines sharing a chunk', () => {
+    const { framer, lines } = collect();
+    framer.push(Buffer.from('#TMA:B:hi\r\n$CQA:B:RN\n'));
+
+    expect(lines).toEqual(['#TMA:B:hi', '$CQA:B:RN']);
+  });
+
+  test('joins a line split across chunks, including between CR and LF', () => {
+    const { framer, lines } = collect();
+    framer.push(Buffer.from('@N:BAW1:12'));
+    framer.push(Buffer.from('00\r'));
+    expect(lines).toEqual([]);
+
+    framer.push(Buffer.from('\n'));
+    expect(lines).toEqual(['@N:BAW1:1200']);
+  });
+
+  test('keeps a multi-byte character split across chunks', () => {
+    const { framer, lines } = collect();
+    const bytes = Buffer.from('#TMA:B:Grüße\r\n');
+    const split = bytes.indexOf(0xc3) + 1;
+    framer.push(bytes.subarray(0, split));
+    framer.push(bytes.subarray(split));
+
+    expect(lines).toEqual(['#TMA:B:Grüße']);
+  });
+
+  test('flush emits the trailing partial line once', () => {
+    const { framer, lines } = collect();
+    framer.push(Buffer.from('done\r\npartial'));
+    framer.flush();
+    framer.flush();
+
+    expect(lines).toEqual(['done', 'partial']);
+  });
+});
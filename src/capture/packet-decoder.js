@@ -0,0 +1,198 @@
+/**
+ * packet-decoder.js
+ * Decode captured link-layer frames down to TCP segments and UDP datagrams (IPv4/IPv6)
+ */
+
+// Link-layer header types (https://www.tcpdump.org/linktypes.html)
+const LINKTYPE_NULL = 0;
+const LINKTYPE_ETHERNET = 1;
+const LINKTYPE_RAW = 101;
+const LINKTYPE_LOOP = 108;
+const LINKTYPE_LINUX_SLL = 113;
+const LINKTYPE_IPV4 = 228;
+const LINKTYPE_IPV6 = 229;
+const LINKTYPE_LINUX_SLL2 = 276;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_VLAN = [0x8100, 0x88a8];
+
+const IP_PROTOCOL_TCP = 6;
+const IP_PROTOCOL_UDP = 17;
+
+/**
+ * Decode a captured frame into a TCP segment
+ * @param {number} linkType - Link-layer header type of the capture
+ * @param {Buffer} frame - Captured frame bytes
+ * @returns {Object|null} { src, dst, srcPort, dstPort, seq, flags, payload } or null if not TCP
+ */
+function decodeTcpSegment(linkType, frame) {
+  const ip = decodeIp(linkType, frame);
+  if (!ip || ip.protocol !== IP_PROTOCOL_TCP) return null;
+
+  return decodeTcp(frame.subarray(ip.payloadOffset, ip.payloadEnd), ip.src, ip.dst);
+}
+
+/**
+ * Decode a captured frame into a UDP datagram
+ * @param {number} linkType - Link-layer header type of the capture
+ * @param {Buffer} frame - Captured frame bytes
+ * @returns {Object|null} { src, dst, srcPort, dstPort, payload } or null if not UDP
+ */
+function decodeUdpDatagram(linkType, frame) {
+  const ip = decodeIp(linkType, frame);
+  if (!ip || ip.protocol !== IP_PROTOCOL_UDP) return null;
+
+  return decodeUdp(frame.subarray(ip.payloadOffset, ip.payloadEnd), ip.src, ip.dst);
+}
+
+/**
+ * Helper: Locate and decode the IP header of a frame
+ */
+function decodeIp(linkType, frame) {
+  const ipOffset = findIpOffset(linkType, frame);
+  if (ipOffset === null || ipOffset >= frame.length) return null;
+
+  const version = frame[ipOffset] >> 4;
+  if (version === 4) return decodeIpv4(frame, ipOffset);
+  if (version === 6) return decodeIpv6(frame, ipOffset);
+  return null;
+}
+
+/**
+ * Helper: Offset of the IP header for a link type
+ */
+function findIpOffset(linkType, frame) {
+  switch (linkType) {
+    case LINKTYPE_ETHERNET: {
+      let offset = 12;
+      if (frame.length < offset + 2) return null;
+
+      let etherType = frame.readUInt16BE(offset);
+      while (ETHERTYPE_VLAN.includes(etherType) && frame.length >= offset + 6) {
+        offset += 4;
+        etherType = frame.readUInt16BE(offset);
+      }
+
+      if (etherType !== ETHERTYPE_IPV4 && etherType !== ETHERTYPE_IPV6) return null;
+      return offset + 2;
+    }
+
+    case LINKTYPE_NULL:
+    case LINKTYPE_LOOP:
+      return 4;
+
+    case LINKTYPE_RAW:
+    case LINKTYPE_IPV4:
+    case LINKTYPE_IPV6:
+      return 0;
+
+    case LINKTYPE_LINUX_SLL:
+      return 16;
+
+    case LINKTYPE_LINUX_SLL2:
+      return 20;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Helper: Decode IPv4 header (fragments are skipped)
+ */
+function decodeIpv4(frame, offset) {
+  if (frame.length < offset + 20) return null;
+
+  const headerLength = (frame[offset] & 0x0f) * 4;
+  const totalLength = frame.readUInt16BE(offset + 2);
+  const fragment = frame.readUInt16BE(offset + 6);
+
+  // More-fragments flag or non-zero fragment offset
+  if ((fragment & 0x2000) || (fragment & 0x1fff)) return null;
+
+  return {
+    protocol: frame[offset + 9],
+    src: Array.from(frame.subarray(offset + 12, offset + 16)).join('.'),
+    dst: Array.from(frame.subarray(offset + 16, offset + 20)).join('.'),
+    payloadOffset: offset + headerLength,
+    // totalLength bounds the payload and excludes Ethernet padding (0 with TSO)
+    payloadEnd: totalLength > 0 ? Math.min(frame.length, offset + totalLength) : frame.length
+  };
+}
+
+/**
+ * Helper: Decode IPv6 header (extension headers are not followed)
+ */
+function decodeIpv6(frame, offset) {
+  if (frame.length < offset + 40) return null;
+
+  const payloadLength = frame.readUInt16BE(offset + 4);
+
+  return {
+    protocol: frame[offset + 6],
+    src: formatIpv6(frame.subarray(offset + 8, offset + 24)),
+    dst: formatIpv6(frame.subarray(offset + 24, offset + 40)),
+    payloadOffset: offset + 40,
+    payloadEnd: Math.min(frame.length, offset + 40 + payloadLength)
+  };
+}
+
+/**
+ * Helper: Decode TCP header
+ */
+function decodeTcp(segment, src, dst) {
+  if (segment.length < 20) return null;
+
+  const dataOffset = (segment[12] >> 4) * 4;
+
+  return {
+    src,
+    dst,
+    srcPort: segment.readUInt16BE(0),
+    dstPort: segment.readUInt16BE(2),
+    seq: segment.readUInt32BE(4),
+    flags: segment[13],
+    payload: segment.subarray(Math.min(dataOffset, segment.length))
+  };
+}
+
+/**
+ * Helper: Decode UDP header
+ */
+function decodeUdp(datagram, src, dst) {
+  if (datagram.length < 8) return null;
+
+  const length = datagram.readUInt16BE(4);
+
+  return {
+    src,
+    dst,
+    srcPort: datagram.readUInt16BE(0),
+    dstPort: datagram.readUInt16BE(2),
+    payload: datagram.subarray(8, length >= 8 ? Math.min(length, datagram.length) : datagram.length)
+  };
+}
+
+/**
+ * Helper: Compact IPv6 text form
+ */
+function formatIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+  return groups.join(':').replace(/(^|:)0(:0)+(:|$)/, '::');
+}
+
+/**
+ * Endpoint text of a decoded address and port: ip:port, with brackets for IPv6
+ * @param {string} ip - Address as decoded (IPv4 dotted or compact IPv6)
+ * @param {number} port - Port
+ * @returns {string} Endpoint, e.g. '10.0.0.1:6809' or '[2001:db8::1]:6809'
+ */
+function formatEndpoint(ip, port) {
+  return (ip.includes(':') ? '[' + ip + ']' : ip) + ':' + port;
+}
+
+module.exports = { decodeTcpSegment, decodeUdpDatagram, formatEndpoint };
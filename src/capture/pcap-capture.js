@@ -0,0 +1,275 @@
+/**
+ * pcap-capture.js
+ * Factory function for ingesting FSD traffic from a saved pcap/pcapng file
+ *
+ * The file is parsed natively (no tshark needed): TCP segments for the
+ * configured port are reassembled per connection and split into CRLF lines
+ * (UDP ports emit per datagram), which are emitted with the original packet
+ * timestamps. Custom BPF filters do not apply here; protocol, port and host
+ * addresses are matched natively. By default the file
+ * is read as fast as possible; set speed to 1 for real-time pacing.
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { createPcapParser } = require('./pcap-parser');
+const { createTcpLineExtractor } = require('./tcp-line-extractor');
+const { createUdpDatagramExtractor } = require('./udp-datagram-extractor');
+
+const HIGH_WATER_PACKETS = 5000;
+
+/**
+ * Create a pcap file capture instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.file - Path to the .pcap or .pcapng file
+ * @param {number} options.port - FSD server port to extract (default: 6809)
+ * @param {string} options.protocol - 'tcp' (default) or 'udp'
+ * @param {string|Array} options.hosts - Only extract traffic to/from these IP addresses (optional)
+ * @param {string} options.encoding - UDP payload encoding (see udp-datagram-extractor)
+ * @param {number} options.speed - Playback speed: 0 = as fast as possible, 1 = real time, N = N× (default: 0)
+ * @returns {Object} Capture controller with start/stop methods
+ */
+function createPcapCapture(options = {}) {
+  const config = {
+    file: options.file,
+    port: options.port || 6809,
+    protocol: options.protocol || 'tcp',
+    hosts: options.hosts || null,
+    encoding: options.encoding || 'utf-8',
+    speed: options.speed || 0
+  };
+
+  const emitter = new EventEmitter();
+  let isCapturing = false;
+  let stream = null;
+  let queue = [];
+  let pumping = false;
+  let pumpTimer = null; // pacing wait for the next packet
+  let playback = null; // { firstPacket, startedAt }
+  let extractor = null;
+  let held = false; // backpressure from the ingestion queue
+
+  const stats = {
+    firstTimestamp: null,
+    lastTimestamp: null
+  };
+
+  /**
+   * Start reading the capture file
+   */
+  function start() {
+    if (isCapturing) {
+      throw new Error('Capture already running');
+    }
+
+    if (!config.file) {
+      throw new Error('pcap capture requires file');
+    }
+
+    const createExtractor = config.protocol === 'udp' ? createUdpDatagramExtractor : createTcpLineExtractor;
+    extractor = createExtractor({
+      port: config.port,
+      hosts: config.hosts,
+      encoding: config.encoding,
+      onLine: (line, meta) => emitter.emit('data', line, meta)
+    });
+    queue = [];
+    playback = null;
+    Object.assign(stats, { firstTimestamp: null, lastTimestamp: null });
+
+    const parser = createPcapParser({ onPacket: handlePacket });
+
+    stream = fs.createReadStream(config.file);
+    isCapturing = true;
+
+    stream.on('open', () => {
+      emitter.emit('started', { file: config.file, port: config.port, speed: config.speed });
+    });
+
+    stream.on('data', (chunk) => {
+      try {
+        parser.push(chunk);
+      } catch (err) {
+        fail(err);
+        return;
+      }
+      pump();
+    });
+
+    stream.on('end', () => {
+      stream = null;
+      pump();
+    });
+
+    stream.on('error', fail);
+  }
+
+  /**
+   * Stop reading (remaining packets are discarded)
+   */
+  function stop() {
+    if (!isCapturing) {
+      return;
+    }
+
+    closeStream();
+    isCapturing = false;
+    emitter.emit('stopped', { requested: true });
+  }
+
+  /**
+   * Queue packets for processing; pause reading when the queue is full
+   */
+  function handlePacket(packet) {
+    // Packet data points into the parser's buffer; keep a private copy
+    queue.push({ ...packet, data: Buffer.from(packet.data) });
+
+    if (queue.length >= HIGH_WATER_PACKETS && stream) {
+      stream.pause();
+    }
+  }
+
+  /**
+   * Feed queued packets to the reassembler, pacing them when speed > 0
+   */
+  function pump() {
+    if (pumping || !isCapturing || held) return;
+    pumping = true;
+
+    while (queue.length > 0) {
+      const packet = queue[0];
+      const delay = playbackDelay(packet.timestamp);
+
+      if (delay > 0) {
+        pumpTimer = setTimeout(() => {
+          pumpTimer = null;
+          pumping = false;
+          pump();
+        }, delay);
+        return;
+      }
+
+      queue.shift();
+      processPacket(packet);
+      if (!isCapturing || held) {
+        pumping = false;
+        return;
+      }
+    }
+
+    pumping = false;
+
+    if (stream && stream.isPaused()) {
+      stream.resume();
+    } else if (!stream) {
+      finish();
+    }
+  }
+
+  /**
+   * Hold/release packet processing while the ingestion queue is full;
+   * pacing restarts from the next packet on release
+   * @param {boolean} blocked - true to hold, false to release
+   * @returns {boolean} true (supported)
+   */
+  function setBackpressure(blocked) {
+    held = blocked;
+    if (!held) {
+      playback = null;
+      pump();
+    }
+    return true;
+  }
+
+  /**
+   * Helper: Milliseconds to wait before a packet is due (0 when not pacing)
+   */
+  function playbackDelay(timestamp) {
+    if (!config.speed || timestamp === null) return 0;
+
+    if (!playback) {
+      playback = { firstPacket: timestamp, startedAt: Date.now() };
+      return 0;
+    }
+
+    const due = playback.startedAt + (timestamp - playback.firstPacket) / config.speed;
+    return Math.max(0, Math.round(due - Date.now()));
+  }
+
+  /**
+   * Helper: Extract lines from one packet
+   */
+  function processPacket(packet) {
+    if (!extractor.pushPacket(packet) || packet.timestamp === null) return;
+
+    if (stats.firstTimestamp === null) stats.firstTimestamp = packet.timestamp;
+    stats.lastTimestamp = packet.timestamp;
+  }
+
+  /**
+   * End of file: flush open streams and stop
+   */
+  function finish() {
+    extractor.flush();
+
+    const summary = { file: config.file, ...extractor.getStats(), ...stats };
+    isCapturing = false;
+    emitter.emit('finished', summary);
+    emitter.emit('stopped', { requested: false, finished: true });
+  }
+
+  /**
+   * Abort on read or format errors
+   */
+  function fail(err) {
+    if (!isCapturing) return;
+
+    closeStream();
+    isCapturing = false;
+    emitter.emit('error', err);
+    emitter.emit('stopped', { requested: false, error: err.message });
+  }
+
+  /**
+   * Helper: Stop reading, cancel a pacing wait and discard queued packets
+   */
+  function closeStream() {
+    if (stream) {
+      stream.destroy();
+      stream = null;
+    }
+    if (pumpTimer) {
+      clearTimeout(pumpTimer);
+      pumpTimer = null;
+    }
+    pumping = false;
+    queue = [];
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return {
+      isCapturing,
+      held,
+      ...(extractor ? extractor.getStats() : {}),
+      ...stats,
+      queued: queue.length,
+      config: { ...config }
+    };
+  }
+
+  // Public API
+  return {
+    start,
+    stop,
+    setBackpressure,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+module.exports = { createPcapCapture };
@@ -0,0 +1,91 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createPcapCapture } = require('./pcap-capture');
+const { buildPcap, buildTcpFrame } = require('../../test/fixtures/pcap-builder');
+
+const CLIENT = { src: '10.0.0.2', srcPort: 50000, dst: '10.0.0.1', dstPort: 6809 };
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+describe('pcap capture lifecycle', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'pcap-capture-'));
+    file = join(dir, 'session.pcap');
+    // Second line is due 60 s after the first at real-time speed
+    fs.writeFileSync(file, buildPcap([
+      { timestamp: START, data: buildTcpFrame({ ...CLIENT, seq: 1000, payload: '#TMA:B:one\r\n' }) },
+      { timestamp: START + 60000, data: buildTcpFrame({ ...CLIENT, seq: 1012, payload: '#TMA:B:two\r\n' }) }
+    ]));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function record(capture) {
+    const events = [];
+    capture.on('data', line => events.push(['data', line]));
+    capture.on('stopped', info => events.push(['stopped', info]));
+    capture.on('finished', summary => events.push(['finished', summary.lines]));
+    capture.on('error', err => events.push(['error', err.message]));
+    return events;
+  }
+
+  function waitFor(capture, event) {
+    return new Promise(resolve => capture.once(event, resolve));
+  }
+
+  test('reads the whole file and reports it finished', async () => {
+    const capture = createPcapCapture({ file });
+    const events = record(capture);
+    const stopped = waitFor(capture, 'stopped');
+    capture.start();
+    await stopped;
+
+    expect(events).toEqual([
+      ['data', '#TMA:B:one'],
+      ['data', '#TMA:B:two'],
+      ['finished', 2],
+      ['stopped', { requested: false, finished: true }]
+    ]);
+  });
+
+  test('stop cancels a pacing wait, so a restart plays from the start at once', async () => {
+    const capture = createPcapCapture({ file, speed: 1 });
+    const events = record(capture);
+    const first = waitFor(capture, 'data');
+    capture.start();
+    await first;
+
+    capture.stop();
+    const again = waitFor(capture, 'data');
+    capture.start();
+    await again;
+    capture.stop();
+
+    expect(events).toEqual([
+      ['data', '#TMA:B:one'],
+      ['stopped', { requested: true }],
+      ['data', '#TMA:B:one'],
+      ['stopped', { requested: true }]
+    ]);
+  });
+
+  test('a broken file reports the error and stops', async () => {
+    fs.writeFileSync(file, Buffer.from('definitely not a capture file'));
+    const capture = createPcapCapture({ file });
+    const events = record(capture);
+    const stopped = waitFor(capture, 'stopped');
+    capture.start();
+    await stopped;
+
+    expect(events.length).toBe(2);
+    expect(events[0][0]).toBe('error');
+    expect(events[1]).toEqual(['stopped', { requested: false, error: events[0][1] }]);
+    expect(capture.getStatus().isCapturing).toBe(false);
+  });
+});
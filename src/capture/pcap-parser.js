@@ -0,0 +1,253 @@
+/**
+ * pcap-parser.js
+ * Incremental parser for pcap and pcapng capture data (files or tshark -w - output)
+ */
+
+const PCAP_MAGIC_MICRO = 0xa1b2c3d4;
+const PCAP_MAGIC_NANO = 0xa1b23c4d;
+const PCAPNG_SHB = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+
+// pcapng block types
+const BLOCK_IDB = 0x00000001;
+const BLOCK_OBSOLETE_PACKET = 0x00000002;
+const BLOCK_SIMPLE_PACKET = 0x00000003;
+const BLOCK_ENHANCED_PACKET = 0x00000006;
+
+// pcapng interface options
+const OPTION_END = 0;
+const OPTION_IF_TSRESOL = 9;
+
+/**
+ * Create an incremental pcap/pcapng parser
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onPacket - ({ timestamp, linkType, data }) for every captured frame
+ * @returns {Object} Parser with push(chunk) and getFormat()
+ */
+function createPcapParser(handlers = {}) {
+  const onPacket = handlers.onPacket || (() => {});
+
+  let buffer = Buffer.alloc(0);
+  let format = null; // 'pcap' | 'pcapng'
+
+  // pcap state
+  let littleEndian = true;
+  let nanosecond = false;
+  let pcapLinkType = null;
+
+  // pcapng state (per section)
+  let interfaces = [];
+  let lastTimestamp = null;
+
+  /**
+   * Add bytes and emit every complete packet they contain
+   */
+  function push(chunk) {
+    buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+
+    let offset = 0;
+    while (true) {
+      const consumed = format === null
+        ? readFileHeader(offset)
+        : format === 'pcap' ? readPcapRecord(offset) : readPcapngBlock(offset);
+
+      if (consumed === 0) break;
+      offset += consumed;
+    }
+
+    buffer = buffer.subarray(offset);
+  }
+
+  /**
+   * Detect the format from the first bytes
+   * @returns {number} Bytes consumed (0 = need more data)
+   */
+  function readFileHeader(offset) {
+    if (buffer.length - offset < 4) return 0;
+
+    const magicLE = buffer.readUInt32LE(offset);
+    const magicBE = buffer.readUInt32BE(offset);
+
+    if (magicLE === PCAPNG_SHB) {
+      format = 'pcapng';
+      return readPcapngBlockOrWait(offset);
+    }
+
+    if (magicLE === PCAP_MAGIC_MICRO || magicLE === PCAP_MAGIC_NANO ||
+        magicBE === PCAP_MAGIC_MICRO || magicBE === PCAP_MAGIC_NANO) {
+      if (buffer.length - offset < 24) return 0;
+
+      littleEndian = magicLE === PCAP_MAGIC_MICRO || magicLE === PCAP_MAGIC_NANO;
+      nanosecond = (littleEndian ? magicLE : magicBE) === PCAP_MAGIC_NANO;
+      pcapLinkType = readUInt32(offset + 20);
+      format = 'pcap';
+      return 24;
+    }
+
+    throw new Error('Not a pcap or pcapng capture (magic 0x' + magicBE.toString(16) + ')');
+  }
+
+  /**
+   * Read the first pcapng block, or wait until it is complete
+   */
+  function readPcapngBlockOrWait(offset) {
+    const consumed = readPcapngBlock(offset);
+    if (consumed === 0) {
+      // Format detection must be repeated once the whole SHB is available
+      format = null;
+    }
+    return consumed;
+  }
+
+  /**
+   * Read one classic pcap packet record
+   */
+  function readPcapRecord(offset) {
+    if (buffer.length - offset < 16) return 0;
+
+    const seconds = readUInt32(offset);
+    const fraction = readUInt32(offset + 4);
+    const capturedLength = readUInt32(offset + 8);
+
+    if (buffer.length - offset < 16 + capturedLength) return 0;
+
+    onPacket({
+      timestamp: seconds * 1000 + (nanosecond ? fraction / 1e6 : fraction / 1e3),
+      linkType: pcapLinkType,
+      data: buffer.subarray(offset + 16, offset + 16 + capturedLength)
+    });
+
+    return 16 + capturedLength;
+  }
+
+  /**
+   * Read one pcapng block
+   */
+  function readPcapngBlock(offset) {
+    if (buffer.length - offset < 12) return 0;
+
+    const rawType = buffer.readUInt32LE(offset);
+
+    // Section header: establishes byte order for the section
+    if (rawType === PCAPNG_SHB) {
+      const byteOrder = buffer.readUInt32LE(offset + 8);
+      littleEndian = byteOrder === PCAPNG_BYTE_ORDER_MAGIC;
+      if (!littleEndian && buffer.readUInt32BE(offset + 8) !== PCAPNG_BYTE_ORDER_MAGIC) {
+        throw new Error('Invalid pcapng byte-order magic');
+      }
+    }
+
+    const blockType = readUInt32(offset);
+    const blockLength = readUInt32(offset + 4);
+
+    if (blockLength < 12) {
+      throw new Error('Invalid pcapng block length ' + blockLength);
+    }
+    if (buffer.length - offset < blockLength) return 0;
+
+    const body = offset + 8;
+
+    switch (blockType) {
+      case PCAPNG_SHB:
+        interfaces = [];
+        break;
+
+      case BLOCK_IDB:
+        interfaces.push({
+          linkType: readUInt16(body),
+          resolution: readTimestampResolution(body + 8, offset + blockLength - 4)
+        });
+        break;
+
+      case BLOCK_ENHANCED_PACKET: {
+        const iface = interfaces[readUInt32(body)] || { linkType: 1, resolution: 1e-6 };
+        const capturedLength = readUInt32(body + 12);
+        const ticks = readUInt32(body + 4) * 4294967296 + readUInt32(body + 8);
+
+        lastTimestamp = ticks * iface.resolution * 1000;
+        onPacket({
+          timestamp: lastTimestamp,
+          linkType: iface.linkType,
+          data: buffer.subarray(body + 20, body + 20 + capturedLength)
+        });
+        break;
+      }
+
+      case BLOCK_OBSOLETE_PACKET: {
+        const iface = interfaces[readUInt16(body)] || { linkType: 1, resolution: 1e-6 };
+        const capturedLength = readUInt32(body + 12);
+        const ticks = readUInt32(body + 4) * 4294967296 + readUInt32(body + 8);
+
+        lastTimestamp = ticks * iface.resolution * 1000;
+        onPacket({
+          timestamp: lastTimestamp,
+          linkType: iface.linkType,
+          data: buffer.subarray(body + 20, body + 20 + capturedLength)
+        });
+        break;
+      }
+
+      case BLOCK_SIMPLE_PACKET: {
+        // No timestamp in simple packet blocks - reuse the previous one
+        const iface = interfaces[0] || { linkType: 1 };
+        const dataLength = Math.min(readUInt32(body), blockLength - 16);
+
+        onPacket({
+          timestamp: lastTimestamp,
+          linkType: iface.linkType,
+          data: buffer.subarray(body + 4, body + 4 + dataLength)
+        });
+        break;
+      }
+
+      // Name resolution, statistics and custom blocks are ignored
+    }
+
+    return blockLength;
+  }
+
+  /**
+   * Read if_tsresol from interface options (default: microseconds)
+   */
+  function readTimestampResolution(start, end) {
+    let offset = start;
+
+    while (offset + 4 <= end) {
+      const code = readUInt16(offset);
+      const length = readUInt16(offset + 2);
+
+      if (code === OPTION_END) break;
+
+      if (code === OPTION_IF_TSRESOL && length >= 1) {
+        const value = buffer[offset + 4];
+        return value & 0x80 ? Math.pow(2, -(value & 0x7f)) : Math.pow(10, -value);
+      }
+
+      offset += 4 + Math.ceil(length / 4) * 4;
+    }
+
+    return 1e-6;
+  }
+
+  function readUInt32(offset) {
+    return littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  }
+
+  function readUInt16(offset) {
+    return littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  }
+
+  /**
+   * Get detected format ('pcap', 'pcapng' or null before the header was read)
+   */
+  function getFormat() {
+    return format;
+  }
+
+  return {
+    push,
+    getFormat
+  };
+}
+
+module.exports = { createPcapParser };
@@ -0,0 +1,84 @@
+const { describe, test, expect } = require('bun:test');
+const { createPcapParser } = require('./pcap-parser');
+const { buildPcap, buildPcapng } = require('../../test/fixtures/pcap-builder');
+
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+const FRAME_A = Buffer.from('frame-a');
+const FRAME_B = Buffer.from('frame-bb');
+
+function parse(chunks) {
+  const packets = [];
+  const parser = createPcapParser({
+    onPacket: packet => packets.push({ ...packet, data: Buffer.from(packet.data).toString() })
+  });
+  chunks.forEach(chunk => parser.push(chunk));
+  return { packets, parser };
+}
+
+function bytewise(buffer) {
+  return Array.from(buffer, byte => Buffer.from([byte]));
+}
+
+describe('pcap parser', () => {
+  test('reads classic microsecond pcap records', () => {
+    const { packets, parser } = parse([buildPcap([
+      { timestamp: START + 1, data: FRAME_A },
+      { timestamp: START + 250, data: FRAME_B }
+    ])]);
+
+    expect(parser.getFormat()).toBe('pcap');
+    expect(packets).toEqual([
+      { timestamp: START + 1, linkType: 1, data: 'frame-a' },
+      { timestamp: START + 250, linkType: 1, data: 'frame-bb' }
+    ]);
+  });
+
+  test('reads a capture pushed one byte at a time', () => {
+    const capture = buildPcap([{ timestamp: START, data: FRAME_A }, { timestamp: START + 5, data: FRAME_B }]);
+    const { packets } = parse(bytewise(capture));
+
+    expect(packets.map(packet => packet.data)).toEqual(['frame-a', 'frame-bb']);
+  });
+
+  test('reads big-endian nanosecond pcap', () => {
+    const header = Buffer.alloc(24);
+    header.writeUInt32BE(0xa1b23c4d, 0);
+    header.writeUInt32BE(101, 20); // raw IPv4
+    const record = Buffer.alloc(16);
+    record.writeUInt32BE(START / 1000, 0);
+    record.writeUInt32BE(1500000, 4); // 1.5 ms in ns
+    record.writeUInt32BE(FRAME_A.length, 8);
+    record.writeUInt32BE(FRAME_A.length, 12);
+
+    const { packets } = parse([Buffer.concat([header, record, FRAME_A])]);
+
+    expect(packets).toEqual([{ timestamp: START + 1.5, linkType: 101, data: 'frame-a' }]);
+  });
+
+  test('reads pcapng enhanced packets with the default resolution', () => {
+    const { packets, parser } = parse([buildPcapng([{ timestamp: START + 7, data: FRAME_A }])]);
+
+    expect(parser.getFormat()).toBe('pcapng');
+    expect(packets).toEqual([{ timestamp: START + 7, linkType: 1, data: 'frame-a' }]);
+  });
+
+  test('honours if_tsresol in decimal and binary form', () => {
+    const nano = parse([buildPcapng([{ timestamp: START + 3, data: FRAME_A }], { tsresol: 9 })]);
+    expect(nano.packets[0].timestamp).toBe(START + 3);
+
+    const binary = parse([buildPcapng([{ timestamp: START + 512, data: FRAME_B }], { tsresol: 0x80 | 10 })]);
+    expect(binary.packets[0].timestamp).toBeCloseTo(START + 512, 0);
+    expect(binary.packets[0].data).toBe('frame-bb');
+  });
+
+  test('waits for a section header split across chunks', () => {
+    const capture = buildPcapng([{ timestamp: START, data: FRAME_A }, { timestamp: START + 1, data: FRAME_B }]);
+    const { packets } = parse(bytewise(capture));
+
+    expect(packets.map(packet => [packet.timestamp, packet.data])).toEqual([[START, 'frame-a'], [START + 1, 'frame-bb']]);
+  });
+
+  test('rejects data that is not a capture', () => {
+    expect(() => parse([Buffer.from('GET / HTTP/1.1\r\n')])).toThrow('Not a pcap or pcapng capture');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * proxy-capture.js
+ * Factory function for capturing FSD traffic as a transparent TCP proxy
+ *
+ * EuroScope connects to the proxy (e.g. localhost:6809) instead of the FSD
+ * server; every byte is forwarded unchanged to the real server and back, and
+ * each complete CRLF-terminated line is emitted as a 'data' event. No packet
+ * capture driver or elevated privileges are needed.
+ */
+
+const net = require('net');
+const EventEmitter = require('events');
+const { createLineFramer } = require('./line-framer');
+
+/**
+ * Create a TCP proxy capture instance
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - Port label used by the capture manager (default: 6809)
+ * @param {string} options.listenHost - Address to accept client connections on (default: 127.0.0.1)
+ * @param {number} options.listenPort - Port to accept client connections on (default: port)
+ * @param {string} options.targetHost - Real FSD server hostname
+ * @param {number} options.targetPort - Real FSD server port (default: 6809)
+ * @returns {Object} Capture controller with start/stop methods
+ */
+function createProxyCapture(options = {}) {
+  const config = {
+    port: options.port || 6809,
+    listenHost: options.listenHost || '127.0.0.1',
+    listenPort: options.listenPort || options.port || 6809,
+    targetHost: options.targetHost,
+    targetPort: options.targetPort || 6809
+  };
+
+  const emitter = new EventEmitter();
+  const connections = new Map(); // connection id -> { client, upstream }
+  let server = null;
+  let isCapturing = false;
+  let nextConnectionId = 1;
+
+  /**
+   * Start listening for client connections
+   */
+  function start() {
+    if (isCapturing) {
+      throw new Error('Capture already running');
+    }
+
+    if (!config.targetHost) {
+      throw new Error('Proxy capture requires targetHost');
+    }
+
+    server = net.createServer(handleClient);
+    server.on('error', handleServerError);
+    isCapturing = true;
+
+    server.listen(config.listenPort, config.listenHost, () => {
+      emitter.emit('started', {
+        listenHost: config.listenHost,
+        listenPort: config.listenPort,
+        targetHost: config.targetHost,
+        targetPort: config.targetPort,
+        port: config.port
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop all proxied connections
+   */
+  function stop() {
+    if (!isCapturing || !server) {
+      return;
+    }
+
+    for (const connection of connections.values()) {
+      connection.client.destroy();
+      connection.upstream.destroy();
+    }
+    connections.clear();
+
+    server.close();
+    server = null;
+    isCapturing = false;
+    emitter.emit('stopped', { requested: true });
+  }
+
+  /**
+   * Handle a new client (EuroScope) connection
+   */
+  function handleClient(client) {
+    const connectionId = nextConnectionId++;
+    const upstream = net.connect(config.targetPort, config.targetHost);
+
+    connections.set(connectionId, { client, upstream });
+
+    const clientEndpoint = client.remoteAddress + ':' + client.remotePort;
+    const targetEndpoint = config.targetHost + ':' + config.targetPort;
+
+    const outbound = createLineFramer(line => emitLine(line, {
+      direction: 'outbound', connectionId, src: clientEndpoint, dst: targetEndpoint
+    }));
+    const inbound = createLineFramer(line => emitLine(line, {
+      direction: 'inbound', connectionId, src: targetEndpoint, dst: clientEndpoint
+    }));
+
+    forward(client, upstream, outbound);
+    forward(upstream, client, inbound);
+
+    const closeBoth = () => {
+      if (!connections.has(connectionId)) return;
+      connections.delete(connectionId);
+
+      outbound.flush();
+      inbound.flush();
+      client.destroy();
+      upstream.destroy();
+      emitter.emit('connection-closed', { connectionId });
+    };
+
+    client.on('close', closeBoth);
+    upstream.on('close', closeBoth);
+
+    client.on('error', (err) => {
+      emitter.emit('warning', `Client connection ${connectionId} error: ${err.message}`);
+    });
+    upstream.on('error', (err) => {
+      emitter.emit('warning', `Upstream connection ${connectionId} to ${config.targetHost}:${config.targetPort} error: ${err.message}`);
+    });
+
+    emitter.emit('connection-opened', {
+      connectionId,
+      client: clientEndpoint,
+      target: targetEndpoint
+    });
+  }
+
+  /**
+   * Forward bytes from one socket to another, tapping them through a line framer
+   * Honors backpressure by pausing the source while the destination drains
+   */
+  function forward(source, destination, framer) {
+    source.on('data', (chunk) => {
+      if (!destination.write(chunk)) {
+        source.pause();
+        destination.once('drain', () => source.resume());
+      }
+      framer.push(chunk);
+    });
+
+    source.on('end', () => destination.end());
+  }
+
+  /**
+   * Emit a complete line with direction and endpoint metadata
+   */
+  function emitLine(line, endpoints) {
+    if (line.trim()) {
+      emitter.emit('data', line, { ...endpoints, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Handle listen errors (e.g. port already in use)
+   */
+  function handleServerError(err) {
+    isCapturing = false;
+    server = null;
+    emitter.emit('error', err);
+    emitter.emit('stopped', { requested: false, error: err.message });
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return {
+      isCapturing,
+      connections: connections.size,
+      config: { ...config }
+    };
+  }
+
+  // Public API
+  return {
+    start,
+    stop,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+module.exports = { createProxyCapture };
@@ -0,0 +1,60 @@
+const { describe, test, expect } = require('bun:test');
+const net = require('net');
+const { createProxyCapture } = require('./proxy-capture');
+
+const LISTEN_PORT = 46809;
+
+function waitFor(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('proxy capture', () => {
+  test('relays lines both ways and reports a requested stop', async () => {
+    const server = net.createServer(socket => {
+      socket.write('$DISERVER:CLIENT:hello\r\n');
+      socket.on('data', chunk => socket.write(chunk));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const proxy = createProxyCapture({ port: 6809, listenPort: LISTEN_PORT, targetHost: '127.0.0.1', targetPort: server.address().port });
+    const lines = [];
+    proxy.on('data', (line, meta) => lines.push([meta.direction, line]));
+    const started = waitFor(proxy, 'started');
+    proxy.start();
+    await started;
+
+    const client = net.connect(LISTEN_PORT, '127.0.0.1');
+    await waitFor(client, 'data');
+    const echoed = waitFor(client, 'data');
+    client.write('#TMA:B:ping\r\n');
+    await echoed;
+
+    const stopped = waitFor(proxy, 'stopped');
+    proxy.stop();
+    expect(await stopped).toEqual({ requested: true });
+    expect(lines).toEqual([
+      ['inbound', '$DISERVER:CLIENT:hello'],
+      ['outbound', '#TMA:B:ping'],
+      ['inbound', '#TMA:B:ping']
+    ]);
+
+    client.destroy();
+    server.close();
+  });
+
+  test('a listen error stops the port without a request', async () => {
+    const blocker = net.createServer();
+    await new Promise(resolve => blocker.listen(LISTEN_PORT, '127.0.0.1', resolve));
+
+    const proxy = createProxyCapture({ port: 6809, listenPort: LISTEN_PORT, targetHost: '127.0.0.1' });
+    const errors = [];
+    proxy.on('error', err => errors.push(err.code));
+    const stopped = waitFor(proxy, 'stopped');
+    proxy.start();
+
+    expect(await stopped).toEqual({ requested: false, error: expect.stringContaining('EADDRINUSE') });
+    expect(errors).toEqual(['EADDRINUSE']);
+    expect(proxy.getStatus().isCapturing).toBe(false);
+    blocker.close();
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * replay-capture.js
+ * Factory function for replaying a session recorded by session-recorder.js
+ *
+ * Recorded lines are fed back through the capture manager with their
+ * original timestamps and parser, paced at 1×, N× or as fast as possible.
+ * An optional from/to window limits the replay, and playback can be paused,
+ * resumed and seeked while running. The file is streamed, so seeking
+ * backwards re-reads it from the start.
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { createLineFramer } = require('./line-framer');
+const { parseTime } = require('./time-parser');
+
+const HIGH_WATER_LINES = 5000;
+
+/**
+ * Create a replay capture instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.file - Path to the .jsonl recording
+ * @param {number} options.port - Port label used by the capture manager
+ * @param {number} options.speed - Playback speed: 0 = as fast as possible, 1 = real time, N = N× (default: 1)
+ * @param {number|string} options.from - Skip lines recorded before this time (epoch ms, ISO string or age, see time-parser.js)
+ * @param {number|string} options.to - Stop at lines recorded after this time (epoch ms, ISO string or age, see time-parser.js)
+ * @param {Array<number>} options.ports - Only replay lines recorded on these ports (default: all)
+ * @returns {Object} Capture controller with start/stop and pause/resume/seek methods
+ */
+function createReplayCapture(options = {}) {
+  const config = {
+    file: options.file,
+    port: options.port,
+    speed: options.speed !== undefined ? options.speed : 1,
+    from: parseTime(options.from, null, 'from'),
+    to: parseTime(options.to, null, 'to'),
+    ports: options.ports || null
+  };
+
+  const emitter = new EventEmitter();
+  let isCapturing = false;
+  let paused = false;
+  let held = false; // backpressure from the ingestion queue, separate from a user pause
+  let stream = null;
+  let queue = [];
+  let pumping = false;
+  let pumpTimer = null;
+  let playback = null; // { firstLine, startedAt }
+  let skipUntil = null;
+  let position = null; // recorded time of the last replayed line
+
+  const stats = {
+    lines: 0,
+    skipped: 0,
+    invalid: 0,
+    firstTimestamp: null,
+    lastTimestamp: null
+  };
+
+  /**
+   * Start replaying from the beginning of the window
+   */
+  function start() {
+    if (isCapturing) {
+      throw new Error('Capture already running');
+    }
+
+    if (!config.file) {
+      throw new Error('Replay capture requires file');
+    }
+
+    isCapturing = true;
+    paused = false;
+    position = null;
+    Object.assign(stats, { lines: 0, skipped: 0, invalid: 0, firstTimestamp: null, lastTimestamp: null });
+
+    openStream(config.from, true);
+  }
+
+  /**
+   * Stop replaying (remaining lines are discarded)
+   */
+  function stop() {
+    if (!isCapturing) {
+      return;
+    }
+
+    closeStream();
+    isCapturing = false;
+    emitter.emit('stopped', { requested: true });
+  }
+
+  /**
+   * Pause playback at the current line
+   */
+  function pause() {
+    requireCapturing();
+    if (paused) return getPlayback();
+
+    paused = true;
+    cancelPump();
+    emitter.emit('paused', getPlayback());
+    return getPlayback();
+  }
+
+  /**
+   * Resume playback; pacing restarts from the next line
+   */
+  function resume() {
+    requireCapturing();
+    if (!paused) return getPlayback();
+
+    paused = false;
+    playback = null;
+    emitter.emit('resumed', getPlayback());
+    pump();
+    return getPlayback();
+  }
+
+  /**
+   * Hold/release playback while the ingestion queue is full; pacing
+   * restarts from the next line on release, like resume()
+   * @param {boolean} blocked - true to hold, false to release
+   * @returns {boolean} true (supported)
+   */
+  function setBackpressure(blocked) {
+    held = blocked;
+    if (held) {
+      cancelPump();
+    } else {
+      playback = null;
+      pump();
+    }
+    return true;
+  }
+
+  /**
+   * Jump to a recorded time; lines in between are skipped, not replayed
+   * @param {number|string} time - Target time (epoch ms, ISO string or age, see time-parser.js)
+   */
+  function seek(time) {
+    requireCapturing();
+
+    const target = parseTime(time, null, 'time');
+    if (target === null) {
+      throw new Error('seek requires a time');
+    }
+
+    const startAt = config.from !== null ? Math.max(target, config.from) : target;
+
+    if (position !== null && startAt < position) {
+      // Backwards: the file is streamed, so read it again from the start
+      openStream(startAt, false);
+    } else {
+      skipUntil = startAt;
+      playback = null;
+      cancelPump();
+      pump();
+    }
+
+    position = startAt;
+    emitter.emit('seeked', getPlayback());
+    return getPlayback();
+  }
+
+  /**
+   * Helper: (Re)open the recording, skipping lines before a time
+   */
+  function openStream(startAt, announce) {
+    closeStream();
+
+    queue = [];
+    playback = null;
+    skipUntil = startAt;
+
+    const current = fs.createReadStream(config.file);
+    const framer = createLineFramer(line => handleLine(line, current));
+    stream = current;
+
+    current.on('open', () => {
+      if (!announce) return;
+      emitter.emit('started', { file: config.file, port: config.port, speed: config.speed, from: config.from, to: config.to });
+    });
+
+    current.on('data', (chunk) => {
+      if (stream !== current) return;
+      framer.push(chunk);
+      pump();
+    });
+
+    current.on('end', () => {
+      if (stream !== current) return;
+      framer.flush();
+      stream = null;
+      pump();
+    });
+
+    current.on('error', (err) => {
+      if (stream !== current) return;
+      closeStream();
+      isCapturing = false;
+      emitter.emit('error', err);
+      emitter.emit('stopped', { requested: false, error: err.message });
+    });
+  }
+
+  /**
+   * Helper: Destroy the read stream and any scheduled pump
+   */
+  function closeStream() {
+    cancelPump();
+    if (stream) {
+      stream.destroy();
+      stream = null;
+    }
+    queue = [];
+  }
+
+  /**
+   * Queue a recorded line; stop reading at the end of the window
+   */
+  function handleLine(line, source) {
+    if (stream !== source || !line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      stats.invalid++;
+      return;
+    }
+
+    if (typeof entry.data !== 'string' || typeof entry.timestamp !== 'number') {
+      stats.invalid++;
+      return;
+    }
+
+    if (config.ports && !config.ports.includes(entry.port)) return;
+
+    if (config.to !== null && entry.timestamp > config.to) {
+      // Recordings are in capture order: nothing after this is in the window
+      source.destroy();
+      stream = null;
+      return;
+    }
+
+    queue.push(entry);
+
+    if (queue.length >= HIGH_WATER_LINES && stream) {
+      stream.pause();
+    }
+  }
+
+  /**
+   * Emit queued lines, pacing them when speed > 0
+   */
+  function pump() {
+    if (pumping || !isCapturing || paused || held) return;
+    pumping = true;
+
+    while (queue.length > 0) {
+      const entry = queue[0];
+
+      if (skipUntil !== null && entry.timestamp < skipUntil) {
+        queue.shift();
+        stats.skipped++;
+        continue;
+      }
+
+      const delay = playbackDelay(entry.timestamp);
+      if (delay > 0) {
+        pumpTimer = setTimeout(() => {
+          pumpTimer = null;
+          pumping = false;
+          pump();
+        }, delay);
+        return;
+      }
+
+      queue.shift();
+      replayLine(entry);
+      if (!isCapturing || paused || held) {
+        pumping = false;
+        return;
+      }
+    }
+
+    pumping = false;
+
+    if (stream && stream.isPaused()) {
+      stream.resume();
+    } else if (!stream) {
+      finish();
+    }
+  }
+
+  /**
+   * Helper: Emit one recorded line with its original metadata
+   */
+  function replayLine(entry) {
+    skipUntil = null;
+    position = entry.timestamp;
+    stats.lines++;
+    if (stats.firstTimestamp === null) stats.firstTimestamp = entry.timestamp;
+    stats.lastTimestamp = entry.timestamp;
+
+    emitter.emit('data', entry.data, {
+      timestamp: entry.timestamp,
+      parser: entry.parser,
+      direction: entry.direction,
+      connectionId: entry.connectionId,
+      src: entry.src,
+      dst: entry.dst,
+      origin: entry.origin,
+      originPort: entry.originPort
+    });
+  }
+
+  /**
+   * Helper: Milliseconds to wait before a line is due (0 when not pacing)
+   */
+  function playbackDelay(timestamp) {
+    if (!config.speed) return 0;
+
+    if (!playback) {
+      playback = { firstLine: timestamp, startedAt: Date.now() };
+      return 0;
+    }
+
+    const due = playback.startedAt + (timestamp - playback.firstLine) / config.speed;
+    return Math.max(0, Math.round(due - Date.now()));
+  }
+
+  /**
+   * Helper: Cancel a scheduled pump
+   */
+  function cancelPump() {
+    if (pumpTimer) {
+      clearTimeout(pumpTimer);
+      pumpTimer = null;
+    }
+    pumping = false;
+  }
+
+  /**
+   * End of recording or window
+   */
+  function finish() {
+    isCapturing = false;
+    emitter.emit('finished', { file: config.file, ...stats });
+    emitter.emit('stopped', { requested: false, finished: true });
+  }
+
+  /**
+   * Helper: Playback controls need a running replay
+   */
+  function requireCapturing() {
+    if (!isCapturing) {
+      throw new Error('Replay is not running');
+    }
+  }
+
+  /**
+   * Helper: Playback position for controls and status
+   */
+  function getPlayback() {
+    return {
+      paused,
+      position,
+      speed: config.speed,
+      from: config.from,
+      to: config.to
+    };
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return {
+      isCapturing,
+      held,
+      playback: getPlayback(),
+      ...stats,
+      queued: queue.length,
+      config: { ...config }
+    };
+  }
+
+  // Public API
+  return {
+    start,
+    stop,
+    pause,
+    resume,
+    seek,
+    setBackpressure,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+module.exports = { createReplayCapture };
@@ -0,0 +1,62 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createReplayCapture } = require('./replay-capture');
+
+describe('replay capture lifecycle', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'replay-capture-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function run(file) {
+    const capture = createReplayCapture({ file, speed: 0 });
+    const events = [];
+    capture.on('data', line => events.push(['data', line]));
+    capture.on('error', err => events.push(['error', err.code]));
+    const stopped = new Promise(resolve => capture.once('stopped', resolve));
+    capture.start();
+    return { capture, events, stopped };
+  }
+
+  test('the end of the recording is an unrequested, finished stop', async () => {
+    const file = join(dir, 'session.jsonl');
+    fs.writeFileSync(file, JSON.stringify({ timestamp: 1, port: 6809, parser: 'fsd', data: '#TMA:B:x' }) + '\n');
+    const { events, stopped } = run(file);
+
+    expect(await stopped).toEqual({ requested: false, finished: true });
+    expect(events).toEqual([['data', '#TMA:B:x']]);
+  });
+
+  test('stop is a requested stop', async () => {
+    const file = join(dir, 'session.jsonl');
+    fs.writeFileSync(file, '');
+    const { capture, stopped } = run(file);
+    capture.stop();
+
+    expect(await stopped).toEqual({ requested: true });
+  });
+
+  test('a missing file reports the error and stops', async () => {
+    const { events, stopped } = run(join(dir, 'missing.jsonl'));
+
+    expect(await stopped).toMatchObject({ requested: false, error: expect.stringContaining('ENOENT') });
+    expect(events).toEqual([['error', 'ENOENT']]);
+  });
+
+  test('the window accepts ages and rejects unreadable times', () => {
+    const before = Date.now();
+    const { config } = createReplayCapture({ file: join(dir, 'session.jsonl'), from: '2h', to: '2025-01-12T11:06:40Z' }).getStatus();
+    expect(config.from).toBeGreaterThanOrEqual(before - 7200000);
+    expect(config.from).toBeLessThanOrEqual(Date.now() - 7200000);
+    expect(config.to).toBe(1736680000000);
+
+    expect(() => createReplayCapture({ file: join(dir, 'session.jsonl'), from: 'noon' })).toThrow("Invalid 'from' value: noon");
+  });
+});
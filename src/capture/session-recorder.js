@@ -0,0 +1,105 @@
+/**
+ * session-recorder.js
+ * Record raw captured lines to a JSONL file for later replay
+ *
+ * One JSON object per line, in capture order:
+ * {"timestamp":1736680000123,"port":6809,"parser":"fsd","label":"VATSIM FSD",
+ *  "data":"@N:BAW1:...","direction":"inbound","connectionId":1,"src":"...","dst":"...",
+ *  "origin":null,"originPort":null}
+ *
+ * origin/originPort are set for lines received from a forwarder (ingest port).
+ *
+ * Recordings are read back by replay-capture.js.
+ */
+
+const fs = require('fs');
+const { dirname } = require('path');
+const EventEmitter = require('events');
+
+/**
+ * Create a session recorder
+ * @param {Object} options - Configuration options
+ * @param {string} options.file - JSONL file to append to (created with its directory if missing)
+ * @returns {Object} Recorder with record(captureData), close() and getStatus()
+ */
+function createSessionRecorder(options = {}) {
+  if (!options.file) {
+    throw new Error('Recording requires file');
+  }
+
+  const file = options.file;
+  const emitter = new EventEmitter();
+
+  fs.mkdirSync(dirname(file), { recursive: true });
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+
+  const stats = {
+    lines: 0,
+    bytes: 0,
+    startTime: Date.now(),
+    lastTimestamp: null,
+    lastError: null
+  };
+
+  stream.on('error', (err) => {
+    stats.lastError = err.message;
+    emitter.emit('error', err);
+  });
+
+  /**
+   * Append one captured line (capture-manager 'data' event payload)
+   */
+  function record(captureData) {
+    const timestamp = captureData.timestamp || Date.now();
+    const line = JSON.stringify({
+      timestamp,
+      port: captureData.port,
+      parser: captureData.parser,
+      label: captureData.label || null,
+      data: captureData.data,
+      direction: captureData.direction || null,
+      connectionId: captureData.connectionId || null,
+      src: captureData.src || null,
+      dst: captureData.dst || null,
+      origin: captureData.origin || null,
+      originPort: captureData.originPort || null
+    }) + '\n';
+
+    stream.write(line);
+    stats.lines++;
+    stats.bytes += Buffer.byteLength(line);
+    stats.lastTimestamp = timestamp;
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise} Resolves when everything is written
+   */
+  function close() {
+    return new Promise((resolve) => {
+      if (stream.closed || stream.destroyed) {
+        resolve();
+        return;
+      }
+      stream.end(resolve);
+    });
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return { file, ...stats };
+  }
+
+  return {
+    record,
+    close,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+module.exports = { createSessionRecorder };
@@ -0,0 +1,487 @@
+/**
+ * synthetic-capture.js
+ * Factory function for generating realistic FSD traffic without a network
+ *
+ * For demos and load tests: a set of simulated aircraft fly between European
+ * airports (taxi, climb, cruise, descent, turnaround) while approach and
+ * center controllers hand them off. Lines are emitted through the same 'data'
+ * event as the packet sources, so parsers, state, database and UI all see
+ * ordinary FSD traffic:
+ *
+ * - @S/@N position reports and #ST station positions per aircraft
+ * - % controller positions, #AA on controller logon
+ * - $FP for every new flight, $CQ HT handoffs, #TM text messages
+ */
+
+const EventEmitter = require('events');
+
+const TICK_MS = 100;
+const SERVER = '@94835';
+const CENTER = { callsign: 'EDUU_CTR', frequency: '32350', facility: 6, range: 300, rating: 5, lat: 49.5, lon: 9.5 };
+const HANDOFF_ALTITUDE = 10000;  // ft; APP ↔ CTR boundary
+const APPROACH_DISTANCE = 40;    // nm from destination for CTR → APP handoff
+const CLIMB_GRADIENT = 480;      // ft per nm (≈ 2000 fpm at 250 kts)
+const DESCENT_GRADIENT = 318;    // ft per nm (3° path)
+const TEXT_PROBABILITY = 0.01;   // chance of a #TM per position report
+
+const AIRPORTS = [
+  { icao: 'EDDF', lat: 50.0333, lon: 8.5706, elevation: 364, frequency: '20800' },
+  { icao: 'EDDM', lat: 48.3538, lon: 11.7861, elevation: 1487, frequency: '28030' },
+  { icao: 'EDDS', lat: 48.6899, lon: 9.2220, elevation: 1276, frequency: '19200' },
+  { icao: 'EDDL', lat: 51.2895, lon: 6.7668, elevation: 147, frequency: '28550' },
+  { icao: 'EDDH', lat: 53.6304, lon: 9.9882, elevation: 53, frequency: '18050' },
+  { icao: 'EDDB', lat: 52.3667, lon: 13.5033, elevation: 157, frequency: '19500' },
+  { icao: 'LSZH', lat: 47.4647, lon: 8.5492, elevation: 1416, frequency: '18100' },
+  { icao: 'LOWW', lat: 48.1103, lon: 16.5697, elevation: 600, frequency: '34670' },
+  { icao: 'EHAM', lat: 52.3086, lon: 4.7639, elevation: -11, frequency: '21800' }
+];
+
+const AIRCRAFT_TYPES = [
+  { type: 'A320', wake: 'M', tas: 450, cruise: 36000 },
+  { type: 'A321', wake: 'M', tas: 450, cruise: 35000 },
+  { type: 'B738', wake: 'M', tas: 455, cruise: 37000 },
+  { type: 'E190', wake: 'M', tas: 430, cruise: 34000 },
+  { type: 'CRJ9', wake: 'M', tas: 440, cruise: 33000 },
+  { type: 'A359', wake: 'H', tas: 485, cruise: 39000 }
+];
+
+const AIRLINES = ['DLH', 'BAW', 'AFR', 'KLM', 'SWR', 'AUA', 'RYR', 'EZY', 'EWG', 'SAS'];
+
+const PILOT_TEXTS = [
+  'request higher',
+  'request direct',
+  'ride report smooth',
+  'with you',
+  'request lower due weather'
+];
+
+/**
+ * Create a synthetic FSD traffic source
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - Port label used by the capture manager (default: 6809)
+ * @param {number} options.aircraft - Number of simulated aircraft (default: 20)
+ * @param {number} options.rate - Position reports per aircraft per second (default: 0.2, i.e. every 5 s)
+ * @param {number} options.speed - Simulation time multiplier; aircraft fly N× faster (default: 1)
+ * @param {number} options.seed - Random seed for reproducible traffic (default: random)
+ * @returns {Object} Capture controller with start/stop methods
+ */
+function createSyntheticCapture(options = {}) {
+  const config = {
+    port: options.port || 6809,
+    aircraft: options.aircraft !== undefined ? options.aircraft : 20,
+    rate: options.rate || 0.2,
+    speed: options.speed || 1,
+    seed: options.seed !== undefined ? options.seed : Math.floor(Math.random() * 0x7fffffff)
+  };
+
+  const emitter = new EventEmitter();
+  let isCapturing = false;
+  let timer = null;
+  let random = null;
+  let lastTick = null;
+  let nextControllerReport = null;
+  let flights = [];
+  let controllers = [];
+
+  const stats = {
+    lines: 0,
+    flightsFiled: 0,
+    handoffs: 0,
+    startTime: null
+  };
+
+  /**
+   * Log on controllers, spawn aircraft and start the clock
+   */
+  function start() {
+    if (isCapturing) {
+      throw new Error('Capture already running');
+    }
+
+    isCapturing = true;
+    random = createRandom(config.seed);
+    Object.assign(stats, { lines: 0, flightsFiled: 0, handoffs: 0, startTime: Date.now() });
+
+    controllers = [
+      ...AIRPORTS.map(airport => ({
+        callsign: airport.icao + '_APP',
+        frequency: airport.frequency,
+        facility: 5,
+        range: 100,
+        rating: 4,
+        lat: airport.lat,
+        lon: airport.lon
+      })),
+      CENTER
+    ];
+
+    emitter.emit('started', {
+      port: config.port,
+      aircraft: config.aircraft,
+      rate: config.rate,
+      speed: config.speed,
+      seed: config.seed
+    });
+
+    controllers.forEach((controller) => {
+      emit(`#AA${controller.callsign}:SERVER:${controller.callsign}:${1000000 + Math.floor(random() * 900000)}::${controller.rating}:100`);
+      emitControllerPosition(controller);
+    });
+
+    const callsigns = new Set();
+    flights = [];
+    for (let i = 0; i < config.aircraft; i++) {
+      const flight = createFlight(uniqueCallsign(callsigns), pick(AIRPORTS), random());
+      // Spread reports over the interval instead of one burst per period
+      flight.nextReport = Date.now() + random() * reportInterval();
+      flights.push(flight);
+      fileFlightPlan(flight);
+    }
+
+    lastTick = Date.now();
+    nextControllerReport = lastTick + reportInterval() * 3;
+    timer = setInterval(tick, TICK_MS);
+  }
+
+  /**
+   * Stop generating traffic
+   */
+  function stop() {
+    if (!isCapturing) {
+      return;
+    }
+
+    clearInterval(timer);
+    timer = null;
+    isCapturing = false;
+    emitter.emit('stopped', { requested: true });
+  }
+
+  /**
+   * Advance the simulation and emit reports that are due
+   */
+  function tick() {
+    const now = Date.now();
+    const elapsed = (now - lastTick) / 1000 * config.speed; // simulated seconds
+    lastTick = now;
+
+    for (const flight of flights) {
+      advance(flight, elapsed);
+
+      if (now >= flight.nextReport) {
+        flight.nextReport += reportInterval();
+        if (flight.nextReport < now) flight.nextReport = now + reportInterval();
+        emitFlightPosition(flight);
+      }
+    }
+
+    if (now >= nextControllerReport) {
+      nextControllerReport = now + reportInterval() * 3;
+      controllers.forEach(emitControllerPosition);
+    }
+  }
+
+  /**
+   * Move a flight through its phases: ground → climb → cruise → descent → turnaround
+   */
+  function advance(flight, seconds) {
+    if (flight.phase === 'ground') {
+      flight.groundTime -= seconds;
+      if (flight.groundTime <= 0) {
+        if (flight.landed) {
+          // Turnaround: the next flight departs from where this one landed
+          Object.assign(flight, createFlight(flight.callsign, flight.dest, 0));
+          fileFlightPlan(flight);
+        } else {
+          flight.phase = 'climb';
+        }
+      }
+      return;
+    }
+
+    const remaining = distance(flight.lat, flight.lon, flight.dest.lat, flight.dest.lon);
+    flight.heading = bearing(flight.lat, flight.lon, flight.dest.lat, flight.dest.lon);
+    flight.groundSpeed = flight.altitude < HANDOFF_ALTITUDE ? 250 : flight.aircraftType.tas;
+
+    const step = Math.min(remaining, flight.groundSpeed * seconds / 3600);
+    const moved = destination(flight.lat, flight.lon, flight.heading, step);
+    flight.lat = moved.lat;
+    flight.lon = moved.lon;
+
+    const left = remaining - step;
+    const flown = distance(flight.dep.lat, flight.dep.lon, flight.lat, flight.lon);
+    const previous = flight.altitude;
+    flight.altitude = profileAltitude(flight, flown, left);
+    flight.verticalSpeed = seconds > 0 ? (flight.altitude - previous) / seconds * 60 : 0;
+    flight.phase = flight.altitude < previous ? 'descent'
+      : flight.altitude >= flight.cruise ? 'cruise' : 'climb';
+
+    // Departure approach → center, then center → arrival approach
+    if (flight.owner === flight.dep.icao + '_APP' && flight.altitude >= HANDOFF_ALTITUDE) {
+      handoff(flight, CENTER.callsign);
+    } else if (flight.owner === CENTER.callsign && left <= APPROACH_DISTANCE && flight.phase === 'descent') {
+      handoff(flight, flight.dest.icao + '_APP');
+    }
+
+    if (left <= 0.5) {
+      Object.assign(flight, {
+        phase: 'ground',
+        landed: true,
+        altitude: flight.dest.elevation,
+        groundSpeed: 0,
+        verticalSpeed: 0,
+        groundTime: 300 + random() * 900
+      });
+    }
+  }
+
+  /**
+   * Transfer a flight to another controller ($CQ HT) and have it check in (#TM)
+   */
+  function handoff(flight, to) {
+    emit(`$CQ${flight.owner}:${SERVER}:HT:${flight.callsign}:${to}`);
+    flight.owner = to;
+    stats.handoffs++;
+
+    const frequency = controllers.find(controller => controller.callsign === to).frequency;
+    emit(`#TM${flight.callsign}:@${frequency}:${to} ${flight.callsign} passing ${flightLevel(flight.altitude)}`);
+  }
+
+  /**
+   * Create a flight departing from an airport
+   * @param {number} progress - 0 = parked at the gate, >0 = already that far along the route
+   */
+  function createFlight(callsign, dep, progress) {
+    const dest = pick(AIRPORTS.filter(airport => airport !== dep));
+    const aircraftType = pick(AIRCRAFT_TYPES);
+    const flight = {
+      callsign,
+      aircraftType,
+      dep,
+      dest,
+      altn: pick(AIRPORTS.filter(airport => airport !== dep && airport !== dest)),
+      cruise: aircraftType.cruise - Math.floor(random() * 4) * 1000,
+      squawk: randomSquawk(),
+      lat: dep.lat,
+      lon: dep.lon,
+      altitude: dep.elevation,
+      groundSpeed: 0,
+      verticalSpeed: 0,
+      heading: bearing(dep.lat, dep.lon, dest.lat, dest.lon),
+      phase: 'ground',
+      landed: false,
+      groundTime: 60 + random() * 600,
+      owner: dep.icao + '_APP'
+    };
+
+    if (progress > 0.05) {
+      const total = distance(dep.lat, dep.lon, dest.lat, dest.lon);
+      const position = destination(dep.lat, dep.lon, flight.heading, total * progress * 0.9);
+      const flown = total * progress * 0.9;
+      flight.lat = position.lat;
+      flight.lon = position.lon;
+      flight.altitude = profileAltitude(flight, flown, total - flown);
+      flight.phase = 'climb';
+      if (flight.altitude >= HANDOFF_ALTITUDE) {
+        flight.owner = CENTER.callsign;
+      } else if (progress > 0.5) {
+        flight.owner = dest.icao + '_APP';
+      }
+    }
+
+    return flight;
+  }
+
+  /**
+   * Helper: Altitude on the climb/cruise/descent profile
+   */
+  function profileAltitude(flight, flown, remaining) {
+    const climb = flight.dep.elevation + flown * CLIMB_GRADIENT;
+    const descent = flight.dest.elevation + remaining * DESCENT_GRADIENT;
+    return Math.round(Math.min(flight.cruise, climb, descent));
+  }
+
+  /**
+   * Emit @S (ground) or @N (airborne) position and #ST station position
+   */
+  function emitFlightPosition(flight) {
+    const onGround = flight.phase === 'ground';
+    const prefix = onGround ? '@S' : '@N';
+    const pitch = onGround ? 0 : flight.verticalSpeed > 300 ? 8 : flight.verticalSpeed < -300 ? -2 : 2;
+    const pbh = packPbh(pitch, 0, flight.heading, onGround);
+    const agl = (flight.altitude - flight.dest.elevation) * 0.3048;
+
+    emit(`${prefix}:${flight.callsign}:${flight.squawk}:1:${flight.lat.toFixed(5)}:${flight.lon.toFixed(5)}:` +
+      `${flight.altitude}:${Math.round(flight.groundSpeed)}:${pbh}:${onGround ? 199 : 107}`);
+    emit(`#ST${flight.callsign}:${flight.lat.toFixed(7)}:${flight.lon.toFixed(7)}:${Math.max(0, agl).toFixed(2)}:` +
+      `${(flight.groundSpeed * 0.514444).toFixed(2)}:${pbh}:${(flight.verticalSpeed * 0.00508).toFixed(2)}`);
+
+    if (!onGround && random() < TEXT_PROBABILITY) {
+      const frequency = controllers.find(controller => controller.callsign === flight.owner).frequency;
+      emit(`#TM${flight.callsign}:@${frequency}:${flight.owner} ${flight.callsign} ${pick(PILOT_TEXTS)}`);
+    }
+  }
+
+  /**
+   * Emit % controller position
+   */
+  function emitControllerPosition(controller) {
+    emit(`%${controller.callsign}:${controller.frequency}:${controller.facility}:${controller.range}:` +
+      `${controller.rating}:${controller.lat.toFixed(5)}:${controller.lon.toFixed(5)}:0`);
+  }
+
+  /**
+   * Emit $FP for a new flight
+   */
+  function fileFlightPlan(flight) {
+    const total = distance(flight.dep.lat, flight.dep.lon, flight.dest.lat, flight.dest.lon);
+    const minutes = Math.round(total / flight.aircraftType.tas * 60) + 20;
+    const departure = new Date(Date.now() + flight.groundTime * 1000 / config.speed);
+    const time = String(departure.getUTCHours()).padStart(2, '0') + String(departure.getUTCMinutes()).padStart(2, '0');
+    const equipment = `${flight.aircraftType.type}/${flight.aircraftType.wake}-SDE3FGHIRWY/LB1`;
+
+    stats.flightsFiled++;
+    emit(`$FP${flight.callsign}:*A:I:${equipment}:${flight.aircraftType.tas}:${flight.dep.icao}:${time}:${time}:` +
+      `${flight.cruise}:${flight.dest.icao}:${Math.floor(minutes / 60)}:${minutes % 60}:${Math.floor(minutes / 60) + 1}:` +
+      `${minutes % 60}:${flight.altn.icao}:PBN/A1B1C1D1O1S1 RMK/TCAS SYNTHETIC /V/:DCT`);
+  }
+
+  /**
+   * Helper: Emit one line through the capture 'data' event
+   */
+  function emit(line) {
+    stats.lines++;
+    emitter.emit('data', line, {
+      direction: 'inbound',
+      connectionId: 1,
+      src: 'synthetic',
+      dst: null,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Helper: Real milliseconds between position reports of one aircraft
+   */
+  function reportInterval() {
+    return 1000 / config.rate;
+  }
+
+  /**
+   * Helper: Random element of an array
+   */
+  function pick(items) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  /**
+   * Helper: Callsign not yet in use
+   */
+  function uniqueCallsign(used) {
+    let callsign;
+    do {
+      callsign = pick(AIRLINES) + (1 + Math.floor(random() * 9999));
+    } while (used.has(callsign));
+    used.add(callsign);
+    return callsign;
+  }
+
+  /**
+   * Helper: Four-digit octal transponder code
+   */
+  function randomSquawk() {
+    return Array.from({ length: 4 }, () => Math.floor(random() * 8)).join('');
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return {
+      isCapturing,
+      aircraft: flights.length,
+      airborne: flights.filter(flight => flight.phase !== 'ground').length,
+      controllers: controllers.length,
+      ...stats,
+      config: { ...config }
+    };
+  }
+
+  // Public API
+  return {
+    start,
+    stop,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+/**
+ * Helper: Seeded PRNG (mulberry32), returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Helper: Pack pitch/bank/heading (degrees) and on-ground into the FSD PBH value
+ * Bits 22-31 pitch, 12-21 bank, 2-11 heading (10 bits each, 1024 = 360°), bit 1 on ground
+ */
+function packPbh(pitch, bank, heading, onGround) {
+  const encode = degrees => Math.round(degrees / 360 * 1024) & 0x3ff;
+  return ((encode(-pitch) << 22) | (encode(-bank) << 12) | (encode(heading) << 2) | (onGround ? 2 : 0)) >>> 0;
+}
+
+/**
+ * Helper: Format an altitude as a flight level
+ */
+function flightLevel(altitude) {
+  return 'FL' + String(Math.round(altitude / 100)).padStart(3, '0');
+}
+
+/**
+ * Helper: Great-circle distance in nautical miles
+ */
+function distance(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 3440.065 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Helper: Initial great-circle bearing in degrees
+ */
+function bearing(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const y = Math.sin((lon2 - lon1) * toRad) * Math.cos(lat2 * toRad);
+  const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+    Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lon2 - lon1) * toRad);
+  return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+/**
+ * Helper: Point a distance (nm) along a bearing
+ */
+function destination(lat, lon, heading, nm) {
+  const toRad = Math.PI / 180;
+  const angular = nm / 3440.065;
+  const lat1 = lat * toRad;
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+    Math.cos(lat1) * Math.sin(angular) * Math.cos(heading * toRad));
+  const lon2 = lon * toRad + Math.atan2(Math.sin(heading * toRad) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+  return { lat: lat2 / toRad, lon: lon2 / toRad };
+}
+
+module.exports = { createSyntheticCapture };
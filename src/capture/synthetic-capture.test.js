@@ -0,0 +1,33 @@
+const { describe, test, expect } = require('bun:test');
+const { createSyntheticCapture } = require('./synthetic-capture');
+const createFsdParser = require('../parser/parsers/fsd-parser');
+
+// The logon burst: #AA and % for every controller, $FP for every aircraft
+function logonLines(seed) {
+  const capture = createSyntheticCapture({ aircraft: 5, seed });
+  const lines = [];
+  capture.on('data', line => lines.push(line));
+  capture.start();
+  capture.stop();
+  return lines;
+}
+
+describe('synthetic capture', () => {
+  test('the same seed generates the same traffic', () => {
+    const lines = logonLines(42);
+
+    expect(lines.length).toBeGreaterThan(0);
+    expect(logonLines(42)).toEqual(lines);
+    expect(logonLines(43)).not.toEqual(lines);
+  });
+
+  test('every generated line parses as a known FSD message with fields', () => {
+    const parser = createFsdParser();
+    const messages = logonLines(7).map(line => parser.parse(line));
+    const types = new Set(messages.map(message => message.type));
+
+    expect(messages.filter(message => message.type === 'UNKNOWN' || !message.parsed)).toEqual([]);
+    expect(types).toEqual(new Set(['AUTH_ADD', 'CONTROLLER_POSITION', 'FLIGHT_PLAN']));
+    expect(messages.filter(message => message.type === 'FLIGHT_PLAN').length).toBe(5);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * tcp-line-extractor.js
+ * Turn captured packets into complete CRLF-terminated lines per TCP connection
+ *
+ * Shared by the live tshark source and the offline pcap source:
+ * frame → TCP segment (packet-decoder) → ordered stream (tcp-reassembler)
+ * → lines (line-framer).
+ */
+
+const { decodeTcpSegment, formatEndpoint } = require('./packet-decoder');
+const { createTcpReassembler } = require('./tcp-reassembler');
+const { createLineFramer } = require('./line-framer');
+const { matchesHosts, normalizeHosts } = require('./capture-filter');
+
+/**
+ * Create a line extractor for one server port
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - FSD server port; decides direction and filters other traffic
+ * @param {string|Array} options.hosts - Only keep segments to/from these IP addresses (optional)
+ * @param {Function} options.onLine - (line, { direction, connectionId, src, dst, timestamp }) per complete line
+ * @returns {Object} Extractor with pushPacket(packet), flush() and getStats()
+ */
+function createTcpLineExtractor(options) {
+  const port = options.port;
+  const hosts = normalizeHosts(options.hosts);
+  const onLine = options.onLine;
+
+  const framers = new Map(); // stream key -> line framer
+  let lineTimestamp = null;
+  let packets = 0;
+  let lines = 0;
+
+  const reassembler = createTcpReassembler({
+    onData: handleStreamData,
+    onClose: handleStreamClose
+  });
+
+  /**
+   * Add a captured packet ({ timestamp, linkType, data } from pcap-parser)
+   * @returns {boolean} True if the packet belonged to the port
+   */
+  function pushPacket(packet) {
+    const segment = decodeTcpSegment(packet.linkType, packet.data);
+    if (!segment) return false;
+    if (segment.srcPort !== port && segment.dstPort !== port) return false;
+    if (!matchesHosts(hosts, segment.src, segment.dst)) return false;
+
+    packets++;
+    lineTimestamp = packet.timestamp;
+    reassembler.push(segment, packet.timestamp);
+    return true;
+  }
+
+  /**
+   * Frame in-order bytes of one TCP direction into lines
+   */
+  function handleStreamData(chunk, stream) {
+    let framer = framers.get(stream.key);
+    if (!framer) {
+      const direction = stream.dstPort === port ? 'outbound' : 'inbound';
+      const endpoints = {
+        direction,
+        connectionId: stream.connectionId,
+        src: formatEndpoint(stream.src, stream.srcPort),
+        dst: formatEndpoint(stream.dst, stream.dstPort)
+      };
+      framer = createLineFramer(line => emitLine(line, endpoints));
+      framers.set(stream.key, framer);
+    }
+    framer.push(chunk);
+  }
+
+  /**
+   * Emit the last partial line when a direction closes
+   */
+  function handleStreamClose(stream) {
+    const framer = framers.get(stream.key);
+    if (framer) {
+      framer.flush();
+      framers.delete(stream.key);
+    }
+  }
+
+  /**
+   * Helper: Emit a non-empty line stamped with the time of the packet that completed it
+   */
+  function emitLine(line, endpoints) {
+    if (!line.trim()) return;
+
+    lines++;
+    onLine(line, {
+      ...endpoints,
+      timestamp: lineTimestamp !== null ? Math.round(lineTimestamp) : Date.now()
+    });
+  }
+
+  /**
+   * Emit partial lines of all open streams (end of capture)
+   */
+  function flush() {
+    for (const framer of framers.values()) {
+      framer.flush();
+    }
+    framers.clear();
+  }
+
+  /**
+   * Get extraction and reassembly counters
+   */
+  function getStats() {
+    return { packets, lines, ...reassembler.getStats() };
+  }
+
+  return {
+    pushPacket,
+    flush,
+    getStats
+  };
+}
+
+module.exports = { createTcpLineExtractor };
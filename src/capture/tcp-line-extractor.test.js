@@ -0,0 +1,57 @@
+const { describe, test, expect } = require('bun:test');
+const { createTcpLineExtractor } = require('./tcp-line-extractor');
+const { buildTcpFrame, TCP_FLAGS } = require('../../test/fixtures/pcap-builder');
+
+const CLIENT = { src: '10.0.0.2', srcPort: 50000, dst: '10.0.0.1', dstPort: 6809 };
+const SERVER = { src: '10.0.0.1', srcPort: 6809, dst: '10.0.0.2', dstPort: 50000 };
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+function packet(endpoints, seq, payload, timestamp, flags) {
+  return { timestamp, linkType: 1, data: buildTcpFrame({ ...endpoints, seq, payload, flags }) };
+}
+
+function collect(options = {}) {
+  const lines = [];
+  const extractor = createTcpLineExtractor({
+    port: 6809,
+    ...options,
+    onLine: (line, meta) => lines.push({ line, ...meta })
+  });
+  return { extractor, lines };
+}
+
+describe('tcp line extractor', () => {
+  test('frames both directions with direction, endpoints and packet time', () => {
+    const { extractor, lines } = collect();
+    extractor.pushPacket(packet(CLIENT, 999, '', START, TCP_FLAGS.SYN));
+    extractor.pushPacket(packet(CLIENT, 1000, '#TMA:B:he', START + 10));
+    extractor.pushPacket(packet(SERVER, 5000, '$CQB:A:RN\r\n', START + 20));
+    extractor.pushPacket(packet(CLIENT, 1009, 'llo\r\n#TMA:B:x\r\n', START + 30));
+
+    expect(lines).toEqual([
+      { line: '$CQB:A:RN', direction: 'inbound', connectionId: 1, src: '10.0.0.1:6809', dst: '10.0.0.2:50000', timestamp: START + 20 },
+      { line: '#TMA:B:hello', direction: 'outbound', connectionId: 1, src: '10.0.0.2:50000', dst: '10.0.0.1:6809', timestamp: START + 30 },
+      { line: '#TMA:B:x', direction: 'outbound', connectionId: 1, src: '10.0.0.2:50000', dst: '10.0.0.1:6809', timestamp: START + 30 }
+    ]);
+  });
+
+  test('ignores other ports and hosts', () => {
+    const { extractor, lines } = collect({ hosts: ['10.0.0.1'] });
+
+    expect(extractor.pushPacket(packet({ ...CLIENT, dstPort: 80 }, 1, 'GET /\r\n', START))).toBe(false);
+    expect(extractor.pushPacket(packet({ ...CLIENT, dst: '10.0.0.9' }, 1, 'x\r\n', START))).toBe(false);
+    expect(extractor.pushPacket({ timestamp: START, linkType: 1, data: Buffer.alloc(10) })).toBe(false);
+    expect(lines).toEqual([]);
+  });
+
+  test('emits the partial line when a direction closes and on flush', () => {
+    const { extractor, lines } = collect();
+    extractor.pushPacket(packet(CLIENT, 1000, 'bye', START));
+    extractor.pushPacket(packet(CLIENT, 1003, '', START + 1, TCP_FLAGS.FIN | TCP_FLAGS.ACK));
+    extractor.pushPacket(packet(SERVER, 5000, 'tail', START + 2));
+    extractor.flush();
+
+    expect(lines.map(entry => entry.line)).toEqual(['bye', 'tail']);
+    expect(extractor.getStats()).toMatchObject({ packets: 3, lines: 2 });
+  });
+});
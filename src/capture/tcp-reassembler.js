@@ -0,0 +1,242 @@
+/**
+ * tcp-reassembler.js
+ * Rebuild ordered per-connection byte streams from captured TCP segments
+ *
+ * Segments are keyed by direction (src -> dst). Retransmissions and overlaps
+ * are trimmed, out-of-order segments are held until the gap is filled. If a
+ * gap never fills (packet lost by the capture), the stream skips ahead once
+ * too many segments are pending.
+ *
+ * A direction closes on FIN or RST, after the segments still held are
+ * delivered in order. Directions and connections that vanish without either
+ * (capture started late, lost FIN, dead peer) are closed the same way once
+ * idle for idleTimeout, measured in packet time so offline captures expire
+ * like live ones.
+ */
+
+const TCP_FIN = 0x01;
+const TCP_SYN = 0x02;
+const TCP_RST = 0x04;
+const TCP_ACK = 0x10;
+
+const MAX_PENDING_SEGMENTS = 256;
+const DEFAULT_IDLE_TIMEOUT = 600000; // 10 minutes
+const SWEEP_INTERVAL = 10000;
+
+/**
+ * Create a TCP stream reassembler
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onData - (chunk, stream) with in-order payload bytes
+ * @param {Function} handlers.onClose - (stream) when a direction sees FIN or RST, or expires
+ * @param {Object} options - Configuration options
+ * @param {number} options.idleTimeout - Close directions and forget connections idle this long, in ms (default: 10 minutes)
+ * @returns {Object} Reassembler with push(segment, timestamp) and getStats()
+ */
+function createTcpReassembler(handlers = {}, options = {}) {
+  const onData = handlers.onData || (() => {});
+  const onClose = handlers.onClose || (() => {});
+  const idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+
+  const streams = new Map(); // direction key -> stream state
+  const connections = new Map(); // endpoint pair key -> { id, lastActivity }
+  let nextConnectionId = 1;
+  let clock = 0; // latest packet time seen
+  let lastSweep = null;
+
+  const stats = {
+    segments: 0,
+    retransmissions: 0,
+    outOfOrder: 0,
+    gaps: 0,
+    expired: 0
+  };
+
+  /**
+   * Add a decoded TCP segment (from decodeTcpSegment)
+   * @param {Object} segment - Decoded segment
+   * @param {number} timestamp - Packet time in ms (default: now)
+   */
+  function push(segment, timestamp) {
+    stats.segments++;
+
+    clock = Math.max(clock, timestamp !== undefined && timestamp !== null ? timestamp : Date.now());
+    sweepIdle();
+
+    const stream = getStream(segment);
+    stream.lastActivity = clock;
+    connections.get(stream.pairKey).lastActivity = clock;
+
+    if (segment.flags & TCP_SYN) {
+      stream.nextSeq = (segment.seq + 1) >>> 0;
+      stream.pending.clear();
+    } else if (stream.nextSeq === null) {
+      // Capture started mid-connection: trust the first segment we see
+      stream.nextSeq = segment.seq;
+    }
+
+    if (segment.payload.length > 0) {
+      acceptPayload(stream, segment.seq, segment.payload);
+    }
+
+    if (segment.flags & (TCP_FIN | TCP_RST)) {
+      closeStream(stream);
+    }
+  }
+
+  /**
+   * Deliver what is still held, in sequence order across gaps, and forget the direction
+   */
+  function closeStream(stream) {
+    while (stream.pending.size > 0) {
+      skipGap(stream);
+    }
+
+    streams.delete(stream.key);
+    onClose(stream);
+  }
+
+  /**
+   * Helper: Close directions and forget connections without packets for idleTimeout
+   * Runs at most every SWEEP_INTERVAL of packet time
+   */
+  function sweepIdle() {
+    if (lastSweep !== null && clock - lastSweep < SWEEP_INTERVAL) return;
+    lastSweep = clock;
+
+    const cutoff = clock - idleTimeout;
+    for (const stream of Array.from(streams.values())) {
+      if (stream.lastActivity < cutoff) {
+        stats.expired++;
+        closeStream(stream);
+      }
+    }
+    for (const [pairKey, connection] of connections) {
+      if (connection.lastActivity < cutoff) connections.delete(pairKey);
+    }
+  }
+
+  /**
+   * Deliver, trim or hold one payload
+   */
+  function acceptPayload(stream, seq, payload) {
+    const offset = seqDiff(seq, stream.nextSeq);
+
+    if (offset > 0) {
+      stats.outOfOrder++;
+      stream.pending.set(seq, payload);
+      if (stream.pending.size > MAX_PENDING_SEGMENTS) {
+        skipGap(stream);
+      }
+      return;
+    }
+
+    if (offset < 0) {
+      stats.retransmissions++;
+      if (-offset >= payload.length) return;
+      payload = payload.subarray(-offset);
+    }
+
+    deliver(stream, payload);
+    drainPending(stream);
+  }
+
+  /**
+   * Deliver any held segments that are now in order
+   */
+  function drainPending(stream) {
+    let progressed = true;
+
+    while (progressed && stream.pending.size > 0) {
+      progressed = false;
+
+      for (const [seq, payload] of stream.pending) {
+        const offset = seqDiff(seq, stream.nextSeq);
+        if (offset > 0) continue;
+
+        stream.pending.delete(seq);
+        if (-offset < payload.length) {
+          deliver(stream, payload.subarray(-offset));
+        }
+        progressed = true;
+      }
+    }
+  }
+
+  /**
+   * Give up on a missing segment and continue at the earliest held one
+   */
+  function skipGap(stream) {
+    let earliest = null;
+    for (const seq of stream.pending.keys()) {
+      if (earliest === null || seqDiff(seq, earliest) < 0) earliest = seq;
+    }
+
+    stats.gaps++;
+    stream.nextSeq = earliest;
+    drainPending(stream);
+  }
+
+  /**
+   * Helper: Emit in-order bytes and advance the expected sequence number
+   */
+  function deliver(stream, payload) {
+    stream.nextSeq = (stream.nextSeq + payload.length) >>> 0;
+    onData(payload, stream);
+  }
+
+  /**
+   * Helper: Get or create state for the segment's direction
+   */
+  function getStream(segment) {
+    const from = segment.src + ':' + segment.srcPort;
+    const to = segment.dst + ':' + segment.dstPort;
+    const key = from + '>' + to;
+
+    let stream = streams.get(key);
+    if (!stream) {
+      const pairKey = from < to ? from + '|' + to : to + '|' + from;
+      // A bare SYN opens a new connection on a possibly reused endpoint pair
+      const opening = (segment.flags & (TCP_SYN | TCP_ACK)) === TCP_SYN;
+      if (!connections.has(pairKey) || opening) {
+        connections.set(pairKey, { id: nextConnectionId++, lastActivity: clock });
+      }
+
+      stream = {
+        key,
+        pairKey,
+        connectionId: connections.get(pairKey).id,
+        src: segment.src,
+        srcPort: segment.srcPort,
+        dst: segment.dst,
+        dstPort: segment.dstPort,
+        nextSeq: null,
+        pending: new Map(),
+        lastActivity: clock
+      };
+      streams.set(key, stream);
+    }
+
+    return stream;
+  }
+
+  /**
+   * Get reassembly counters
+   */
+  function getStats() {
+    return { ...stats, openStreams: streams.size, connections: connections.size };
+  }
+
+  return {
+    push,
+    getStats
+  };
+}
+
+/**
+ * Helper: Signed distance between two 32-bit sequence numbers
+ */
+function seqDiff(a, b) {
+  return (a - b) | 0;
+}
+
+module.exports = { createTcpReassembler };
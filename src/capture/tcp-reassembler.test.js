@@ -0,0 +1,134 @@
+const { describe, test, expect } = require('bun:test');
+const { createTcpReassembler } = require('./tcp-reassembler');
+const { TCP_FLAGS } = require('../../test/fixtures/pcap-builder');
+
+const CLIENT = { src: '10.0.0.2', srcPort: 50000, dst: '10.0.0.1', dstPort: 6809 };
+const SERVER = { src: '10.0.0.1', srcPort: 6809, dst: '10.0.0.2', dstPort: 50000 };
+
+function segment(endpoints, seq, payload = '', flags = TCP_FLAGS.ACK) {
+  return { ...endpoints, seq, flags, payload: Buffer.from(payload) };
+}
+
+function collect(options) {
+  const data = [];
+  const closed = [];
+  const reassembler = createTcpReassembler({
+    onData: (chunk, stream) => data.push([stream.connectionId, chunk.toString()]),
+    onClose: stream => closed.push(stream.key)
+  }, options);
+  const text = () => data.map(([, chunk]) => chunk).join('');
+  return { reassembler, data, closed, text };
+}
+
+describe('tcp reassembler', () => {
+  test('delivers in-order payloads after the handshake', () => {
+    const { reassembler, text } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(CLIENT, 1000, 'abc'));
+    reassembler.push(segment(CLIENT, 1003, 'def'));
+
+    expect(text()).toBe('abcdef');
+  });
+
+  test('trims retransmissions and overlaps', () => {
+    const { reassembler, text } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(CLIENT, 1000, 'abc'));
+    reassembler.push(segment(CLIENT, 1000, 'abc'));
+    reassembler.push(segment(CLIENT, 1001, 'bcdef'));
+
+    expect(text()).toBe('abcdef');
+    expect(reassembler.getStats().retransmissions).toBe(2);
+  });
+
+  test('holds out-of-order segments until the gap fills', () => {
+    const { reassembler, text } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(CLIENT, 1006, 'ghi'));
+    reassembler.push(segment(CLIENT, 1003, 'def'));
+    expect(text()).toBe('');
+
+    reassembler.push(segment(CLIENT, 1000, 'abc'));
+    expect(text()).toBe('abcdefghi');
+    expect(reassembler.getStats().outOfOrder).toBe(2);
+  });
+
+  test('wraps around the 32-bit sequence space', () => {
+    const { reassembler, text } = collect();
+    reassembler.push(segment(CLIENT, 0xfffffffe, 'ab'));
+    reassembler.push(segment(CLIENT, 1, 'd'));
+    reassembler.push(segment(CLIENT, 0, 'c'));
+
+    expect(text()).toBe('abcd');
+  });
+
+  test('trusts the first segment when the capture starts mid-connection', () => {
+    const { reassembler, text } = collect();
+    reassembler.push(segment(CLIENT, 5000, 'late'));
+    reassembler.push(segment(CLIENT, 5004, ' start'));
+
+    expect(text()).toBe('late start');
+  });
+
+  test('delivers held segments in order when FIN arrives before the gap fills', () => {
+    const { reassembler, text, closed } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(CLIENT, 1000, 'abc'));
+    reassembler.push(segment(CLIENT, 1009, 'jkl'));
+    reassembler.push(segment(CLIENT, 1006, 'ghi', TCP_FLAGS.FIN | TCP_FLAGS.ACK));
+
+    expect(text()).toBe('abcghijkl');
+    expect(closed).toEqual(['10.0.0.2:50000>10.0.0.1:6809']);
+    expect(reassembler.getStats()).toMatchObject({ gaps: 1, openStreams: 0 });
+  });
+
+  test('delivers held segments before closing on RST', () => {
+    const { reassembler, text, closed } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(CLIENT, 1003, 'def'));
+    reassembler.push(segment(CLIENT, 1003, '', TCP_FLAGS.RST));
+
+    expect(text()).toBe('def');
+    expect(closed.length).toBe(1);
+  });
+
+  test('skips a gap that never fills once too many segments are held', () => {
+    const { reassembler, text } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    for (let i = 1; i <= 257; i++) {
+      reassembler.push(segment(CLIENT, 1000 + i, 'x'));
+    }
+
+    expect(text()).toBe('x'.repeat(257));
+    expect(reassembler.getStats().gaps).toBe(1);
+  });
+
+  test('both directions share a connection id and a new SYN opens another', () => {
+    const { reassembler, data } = collect();
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(SERVER, 4999, '', TCP_FLAGS.SYN | TCP_FLAGS.ACK));
+    reassembler.push(segment(CLIENT, 1000, 'up'));
+    reassembler.push(segment(SERVER, 5000, 'down'));
+    reassembler.push(segment(CLIENT, 1002, '', TCP_FLAGS.FIN | TCP_FLAGS.ACK));
+    reassembler.push(segment(SERVER, 5004, '', TCP_FLAGS.FIN | TCP_FLAGS.ACK));
+    reassembler.push(segment(CLIENT, 7999, '', TCP_FLAGS.SYN));
+    reassembler.push(segment(CLIENT, 8000, 'again'));
+
+    expect(data).toEqual([[1, 'up'], [1, 'down'], [2, 'again']]);
+  });
+
+  test('closes directions and forgets connections idle past idleTimeout', () => {
+    const { reassembler, text, closed } = collect({ idleTimeout: 60000 });
+    const start = Date.UTC(2024, 0, 15, 12, 0, 0);
+    reassembler.push(segment(CLIENT, 999, '', TCP_FLAGS.SYN), start);
+    reassembler.push(segment(CLIENT, 1003, 'def'), start + 1000);
+    expect(reassembler.getStats()).toMatchObject({ openStreams: 1, connections: 1 });
+
+    // Another connection, far later in packet time, triggers the sweep
+    reassembler.push(segment({ ...CLIENT, srcPort: 50001 }, 1, 'x'), start + 120000);
+
+    expect(text()).toBe('defx');
+    expect(closed).toEqual(['10.0.0.2:50000>10.0.0.1:6809']);
+    expect(reassembler.getStats()).toMatchObject({ expired: 1, openStreams: 1, connections: 1 });
+  });
+});
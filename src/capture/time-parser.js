@@ -0,0 +1,44 @@
+/**
+ * time-parser.js
+ * Parse time arguments (replay windows, MCP query ranges)
+ */
+
+const RELATIVE_MULTIPLIERS = { s: 1000, m: 60000, h: 3600000, d: 86400000, '': 60000 };
+const EPOCH_MS_THRESHOLD = 1e11; // bare numbers from here on are epoch ms (1973+), not minutes
+
+/**
+ * Parse a time argument into a millisecond timestamp
+ * Accepts ISO timestamps, epoch milliseconds, or a relative age such as
+ * "90s", "30m", "2h", "1d" meaning that long ago. Bare numbers are minutes,
+ * unless at least EPOCH_MS_THRESHOLD (epoch milliseconds such as "1736680000000")
+ * @param {string|number} value - Time argument
+ * @param {number} defaultValue - Returned when value is empty
+ * @param {string} name - Argument name for error messages
+ * @returns {number} Timestamp (ms)
+ */
+function parseTime(value, defaultValue, name = 'time') {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+
+  let timestamp;
+  const relative = String(value).trim().match(/^(\d+)\s*([smhd]?)$/i);
+
+  if (typeof value === 'number') {
+    timestamp = value;
+  } else if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const unit = relative[2].toLowerCase();
+    timestamp = !unit && amount >= EPOCH_MS_THRESHOLD ? amount : Date.now() - amount * RELATIVE_MULTIPLIERS[unit];
+  } else {
+    timestamp = Date.parse(value);
+  }
+
+  // Also rejects values outside the Date range, which would throw in toISOString()
+  if (isNaN(new Date(timestamp).getTime())) {
+    throw new Error(`Invalid '${name}' value: ${value}`);
+  }
+  return timestamp;
+}
+
+module.exports = { parseTime };
@@ -0,0 +1,32 @@
+const { describe, test, expect } = require('bun:test');
+const { parseTime } = require('./time-parser');
+
+describe('parseTime', () => {
+  test('returns the default for empty values', () => {
+    expect(parseTime(undefined, 42)).toBe(42);
+    expect(parseTime('', 42)).toBe(42);
+  });
+
+  test('reads ISO timestamps and numbers', () => {
+    expect(parseTime('2025-01-12T11:06:40Z', 0)).toBe(1736680000000);
+    expect(parseTime(1736680000000, 0)).toBe(1736680000000);
+  });
+
+  test('reads long digit strings as epoch milliseconds', () => {
+    expect(parseTime('1736680000000', 0)).toBe(1736680000000);
+  });
+
+  test('reads ages, bare numbers as minutes', () => {
+    const now = Date.now();
+    expect(parseTime('90s', 0)).toBeGreaterThanOrEqual(now - 90000);
+    expect(parseTime('90s', 0)).toBeLessThanOrEqual(Date.now() - 90000);
+    expect(Math.abs(parseTime('30', 0) - (now - 1800000))).toBeLessThan(1000);
+    expect(Math.abs(parseTime('2H', 0) - (now - 7200000))).toBeLessThan(1000);
+  });
+
+  test('rejects text and ages outside the date range', () => {
+    expect(() => parseTime('yesterday', 0, 'from')).toThrow("Invalid 'from' value: yesterday");
+    expect(() => parseTime('99999999999d', 0, 'from')).toThrow("Invalid 'from' value");
+    expect(() => parseTime(NaN, 0, 'to')).toThrow("Invalid 'to' value");
+  });
+});
@@ -1,30 +1,87 @@
 /**
  * tshark-capture.js
  * Factory function for capturing network traffic using tshark
+ *
+ * tshark writes raw packets (pcap) to stdout; TCP streams are reassembled
+ * per connection and framed on CRLF, so each 'data' event is exactly one
+ * complete FSD line regardless of how it was split into segments. UDP ports
+ * emit per datagram instead (see udp-datagram-extractor).
  */
 
 const { spawn } = require('child_process');
 const EventEmitter = require('events');
+const { createPcapParser } = require('./pcap-parser');
+const { createTcpLineExtractor } = require('./tcp-line-extractor');
+const { createUdpDatagramExtractor } = require('./udp-datagram-extractor');
+const { buildCaptureFilter } = require('./capture-filter');
+const { discoverCapture } = require('./tshark-discovery');
+
+const DEFAULT_RESTART = {
+  enabled: true,
+  initialDelay: 1000,   // ms before the first restart
+  maxDelay: 30000,      // backoff ceiling
+  maxAttempts: 0,       // consecutive failed restarts before giving up (0 = never give up)
+  stableAfter: 60000    // a run this long resets the backoff
+};
 
 /**
  * Create a tshark capture instance
+ *
+ * On start, tshark and the interface are resolved by tshark-discovery
+ * ('auto' searches PATH/standard locations and probes interfaces for traffic).
+ * The tshark process is supervised: if it exits without stop() being called,
+ * it is restarted with exponential backoff.
+ *
  * @param {Object} options - Configuration options
- * @param {string} options.interface - Network interface to capture on
- * @param {number} options.port - TCP port to filter (default: 6809)
- * @param {string} options.tsharkPath - Path to tshark executable
+ * @param {string} options.interface - Network interface to capture on, or 'auto' (default)
+ * @param {number} options.port - Server port to capture (default: 6809)
+ * @param {string} options.protocol - 'tcp' (default) or 'udp'
+ * @param {string|Array} options.hosts - Restrict the filter to these server hosts (optional)
+ * @param {string} options.filter - Custom BPF capture filter, replaces the generated one (optional)
+ * @param {string} options.encoding - UDP payload encoding (see udp-datagram-extractor)
+ * @param {string} options.tsharkPath - Path to tshark executable, or 'auto' (default)
+ * @param {number} options.probeDuration - Interface probe time in ms for 'auto' (default: 3000)
+ * @param {Object} options.restart - Restart policy (see DEFAULT_RESTART)
  * @returns {Object} Capture controller with start/stop methods
  */
 function createTsharkCapture(options = {}) {
   const config = {
-    interface: options.interface || 'Ethernet',
+    interface: options.interface || 'auto',
     port: options.port || 6809,
-    tsharkPath: options.tsharkPath || 'C:\\Program Files\\Wireshark\\tshark.exe'
+    protocol: options.protocol || 'tcp',
+    hosts: options.hosts || null,
+    filter: options.filter || null,
+    encoding: options.encoding || 'utf-8',
+    tsharkPath: options.tsharkPath || 'auto',
+    probeDuration: options.probeDuration,
+    restart: { ...DEFAULT_RESTART, ...(options.restart || {}) }
   };
 
+  const captureFilter = buildCaptureFilter(config);
+
   const emitter = new EventEmitter();
   let tsharkProcess = null;
   let isCapturing = false;
-  let buffer = '';
+  let state = 'stopped'; // 'discovering' | 'running' | 'restarting' | 'failed' | 'stopped'
+  let diagnostic = null;
+  let resolved = null; // { tsharkPath, interface } from discovery
+  let pcapParser = null;
+  let extractor = null;
+  let restartTimer = null;
+  let stableTimer = null;
+  let held = false; // backpressure from the ingestion queue
+  let run = 0; // incremented by start() and stop(); discovery results of an older run are ignored
+
+  const health = {
+    restarts: 0,
+    consecutiveFailures: 0,
+    lastExitCode: null,
+    lastExitSignal: null,
+    lastExitTime: null,
+    lastError: null,
+    processStartTime: null,
+    nextRestartTime: null
+  };
 
   /**
    * Start capturing packets
@@ -34,55 +91,148 @@ function createTsharkCapture(options = {}) {
       throw new Error('Capture already running');
     }
 
-    const args = [
-      '-i', config.interface,
-      '-f', `tcp port ${config.port}`,
-      '-T', 'fields',
-      '-e', 'data.text',
-      '-l'  // Line buffered for real-time output
-    ];
-
-    tsharkProcess = spawn(config.tsharkPath, args);
     isCapturing = true;
+    state = 'discovering';
+    health.consecutiveFailures = 0;
+    const currentRun = ++run;
+
+    discoverCapture({ ...config, filter: captureFilter })
+      .catch(err => ({
+        platform: process.platform,
+        port: config.port,
+        filter: captureFilter,
+        searched: [],
+        interfaces: [],
+        warnings: [],
+        error: err.message
+      }))
+      .then((result) => {
+        // Stopped (and possibly started again) while discovery was pending
+        if (!isCapturing || currentRun !== run) return;
+
+        diagnostic = result;
+        emitter.emit('diagnostic', result);
 
-    tsharkProcess.stdout.on('data', handleData);
-    tsharkProcess.stderr.on('data', handleError);
-    tsharkProcess.on('close', handleClose);
-    tsharkProcess.on('error', handleProcessError);
+        if (result.error) {
+          fail(new Error(result.error));
+          return;
+        }
 
-    emitter.emit('started', { interface: config.interface, port: config.port });
+        resolved = { tsharkPath: result.tsharkPath, interface: result.interface };
+        spawnTshark();
+
+        emitter.emit('started', {
+          interface: resolved.interface,
+          tsharkPath: resolved.tsharkPath,
+          port: config.port,
+          filter: captureFilter
+        });
+      })
+      .catch((err) => {
+        // spawn() threw (e.g. an interface name it refuses); nothing is left running
+        if (!isCapturing || currentRun !== run) return;
+        fail(err);
+      });
+  }
+
+  /**
+   * Helper: Give up on a capture that could not be started
+   */
+  function fail(err) {
+    clearTimers();
+    if (tsharkProcess) {
+      tsharkProcess.kill('SIGTERM');
+      tsharkProcess = null;
+    }
+
+    isCapturing = false;
+    state = 'failed';
+    health.lastError = err.message;
+    emitter.emit('error', err);
+    emitter.emit('stopped', { requested: false, error: err.message });
   }
 
   /**
    * Stop capturing packets
    */
   function stop() {
-    if (!isCapturing || !tsharkProcess) {
+    if (!isCapturing) {
       return;
     }
 
-    tsharkProcess.kill('SIGTERM');
     isCapturing = false;
-    emitter.emit('stopped');
+    state = 'stopped';
+    run++;
+    clearTimers();
+
+    if (tsharkProcess) {
+      tsharkProcess.kill('SIGTERM');
+      tsharkProcess = null;
+    }
+
+    emitter.emit('stopped', { requested: true });
   }
 
   /**
-   * Handle incoming data from tshark
+   * Spawn a tshark process with fresh packet parsing state
    */
-  function handleData(chunk) {
-    const text = chunk.toString('utf-8');
-    buffer += text;
-
-    // Process complete lines
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-    lines.forEach(line => {
-      if (line.trim()) {
-        // tshark with -T fields -e data.text outputs plain text, not hex
-        emitter.emit('data', line.trim());
-      }
+  function spawnTshark() {
+    const args = [
+      '-i', resolved.interface,
+      '-f', captureFilter,
+      '-w', '-',     // Raw packets to stdout
+      '-F', 'pcap',
+      '-l'           // Flush after every packet for real-time output
+    ];
+
+    // Each process writes its own pcap header; streams restart mid-connection.
+    // Hosts are already applied by the BPF filter (which also resolves names).
+    const createExtractor = config.protocol === 'udp' ? createUdpDatagramExtractor : createTcpLineExtractor;
+    extractor = createExtractor({
+      port: config.port,
+      encoding: config.encoding,
+      onLine: (line, meta) => emitter.emit('data', line, meta)
     });
+    pcapParser = createPcapParser({ onPacket: extractor.pushPacket });
+
+    const child = spawn(resolved.tsharkPath, args);
+    tsharkProcess = child;
+    state = 'running';
+    health.processStartTime = Date.now();
+    health.nextRestartTime = null;
+
+    // A process that stays up long enough resets the backoff
+    stableTimer = setTimeout(() => {
+      stableTimer = null;
+      if (health.consecutiveFailures > 0) {
+        health.consecutiveFailures = 0;
+        emitter.emit('recovered', { restarts: health.restarts });
+      }
+    }, config.restart.stableAfter);
+
+    child.stdout.on('data', (chunk) => handleData(child, chunk));
+    if (held) child.stdout.pause();
+    child.stderr.on('data', handleError);
+    child.on('close', (code, signal) => handleClose(child, code, signal));
+    child.on('error', handleProcessError);
+  }
+
+  /**
+   * Handle incoming pcap data from tshark
+   * Output still buffered from a stopped or replaced process is ignored
+   */
+  function handleData(child, chunk) {
+    if (child !== tsharkProcess) {
+      return;
+    }
+
+    try {
+      pcapParser.push(chunk);
+    } catch (err) {
+      // Unreadable output: end this process and let the supervisor restart it
+      emitter.emit('error', err);
+      child.kill('SIGTERM');
+    }
   }
 
   /**
@@ -97,45 +247,109 @@ function createTsharkCapture(options = {}) {
   }
 
   /**
-   * Handle process close
+   * Handle process exit; restart unless stop() was requested
    */
-  function handleClose(code) {
-    isCapturing = false;
-    emitter.emit('closed', { code });
+  function handleClose(child, code, signal) {
+    if (child !== tsharkProcess) {
+      return; // Already stopped or replaced
+    }
+
+    extractor.flush();
+    tsharkProcess = null;
+    clearTimers();
+
+    const runTime = Date.now() - health.processStartTime;
+    health.lastExitCode = code;
+    health.lastExitSignal = signal;
+    health.lastExitTime = Date.now();
+
+    emitter.emit('exited', { code, signal, runTime });
+
+    health.consecutiveFailures++;
+
+    const attemptsLeft = !config.restart.maxAttempts ||
+      health.consecutiveFailures <= config.restart.maxAttempts;
+
+    if (!config.restart.enabled || !attemptsLeft) {
+      isCapturing = false;
+      state = 'failed';
+      emitter.emit('stopped', { requested: false, code, signal });
+      return;
+    }
+
+    scheduleRestart();
   }
 
   /**
-   * Handle process spawn errors
+   * Handle process spawn errors (e.g. tshark not found)
    */
   function handleProcessError(err) {
-    isCapturing = false;
+    // 'close' follows, which schedules the restart
+    health.lastError = err.message;
     emitter.emit('error', err);
   }
 
   /**
-   * Decode hex string to text
-   * @param {string} hexString - Hex encoded data from tshark
-   * @returns {string} Decoded text
+   * Schedule the next restart with exponential backoff
    */
-  function decodeHexData(hexString) {
-    if (!hexString || hexString.length === 0) {
-      return null;
-    }
+  function scheduleRestart() {
+    const delay = Math.min(
+      config.restart.initialDelay * Math.pow(2, health.consecutiveFailures - 1),
+      config.restart.maxDelay
+    );
 
-    try {
-      // Remove any whitespace
-      const cleaned = hexString.replace(/\s/g, '');
+    state = 'restarting';
+    health.nextRestartTime = Date.now() + delay;
+
+    emitter.emit('restarting', {
+      attempt: health.consecutiveFailures,
+      delay,
+      code: health.lastExitCode,
+      signal: health.lastExitSignal
+    });
+
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      if (!isCapturing) return;
 
-      // Convert hex pairs to characters
-      const bytes = [];
-      for (let i = 0; i < cleaned.length; i += 2) {
-        bytes.push(parseInt(cleaned.substr(i, 2), 16));
+      health.restarts++;
+      try {
+        spawnTshark();
+      } catch (err) {
+        fail(err);
+        return;
       }
+      emitter.emit('restarted', { restarts: health.restarts });
+    }, delay);
+  }
 
-      return Buffer.from(bytes).toString('utf-8');
-    } catch (err) {
-      return null;
+  /**
+   * Helper: Cancel pending restart and stability timers
+   */
+  function clearTimers() {
+    if (restartTimer) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    if (stableTimer) {
+      clearTimeout(stableTimer);
+      stableTimer = null;
+    }
+  }
+
+  /**
+   * Stop/resume reading tshark output while the ingestion queue is full.
+   * tshark blocks on the full pipe, so the kernel drops packets instead of us.
+   * @param {boolean} blocked - true to hold, false to release
+   * @returns {boolean} true (supported)
+   */
+  function setBackpressure(blocked) {
+    held = blocked;
+    if (tsharkProcess) {
+      if (held) tsharkProcess.stdout.pause();
+      else tsharkProcess.stdout.resume();
     }
+    return true;
   }
 
   /**
@@ -144,6 +358,20 @@ function createTsharkCapture(options = {}) {
   function getStatus() {
     return {
       isCapturing,
+      state,
+      held,
+      restarts: health.restarts,
+      consecutiveFailures: health.consecutiveFailures,
+      lastExitCode: health.lastExitCode,
+      lastExitSignal: health.lastExitSignal,
+      lastExitTime: health.lastExitTime,
+      lastError: health.lastError,
+      nextRestartTime: health.nextRestartTime,
+      interface: resolved ? resolved.interface : null,
+      tsharkPath: resolved ? resolved.tsharkPath : null,
+      filter: captureFilter,
+      diagnostic,
+      ...(extractor ? extractor.getStats() : {}),
       config: { ...config }
     };
   }
@@ -152,6 +380,7 @@ function createTsharkCapture(options = {}) {
   return {
     start,
     stop,
+    setBackpressure,
     getStatus,
     on: emitter.on.bind(emitter),
     once: emitter.once.bind(emitter),
@@ -0,0 +1,88 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createTsharkCapture } = require('./tshark-capture');
+
+describe('tshark capture', () => {
+  let dir;
+  let capture;
+
+  afterEach(() => {
+    capture.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Stand-in tshark: lists one interface for -D, every capture exits at once with code 2
+  function fakeTshark() {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'tshark-capture-'));
+    const file = join(dir, 'tshark');
+    fs.writeFileSync(file, '#!/bin/sh\nif [ "$1" = "-D" ]; then echo "1. eth0"; exit 0; fi\nexit 2\n');
+    fs.chmodSync(file, 0o755);
+    return file;
+  }
+
+  function record(events) {
+    const seen = [];
+    events.forEach(event => capture.on(event, (info) => seen.push([event, info])));
+    return seen;
+  }
+
+  test('restarts a crashing tshark with exponential backoff until maxAttempts', async () => {
+    capture = createTsharkCapture({
+      tsharkPath: fakeTshark(),
+      interface: 'eth0',
+      restart: { initialDelay: 20, maxDelay: 30, maxAttempts: 2 }
+    });
+    const seen = record(['started', 'exited', 'restarting', 'restarted']);
+    const stopped = new Promise(resolve => capture.once('stopped', resolve));
+    capture.start();
+
+    expect(await stopped).toEqual({ requested: false, code: 2, signal: null });
+    expect(seen.map(([event, info]) => [event, info.attempt, info.delay, info.code])).toEqual([
+      ['started', undefined, undefined, undefined],
+      ['exited', undefined, undefined, 2],
+      ['restarting', 1, 20, 2],
+      ['restarted', undefined, undefined, undefined],
+      ['exited', undefined, undefined, 2],
+      ['restarting', 2, 30, 2],
+      ['restarted', undefined, undefined, undefined],
+      ['exited', undefined, undefined, 2]
+    ]);
+    expect(capture.getStatus()).toMatchObject({
+      isCapturing: false,
+      state: 'failed',
+      interface: 'eth0',
+      restarts: 2,
+      consecutiveFailures: 3,
+      lastExitCode: 2,
+      nextRestartTime: null
+    });
+  });
+
+  test('a requested stop cancels a pending restart', async () => {
+    capture = createTsharkCapture({ tsharkPath: fakeTshark(), interface: 'eth0', restart: { initialDelay: 1000 } });
+    const restarting = new Promise(resolve => capture.once('restarting', resolve));
+    capture.start();
+    await restarting;
+    expect(capture.getStatus().state).toBe('restarting');
+
+    const stopped = new Promise(resolve => capture.once('stopped', resolve));
+    capture.stop();
+
+    expect(await stopped).toEqual({ requested: true });
+    expect(capture.getStatus()).toMatchObject({ state: 'stopped', restarts: 0 });
+  });
+
+  test('reports a capture that cannot be spawned as failed', async () => {
+    capture = createTsharkCapture({ tsharkPath: fakeTshark(), interface: 'eth\u00000' });
+    const seen = record(['error', 'started']);
+    const stopped = new Promise(resolve => capture.once('stopped', resolve));
+    capture.start();
+
+    const info = await stopped;
+    expect(info).toEqual({ requested: false, error: expect.stringContaining('null bytes') });
+    expect(seen.map(([event]) => event)).toEqual(['error']);
+    expect(capture.getStatus()).toMatchObject({ isCapturing: false, state: 'failed', lastError: info.error });
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * tshark-discovery.js
+ * Locate tshark, enumerate capture interfaces and pick the one carrying FSD traffic
+ *
+ * Used by tshark-capture when tsharkPath or interface is 'auto' (the default),
+ * and to verify explicitly configured values. The result is a diagnostic
+ * object describing every choice, suitable for logging at startup.
+ */
+
+const { execFile, spawn } = require('child_process');
+const { existsSync } = require('fs');
+const path = require('path');
+const { createPcapParser } = require('./pcap-parser');
+
+const STANDARD_LOCATIONS = {
+  win32: [
+    'C:\\Program Files\\Wireshark\\tshark.exe',
+    'C:\\Program Files (x86)\\Wireshark\\tshark.exe'
+  ],
+  darwin: [
+    '/Applications/Wireshark.app/Contents/MacOS/tshark',
+    '/opt/homebrew/bin/tshark',
+    '/usr/local/bin/tshark'
+  ],
+  linux: [
+    '/usr/bin/tshark',
+    '/usr/sbin/tshark',
+    '/usr/local/bin/tshark'
+  ]
+};
+
+// Interfaces that never carry the EuroScope ↔ FSD server connection
+const SKIPPED_INTERFACE = /^(any|lo\d*|loopback.*|bluetooth.*|usbmon.*|nflog|nfqueue|dbus.*|docker\d*|veth.*|br-.*|virbr.*|ciscodump|randpkt|sshdump|udpdump|wifidump|etwdump|dpauxmon|sdjournal)$/i;
+
+const LIST_TIMEOUT = 10000;
+const DEFAULT_PROBE_DURATION = 3000;
+
+// Cache per process: tshark path -> Promise<interfaces>
+const interfaceCache = new Map();
+
+/**
+ * Locate the tshark executable
+ * @param {string} configuredPath - Path from config ('auto' or empty to search)
+ * @returns {Object} { path, source: 'config'|'PATH'|'standard'|null, searched: [] }
+ */
+function findTshark(configuredPath) {
+  const searched = [];
+
+  if (configuredPath && configuredPath !== 'auto') {
+    searched.push(configuredPath);
+    if (existsSync(configuredPath)) {
+      return { path: configuredPath, source: 'config', searched };
+    }
+  }
+
+  const executable = process.platform === 'win32' ? 'tshark.exe' : 'tshark';
+  const pathDirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of pathDirs) {
+    const candidate = path.join(dir, executable);
+    searched.push(candidate);
+    if (existsSync(candidate)) {
+      return { path: candidate, source: 'PATH', searched };
+    }
+  }
+
+  for (const candidate of STANDARD_LOCATIONS[process.platform] || STANDARD_LOCATIONS.linux) {
+    searched.push(candidate);
+    if (existsSync(candidate)) {
+      return { path: candidate, source: 'standard', searched };
+    }
+  }
+
+  return { path: null, source: null, searched };
+}
+
+/**
+ * List capture interfaces (tshark -D)
+ * @param {string} tsharkPath - tshark executable
+ * @returns {Promise<Array>} [{ index, name, description }]
+ */
+function listInterfaces(tsharkPath) {
+  if (!interfaceCache.has(tsharkPath)) {
+    const listing = new Promise((resolve, reject) => {
+      execFile(tsharkPath, ['-D'], { timeout: LIST_TIMEOUT }, (err, stdout, stderr) => {
+        if (err) {
+          reject(new Error(`tshark -D failed: ${(stderr || err.message).trim()}`));
+          return;
+        }
+        resolve(parseInterfaceList(stdout));
+      });
+    });
+
+    // Failed listings are retried on the next call
+    listing.catch(() => interfaceCache.delete(tsharkPath));
+    interfaceCache.set(tsharkPath, listing);
+  }
+
+  return interfaceCache.get(tsharkPath);
+}
+
+/**
+ * Parse tshark -D output
+ * e.g. "1. eth0", "2. \Device\NPF_{...} (Ethernet)", "5. lo (Loopback)"
+ */
+function parseInterfaceList(output) {
+  return output.split(/\r?\n/)
+    .map(line => line.match(/^(\d+)\.\s+(\S+)(?:\s+\((.*)\))?\s*$/))
+    .filter(Boolean)
+    .map(match => ({
+      index: parseInt(match[1], 10),
+      name: match[2],
+      description: match[3] || null
+    }));
+}
+
+/**
+ * Find a configured interface by name, number or description
+ */
+function matchInterface(interfaces, wanted) {
+  const lower = String(wanted).toLowerCase();
+
+  return interfaces.find(iface =>
+    iface.name.toLowerCase() === lower ||
+    String(iface.index) === lower ||
+    (iface.description && iface.description.toLowerCase() === lower)
+  ) || null;
+}
+
+/**
+ * Helper: Whether an interface can carry the FSD connection
+ */
+function isCandidate(iface) {
+  if (SKIPPED_INTERFACE.test(iface.name)) return false;
+  return !(iface.description && /loopback|bluetooth|usbpcap|event tracing/i.test(iface.description));
+}
+
+/**
+ * Count packets matching a capture filter on each interface for a short time
+ * @param {string} tsharkPath - tshark executable
+ * @param {Array} interfaces - Interfaces to probe
+ * @param {string} filter - BPF capture filter (e.g. "tcp port 6809")
+ * @param {number} duration - Probe time in ms
+ * @returns {Promise<Object>} interface name -> packet count (null if the probe failed)
+ */
+async function probeInterfaces(tsharkPath, interfaces, filter, duration) {
+  const counts = await Promise.all(interfaces.map(iface => probeInterface(tsharkPath, iface.name, filter, duration)));
+
+  const result = {};
+  interfaces.forEach((iface, i) => {
+    result[iface.name] = counts[i];
+  });
+  return result;
+}
+
+/**
+ * Helper: Count packets on one interface
+ */
+function probeInterface(tsharkPath, name, filter, duration) {
+  return new Promise((resolve) => {
+    let count = 0;
+    let failed = false;
+    const parser = createPcapParser({ onPacket: () => count++ });
+
+    const child = spawn(tsharkPath, [
+      '-i', name,
+      '-f', filter,
+      '-a', `duration:${Math.max(1, Math.round(duration / 1000))}`,
+      '-w', '-',
+      '-F', 'pcap'
+    ]);
+
+    // Safety net in case tshark ignores the autostop condition
+    const timer = setTimeout(() => child.kill('SIGTERM'), duration + 5000);
+
+    child.stdout.on('data', (chunk) => {
+      try {
+        parser.push(chunk);
+      } catch (err) {
+        failed = true;
+      }
+    });
+    child.stderr.on('data', () => {});
+    child.on('error', () => {
+      failed = true;
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve(failed || (code !== 0 && count === 0) ? null : count);
+    });
+  });
+}
+
+/**
+ * Resolve tshark path and capture interface for a port
+ * @param {Object} options - Discovery options
+ * @param {string} options.tsharkPath - Configured path or 'auto'
+ * @param {string} options.interface - Configured interface or 'auto'
+ * @param {number} options.port - FSD port, used to probe for traffic
+ * @param {string} options.filter - Capture filter to probe with (default: "tcp port <port>")
+ * @param {number} options.probeDuration - Probe time per interface in ms (default: 3000)
+ * @returns {Promise<Object>} Diagnostic: { tsharkPath, tsharkSource, interface, interfaceReason, interfaces, probe, warnings, error }
+ */
+async function discoverCapture(options) {
+  const diagnostic = {
+    platform: process.platform,
+    port: options.port,
+    filter: options.filter || `tcp port ${options.port}`,
+    tsharkPath: null,
+    tsharkSource: null,
+    searched: [],
+    interfaces: [],
+    interface: null,
+    interfaceReason: null,
+    probe: null,
+    warnings: [],
+    error: null
+  };
+
+  const tshark = findTshark(options.tsharkPath);
+  diagnostic.searched = tshark.searched;
+
+  if (!tshark.path) {
+    diagnostic.error = 'tshark not found (install Wireshark/tshark or set capture.tsharkPath)';
+    return diagnostic;
+  }
+
+  diagnostic.tsharkPath = tshark.path;
+  diagnostic.tsharkSource = tshark.source;
+  if (options.tsharkPath && options.tsharkPath !== 'auto' && tshark.source !== 'config') {
+    diagnostic.warnings.push(`Configured tsharkPath ${options.tsharkPath} does not exist; using ${tshark.path}`);
+  }
+
+  const wanted = options.interface && options.interface !== 'auto' ? options.interface : null;
+
+  try {
+    diagnostic.interfaces = await listInterfaces(tshark.path);
+  } catch (err) {
+    if (wanted) {
+      diagnostic.warnings.push(err.message);
+      diagnostic.interface = wanted;
+      diagnostic.interfaceReason = 'configured (not verified)';
+    } else {
+      diagnostic.error = err.message;
+    }
+    return diagnostic;
+  }
+
+  if (wanted) {
+    const match = matchInterface(diagnostic.interfaces, wanted);
+    diagnostic.interface = match ? match.name : wanted;
+    diagnostic.interfaceReason = 'configured';
+    if (!match) {
+      diagnostic.warnings.push(`Configured interface '${wanted}' is not in tshark -D output`);
+    }
+    return diagnostic;
+  }
+
+  const candidates = diagnostic.interfaces.filter(isCandidate);
+
+  if (candidates.length === 0) {
+    diagnostic.error = diagnostic.interfaces.length === 0
+      ? 'tshark -D lists no interfaces (missing capture permissions?)'
+      : 'No usable capture interface (only loopback/virtual interfaces found)';
+    return diagnostic;
+  }
+
+  if (candidates.length === 1) {
+    diagnostic.interface = candidates[0].name;
+    diagnostic.interfaceReason = 'only candidate interface';
+    return diagnostic;
+  }
+
+  const duration = options.probeDuration || DEFAULT_PROBE_DURATION;
+  diagnostic.probe = await probeInterfaces(tshark.path, candidates, diagnostic.filter, duration);
+
+  const best = candidates
+    .filter(iface => diagnostic.probe[iface.name] > 0)
+    .sort((a, b) => diagnostic.probe[b.name] - diagnostic.probe[a.name])[0];
+
+  if (best) {
+    diagnostic.interface = best.name;
+    diagnostic.interfaceReason = `${diagnostic.probe[best.name]} packets on port ${options.port} during ${duration}ms probe`;
+  } else {
+    diagnostic.interface = candidates[0].name;
+    diagnostic.interfaceReason = 'first candidate interface';
+    diagnostic.warnings.push(`No traffic on port ${options.port} during ${duration}ms probe; is EuroScope connected?`);
+  }
+
+  return diagnostic;
+}
+
+/**
+ * Format a discovery diagnostic for logs
+ * @returns {string} Multi-line report
+ */
+function formatDiagnostic(diagnostic) {
+  const lines = [`tshark discovery for port ${diagnostic.port} (${diagnostic.platform}):`];
+
+  if (diagnostic.tsharkPath) {
+    lines.push(`  tshark:    ${diagnostic.tsharkPath} (${diagnostic.tsharkSource})`);
+  } else {
+    lines.push(`  tshark:    not found; searched ${diagnostic.searched.join(', ')}`);
+  }
+
+  if (diagnostic.interfaces.length > 0) {
+    lines.push('  available: ' + diagnostic.interfaces
+      .map(iface => iface.name + (iface.description ? ` (${iface.description})` : ''))
+      .join(', '));
+  }
+
+  if (diagnostic.filter) {
+    lines.push(`  filter:    ${diagnostic.filter}`);
+  }
+
+  if (diagnostic.probe) {
+    lines.push('  probe:     ' + Object.entries(diagnostic.probe)
+      .map(([name, count]) => `${name}=${count === null ? 'failed' : count}`)
+      .join(', '));
+  }
+
+  if (diagnostic.interface) {
+    lines.push(`  interface: ${diagnostic.interface} (${diagnostic.interfaceReason})`);
+  }
+
+  diagnostic.warnings.forEach(warning => lines.push(`  warning:   ${warning}`));
+
+  if (diagnostic.error) {
+    lines.push(`  error:     ${diagnostic.error}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  findTshark,
+  listInterfaces,
+  parseInterfaceList,
+  probeInterfaces,
+  discoverCapture,
+  formatDiagnostic
+};
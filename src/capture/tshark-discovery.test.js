@@ -0,0 +1,70 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { parseInterfaceList, discoverCapture, formatDiagnostic } = require('./tshark-discovery');
+
+describe('parseInterfaceList', () => {
+  test('reads Linux and Windows tshark -D output', () => {
+    const output = [
+      '1. eth0',
+      '2. \\Device\\NPF_{4E273621-5161-46C8-895A-48D0E52A0B83} (Ethernet)',
+      '3. lo (Loopback)',
+      'Capturing is not supported here',
+      ''
+    ].join('\r\n');
+
+    expect(parseInterfaceList(output)).toEqual([
+      { index: 1, name: 'eth0', description: null },
+      { index: 2, name: '\\Device\\NPF_{4E273621-5161-46C8-895A-48D0E52A0B83}', description: 'Ethernet' },
+      { index: 3, name: 'lo', description: 'Loopback' }
+    ]);
+  });
+});
+
+describe('discoverCapture', () => {
+  let dir;
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Stand-in tshark whose -D lists the given lines
+  function fakeTshark(lines) {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'tshark-discovery-'));
+    const file = join(dir, 'tshark');
+    fs.writeFileSync(file, '#!/bin/sh\ncat <<EOF\n' + lines.join('\n') + '\nEOF\n');
+    fs.chmodSync(file, 0o755);
+    return file;
+  }
+
+  test('picks the only interface that is not loopback or virtual', async () => {
+    const tsharkPath = fakeTshark(['1. lo (Loopback)', '2. docker0', '3. wlan0', '4. any']);
+    const result = await discoverCapture({ tsharkPath, interface: 'auto', port: 6809 });
+
+    expect(result).toMatchObject({
+      tsharkPath,
+      tsharkSource: 'config',
+      interface: 'wlan0',
+      interfaceReason: 'only candidate interface',
+      error: null
+    });
+    expect(formatDiagnostic(result)).toContain('interface: wlan0 (only candidate interface)');
+  });
+
+  test('matches a configured interface by number and warns about unknown names', async () => {
+    const tsharkPath = fakeTshark(['1. eth0', '2. eth1']);
+
+    expect(await discoverCapture({ tsharkPath, interface: '2', port: 6809 }))
+      .toMatchObject({ interface: 'eth1', interfaceReason: 'configured', warnings: [] });
+    expect((await discoverCapture({ tsharkPath, interface: 'eth9', port: 6809 })).warnings)
+      .toEqual(["Configured interface 'eth9' is not in tshark -D output"]);
+  });
+
+  test('fails when only loopback interfaces are listed', async () => {
+    const tsharkPath = fakeTshark(['1. lo (Loopback)']);
+    const result = await discoverCapture({ tsharkPath, interface: 'auto', port: 6809 });
+
+    expect(result.error).toBe('No usable capture interface (only loopback/virtual interfaces found)');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * udp-datagram-extractor.js
+ * Turn captured UDP datagrams for one server port into messages
+ *
+ * The UDP counterpart of tcp-line-extractor, with the same interface so the
+ * tshark and pcap sources can use either. There is no stream to reassemble:
+ * text datagrams are split into lines, binary datagrams (e.g. AFV voice
+ * side-channels) are emitted whole as hex or base64 for their own parser.
+ *
+ * Each client endpoint is one flow with its own connection id; flows without
+ * datagrams for idleTimeout (packet time) are forgotten, as tcp-reassembler
+ * forgets idle connections.
+ */
+
+const { decodeUdpDatagram, formatEndpoint } = require('./packet-decoder');
+const { matchesHosts, normalizeHosts } = require('./capture-filter');
+
+const ENCODINGS = ['utf-8', 'hex', 'base64'];
+const DEFAULT_IDLE_TIMEOUT = 600000; // 10 minutes
+const SWEEP_INTERVAL = 10000;
+
+/**
+ * Create a datagram extractor for one server port
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - Server port; decides direction and filters other traffic
+ * @param {string|Array} options.hosts - Only keep datagrams to/from these IP addresses (optional)
+ * @param {string} options.encoding - 'utf-8' (default, one message per line), 'hex' or 'base64' (one message per datagram)
+ * @param {Function} options.onLine - (message, { direction, connectionId, src, dst, timestamp }) per message
+ * @param {number} options.idleTimeout - Forget flows idle this long, in ms (default: 10 minutes)
+ * @returns {Object} Extractor with pushPacket(packet), flush() and getStats()
+ */
+function createUdpDatagramExtractor(options) {
+  const port = options.port;
+  const hosts = normalizeHosts(options.hosts);
+  const encoding = options.encoding || 'utf-8';
+  const onLine = options.onLine;
+  const idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+
+  const flows = new Map(); // client endpoint -> { id, lastActivity }
+  let nextConnectionId = 1;
+  let clock = 0; // latest packet time seen
+  let lastSweep = null;
+  let packets = 0;
+  let lines = 0;
+  let expired = 0;
+
+  /**
+   * Add a captured packet ({ timestamp, linkType, data } from pcap-parser)
+   * @returns {boolean} True if the packet belonged to the port
+   */
+  function pushPacket(packet) {
+    const datagram = decodeUdpDatagram(packet.linkType, packet.data);
+    if (!datagram) return false;
+    if (datagram.srcPort !== port && datagram.dstPort !== port) return false;
+    if (!matchesHosts(hosts, datagram.src, datagram.dst)) return false;
+
+    packets++;
+
+    const timestamp = packet.timestamp !== null ? Math.round(packet.timestamp) : Date.now();
+    clock = Math.max(clock, timestamp);
+    sweepIdle();
+
+    const src = formatEndpoint(datagram.src, datagram.srcPort);
+    const dst = formatEndpoint(datagram.dst, datagram.dstPort);
+    const direction = datagram.dstPort === port ? 'outbound' : 'inbound';
+    const client = direction === 'outbound' ? src : dst;
+
+    // UDP has no connections; each client endpoint is treated as one flow
+    let flow = flows.get(client);
+    if (!flow) {
+      flow = { id: nextConnectionId++, lastActivity: clock };
+      flows.set(client, flow);
+    }
+    flow.lastActivity = clock;
+
+    const meta = {
+      direction,
+      connectionId: flow.id,
+      src,
+      dst,
+      timestamp
+    };
+
+    if (encoding === 'utf-8') {
+      datagram.payload.toString('utf-8').split('\n')
+        .map(line => line.replace(/\r$/, ''))
+        .forEach(line => emitLine(line, meta));
+    } else {
+      emitLine(datagram.payload.toString(encoding), meta);
+    }
+
+    return true;
+  }
+
+  /**
+   * Helper: Forget flows without datagrams for idleTimeout
+   * Runs at most every SWEEP_INTERVAL of packet time
+   */
+  function sweepIdle() {
+    if (lastSweep !== null && clock - lastSweep < SWEEP_INTERVAL) return;
+    lastSweep = clock;
+
+    const cutoff = clock - idleTimeout;
+    for (const [client, flow] of flows) {
+      if (flow.lastActivity < cutoff) {
+        flows.delete(client);
+        expired++;
+      }
+    }
+  }
+
+  /**
+   * Helper: Emit a non-empty message
+   */
+  function emitLine(line, meta) {
+    if (!line.trim()) return;
+
+    lines++;
+    onLine(line, meta);
+  }
+
+  /**
+   * Nothing is buffered between datagrams; present for interface parity
+   */
+  function flush() {}
+
+  /**
+   * Get extraction counters
+   */
+  function getStats() {
+    return { packets, lines, flows: flows.size, expired };
+  }
+
+  return {
+    pushPacket,
+    flush,
+    getStats
+  };
+}
+
+module.exports = { createUdpDatagramExtractor, ENCODINGS };
@@ -0,0 +1,54 @@
+const { describe, test, expect } = require('bun:test');
+const { createUdpDatagramExtractor } = require('./udp-datagram-extractor');
+const { buildUdpFrame } = require('../../test/fixtures/pcap-builder');
+
+const CLIENT = { src: '10.0.0.2', srcPort: 50000, dst: '10.0.0.1', dstPort: 3290 };
+const SERVER = { src: '10.0.0.1', srcPort: 3290, dst: '10.0.0.2', dstPort: 50000 };
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+function packet(endpoints, payload, timestamp) {
+  return { timestamp, linkType: 1, data: buildUdpFrame({ ...endpoints, payload }) };
+}
+
+function collect(options = {}) {
+  const lines = [];
+  const extractor = createUdpDatagramExtractor({
+    port: 3290,
+    ...options,
+    onLine: (line, meta) => lines.push({ line, ...meta })
+  });
+  return { extractor, lines };
+}
+
+describe('udp datagram extractor', () => {
+  test('splits text datagrams into lines with direction and endpoints', () => {
+    const { extractor, lines } = collect();
+    extractor.pushPacket(packet(CLIENT, 'one\r\ntwo\r\n', START));
+    extractor.pushPacket(packet(SERVER, 'three', START + 10));
+
+    expect(lines).toEqual([
+      { line: 'one', direction: 'outbound', connectionId: 1, src: '10.0.0.2:50000', dst: '10.0.0.1:3290', timestamp: START },
+      { line: 'two', direction: 'outbound', connectionId: 1, src: '10.0.0.2:50000', dst: '10.0.0.1:3290', timestamp: START },
+      { line: 'three', direction: 'inbound', connectionId: 1, src: '10.0.0.1:3290', dst: '10.0.0.2:50000', timestamp: START + 10 }
+    ]);
+  });
+
+  test('emits binary datagrams whole in the configured encoding', () => {
+    const { extractor, lines } = collect({ encoding: 'hex' });
+    extractor.pushPacket(packet(CLIENT, Buffer.from([0x00, 0xff, 0x10]), START));
+
+    expect(lines.map(entry => entry.line)).toEqual(['00ff10']);
+  });
+
+  test('forgets flows idle past idleTimeout and numbers a returning client anew', () => {
+    const { extractor, lines } = collect({ idleTimeout: 60000 });
+    extractor.pushPacket(packet(CLIENT, 'first', START));
+    extractor.pushPacket(packet({ ...CLIENT, srcPort: 50001 }, 'other', START + 1000));
+    expect(extractor.getStats()).toMatchObject({ flows: 2, expired: 0 });
+
+    extractor.pushPacket(packet(CLIENT, 'again', START + 120000));
+
+    expect(extractor.getStats()).toMatchObject({ flows: 1, expired: 2 });
+    expect(lines.map(entry => [entry.line, entry.connectionId])).toEqual([['first', 1], ['other', 2], ['again', 3]]);
+  });
+});
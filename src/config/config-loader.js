@@ -6,6 +6,11 @@
 const { readFileSync, existsSync } = require('fs');
 const { join } = require('path');
 const { getDefaultConfig } = require('./default-config');
+const { CAPTURE_SOURCES } = require('../capture/capture-manager');
+const { PROTOCOLS } = require('../capture/capture-filter');
+const { ENCODINGS } = require('../capture/udp-datagram-extractor');
+const { POLICIES } = require('../pipeline/ingest-queue');
+const { TRANSPORTS } = require('../outputs/forwarder');
 
 /**
  * Deep merge two objects
@@ -70,6 +75,15 @@ function loadConfig(configPath) {
   if (process.env.DB_HOST) {
     config.outputs.database.host = process.env.DB_HOST;
   }
+  if (process.env.TSHARK_PATH) {
+    config.capture.tsharkPath = process.env.TSHARK_PATH;
+  }
+  if (process.env.CAPTURE_INTERFACE) {
+    config.capture.interface = process.env.CAPTURE_INTERFACE;
+  }
+  if (process.env.MCP_TOKEN) {
+    config.outputs.mcp.token = process.env.MCP_TOKEN;
+  }
 
   return config;
 }
@@ -92,11 +106,102 @@ function validateConfig(config) {
     if (!portConfig.port || typeof portConfig.port !== 'number') {
       errors.push(`capture.ports[${index}].port must be a number`);
     }
-    if (!portConfig.parser || typeof portConfig.parser !== 'string') {
-      errors.push(`capture.ports[${index}].parser must be a string`);
+    if (!isParserChain(portConfig.parser)) {
+      errors.push(`capture.ports[${index}].parser must be a parser name or a non-empty array of names`);
+    }
+    if (portConfig.fallback !== undefined && (typeof portConfig.fallback !== 'string' || portConfig.fallback === '')) {
+      errors.push(`capture.ports[${index}].fallback must be 'keep', 'drop' or a parser name`);
+    }
+
+    const source = portConfig.source || 'tshark';
+    if (!CAPTURE_SOURCES[source]) {
+      errors.push(`capture.ports[${index}].source must be one of: ${Object.keys(CAPTURE_SOURCES).join(', ')}`);
+    }
+    if (source === 'proxy' && !(portConfig.proxy && portConfig.proxy.targetHost)) {
+      errors.push(`capture.ports[${index}].proxy.targetHost is required for proxy capture`);
+    }
+    if (source === 'pcap' && !(portConfig.pcap && portConfig.pcap.file)) {
+      errors.push(`capture.ports[${index}].pcap.file is required for pcap capture`);
+    }
+    if (source === 'replay' && !(portConfig.replay && portConfig.replay.file)) {
+      errors.push(`capture.ports[${index}].replay.file is required for replay capture`);
+    }
+    if (source === 'ingest' && portConfig.ingest && portConfig.ingest.transport !== undefined &&
+        !TRANSPORTS.includes(portConfig.ingest.transport)) {
+      errors.push(`capture.ports[${index}].ingest.transport must be one of: ${TRANSPORTS.join(', ')}`);
+    }
+
+    const protocol = portConfig.protocol || 'tcp';
+    if (!PROTOCOLS.includes(protocol)) {
+      errors.push(`capture.ports[${index}].protocol must be one of: ${PROTOCOLS.join(', ')}`);
+    }
+    if (source === 'proxy' && protocol !== 'tcp') {
+      errors.push(`capture.ports[${index}].protocol must be tcp for proxy capture`);
+    }
+    if (portConfig.hosts !== undefined && typeof portConfig.hosts !== 'string' &&
+        !(Array.isArray(portConfig.hosts) && portConfig.hosts.every(host => typeof host === 'string'))) {
+      errors.push(`capture.ports[${index}].hosts must be a string or an array of strings`);
+    }
+    if (portConfig.filter !== undefined && typeof portConfig.filter !== 'string') {
+      errors.push(`capture.ports[${index}].filter must be a string`);
+    }
+    if (portConfig.encoding !== undefined && !ENCODINGS.includes(portConfig.encoding)) {
+      errors.push(`capture.ports[${index}].encoding must be one of: ${ENCODINGS.join(', ')}`);
+    }
+    if (portConfig.queue !== undefined) {
+      validateQueue(portConfig.queue, `capture.ports[${index}].queue`, errors);
+    }
+    if (portConfig.parserOptions !== undefined && !isPlainObject(portConfig.parserOptions)) {
+      errors.push(`capture.ports[${index}].parserOptions must be an object`);
+    }
+  });
+
+  Object.keys(config.parsers || {}).forEach(name => {
+    const options = config.parsers[name];
+    if (!isPlainObject(options)) {
+      errors.push(`parsers.${name} must be an object`);
+    } else if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+      errors.push(`parsers.${name}.enabled must be a boolean`);
     }
   });
 
+  if (config.capture.queue !== undefined) {
+    validateQueue(config.capture.queue, 'capture.queue', errors);
+  }
+  if (config.capture.fallback !== undefined && (typeof config.capture.fallback !== 'string' || config.capture.fallback === '')) {
+    errors.push("capture.fallback must be 'keep', 'drop' or a parser name");
+  }
+
+  const quarantine = config.capture.quarantine;
+  if (quarantine) {
+    if (quarantine.size !== undefined && !(Number.isInteger(quarantine.size) && quarantine.size > 0)) {
+      errors.push('capture.quarantine.size must be a positive integer');
+    }
+    if (quarantine.file !== undefined && quarantine.file !== null && (typeof quarantine.file !== 'string' || quarantine.file === '')) {
+      errors.push('capture.quarantine.file must be a file path or null');
+    }
+    ['maxFileSize', 'maxPrefixes'].forEach(key => {
+      if (quarantine[key] !== undefined && !(Number.isInteger(quarantine[key]) && quarantine[key] > 0)) {
+        errors.push(`capture.quarantine.${key} must be a positive integer`);
+      }
+    });
+  }
+
+  const reload = config.parserReload;
+  if (reload && reload.debounce !== undefined && !(typeof reload.debounce === 'number' && reload.debounce >= 0)) {
+    errors.push('parserReload.debounce must be a non-negative number');
+  }
+
+  const forwarder = config.outputs.forwarder;
+  if (forwarder && forwarder.enabled) {
+    if (forwarder.transport !== undefined && !TRANSPORTS.includes(forwarder.transport)) {
+      errors.push(`outputs.forwarder.transport must be one of: ${TRANSPORTS.join(', ')}`);
+    }
+    if (!forwarder.url && !forwarder.host) {
+      errors.push('outputs.forwarder.host (or url) is required');
+    }
+  }
+
   if (config.outputs.web.enabled) {
     if (!config.outputs.web.port || typeof config.outputs.web.port !== 'number') {
       errors.push('outputs.web.port must be a number');
@@ -106,6 +211,37 @@ function validateConfig(config) {
   return errors;
 }
 
+/**
+ * Helper: 'fsd' or ['example', 'fsd', 'raw']
+ */
+function isParserChain(parser) {
+  if (typeof parser === 'string') return parser !== '';
+  return Array.isArray(parser) && parser.length > 0 && parser.every(name => typeof name === 'string' && name !== '');
+}
+
+/**
+ * Helper: Object that is not null or an array
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Helper: Validate ingestion queue options
+ */
+function validateQueue(queue, path, errors) {
+  if (queue.maxSize !== undefined && !(Number.isInteger(queue.maxSize) && queue.maxSize > 0)) {
+    errors.push(`${path}.maxSize must be a positive integer`);
+  }
+  if (queue.policy !== undefined && !POLICIES.includes(queue.policy)) {
+    errors.push(`${path}.policy must be one of: ${POLICIES.join(', ')}`);
+  }
+  if (queue.dropTypes !== undefined &&
+      !(Array.isArray(queue.dropTypes) && queue.dropTypes.every(type => typeof type === 'string'))) {
+    errors.push(`${path}.dropTypes must be an array of message types`);
+  }
+}
+
 module.exports = {
   loadConfig,
   validateConfig,
@@ -6,22 +6,59 @@
 function getDefaultConfig() {
   return {
     capture: {
-      interface: 'Ethernet',
-      tsharkPath: 'C:\\Program Files\\Wireshark\\tshark.exe',
+      // 'auto' = discover tshark on PATH/standard locations and pick the
+      // interface carrying traffic to the configured port
+      interface: 'auto',
+      tsharkPath: 'auto',
+      probeDuration: 3000,
+      // Supervision of tshark processes that exit unexpectedly
+      restart: {
+        enabled: true,
+        initialDelay: 1000,
+        maxDelay: 30000,
+        maxAttempts: 0, // 0 = keep retrying
+        stableAfter: 60000
+      },
       ports: [
         {
           port: 6809,
-          parser: 'fsd',
+          protocol: 'tcp', // 'tcp' or 'udp'
+          parser: 'fsd', // or a chain tried in order: ['example-parser', 'fsd', 'raw']
           enabled: true,
           label: 'VATSIM FSD'
+          // hosts: ['1.2.3.4'], // only capture this FSD server
+          // filter: 'tcp port 6809 and net 10.0.0.0/8' // custom BPF filter (tshark only)
         }
-      ]
+      ],
+      // Lines no parser of a port handles: 'keep' (UNHANDLED message), 'drop' or a parser name
+      // (override per port with `fallback`); counted in getStatus().parsing either way
+      fallback: 'keep',
+      recording: {
+        enabled: false, // Record every raw captured line for replay
+        file: './recordings/session.jsonl'
+      },
+      // Lines the parsers could not make sense of (unhandled, failed, UNKNOWN), with counters per prefix
+      quarantine: {
+        enabled: true,
+        size: 1000, // Entries kept in memory for /api/quarantine
+        file: './logs/quarantine.jsonl', // Also appended here (null = memory only)
+        maxFileSize: 10485760, // Rotate to quarantine.jsonl.1 at 10 MB
+        maxPrefixes: 200 // Distinct line prefixes counted; later ones are grouped as '(other)'
+      },
+      // Bounded queue between each port and parsing (override per port with `queue`)
+      queue: {
+        maxSize: 10000,
+        policy: 'drop-by-type', // 'block' | 'drop-oldest' | 'drop-by-type'
+        dropTypes: ['POSITION_FAST', 'POSITION_TRANSMISSION', 'POSITION_SLOW'] // shed first, in order
+      }
     },
 
     parsers: {
+      // Options are passed to the parser factory; ports override them with `parserOptions`
       fsd: {
         // FSD-specific configuration
-        enabled: true
+        enabled: true,
+        humanReadable: true // Generate humanReadable descriptions
       },
       raw: {
         // Raw pass-through parser
@@ -29,6 +66,12 @@ function getDefaultConfig() {
       }
     },
 
+    // Watch ./parsers and hot-reload changed parser files (validated, rolled back on errors)
+    parserReload: {
+      enabled: true,
+      debounce: 250 // ms to wait for an editor to finish writing
+    },
+
     outputs: {
       web: {
         enabled: true,
@@ -43,11 +86,32 @@ function getDefaultConfig() {
         user: 'euroscope',
         password: process.env.DB_PASSWORD || '',
         batchSize: 100,
-        flushInterval: 1000
+        flushInterval: 1000,
+        queryTimeout: 10000    // Statement timeout for MCP historical queries (ms)
       },
       file: {
         enabled: false,
         path: './logs/capture.log'
+      },
+      // Stream raw captured lines to a central instance with a `source: "ingest"` port
+      forwarder: {
+        enabled: false,
+        transport: 'tcp',      // 'tcp' or 'websocket'
+        host: 'localhost',     // Aggregator host and ingest port
+        port: 6810,
+        // url: 'ws://aggregator:6810', // WebSocket URL (default: ws://host:port)
+        hostId: null,          // Origin tag for this instance (default: hostname)
+        token: '',             // Shared token checked by the ingest port
+        bufferSize: 10000      // Lines kept while disconnected
+      },
+      mcp: {
+        enabled: true,         // Mount Streamable HTTP transport at /mcp on the web server
+        allowedOrigins: [],    // Extra browser origins allowed to call /mcp ('*' for any)
+        token: null,           // Bearer token for /mcp; without one only loopback clients are served
+        maxSessions: 32,       // Live /mcp sessions before new clients are refused
+        sessionTimeout: 1800000, // Expire idle HTTP sessions after 30 minutes
+        historySize: 1000,     // Recent messages kept per type for tools and prompts
+        staleTimeout: 300000   // Drop aircraft/controllers not heard from for 5 minutes
       }
     },
 
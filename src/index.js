@@ -7,6 +7,8 @@ const { loadConfig, validateConfig } = require('./config/config-loader');
 const { createPipelineManager } = require('./pipeline/pipeline-manager');
 const { createWebServer } = require('./web/server');
 const { createDbWriter } = require('./outputs/db-writer');
+const { createDbReader } = require('./outputs/db-reader');
+const { createLiveMcpServer } = require('./mcp');
 const { join } = require('path');
 
 /**
@@ -77,8 +79,11 @@ async function main() {
   const shutdown = async () => {
     console.log('\nShutting down...');
 
-    // Stop pipeline
-    pipeline.stop();
+    // Stop serving clients, then stop pipeline and flush recording, forwarder and quarantine
+    if (webServer) {
+      await webServer.stop();
+    }
+    await pipeline.shutdown();
 
     // Close database
     if (dbWriter) {
@@ -109,7 +114,9 @@ module.exports = {
   loadConfig,
   createPipelineManager,
   createWebServer,
-  createDbWriter
+  createDbWriter,
+  createDbReader,
+  createLiveMcpServer
 };
 
 // Run if executed directly
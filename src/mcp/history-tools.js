@@ -0,0 +1,218 @@
+/**
+ * history-tools.js
+ * MCP tools for historical queries against TimescaleDB
+ */
+
+const { parseTimeArg } = require('./time-range');
+const { requireString } = require('./live-tools');
+const { MAX_TRACK_POINTS, MAX_MESSAGES } = require('../outputs/db-reader');
+
+const DEFAULT_AREA_WINDOW_MINUTES = 5;
+const MAX_AREA_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_MESSAGES = 100;
+
+const TIME_DESCRIPTION = 'ISO timestamp, or age such as 30m, 2h, 1d';
+
+/**
+ * Register historical query tools on an MCP server
+ * @param {Object} server - MCP server (from createMcpServer)
+ * @param {Object} dbReader - Database reader (from createDbReader)
+ */
+function registerHistoryTools(server, dbReader) {
+  server.registerTool({
+    name: 'get_flight_track',
+    description: 'Get the stored position history of an aircraft between two times, oldest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        callsign: { type: 'string', description: 'Aircraft callsign (e.g. "BAW42Y")' },
+        from: { type: 'string', description: 'Start of range (' + TIME_DESCRIPTION + '; default: 1h)' },
+        to: { type: 'string', description: 'End of range (' + TIME_DESCRIPTION + '; default: now)' },
+        limit: { type: 'number', description: 'Maximum number of points (default/max: ' + MAX_TRACK_POINTS + ')' }
+      },
+      required: ['callsign']
+    }
+  }, async (args) => {
+    requireString(args, 'callsign');
+    const { from, to } = parseRange(args, 60);
+
+    const limit = parseLimit(args.limit, MAX_TRACK_POINTS, MAX_TRACK_POINTS);
+
+    const rows = await dbReader.getFlightTrack(args.callsign.toUpperCase(), from, to, limit);
+
+    return {
+      callsign: args.callsign.toUpperCase(),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: rows.length,
+      track: rows.map(row => ({
+        time: row.time.toISOString(),
+        latitude: row.latitude,
+        longitude: row.longitude,
+        altitude: row.altitude,
+        groundSpeed: row.ground_speed,
+        heading: row.heading,
+        onGround: row.on_ground,
+        squawk: row.squawk
+      }))
+    };
+  });
+
+  server.registerTool({
+    name: 'find_aircraft_in_area',
+    description: 'Find aircraft inside a latitude/longitude bounding box around a point in time, with their last position in the window.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bbox: {
+          type: 'object',
+          description: 'Bounding box in decimal degrees',
+          properties: {
+            minLat: { type: 'number' },
+            minLon: { type: 'number' },
+            maxLat: { type: 'number' },
+            maxLon: { type: 'number' }
+          },
+          required: ['minLat', 'minLon', 'maxLat', 'maxLon']
+        },
+        time: { type: 'string', description: 'Point in time (' + TIME_DESCRIPTION + '; default: now)' },
+        windowMinutes: {
+          type: 'number',
+          description: 'Look back this many minutes before time (default: ' + DEFAULT_AREA_WINDOW_MINUTES +
+            ', max: ' + MAX_AREA_WINDOW_MINUTES + ')'
+        }
+      },
+      required: ['bbox']
+    }
+  }, async (args) => {
+    const bbox = validateBbox(args.bbox);
+    const at = parseTimeArg(args.time, Date.now(), 'time');
+    const windowMinutes = parseWindowMinutes(args.windowMinutes);
+
+    const from = new Date(at - windowMinutes * 60000);
+    const to = new Date(at);
+    const rows = await dbReader.findAircraftInArea(bbox, from, to);
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: rows.length,
+      aircraft: rows.map(row => ({
+        callsign: row.callsign,
+        time: row.time.toISOString(),
+        latitude: row.latitude,
+        longitude: row.longitude,
+        altitude: row.altitude,
+        groundSpeed: row.ground_speed,
+        heading: row.heading,
+        onGround: row.on_ground,
+        squawk: row.squawk
+      }))
+    };
+  });
+
+  server.registerTool({
+    name: 'get_messages',
+    description: 'Get stored non-position messages (flight plans, text messages, queries, ...) newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', description: 'Message type (e.g. FLIGHT_PLAN, TEXT_MESSAGE, CLIENT_QUERY)' },
+        callsign: { type: 'string', description: 'Primary callsign of the message (sender)' },
+        from: { type: 'string', description: 'Start of range (' + TIME_DESCRIPTION + '; default: 1h)' },
+        to: { type: 'string', description: 'End of range (' + TIME_DESCRIPTION + '; default: now)' },
+        limit: { type: 'number', description: 'Maximum number of messages (default: ' + DEFAULT_MESSAGES + ', max: ' + MAX_MESSAGES + ')' }
+      }
+    }
+  }, async (args) => {
+    const { from, to } = parseRange(args, 60);
+    const limit = parseLimit(args.limit, DEFAULT_MESSAGES, MAX_MESSAGES);
+
+    const rows = await dbReader.getMessages({
+      type: args.type,
+      callsign: args.callsign ? args.callsign.toUpperCase() : undefined,
+      from,
+      to,
+      limit
+    });
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: rows.length,
+      messages: rows.map(row => ({
+        time: row.time.toISOString(),
+        port: row.port,
+        type: row.message_type,
+        callsign: row.callsign,
+        data: row.data,
+        direction: row.direction,
+        src: row.src_endpoint,
+        dst: row.dst_endpoint,
+        connectionId: row.connection_id,
+        origin: row.origin,
+        raw: row.raw_message
+      }))
+    };
+  });
+}
+
+/**
+ * Helper: Parse from/to arguments into Dates
+ */
+function parseRange(args, defaultMinutes) {
+  const to = parseTimeArg(args.to, Date.now(), 'to');
+  const from = parseTimeArg(args.from, to - defaultMinutes * 60000, 'from');
+
+  if (from > to) {
+    throw new Error("'from' must be before 'to'");
+  }
+
+  return { from: new Date(from), to: new Date(to) };
+}
+
+/**
+ * Helper: Limit argument as an integer between 1 and max
+ */
+function parseLimit(value, defaultValue, max) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error("Argument 'limit' must be a number");
+  }
+
+  return Math.min(Math.max(Math.floor(value), 1), max);
+}
+
+/**
+ * Helper: windowMinutes argument as a number of minutes up to MAX_AREA_WINDOW_MINUTES
+ */
+function parseWindowMinutes(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_AREA_WINDOW_MINUTES;
+  }
+  if (typeof value !== 'number' || !(value > 0) || value > MAX_AREA_WINDOW_MINUTES) {
+    throw new Error(`Argument 'windowMinutes' must be a number of minutes above 0 and at most ${MAX_AREA_WINDOW_MINUTES}`);
+  }
+
+  return value;
+}
+
+/**
+ * Helper: Validate bounding box argument
+ */
+function validateBbox(bbox) {
+  const keys = ['minLat', 'minLon', 'maxLat', 'maxLon'];
+
+  if (!bbox || keys.some(key => typeof bbox[key] !== 'number')) {
+    throw new Error("Argument 'bbox' must have numeric minLat, minLon, maxLat and maxLon");
+  }
+  if (bbox.minLat > bbox.maxLat || bbox.minLon > bbox.maxLon) {
+    throw new Error("Argument 'bbox' min values must not exceed max values");
+  }
+
+  return bbox;
+}
+
+module.exports = { registerHistoryTools };
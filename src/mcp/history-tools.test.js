@@ -0,0 +1,63 @@
+const { describe, test, expect } = require('bun:test');
+const { registerHistoryTools } = require('./history-tools');
+
+function setup() {
+  const handlers = {};
+  const calls = [];
+  const server = { registerTool: (definition, handler) => { handlers[definition.name] = handler; } };
+  const dbReader = {
+    getFlightTrack: async (callsign, from, to, limit) => { calls.push({ callsign, limit }); return []; },
+    getMessages: async (filter) => { calls.push(filter); return []; },
+    findAircraftInArea: async (bbox, from, to) => { calls.push({ from, to }); return []; }
+  };
+  registerHistoryTools(server, dbReader);
+  return { handlers, calls };
+}
+
+describe('history tools', () => {
+  test('get_flight_track defaults and caps the limit', async () => {
+    const { handlers, calls } = setup();
+    await handlers.get_flight_track({ callsign: 'baw1' });
+    await handlers.get_flight_track({ callsign: 'baw1', limit: 1e9 });
+    await handlers.get_flight_track({ callsign: 'baw1', limit: -5 });
+
+    expect(calls.map(call => call.limit)).toEqual([5000, 5000, 1]);
+    expect(calls[0].callsign).toBe('BAW1');
+  });
+
+  test('get_messages defaults, caps and floors the limit', async () => {
+    const { handlers, calls } = setup();
+    await handlers.get_messages({});
+    await handlers.get_messages({ limit: 9999 });
+    await handlers.get_messages({ limit: 12.7 });
+
+    expect(calls.map(call => call.limit)).toEqual([100, 500, 12]);
+  });
+
+  test('rejects a limit that is not a number', async () => {
+    const { handlers } = setup();
+    await expect(handlers.get_messages({ limit: '10; DROP TABLE messages' })).rejects.toThrow("Argument 'limit' must be a number");
+  });
+
+  test('accepts epoch milliseconds as digit strings', async () => {
+    const { handlers } = setup();
+    const result = await handlers.get_messages({ from: '1736680000000', to: '1736683600000' });
+
+    expect(result.from).toBe('2025-01-12T11:06:40.000Z');
+    expect(result.to).toBe('2025-01-12T12:06:40.000Z');
+  });
+
+  test('find_aircraft_in_area looks back windowMinutes and rejects bad windows', async () => {
+    const { handlers, calls } = setup();
+    const bbox = { minLat: 51, minLon: -1, maxLat: 52, maxLon: 0 };
+    const time = '2025-01-12T11:06:40Z';
+    await handlers.find_aircraft_in_area({ bbox, time });
+    await handlers.find_aircraft_in_area({ bbox, time, windowMinutes: 30 });
+
+    expect(calls.map(call => call.to - call.from)).toEqual([300000, 1800000]);
+    for (const windowMinutes of [0, -5, '10', 1e12]) {
+      await expect(handlers.find_aircraft_in_area({ bbox, time, windowMinutes }))
+        .rejects.toThrow("Argument 'windowMinutes' must be a number of minutes above 0 and at most 1440");
+    }
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * http-transport.js
+ * MCP Streamable HTTP transport (POST for requests, GET/SSE for server notifications)
+ * Designed to be mounted on the Bun web server at /mcp
+ *
+ * Without a token only loopback clients are served; with one, every request
+ * must carry `Authorization: Bearer <token>`, from any address.
+ */
+
+const { randomUUID } = require('crypto');
+const { errorResponse, ERROR_CODES } = require('./mcp-server');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const DEFAULT_MAX_SESSIONS = 32;
+
+/**
+ * Create Streamable HTTP transport for an MCP server
+ * @param {Object} server - MCP server (from createMcpServer)
+ * @param {Object} options - Transport options
+ * @param {Array} options.allowedOrigins - Extra allowed Origin values ('*' allows all)
+ * @param {number} options.sessionTimeout - Expire idle sessions without an open stream (ms)
+ * @param {number} options.keepAliveInterval - SSE keep-alive comment interval (ms)
+ * @param {string} options.token - Bearer token required from clients; without one only loopback clients are served
+ * @param {number} options.maxSessions - Live sessions before new initialize requests are refused (default: 32)
+ * @returns {Object} Transport with handleRequest(request, remoteAddress) and close()
+ */
+function createHttpTransport(server, options = {}) {
+  const config = {
+    allowedOrigins: options.allowedOrigins || [],
+    sessionTimeout: options.sessionTimeout || 1800000,
+    keepAliveInterval: options.keepAliveInterval || 25000,
+    token: options.token || null,
+    maxSessions: options.maxSessions || DEFAULT_MAX_SESSIONS
+  };
+
+  const sessions = new Map(); // session id -> { id, session, streams, lastActivity }
+  const encoder = new TextEncoder();
+
+  const sweepTimer = setInterval(expireSessions, Math.min(config.sessionTimeout, 60000));
+  if (sweepTimer.unref) sweepTimer.unref();
+
+  /**
+   * Handle an HTTP request to the MCP endpoint
+   * @param {Request} request - Fetch API request
+   * @param {string} remoteAddress - Client IP address (checked when no token is configured)
+   * @returns {Promise<Response>} Response
+   */
+  async function handleRequest(request, remoteAddress) {
+    const denied = checkAccess(request, remoteAddress);
+    if (denied) return denied;
+
+    if (!isOriginAllowed(request)) {
+      return jsonError(403, ERROR_CODES.INVALID_REQUEST, 'Origin not allowed');
+    }
+
+    switch (request.method) {
+      case 'POST':
+        return handlePost(request);
+      case 'GET':
+        return handleGet(request);
+      case 'DELETE':
+        return handleDelete(request);
+      default:
+        return new Response('Method Not Allowed', {
+          status: 405,
+          headers: { Allow: 'GET, POST, DELETE' }
+        });
+    }
+  }
+
+  /**
+   * POST: client → server JSON-RPC messages
+   */
+  async function handlePost(request) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return jsonError(400, ERROR_CODES.PARSE_ERROR, 'Parse error: ' + err.message);
+    }
+
+    const messages = Array.isArray(body) ? body : [body];
+    const isInitialize = messages.some(msg => msg && msg.method === 'initialize');
+
+    let entry;
+    if (isInitialize) {
+      if (sessions.size >= config.maxSessions) {
+        expireSessions();
+      }
+      if (sessions.size >= config.maxSessions) {
+        return jsonError(503, ERROR_CODES.INTERNAL_ERROR, `Too many MCP sessions (${config.maxSessions})`);
+      }
+      entry = createSession();
+    } else {
+      const lookup = lookupSession(request);
+      if (lookup.error) return lookup.error;
+      entry = lookup.entry;
+    }
+
+    entry.lastActivity = Date.now();
+
+    const responses = (await Promise.all(messages.map(msg => entry.session.handleMessage(msg))))
+      .filter(Boolean);
+
+    // Notifications and responses only - nothing to return
+    if (responses.length === 0) {
+      return new Response(null, { status: 202, headers: { [SESSION_HEADER]: entry.id } });
+    }
+
+    return Response.json(Array.isArray(body) ? responses : responses[0], {
+      headers: { [SESSION_HEADER]: entry.id }
+    });
+  }
+
+  /**
+   * GET: open an SSE stream for server-initiated notifications
+   */
+  function handleGet(request) {
+    const accept = request.headers.get('accept') || '';
+    if (!accept.includes('text/event-stream')) {
+      return new Response('Not Acceptable: expected text/event-stream', { status: 406 });
+    }
+
+    const lookup = lookupSession(request);
+    if (lookup.error) return lookup.error;
+
+    const entry = lookup.entry;
+    let stream = null;
+
+    const body = new ReadableStream({
+      start(controller) {
+        stream = {
+          controller,
+          keepAlive: setInterval(() => write(entry, stream, ': keep-alive\n\n'), config.keepAliveInterval)
+        };
+        entry.streams.add(stream);
+        write(entry, stream, ': connected\n\n');
+      },
+      cancel() {
+        closeStream(entry, stream);
+      }
+    });
+
+    return new Response(body, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        [SESSION_HEADER]: entry.id
+      }
+    });
+  }
+
+  /**
+   * DELETE: client terminates its session
+   */
+  function handleDelete(request) {
+    const lookup = lookupSession(request);
+    if (lookup.error) return lookup.error;
+
+    closeSession(lookup.entry);
+    return new Response(null, { status: 204 });
+  }
+
+  /**
+   * Create a new session and connect it to the MCP server
+   */
+  function createSession() {
+    const entry = {
+      id: randomUUID(),
+      session: null,
+      streams: new Set(),
+      lastActivity: Date.now()
+    };
+
+    entry.session = server.connect({
+      send: (message) => {
+        const data = 'event: message\ndata: ' + JSON.stringify(message) + '\n\n';
+        for (const stream of entry.streams) {
+          write(entry, stream, data);
+        }
+      }
+    });
+
+    sessions.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Find the session named in the request header
+   */
+  function lookupSession(request) {
+    const id = request.headers.get(SESSION_HEADER);
+    if (!id) {
+      return { error: jsonError(400, ERROR_CODES.INVALID_REQUEST, 'Missing ' + SESSION_HEADER + ' header') };
+    }
+
+    const entry = sessions.get(id);
+    if (!entry) {
+      return { error: jsonError(404, ERROR_CODES.INVALID_REQUEST, 'Session not found') };
+    }
+
+    return { entry };
+  }
+
+  /**
+   * Write text to an SSE stream, dropping the stream if the client went away
+   */
+  function write(entry, stream, text) {
+    try {
+      stream.controller.enqueue(encoder.encode(text));
+    } catch (err) {
+      closeStream(entry, stream);
+    }
+  }
+
+  /**
+   * Close one SSE stream
+   */
+  function closeStream(entry, stream) {
+    if (!stream || !entry.streams.has(stream)) return;
+
+    clearInterval(stream.keepAlive);
+    entry.streams.delete(stream);
+    entry.lastActivity = Date.now();
+
+    try {
+      stream.controller.close();
+    } catch (err) {
+      // Already closed by the client
+    }
+  }
+
+  /**
+   * Close a session and all its streams
+   */
+  function closeSession(entry) {
+    for (const stream of Array.from(entry.streams)) {
+      closeStream(entry, stream);
+    }
+    entry.session.close();
+    sessions.delete(entry.id);
+  }
+
+  /**
+   * Expire sessions that have been idle with no open stream
+   */
+  function expireSessions() {
+    const cutoff = Date.now() - config.sessionTimeout;
+
+    for (const entry of Array.from(sessions.values())) {
+      if (entry.streams.size === 0 && entry.lastActivity < cutoff) {
+        closeSession(entry);
+      }
+    }
+  }
+
+  /**
+   * Check the caller: the bearer token when one is configured, a loopback address otherwise
+   * @returns {Response|null} Error response, or null when the request may proceed
+   */
+  function checkAccess(request, remoteAddress) {
+    if (config.token) {
+      if (request.headers.get('authorization') !== 'Bearer ' + config.token) {
+        const response = jsonError(401, ERROR_CODES.INVALID_REQUEST, 'Missing or invalid bearer token');
+        response.headers.set('WWW-Authenticate', 'Bearer');
+        return response;
+      }
+      return null;
+    }
+
+    if (!isLoopback(remoteAddress)) {
+      return jsonError(403, ERROR_CODES.INVALID_REQUEST, 'Only loopback clients are served without a token');
+    }
+    return null;
+  }
+
+  /**
+   * Check the Origin header (DNS rebinding protection)
+   * Same-origin requests and requests without an Origin (non-browser clients) are allowed
+   */
+  function isOriginAllowed(request) {
+    const origin = request.headers.get('origin');
+    if (!origin) return true;
+
+    if (config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin)) {
+      return true;
+    }
+
+    try {
+      return new URL(origin).host === new URL(request.url).host;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Close all sessions and stop timers
+   */
+  function close() {
+    clearInterval(sweepTimer);
+    for (const entry of Array.from(sessions.values())) {
+      closeSession(entry);
+    }
+  }
+
+  /**
+   * Get transport statistics
+   */
+  function getStats() {
+    let openStreams = 0;
+    for (const entry of sessions.values()) {
+      openStreams += entry.streams.size;
+    }
+
+    return {
+      sessions: sessions.size,
+      maxSessions: config.maxSessions,
+      openStreams
+    };
+  }
+
+  return {
+    handleRequest,
+    close,
+    getStats
+  };
+}
+
+/**
+ * Helper: 127.0.0.0/8 or ::1, also as an IPv4-mapped IPv6 address
+ */
+function isLoopback(address) {
+  if (!address) return false;
+  const ip = address.startsWith('::ffff:') ? address.substring(7) : address;
+  return ip === '::1' || ip.startsWith('127.');
+}
+
+/**
+ * Helper: JSON-RPC error as an HTTP response
+ */
+function jsonError(status, code, message) {
+  return Response.json(errorResponse(null, code, message), { status });
+}
+
+module.exports = { createHttpTransport };
@@ -0,0 +1,144 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const { createHttpTransport } = require('./http-transport');
+const { createMcpServer } = require('./mcp-server');
+
+const ENDPOINT = 'http://127.0.0.1:3000/mcp';
+const LOCAL = '127.0.0.1';
+const INITIALIZE = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } };
+
+function post(message, headers = {}) {
+  return new Request(ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(message)
+  });
+}
+
+describe('http transport access', () => {
+  let transport;
+
+  afterEach(() => {
+    transport.close();
+  });
+
+  test('serves loopback clients and refuses others without a token', async () => {
+    transport = createHttpTransport(createMcpServer());
+
+    expect((await transport.handleRequest(post(INITIALIZE), LOCAL)).status).toBe(200);
+    expect((await transport.handleRequest(post(INITIALIZE), '::ffff:127.0.0.1')).status).toBe(200);
+
+    const remote = await transport.handleRequest(post(INITIALIZE), '192.168.1.20');
+    expect(remote.status).toBe(403);
+    expect((await remote.json()).error.message).toBe('Only loopback clients are served without a token');
+  });
+
+  test('requires the bearer token from every client when one is configured', async () => {
+    transport = createHttpTransport(createMcpServer(), { token: 'secret' });
+
+    const missing = await transport.handleRequest(post(INITIALIZE), LOCAL);
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect((await transport.handleRequest(post(INITIALIZE, { Authorization: 'Bearer wrong' }), LOCAL)).status).toBe(401);
+
+    const remote = await transport.handleRequest(post(INITIALIZE, { Authorization: 'Bearer secret' }), '192.168.1.20');
+    expect(remote.status).toBe(200);
+  });
+
+  test('refuses new sessions past maxSessions until one ends', async () => {
+    transport = createHttpTransport(createMcpServer(), { maxSessions: 2 });
+
+    const first = await transport.handleRequest(post(INITIALIZE), LOCAL);
+    await transport.handleRequest(post(INITIALIZE), LOCAL);
+    const refused = await transport.handleRequest(post(INITIALIZE), LOCAL);
+    expect(refused.status).toBe(503);
+    expect(transport.getStats()).toMatchObject({ sessions: 2, maxSessions: 2 });
+
+    const id = first.headers.get('Mcp-Session-Id');
+    await transport.handleRequest(new Request(ENDPOINT, { method: 'DELETE', headers: { 'Mcp-Session-Id': id } }), LOCAL);
+    expect((await transport.handleRequest(post(INITIALIZE), LOCAL)).status).toBe(200);
+  });
+});
+
+describe('http transport sessions', () => {
+  let server;
+  let transport;
+
+  afterEach(() => {
+    transport.close();
+  });
+
+  function setup(options) {
+    server = createMcpServer();
+    transport = createHttpTransport(server, options);
+  }
+
+  async function initialize() {
+    const response = await transport.handleRequest(post(INITIALIZE), LOCAL);
+    return response.headers.get('Mcp-Session-Id');
+  }
+
+  test('creates a session on initialize and requires it afterwards', async () => {
+    setup();
+    const id = await initialize();
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    expect(await (await transport.handleRequest(post(ping, { 'Mcp-Session-Id': id }), LOCAL)).json())
+      .toEqual({ jsonrpc: '2.0', id: 2, result: {} });
+    expect((await transport.handleRequest(post(ping), LOCAL)).status).toBe(400);
+    expect((await transport.handleRequest(post(ping, { 'Mcp-Session-Id': 'unknown' }), LOCAL)).status).toBe(404);
+
+    const notification = { jsonrpc: '2.0', method: 'notifications/initialized' };
+    expect((await transport.handleRequest(post(notification, { 'Mcp-Session-Id': id }), LOCAL)).status).toBe(202);
+  });
+
+  test('expires sessions idle past sessionTimeout', async () => {
+    setup({ sessionTimeout: 20 });
+    const id = await initialize();
+    expect(transport.getStats().sessions).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    expect(transport.getStats().sessions).toBe(0);
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    expect((await transport.handleRequest(post(ping, { 'Mcp-Session-Id': id }), LOCAL)).status).toBe(404);
+  });
+
+  test('allows its own origin and listed origins only', async () => {
+    setup({ allowedOrigins: ['http://dashboard.local'] });
+
+    expect((await transport.handleRequest(post(INITIALIZE, { Origin: 'http://127.0.0.1:3000' }), LOCAL)).status).toBe(200);
+    expect((await transport.handleRequest(post(INITIALIZE, { Origin: 'http://dashboard.local' }), LOCAL)).status).toBe(200);
+
+    const foreign = await transport.handleRequest(post(INITIALIZE, { Origin: 'http://evil.example' }), LOCAL);
+    expect(foreign.status).toBe(403);
+    expect((await foreign.json()).error.message).toBe('Origin not allowed');
+  });
+
+  test('streams server notifications to an open GET stream', async () => {
+    setup();
+    const id = await initialize();
+
+    const response = await transport.handleRequest(new Request(ENDPOINT, {
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': id }
+    }), LOCAL);
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+    expect(transport.getStats().openStreams).toBe(1);
+
+    server.notifyResourceListChanged();
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (!text.includes('list_changed')) {
+      text += decoder.decode((await reader.read()).value);
+    }
+    expect(text).toBe(': connected\n\nevent: message\ndata: ' +
+      JSON.stringify({ jsonrpc: '2.0', method: 'notifications/resources/list_changed', params: {} }) + '\n\n');
+
+    const closed = await transport.handleRequest(new Request(ENDPOINT, { method: 'DELETE', headers: { 'Mcp-Session-Id': id } }), LOCAL);
+    expect(closed.status).toBe(204);
+    expect(transport.getStats()).toMatchObject({ sessions: 0, openStreams: 0 });
+    expect((await reader.read()).done).toBe(true);
+  });
+});
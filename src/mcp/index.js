@@ -0,0 +1,120 @@
+/**
+ * mcp/index.js
+ * MCP server wiring and stdio entry point
+ *
+ * Run directly to expose live traffic to MCP clients over stdio:
+ *   bun src/mcp/index.js [config-path]
+ */
+
+const { createMcpServer } = require('./mcp-server');
+const { createStdioTransport } = require('./stdio-transport');
+const { registerLiveTools } = require('./live-tools');
+const { registerLiveResources } = require('./live-resources');
+const { registerLivePrompts } = require('./live-prompts');
+const { registerHistoryTools } = require('./history-tools');
+const { createTrafficState } = require('../state/traffic-state');
+const { createDbReader } = require('../outputs/db-reader');
+
+/**
+ * Create an MCP server backed by a pipeline's live traffic
+ * @param {Object} pipeline - Pipeline manager
+ * @param {Object} config - Application config
+ * @returns {Object} { server, trafficState, dbReader }
+ */
+function createLiveMcpServer(pipeline, config) {
+  const mcpConfig = config.outputs.mcp || {};
+
+  const trafficState = createTrafficState(pipeline, {
+    historySize: mcpConfig.historySize,
+    staleTimeout: mcpConfig.staleTimeout
+  });
+
+  const server = createMcpServer({
+    name: 'euroscope2mcp',
+    version: '0.2.0',
+    instructions: 'Live VATSIM FSD traffic captured from EuroScope. ' +
+                  'Use list_controllers and list_aircraft for the current picture, ' +
+                  'get_recent_messages for text messages, flight plans and coordination. ' +
+                  'Subscribe to fsd:// resources to follow individual aircraft, controllers and flight plans.'
+  });
+
+  registerLiveTools(server, trafficState);
+  registerLiveResources(server, trafficState);
+  registerLivePrompts(server, trafficState);
+
+  // Historical queries when TimescaleDB is configured
+  let dbReader = null;
+  if (config.outputs.database.enabled) {
+    dbReader = createDbReader(config);
+    registerHistoryTools(server, dbReader);
+  }
+
+  return { server, trafficState, dbReader };
+}
+
+/**
+ * Stdio entry point
+ */
+async function main() {
+  // stdout carries the protocol; route all logging to stderr
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+
+  const { loadConfig, validateConfig } = require('../config/config-loader');
+  const { createPipelineManager } = require('../pipeline/pipeline-manager');
+
+  const config = loadConfig(process.argv[2]);
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    console.error('Configuration errors:');
+    errors.forEach(err => console.error('  - ' + err));
+    process.exit(1);
+  }
+
+  const pipeline = createPipelineManager(config);
+  pipeline.init();
+
+  const { server, trafficState, dbReader } = createLiveMcpServer(pipeline, config);
+
+  // Reached from SIGINT, SIGTERM and the client closing stdin; only run once
+  let shuttingDown = false;
+  const shutdown = async () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    // Same cleanup as src/index.js: flush recording, forwarder and quarantine
+    await pipeline.shutdown();
+    trafficState.close();
+    if (dbReader) {
+      await dbReader.close();
+    }
+    process.exit(0);
+  };
+
+  const transport = createStdioTransport(server, { onClose: shutdown });
+  transport.start();
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  // No UI to press start in stdio mode - begin capturing immediately
+  try {
+    pipeline.start();
+  } catch (err) {
+    console.error('Failed to start capture:', err.message);
+  }
+
+  console.error('euroscope2mcp MCP server ready on stdio');
+}
+
+module.exports = { createLiveMcpServer };
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,291 @@
+/**
+ * live-prompts.js
+ * MCP prompt templates that assemble ATC briefings from live traffic
+ */
+
+const { rpcError, ERROR_CODES } = require('./mcp-server');
+const { parseTimeArg } = require('./time-range');
+
+const DEFAULT_LOOKBACK_MINUTES = 60;
+const MAX_LINES_PER_SECTION = 50;
+
+// Message types that carry coordination between controllers and pilots
+const COORDINATION_TYPES = ['CLIENT_QUERY', 'PILOT_CLIENT', 'TEXT_MESSAGE'];
+
+/**
+ * Register ATC prompt templates on an MCP server
+ * @param {Object} server - MCP server (from createMcpServer)
+ * @param {Object} trafficState - Traffic state (from createTrafficState)
+ */
+function registerLivePrompts(server, trafficState) {
+  server.registerPrompt({
+    name: 'summarize_sector',
+    title: 'Summarize sector',
+    description: 'Situational summary for an ATC station: traffic in range, handoffs, coordination and text messages.',
+    arguments: [
+      { name: 'callsign', description: 'Controller callsign (e.g. EGLL_TWR)', required: true }
+    ]
+  }, (args) => summarizeSector(trafficState, args));
+
+  server.registerPrompt({
+    name: 'explain_handoffs',
+    title: 'Explain handoffs',
+    description: 'Walk through all handoffs ($CQ HT and #PC CCP IH) seen since a point in time.',
+    arguments: [
+      {
+        name: 'since',
+        description: 'ISO timestamp or relative window such as 30m, 2h (default: 60m)',
+        required: false
+      }
+    ]
+  }, (args) => explainHandoffs(trafficState, args));
+
+  server.registerPrompt({
+    name: 'brief_flight',
+    title: 'Brief flight',
+    description: 'Briefing for one flight: position, flight plan, handoffs, controller instructions and messages.',
+    arguments: [
+      { name: 'callsign', description: 'Aircraft callsign (e.g. BAW42Y)', required: true }
+    ]
+  }, (args) => briefFlight(trafficState, args));
+}
+
+/**
+ * Build summarize_sector prompt
+ */
+function summarizeSector(trafficState, args) {
+  const callsign = args.callsign.toUpperCase();
+  const controller = trafficState.getController(callsign);
+  if (!controller) {
+    throw rpcError(ERROR_CODES.INVALID_PARAMS, `Controller ${callsign} is not currently online`);
+  }
+
+  const since = Date.now() - DEFAULT_LOOKBACK_MINUTES * 60000;
+  const range = controller.visualRange || 0;
+
+  const traffic = trafficState.listAircraft()
+    .map(aircraft => ({
+      aircraft,
+      distance: distanceNm(controller.latitude, controller.longitude, aircraft.latitude, aircraft.longitude)
+    }))
+    .filter(entry => entry.distance !== null && entry.distance <= range)
+    .sort((a, b) => a.distance - b.distance);
+
+  const related = trafficState.getRecentMessages({
+    types: COORDINATION_TYPES,
+    callsign,
+    since,
+    limit: 500
+  }).reverse();
+
+  const handoffs = related.map(extractHandoff).filter(Boolean);
+  const textMessages = related.filter(msg => msg.type === 'TEXT_MESSAGE');
+  const coordination = related.filter(msg => msg.type === 'CLIENT_QUERY' && !extractHandoff(msg));
+
+  const sections = [
+    '# Sector summary: ' + callsign,
+    section('Station', [
+      callsign + ' (' + controller.facilityName + ') on ' + controller.frequency + ' MHz, ' +
+      'rating ' + controller.rating + ', visual range ' + range + ' nm, ' +
+      'online since ' + formatTime(controller.firstSeen)
+    ]),
+    section('Traffic within ' + range + ' nm (' + traffic.length + ')',
+      traffic.map(entry => describeAircraft(entry.aircraft) + ', ' + Math.round(entry.distance) + ' nm')),
+    section('Handoffs in the last ' + DEFAULT_LOOKBACK_MINUTES + ' minutes', handoffs.map(describeHandoff)),
+    section('Coordination', coordination.map(describeMessage)),
+    section('Text messages', textMessages.map(describeMessage)),
+    'Summarize the current situation at ' + callsign + ' as a position relief briefing: ' +
+    'traffic picture, aircraft being handed in or out, outstanding coordination and anything unusual. ' +
+    'Only use the data above; say so when information is missing.'
+  ];
+
+  return {
+    description: 'Sector summary for ' + callsign,
+    messages: [userMessage(sections.join('\n\n'))]
+  };
+}
+
+/**
+ * Build explain_handoffs prompt
+ */
+function explainHandoffs(trafficState, args) {
+  const since = parseTimeArg(args.since, Date.now() - DEFAULT_LOOKBACK_MINUTES * 60000, 'since');
+
+  const handoffs = trafficState.getRecentMessages({
+    types: ['CLIENT_QUERY', 'PILOT_CLIENT'],
+    since,
+    limit: 1000
+  })
+    .reverse()
+    .map(extractHandoff)
+    .filter(Boolean);
+
+  const sections = [
+    '# Handoffs since ' + new Date(since).toISOString(),
+    section('Handoffs (' + handoffs.length + ')', handoffs.map(describeHandoff)),
+    'Explain these handoffs: group them by aircraft, describe the sequence of sectors each aircraft ' +
+    'passed through, point out initiated handoffs that were never completed and any controllers ' +
+    'handling an unusual share of the traffic.'
+  ];
+
+  return {
+    description: 'Handoffs since ' + new Date(since).toISOString(),
+    messages: [userMessage(sections.join('\n\n'))]
+  };
+}
+
+/**
+ * Build brief_flight prompt
+ */
+function briefFlight(trafficState, args) {
+  const callsign = args.callsign.toUpperCase();
+  const aircraft = trafficState.getAircraft(callsign);
+
+  const related = trafficState.getRecentMessages({
+    types: COORDINATION_TYPES.concat(['FLIGHT_PLAN']),
+    callsign,
+    limit: 500
+  }).reverse();
+
+  if (!aircraft && related.length === 0) {
+    throw rpcError(ERROR_CODES.INVALID_PARAMS, `No traffic seen for ${callsign}`);
+  }
+
+  const flightPlans = related.filter(msg => msg.type === 'FLIGHT_PLAN');
+  const handoffs = related.map(extractHandoff).filter(Boolean);
+  const instructions = related.filter(msg => msg.type === 'CLIENT_QUERY' && !extractHandoff(msg));
+  const textMessages = related.filter(msg => msg.type === 'TEXT_MESSAGE');
+
+  const sections = [
+    '# Flight briefing: ' + callsign,
+    section('Current state', aircraft ? [
+      describeAircraft(aircraft),
+      'Position ' + aircraft.latitude + ', ' + aircraft.longitude + ', last seen ' + formatTime(aircraft.lastSeen),
+      aircraft.realName ? 'Pilot: ' + aircraft.realName + ' (CID ' + aircraft.cid + ')' : null
+    ].filter(Boolean) : ['Not currently tracked']),
+    section('Flight plan', flightPlans.length > 0
+      ? [describeMessage(flightPlans[flightPlans.length - 1]), 'Raw: ' + flightPlans[flightPlans.length - 1].raw]
+      : []),
+    section('Handoffs', handoffs.map(describeHandoff)),
+    section('Controller instructions and coordination', instructions.map(describeMessage)),
+    section('Text messages', textMessages.map(describeMessage)),
+    'Write a concise briefing for ' + callsign + ': where it is, where it is going, who is working it, ' +
+    'clearances and assignments so far, and open items for the next controller. ' +
+    'Only use the data above; say so when information is missing.'
+  ];
+
+  return {
+    description: 'Flight briefing for ' + callsign,
+    messages: [userMessage(sections.join('\n\n'))]
+  };
+}
+
+/**
+ * Extract handoff details from a message
+ * Supports $CQ ... HT (transfer) and #PC ... CCP:IH (initiate handoff)
+ * @returns {Object|null} { time, kind, from, to, aircraft }
+ */
+function extractHandoff(message) {
+  if (message.type === 'CLIENT_QUERY' && message.parsed && message.parsed.queryType === 'HT') {
+    const { callsign, receiver, target } = message.parsed;
+    return { time: message.timestamp, kind: 'transfer', from: callsign, to: receiver, aircraft: target };
+  }
+
+  if (message.type === 'PILOT_CLIENT' && message.parsed &&
+      message.parsed.protocol === 'CCP' && message.parsed.command === 'IH') {
+    return { time: message.timestamp, kind: 'initiate', from: message.parsed.from, to: null, aircraft: message.parsed.aircraft };
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Describe a handoff as one line
+ */
+function describeHandoff(handoff) {
+  if (handoff.kind === 'initiate') {
+    return formatTime(handoff.time) + ' ' + handoff.from + ' initiates handoff of ' + handoff.aircraft;
+  }
+  return formatTime(handoff.time) + ' ' + handoff.from + ' hands off ' + handoff.aircraft + ' to ' + handoff.to;
+}
+
+/**
+ * Helper: Describe a message as one line
+ */
+function describeMessage(message) {
+  return formatTime(message.timestamp) + ' ' + (message.humanReadable || message.raw);
+}
+
+/**
+ * Helper: Describe an aircraft's state as one line
+ */
+function describeAircraft(aircraft) {
+  const parts = [
+    aircraft.callsign,
+    aircraft.altitude !== undefined ? aircraft.altitude + ' ft' : null,
+    aircraft.groundSpeed !== undefined ? aircraft.groundSpeed + ' kts' : null,
+    aircraft.heading !== undefined && aircraft.heading !== null ? 'heading ' + Math.round(aircraft.heading) + '°' : null,
+    aircraft.onGround ? 'on ground' : null,
+    aircraft.squawk ? 'squawk ' + aircraft.squawk : null,
+    flightPlanRoute(aircraft.flightPlan)
+  ];
+  return parts.filter(Boolean).join(', ');
+}
+
+/**
+ * Helper: Departure → destination from a parsed flight plan
+ */
+function flightPlanRoute(flightPlan) {
+  if (!flightPlan) return null;
+  return (flightPlan.departure || '?') + ' → ' + (flightPlan.destination || '?');
+}
+
+/**
+ * Helper: Markdown section with a capped bullet list
+ */
+function section(title, lines) {
+  if (lines.length === 0) {
+    return '## ' + title + '\n(none)';
+  }
+
+  const shown = lines.slice(-MAX_LINES_PER_SECTION);
+  const omitted = lines.length - shown.length;
+  const body = shown.map(line => '- ' + line).join('\n');
+
+  return '## ' + title + '\n' + (omitted > 0 ? '(' + omitted + ' earlier entries omitted)\n' : '') + body;
+}
+
+/**
+ * Helper: Wrap text as a user prompt message
+ */
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+/**
+ * Helper: HH:MM:SSZ
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().substring(11, 19) + 'Z';
+}
+
+/**
+ * Helper: Great-circle distance in nautical miles
+ */
+function distanceNm(lat1, lon1, lat2, lon2) {
+  if ([lat1, lon1, lat2, lon2].some(value => typeof value !== 'number')) return null;
+
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * 3440.065 * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  registerLivePrompts,
+  extractHandoff,
+  distanceNm
+};
@@ -0,0 +1,73 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const EventEmitter = require('events');
+const { createMcpServer, ERROR_CODES } = require('./mcp-server');
+const { registerLivePrompts } = require('./live-prompts');
+const { createTrafficState } = require('../state/traffic-state');
+
+const NOW = Date.now();
+
+describe('live prompts', () => {
+  let state;
+
+  afterEach(() => {
+    state.close();
+  });
+
+  function setup() {
+    const pipeline = new EventEmitter();
+    state = createTrafficState(pipeline);
+    const server = createMcpServer();
+    registerLivePrompts(server, state);
+
+    pipeline.emit('message', {
+      type: 'CONTROLLER_POSITION',
+      timestamp: NOW - 600000,
+      parsed: { callsign: 'EGLL_TWR', frequency: '18500', facility: 4, rating: 5, visualRange: 50, latitude: 51.47, longitude: -0.46 }
+    });
+    pipeline.emit('message', {
+      type: 'POSITION_FAST',
+      timestamp: NOW,
+      parsed: { callsign: 'BAW123', latitude: 51.5, longitude: -0.4, altitude: 3000, groundSpeed: 180, squawk: '4721' }
+    });
+    pipeline.emit('message', {
+      type: 'CLIENT_QUERY',
+      timestamp: NOW,
+      raw: '$CQEGLL_TWR:EGLL_APP:HT:BAW123',
+      parsed: { callsign: 'EGLL_TWR', receiver: 'EGLL_APP', queryType: 'HT', target: 'BAW123' }
+    });
+
+    const session = server.connect({ send: () => {} });
+    return (name, args) => session.handleMessage({ jsonrpc: '2.0', id: 1, method: 'prompts/get', params: { name, arguments: args } });
+  }
+
+  test('summarize_sector lists traffic in range and handoffs', async () => {
+    const getPrompt = setup();
+    const { result } = await getPrompt('summarize_sector', { callsign: 'egll_twr' });
+
+    expect(result.description).toBe('Sector summary for EGLL_TWR');
+    const text = result.messages[0].content.text;
+    expect(text).toContain('EGLL_TWR (TWR) on 118.500 MHz, rating 5, visual range 50 nm');
+    expect(text).toContain('## Traffic within 50 nm (1)\n- BAW123, 3000 ft, 180 kts, squawk 4721, 3 nm');
+    expect(text).toContain('EGLL_TWR hands off BAW123 to EGLL_APP');
+    expect(text).toContain('## Text messages\n(none)');
+  });
+
+  test('explain_handoffs reads handoffs since a relative time', async () => {
+    const getPrompt = setup();
+    const { result } = await getPrompt('explain_handoffs', { since: '5m' });
+
+    expect(result.messages[0].content.text).toContain('## Handoffs (1)\n- ');
+  });
+
+  test('rejects missing, unknown and invalid arguments', async () => {
+    const getPrompt = setup();
+
+    expect((await getPrompt('summarize_sector', {})).error).toEqual({
+      code: ERROR_CODES.INVALID_PARAMS, message: 'Missing required arguments: callsign'
+    });
+    expect((await getPrompt('summarize_sector', { callsign: 'EDDF_TWR' })).error.message).toBe('Controller EDDF_TWR is not currently online');
+    expect((await getPrompt('brief_flight', { callsign: 'DLH4' })).error.message).toBe('No traffic seen for DLH4');
+    expect((await getPrompt('explain_handoffs', { since: 'yesterday-ish' })).error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+    expect((await getPrompt('nope', {})).error.message).toBe('Unknown prompt: nope');
+  });
+});
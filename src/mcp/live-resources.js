@@ -0,0 +1,175 @@
+/**
+ * live-resources.js
+ * MCP resources for tracked aircraft, controllers and flight plans
+ *
+ * URIs:
+ *   fsd://aircraft/{callsign}
+ *   fsd://controller/{callsign}
+ *   fsd://flightplan/{callsign}
+ */
+
+const URI_PATTERN = /^fsd:\/\/(aircraft|controller|flightplan)\/([^/]+)$/;
+
+const MIME_TYPE = 'application/json';
+
+/**
+ * Register live traffic resources on an MCP server
+ * @param {Object} server - MCP server (from createMcpServer)
+ * @param {Object} trafficState - Traffic state (from createTrafficState)
+ * @param {Object} options - Options
+ * @param {number} options.listChangedDelay - Debounce for list_changed notifications (ms)
+ * @returns {Object} Handle with close() to stop forwarding state changes
+ */
+function registerLiveResources(server, trafficState, options = {}) {
+  const listChangedDelay = options.listChangedDelay || 1000;
+  let listChangedTimer = null;
+
+  server.registerResourceProvider({
+    templates: [
+      {
+        uriTemplate: 'fsd://aircraft/{callsign}',
+        name: 'aircraft',
+        description: 'Latest position, squawk and pilot details of a tracked aircraft',
+        mimeType: MIME_TYPE
+      },
+      {
+        uriTemplate: 'fsd://controller/{callsign}',
+        name: 'controller',
+        description: 'Frequency, facility and position of an online ATC station',
+        mimeType: MIME_TYPE
+      },
+      {
+        uriTemplate: 'fsd://flightplan/{callsign}',
+        name: 'flightplan',
+        description: 'Most recent flight plan filed for an aircraft',
+        mimeType: MIME_TYPE
+      }
+    ],
+    list: listResources,
+    read: readResource
+  });
+
+  /**
+   * List one resource per tracked entity
+   */
+  function listResources() {
+    const resources = [];
+
+    trafficState.listAircraft().forEach(aircraft => {
+      resources.push({
+        uri: buildUri('aircraft', aircraft.callsign),
+        name: aircraft.callsign,
+        description: 'Aircraft ' + aircraft.callsign,
+        mimeType: MIME_TYPE
+      });
+
+      if (aircraft.flightPlan) {
+        resources.push({
+          uri: buildUri('flightplan', aircraft.callsign),
+          name: aircraft.callsign + ' flight plan',
+          description: 'Flight plan for ' + aircraft.callsign,
+          mimeType: MIME_TYPE
+        });
+      }
+    });
+
+    trafficState.listControllers().forEach(controller => {
+      resources.push({
+        uri: buildUri('controller', controller.callsign),
+        name: controller.callsign,
+        description: controller.facilityName + ' on ' + controller.frequency,
+        mimeType: MIME_TYPE
+      });
+    });
+
+    return resources;
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  function readResource(uri) {
+    const match = uri.match(URI_PATTERN);
+    if (!match) return null;
+
+    const [, kind, encodedCallsign] = match;
+    const callsign = decodeURIComponent(encodedCallsign);
+    let value = null;
+
+    switch (kind) {
+      case 'aircraft':
+        value = trafficState.getAircraft(callsign);
+        break;
+      case 'controller':
+        value = trafficState.getController(callsign);
+        break;
+      case 'flightplan': {
+        const aircraft = trafficState.getAircraft(callsign);
+        value = aircraft && aircraft.flightPlan ? aircraft.flightPlan : null;
+        break;
+      }
+    }
+
+    if (!value) return null;
+
+    return [{
+      uri,
+      mimeType: MIME_TYPE,
+      text: JSON.stringify(value, null, 2)
+    }];
+  }
+
+  /**
+   * Debounce list_changed so a burst of new callsigns sends one notification
+   */
+  function scheduleListChanged() {
+    if (listChangedTimer) return;
+
+    listChangedTimer = setTimeout(() => {
+      listChangedTimer = null;
+      server.notifyResourceListChanged();
+    }, listChangedDelay);
+  }
+
+  // Forward state changes as MCP notifications
+  const handlers = {
+    'aircraft-updated': ({ callsign, isNew }) => {
+      server.notifyResourceUpdated(buildUri('aircraft', callsign));
+      if (isNew) scheduleListChanged();
+    },
+    'flight-plan-updated': ({ callsign }) => {
+      server.notifyResourceUpdated(buildUri('flightplan', callsign));
+      scheduleListChanged();
+    },
+    'controller-updated': ({ callsign, isNew }) => {
+      server.notifyResourceUpdated(buildUri('controller', callsign));
+      if (isNew) scheduleListChanged();
+    },
+    'aircraft-removed': scheduleListChanged,
+    'controller-removed': scheduleListChanged
+  };
+
+  Object.entries(handlers).forEach(([event, handler]) => trafficState.on(event, handler));
+
+  /**
+   * Stop forwarding state changes
+   */
+  function close() {
+    Object.entries(handlers).forEach(([event, handler]) => trafficState.off(event, handler));
+    if (listChangedTimer) {
+      clearTimeout(listChangedTimer);
+      listChangedTimer = null;
+    }
+  }
+
+  return { close };
+}
+
+/**
+ * Helper: Build resource URI for an entity
+ */
+function buildUri(kind, callsign) {
+  return 'fsd://' + kind + '/' + encodeURIComponent(callsign);
+}
+
+module.exports = { registerLiveResources, buildUri };
@@ -0,0 +1,63 @@
+const { describe, test, expect, afterEach } = require('bun:test');
+const EventEmitter = require('events');
+const { createMcpServer } = require('./mcp-server');
+const { registerLiveResources } = require('./live-resources');
+const { createTrafficState } = require('../state/traffic-state');
+
+function position(callsign) {
+  return { type: 'POSITION_FAST', parsed: { callsign, latitude: 51.47, longitude: -0.46, altitude: 3000 } };
+}
+
+describe('live resources', () => {
+  let state;
+  let resources;
+
+  afterEach(() => {
+    resources.close();
+    state.close();
+  });
+
+  function setup() {
+    const pipeline = new EventEmitter();
+    state = createTrafficState(pipeline);
+    const server = createMcpServer();
+    resources = registerLiveResources(server, state, { listChangedDelay: 10 });
+
+    const sent = [];
+    const session = server.connect({ send: message => sent.push(message) });
+    const call = (method, params) => session.handleMessage({ jsonrpc: '2.0', id: 1, method, params });
+    return { pipeline, sent, call };
+  }
+
+  test('lists and reads tracked aircraft', async () => {
+    const { pipeline, call } = setup();
+    pipeline.emit('message', position('BAW123'));
+
+    const list = await call('resources/list', {});
+    expect(list.result.resources.map(resource => resource.uri)).toEqual(['fsd://aircraft/BAW123']);
+
+    const read = await call('resources/read', { uri: 'fsd://aircraft/BAW123' });
+    expect(JSON.parse(read.result.contents[0].text)).toMatchObject({ callsign: 'BAW123', latitude: 51.47 });
+  });
+
+  test('notifies subscribers of their resources only, and list changes once per burst', async () => {
+    const { pipeline, sent, call } = setup();
+    expect(await call('resources/subscribe', { uri: 'fsd://aircraft/BAW123' })).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+
+    pipeline.emit('message', position('BAW123'));
+    pipeline.emit('message', position('DLH4'));
+    pipeline.emit('message', position('BAW123'));
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(sent).toEqual([
+      { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'fsd://aircraft/BAW123' } },
+      { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'fsd://aircraft/BAW123' } },
+      { jsonrpc: '2.0', method: 'notifications/resources/list_changed', params: {} }
+    ]);
+
+    sent.length = 0;
+    await call('resources/unsubscribe', { uri: 'fsd://aircraft/BAW123' });
+    pipeline.emit('message', position('BAW123'));
+    expect(sent).toEqual([]);
+  });
+});
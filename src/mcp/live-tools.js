@@ -0,0 +1,147 @@
+/**
+ * live-tools.js
+ * MCP tools backed by the live traffic state
+ */
+
+/**
+ * Register live traffic tools on an MCP server
+ * @param {Object} server - MCP server (from createMcpServer)
+ * @param {Object} trafficState - Traffic state (from createTrafficState)
+ */
+function registerLiveTools(server, trafficState) {
+  server.registerTool({
+    name: 'list_aircraft',
+    description: 'List all aircraft currently seen in the live FSD stream with their latest position.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        callsignPrefix: {
+          type: 'string',
+          description: 'Only include callsigns starting with this prefix (e.g. "BAW")'
+        }
+      }
+    }
+  }, async (args) => {
+    const prefix = args.callsignPrefix ? args.callsignPrefix.toUpperCase() : '';
+    const aircraft = trafficState.listAircraft()
+      .filter(a => a.callsign.toUpperCase().startsWith(prefix))
+      .map(summarizeAircraft);
+
+    return { count: aircraft.length, aircraft };
+  });
+
+  server.registerTool({
+    name: 'get_aircraft',
+    description: 'Get the latest known state of one aircraft: position, squawk, pilot and filed flight plan.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        callsign: { type: 'string', description: 'Aircraft callsign (e.g. "BAW42Y")' }
+      },
+      required: ['callsign']
+    }
+  }, async (args) => {
+    requireString(args, 'callsign');
+
+    const aircraft = trafficState.getAircraft(args.callsign);
+    if (!aircraft) {
+      throw new Error(`Aircraft ${args.callsign} is not currently tracked`);
+    }
+    return aircraft;
+  });
+
+  server.registerTool({
+    name: 'list_controllers',
+    description: 'List all ATC stations currently online with frequency, facility type and position.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        callsignPrefix: {
+          type: 'string',
+          description: 'Only include callsigns starting with this prefix (e.g. "EGLL")'
+        },
+        facility: {
+          type: 'string',
+          description: 'Only include this facility type (DEL, GND, TWR, APP, CTR, ...)'
+        }
+      }
+    }
+  }, async (args) => {
+    const prefix = args.callsignPrefix ? args.callsignPrefix.toUpperCase() : '';
+    const facility = args.facility ? args.facility.toUpperCase() : null;
+
+    const controllers = trafficState.listControllers()
+      .filter(c => c.callsign.toUpperCase().startsWith(prefix))
+      .filter(c => !facility || c.facilityName === facility);
+
+    return { count: controllers.length, controllers };
+  });
+
+  server.registerTool({
+    name: 'get_recent_messages',
+    description: 'Get recent parsed FSD messages, newest first, optionally filtered by type, callsign or port.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          description: 'Message type (e.g. TEXT_MESSAGE, FLIGHT_PLAN, CLIENT_QUERY, POSITION_FAST)'
+        },
+        callsign: { type: 'string', description: 'Only messages sent by, to or about this callsign' },
+        port: { type: 'number', description: 'Capture port' },
+        sinceSeconds: { type: 'number', description: 'Only messages from the last N seconds' },
+        limit: { type: 'number', description: 'Maximum number of messages (default: 50)' }
+      }
+    }
+  }, async (args) => {
+    const messages = trafficState.getRecentMessages({
+      type: args.type,
+      callsign: args.callsign,
+      port: args.port,
+      since: args.sinceSeconds ? Date.now() - args.sinceSeconds * 1000 : undefined,
+      limit: args.limit
+    });
+
+    return {
+      count: messages.length,
+      messages: messages.map(msg => ({
+        time: new Date(msg.timestamp).toISOString(),
+        type: msg.type,
+        port: msg.port,
+        direction: msg.direction,
+        humanReadable: msg.humanReadable,
+        raw: msg.raw,
+        parsed: msg.parsed
+      }))
+    };
+  });
+}
+
+/**
+ * Helper: Compact aircraft representation for listings
+ */
+function summarizeAircraft(aircraft) {
+  return {
+    callsign: aircraft.callsign,
+    latitude: aircraft.latitude,
+    longitude: aircraft.longitude,
+    altitude: aircraft.altitude,
+    groundSpeed: aircraft.groundSpeed,
+    heading: aircraft.heading,
+    onGround: aircraft.onGround,
+    squawk: aircraft.squawk,
+    hasFlightPlan: Boolean(aircraft.flightPlan),
+    lastSeen: new Date(aircraft.lastSeen).toISOString()
+  };
+}
+
+/**
+ * Helper: Validate a required string argument
+ */
+function requireString(args, name) {
+  if (!args[name] || typeof args[name] !== 'string') {
+    throw new Error(`Argument '${name}' must be a non-empty string`);
+  }
+}
+
+module.exports = { registerLiveTools, requireString };
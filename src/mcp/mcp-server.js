@@ -0,0 +1,429 @@
+/**
+ * mcp-server.js
+ * Transport-independent Model Context Protocol (JSON-RPC 2.0) server
+ */
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * Create an MCP server
+ * @param {Object} options - Server options
+ * @param {string} options.name - Server name reported to clients
+ * @param {string} options.version - Server version reported to clients
+ * @param {string} options.instructions - Optional usage hints for clients
+ * @returns {Object} Server with tool registration and session handling
+ */
+function createMcpServer(options = {}) {
+  const serverInfo = {
+    name: options.name || 'euroscope2mcp',
+    version: options.version || '0.2.0'
+  };
+
+  const tools = new Map(); // name -> { definition, handler }
+  const resourceProviders = [];
+  const prompts = new Map(); // name -> { definition, handler }
+  const sessions = new Set();
+
+  /**
+   * Register a tool
+   * @param {Object} definition - Tool definition (name, description, inputSchema)
+   * @param {Function} handler - async (args) => result object or string
+   */
+  function registerTool(definition, handler) {
+    if (tools.has(definition.name)) {
+      console.warn(`Tool '${definition.name}' already registered, overwriting`);
+    }
+
+    tools.set(definition.name, {
+      definition: {
+        inputSchema: { type: 'object', properties: {} },
+        ...definition
+      },
+      handler
+    });
+  }
+
+  /**
+   * Unregister a tool
+   */
+  function unregisterTool(name) {
+    tools.delete(name);
+  }
+
+  /**
+   * Register a resource provider
+   * @param {Object} provider - Resource provider
+   * @param {Array} provider.templates - Resource templates ({ uriTemplate, name, description, mimeType })
+   * @param {Function} provider.list - () => array of resources ({ uri, name, description, mimeType })
+   * @param {Function} provider.read - (uri) => contents array, or null if the URI is not provided here
+   */
+  function registerResourceProvider(provider) {
+    resourceProviders.push(provider);
+  }
+
+  /**
+   * Register a prompt template
+   * @param {Object} definition - Prompt definition (name, description, arguments)
+   * @param {Function} handler - async (args) => { description, messages } or prompt text
+   */
+  function registerPrompt(definition, handler) {
+    if (prompts.has(definition.name)) {
+      console.warn(`Prompt '${definition.name}' already registered, overwriting`);
+    }
+
+    prompts.set(definition.name, {
+      definition: {
+        arguments: [],
+        ...definition
+      },
+      handler
+    });
+  }
+
+  /**
+   * Connect a transport and create a session for it
+   * @param {Object} transport - Object with send(message) for server → client messages
+   * @returns {Object} Session with handleMessage() and close()
+   */
+  function connect(transport) {
+    const session = {
+      initialized: false,
+      protocolVersion: null,
+      clientInfo: null,
+      subscriptions: new Set(),
+      transport
+    };
+
+    sessions.add(session);
+
+    /**
+     * Handle an incoming JSON-RPC message (request or notification)
+     * @returns {Promise<Object|null>} Response, or null for notifications
+     */
+    async function handleMessage(message) {
+      if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        if (message && message.jsonrpc === '2.0' && message.method === undefined) {
+          // Response to a server-initiated request - nothing to do
+          return null;
+        }
+        return errorResponse(message ? message.id : null, ERROR_CODES.INVALID_REQUEST, 'Invalid request');
+      }
+
+      const isNotification = message.id === undefined;
+
+      try {
+        const result = await dispatch(session, message.method, message.params || {});
+        return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+      } catch (err) {
+        if (isNotification) return null;
+        return errorResponse(message.id, err.code || ERROR_CODES.INTERNAL_ERROR, err.message);
+      }
+    }
+
+    /**
+     * Send a notification to this session's client
+     */
+    function notify(method, params) {
+      transport.send({ jsonrpc: '2.0', method, params });
+    }
+
+    /**
+     * Close the session
+     */
+    function close() {
+      sessions.delete(session);
+    }
+
+    session.handleMessage = handleMessage;
+    session.notify = notify;
+    session.close = close;
+
+    return session;
+  }
+
+  /**
+   * Dispatch a method call
+   */
+  async function dispatch(session, method, params) {
+    switch (method) {
+      case 'initialize':
+        return handleInitialize(session, params);
+
+      case 'notifications/initialized':
+        session.initialized = true;
+        return null;
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return {
+          tools: Array.from(tools.values()).map(tool => tool.definition)
+        };
+
+      case 'tools/call':
+        return callTool(params);
+
+      case 'resources/list':
+        return {
+          resources: await collectResources()
+        };
+
+      case 'resources/templates/list':
+        return {
+          resourceTemplates: resourceProviders.flatMap(provider => provider.templates || [])
+        };
+
+      case 'resources/read':
+        return readResource(params.uri);
+
+      case 'resources/subscribe':
+        requireUri(params);
+        session.subscriptions.add(params.uri);
+        return {};
+
+      case 'resources/unsubscribe':
+        requireUri(params);
+        session.subscriptions.delete(params.uri);
+        return {};
+
+      case 'prompts/list':
+        return {
+          prompts: Array.from(prompts.values()).map(prompt => prompt.definition)
+        };
+
+      case 'prompts/get':
+        return getPrompt(params);
+
+      default:
+        if (method.startsWith('notifications/')) {
+          return null;
+        }
+        throw rpcError(ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Handle initialize handshake
+   */
+  function handleInitialize(session, params) {
+    const requested = params.protocolVersion;
+    session.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    session.clientInfo = params.clientInfo || null;
+
+    const capabilities = {
+      tools: { listChanged: false }
+    };
+
+    if (resourceProviders.length > 0) {
+      capabilities.resources = { subscribe: true, listChanged: true };
+    }
+
+    if (prompts.size > 0) {
+      capabilities.prompts = { listChanged: false };
+    }
+
+    const result = {
+      protocolVersion: session.protocolVersion,
+      capabilities,
+      serverInfo
+    };
+
+    if (options.instructions) {
+      result.instructions = options.instructions;
+    }
+
+    return result;
+  }
+
+  /**
+   * Execute a tool call
+   * Tool errors are reported in the result (isError) rather than as protocol errors
+   */
+  async function callTool(params) {
+    const tool = tools.get(params.name);
+    if (!tool) {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    try {
+      const output = await tool.handler(params.arguments || {});
+      return toolResult(output);
+    } catch (err) {
+      return {
+        content: [{ type: 'text', text: err.message }],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Render a prompt template
+   */
+  async function getPrompt(params) {
+    const prompt = prompts.get(params.name);
+    if (!prompt) {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+    }
+
+    const args = params.arguments || {};
+    const missing = prompt.definition.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+
+    if (missing.length > 0) {
+      throw rpcError(ERROR_CODES.INVALID_PARAMS, 'Missing required arguments: ' + missing.join(', '));
+    }
+
+    const output = await prompt.handler(args);
+    if (typeof output === 'string') {
+      return {
+        description: prompt.definition.description,
+        messages: [{ role: 'user', content: { type: 'text', text: output } }]
+      };
+    }
+    return output;
+  }
+
+  /**
+   * Collect resources from all providers
+   */
+  async function collectResources() {
+    const lists = await Promise.all(resourceProviders.map(provider => provider.list()));
+    return lists.flat();
+  }
+
+  /**
+   * Read a resource from the first provider that knows the URI
+   */
+  async function readResource(uri) {
+    requireUri({ uri });
+
+    for (const provider of resourceProviders) {
+      const contents = await provider.read(uri);
+      if (contents) {
+        return { contents };
+      }
+    }
+
+    throw rpcError(ERROR_CODES.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+
+  /**
+   * Notify sessions subscribed to a resource that it changed
+   */
+  function notifyResourceUpdated(uri) {
+    for (const session of sessions) {
+      if (!session.subscriptions.has(uri)) continue;
+
+      try {
+        session.notify('notifications/resources/updated', { uri });
+      } catch (err) {
+        console.error('Error notifying MCP session:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Notify all sessions that the resource list changed
+   */
+  function notifyResourceListChanged() {
+    broadcast('notifications/resources/list_changed', {});
+  }
+
+  /**
+   * Send a notification to every connected session
+   */
+  function broadcast(method, params) {
+    for (const session of sessions) {
+      try {
+        session.notify(method, params);
+      } catch (err) {
+        console.error('Error notifying MCP session:', err.message);
+      }
+    }
+  }
+
+  /**
+   * List registered tool names
+   */
+  function listTools() {
+    return Array.from(tools.keys());
+  }
+
+  return {
+    registerTool,
+    unregisterTool,
+    listTools,
+    registerResourceProvider,
+    registerPrompt,
+    notifyResourceUpdated,
+    notifyResourceListChanged,
+    connect,
+    broadcast,
+    sessions
+  };
+}
+
+/**
+ * Helper: Convert a handler return value into a tool result
+ */
+function toolResult(output) {
+  if (output && Array.isArray(output.content)) {
+    return output;
+  }
+
+  const text = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+  return {
+    content: [{ type: 'text', text }]
+  };
+}
+
+/**
+ * Helper: Validate that params carry a resource URI
+ */
+function requireUri(params) {
+  if (!params.uri || typeof params.uri !== 'string') {
+    throw rpcError(ERROR_CODES.INVALID_PARAMS, 'Missing resource uri');
+  }
+}
+
+/**
+ * Helper: Build JSON-RPC error response
+ */
+function errorResponse(id, code, message) {
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error: { code, message }
+  };
+}
+
+/**
+ * Helper: Create an error carrying a JSON-RPC code
+ */
+function rpcError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = {
+  createMcpServer,
+  errorResponse,
+  rpcError,
+  ERROR_CODES,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
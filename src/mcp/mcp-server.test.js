@@ -0,0 +1,71 @@
+const { describe, test, expect } = require('bun:test');
+const { createMcpServer, ERROR_CODES } = require('./mcp-server');
+
+function connect(server) {
+  const sent = [];
+  const session = server.connect({ send: message => sent.push(message) });
+  const call = (method, params, id = 1) => session.handleMessage({ jsonrpc: '2.0', id, method, params });
+  return { session, sent, call };
+}
+
+describe('mcp server', () => {
+  test('initialize negotiates the protocol version and advertises tools', async () => {
+    const server = createMcpServer({ name: 'test', version: '1.0.0', instructions: 'Use the tools' });
+    const { call } = connect(server);
+
+    expect(await call('initialize', { protocolVersion: '2025-03-26' })).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      result: {
+        protocolVersion: '2025-03-26',
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: 'test', version: '1.0.0' },
+        instructions: 'Use the tools'
+      }
+    });
+    expect((await call('initialize', { protocolVersion: '1999-01-01' })).result.protocolVersion).toBe('2025-06-18');
+  });
+
+  test('lists and calls tools, reporting tool failures in the result', async () => {
+    const server = createMcpServer();
+    server.registerTool({ name: 'echo', description: 'Echo' }, async args => ({ said: args.text }));
+    server.registerTool({ name: 'fail', description: 'Fail' }, async () => {
+      throw new Error('no data');
+    });
+    const { call } = connect(server);
+
+    const list = await call('tools/list', {});
+    expect(list.result.tools.map(tool => [tool.name, tool.inputSchema])).toEqual([
+      ['echo', { type: 'object', properties: {} }],
+      ['fail', { type: 'object', properties: {} }]
+    ]);
+
+    const echoed = await call('tools/call', { name: 'echo', arguments: { text: 'hi' } });
+    expect(JSON.parse(echoed.result.content[0].text)).toEqual({ said: 'hi' });
+
+    const failed = await call('tools/call', { name: 'fail' });
+    expect(failed.result).toEqual({ content: [{ type: 'text', text: 'no data' }], isError: true });
+  });
+
+  test('answers protocol errors with JSON-RPC error codes', async () => {
+    const { session, call } = connect(createMcpServer());
+
+    expect(await call('tools/call', { name: 'missing' })).toEqual({
+      jsonrpc: '2.0', id: 1, error: { code: ERROR_CODES.INVALID_PARAMS, message: 'Unknown tool: missing' }
+    });
+    expect((await call('nope', {})).error.code).toBe(ERROR_CODES.METHOD_NOT_FOUND);
+    expect((await call('resources/read', { uri: 'fsd://nothing' })).error.code).toBe(ERROR_CODES.RESOURCE_NOT_FOUND);
+    expect(await session.handleMessage({ id: 7, method: 'ping' })).toEqual({
+      jsonrpc: '2.0', id: 7, error: { code: ERROR_CODES.INVALID_REQUEST, message: 'Invalid request' }
+    });
+  });
+
+  test('notifications and client responses get no reply', async () => {
+    const { session } = connect(createMcpServer());
+
+    expect(await session.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBe(null);
+    expect(session.initialized).toBe(true);
+    expect(await session.handleMessage({ jsonrpc: '2.0', method: 'nope' })).toBe(null);
+    expect(await session.handleMessage({ jsonrpc: '2.0', id: 3, result: {} })).toBe(null);
+  });
+});
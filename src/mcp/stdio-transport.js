@@ -0,0 +1,97 @@
+/**
+ * stdio-transport.js
+ * MCP stdio transport: newline-delimited JSON-RPC over stdin/stdout
+ */
+
+const { errorResponse, ERROR_CODES } = require('./mcp-server');
+
+/**
+ * Create stdio transport and connect it to an MCP server
+ * @param {Object} server - MCP server (from createMcpServer)
+ * @param {Object} options - Transport options
+ * @param {Stream} options.input - Readable stream (default: process.stdin)
+ * @param {Stream} options.output - Writable stream (default: process.stdout)
+ * @param {Function} options.onClose - Called when stdin ends
+ * @returns {Object} Transport with start/close methods
+ */
+function createStdioTransport(server, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+
+  let buffer = '';
+  let session = null;
+
+  /**
+   * Write a JSON-RPC message as a single line
+   */
+  function send(message) {
+    output.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Handle incoming data from stdin
+   */
+  function handleData(chunk) {
+    buffer += chunk.toString('utf-8');
+
+    // Process complete lines
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    lines.forEach(line => {
+      if (line.trim()) {
+        handleLine(line.trim());
+      }
+    });
+  }
+
+  /**
+   * Handle a single JSON-RPC line
+   */
+  async function handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      send(errorResponse(null, ERROR_CODES.PARSE_ERROR, 'Parse error: ' + err.message));
+      return;
+    }
+
+    const response = await session.handleMessage(message);
+    if (response) {
+      send(response);
+    }
+  }
+
+  /**
+   * Start reading from stdin
+   */
+  function start() {
+    session = server.connect({ send });
+    input.on('data', handleData);
+    input.on('end', close);
+  }
+
+  /**
+   * Stop the transport
+   */
+  function close() {
+    if (!session) return;
+
+    input.off('data', handleData);
+    session.close();
+    session = null;
+
+    if (typeof options.onClose === 'function') {
+      options.onClose();
+    }
+  }
+
+  return {
+    start,
+    close,
+    send
+  };
+}
+
+module.exports = { createStdioTransport };
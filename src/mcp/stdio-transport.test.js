@@ -0,0 +1,65 @@
+const { describe, test, expect } = require('bun:test');
+const { PassThrough } = require('stream');
+const { createStdioTransport } = require('./stdio-transport');
+const { createMcpServer, ERROR_CODES } = require('./mcp-server');
+
+function start() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const replies = [];
+  let pending = '';
+  output.on('data', (chunk) => {
+    pending += chunk.toString();
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    lines.forEach(line => replies.push(JSON.parse(line)));
+  });
+
+  let closed = false;
+  const server = createMcpServer();
+  server.registerTool({ name: 'echo', description: 'Echo' }, async args => args.text);
+  const transport = createStdioTransport(server, { input, output, onClose: () => { closed = true; } });
+  transport.start();
+
+  return { server, input, replies, isClosed: () => closed };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('stdio transport', () => {
+  test('answers one JSON-RPC line per message, however the input is chunked', async () => {
+    const { input, replies } = start();
+    const initialize = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } });
+    const callTool = JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'echo', arguments: { text: 'hi' } } });
+
+    input.write(initialize.substring(0, 20));
+    input.write(initialize.substring(20) + '\n' + callTool.substring(0, 10));
+    input.write(callTool.substring(10) + '\n\n');
+    await settle();
+
+    expect(replies.map(reply => reply.id)).toEqual([1, 2]);
+    expect(replies[0].result.serverInfo.name).toBe('euroscope2mcp');
+    expect(replies[1].result).toEqual({ content: [{ type: 'text', text: 'hi' }] });
+  });
+
+  test('answers a malformed line with a parse error and carries on', async () => {
+    const { input, replies } = start();
+    input.write('{not json\n' + JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }) + '\n');
+    await settle();
+
+    expect(replies[0]).toMatchObject({ id: null, error: { code: ERROR_CODES.PARSE_ERROR } });
+    expect(replies[1]).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+  });
+
+  test('writes server notifications and closes the session when stdin ends', async () => {
+    const { server, input, replies, isClosed } = start();
+    server.notifyResourceListChanged();
+    await settle();
+    expect(replies).toEqual([{ jsonrpc: '2.0', method: 'notifications/resources/list_changed', params: {} }]);
+
+    input.end();
+    await settle();
+    expect(isClosed()).toBe(true);
+    expect(server.sessions.size).toBe(0);
+  });
+});
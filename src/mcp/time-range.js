@@ -0,0 +1,25 @@
+/**
+ * time-range.js
+ * Parse time arguments given by MCP clients
+ */
+
+const { parseTime } = require('../capture/time-parser');
+const { rpcError, ERROR_CODES } = require('./mcp-server');
+
+/**
+ * Parse a time argument into a millisecond timestamp (formats: see time-parser.js)
+ * Invalid values are reported to the client as invalid params
+ * @param {string|number} value - Time argument
+ * @param {number} defaultValue - Timestamp used when value is empty
+ * @param {string} name - Argument name for error messages
+ * @returns {number} Timestamp (ms)
+ */
+function parseTimeArg(value, defaultValue, name = 'time') {
+  try {
+    return parseTime(value, defaultValue, name);
+  } catch (err) {
+    throw rpcError(ERROR_CODES.INVALID_PARAMS, err.message);
+  }
+}
+
+module.exports = { parseTimeArg };
@@ -0,0 +1,20 @@
+const { describe, test, expect } = require('bun:test');
+const { parseTimeArg } = require('./time-range');
+const { ERROR_CODES } = require('./mcp-server');
+
+describe('parseTimeArg', () => {
+  test('parses like parseTime', () => {
+    expect(parseTimeArg(undefined, 42)).toBe(42);
+    expect(parseTimeArg('2025-01-12T11:06:40Z', 0)).toBe(1736680000000);
+  });
+
+  test('reports invalid values as invalid params', () => {
+    let error;
+    try {
+      parseTimeArg('yesterday', 0, 'since');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ code: ERROR_CODES.INVALID_PARAMS, message: "Invalid 'since' value: yesterday" });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * db-reader.js
+ * Read-only queries against the TimescaleDB hybrid schema (positions + messages)
+ */
+
+const { Pool } = require('pg');
+
+const MAX_TRACK_POINTS = 5000;
+const MAX_MESSAGES = 500;
+
+/**
+ * Create database reader instance
+ */
+function createDbReader(config) {
+  const dbConfig = config.outputs.database;
+
+  if (!dbConfig.enabled) {
+    return null;
+  }
+
+  // Separate, smaller pool so reads never starve the batched writer
+  const pool = new Pool({
+    host: dbConfig.host || 'localhost',
+    port: dbConfig.port || 5432,
+    database: dbConfig.database || 'euroscope',
+    user: dbConfig.user || 'euroscope',
+    password: dbConfig.password || '',
+    max: 5,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 2000,
+    statement_timeout: dbConfig.queryTimeout || 10000
+  });
+
+  /**
+   * Get the position history of one callsign
+   * @param {string} callsign - Aircraft callsign
+   * @param {Date} from - Start of range
+   * @param {Date} to - End of range
+   * @param {number} limit - Maximum number of points
+   */
+  async function getFlightTrack(callsign, from, to, limit = MAX_TRACK_POINTS) {
+    const result = await pool.query(
+      'SELECT time, latitude, longitude, altitude, ground_speed, heading, on_ground, squawk, port ' +
+      'FROM positions ' +
+      'WHERE callsign = $1 AND time BETWEEN $2 AND $3 ' +
+      'ORDER BY time ASC ' +
+      'LIMIT $4',
+      [callsign, from, to, Math.min(limit, MAX_TRACK_POINTS)]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Find the last position of every aircraft inside a bounding box during a time window
+   * @param {Object} bbox - { minLat, minLon, maxLat, maxLon }
+   * @param {Date} from - Start of window
+   * @param {Date} to - End of window
+   */
+  async function findAircraftInArea(bbox, from, to) {
+    const result = await pool.query(
+      'SELECT DISTINCT ON (callsign) callsign, time, latitude, longitude, altitude, ground_speed, heading, on_ground, squawk ' +
+      'FROM positions ' +
+      'WHERE time BETWEEN $1 AND $2 ' +
+      '  AND latitude BETWEEN $3 AND $4 ' +
+      '  AND longitude BETWEEN $5 AND $6 ' +
+      'ORDER BY callsign, time DESC',
+      [from, to, bbox.minLat, bbox.maxLat, bbox.minLon, bbox.maxLon]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get stored messages
+   * @param {Object} filter - Query filter
+   * @param {string} filter.type - Message type (optional)
+   * @param {string} filter.callsign - Callsign (optional)
+   * @param {Date} filter.from - Start of range
+   * @param {Date} filter.to - End of range
+   * @param {number} filter.limit - Maximum number of messages
+   */
+  async function getMessages(filter) {
+    const conditions = ['time BETWEEN $1 AND $2'];
+    const params = [filter.from, filter.to];
+
+    if (filter.type) {
+      params.push(filter.type);
+      conditions.push('message_type = $' + params.length);
+    }
+
+    if (filter.callsign) {
+      params.push(filter.callsign);
+      conditions.push('callsign = $' + params.length);
+    }
+
+    params.push(Math.min(filter.limit || 100, MAX_MESSAGES));
+
+    const result = await pool.query(
+      'SELECT time, port, message_type, callsign, data, direction, src_endpoint, dst_endpoint, connection_id, origin, raw_message ' +
+      'FROM messages ' +
+      'WHERE ' + conditions.join(' AND ') + ' ' +
+      'ORDER BY time DESC ' +
+      'LIMIT $' + params.length,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Close database connection
+   */
+  async function close() {
+    await pool.end();
+  }
+
+  return {
+    getFlightTrack,
+    findAircraftInArea,
+    getMessages,
+    close
+  };
+}
+
+module.exports = {
+  createDbReader,
+  MAX_TRACK_POINTS,
+  MAX_MESSAGES
+};
@@ -131,7 +131,8 @@ function createDbWriter(config) {
   /**
    * Flush positions to positions table
    * Schema: time, port, callsign, squawk, rating, latitude, longitude,
-   *         altitude, ground_speed, pbh, flags, message_type, raw_message
+   *         altitude, ground_speed, pbh, heading, pitch, bank, on_ground, flags, message_type,
+   *         direction, src_endpoint, dst_endpoint, connection_id, origin, raw_message
    */
   async function flushPositions(client, positions) {
     if (positions.length === 0) return;
@@ -144,7 +145,7 @@ function createDbWriter(config) {
       if (!msg.parsed) return;
 
       const p = msg.parsed;
-      values.push('(' + '$' + paramIndex + ', $' + (paramIndex + 1) + ', $' + (paramIndex + 2) + ', $' + (paramIndex + 3) + ', $' + (paramIndex + 4) + ', $' + (paramIndex + 5) + ', $' + (paramIndex + 6) + ', $' + (paramIndex + 7) + ', $' + (paramIndex + 8) + ', $' + (paramIndex + 9) + ', $' + (paramIndex + 10) + ', $' + (paramIndex + 11) + ', $' + (paramIndex + 12) + ')');
+      values.push(placeholders(paramIndex, 22));
       params.push(
         new Date(msg.timestamp),
         msg.port,
@@ -156,23 +157,29 @@ function createDbWriter(config) {
         p.altitude || null,
         p.groundSpeed || null,
         p.pbh || null,
+        valueOrNull(p.heading),
+        valueOrNull(p.pitch),
+        valueOrNull(p.bank),
+        valueOrNull(p.onGround),
         p.flags ? parseInt(p.flags) : null,
         msg.type,
+        ...connectionColumns(msg),
         msg.raw
       );
-      paramIndex += 13;
+      paramIndex += 22;
     });
 
     if (values.length === 0) return;
 
-    const query = 'INSERT INTO positions (time, port, callsign, squawk, rating, latitude, longitude, altitude, ground_speed, pbh, flags, message_type, raw_message) VALUES ' + values.join(',');
+    const query = 'INSERT INTO positions (time, port, callsign, squawk, rating, latitude, longitude, altitude, ground_speed, pbh, heading, pitch, bank, on_ground, flags, message_type, direction, src_endpoint, dst_endpoint, connection_id, origin, raw_message) VALUES ' + values.join(',');
 
     await client.query(query, params);
   }
 
   /**
    * Flush messages to messages table
-   * Schema: time, port, message_type, callsign, data, raw_message
+   * Schema: time, port, message_type, callsign, data,
+   *         direction, src_endpoint, dst_endpoint, connection_id, origin, raw_message
    */
   async function flushMessages(client, messages) {
     if (messages.length === 0) return;
@@ -195,21 +202,22 @@ function createDbWriter(config) {
       // Store all parsed data as JSONB
       const data = msg.parsed || {};
 
-      values.push('(' + '$' + paramIndex + ', $' + (paramIndex + 1) + ', $' + (paramIndex + 2) + ', $' + (paramIndex + 3) + ', $' + (paramIndex + 4) + ', $' + (paramIndex + 5) + ')');
+      values.push(placeholders(paramIndex, 11));
       params.push(
         new Date(msg.timestamp),
         msg.port,
         msg.type,
         callsign,
         JSON.stringify(data),
+        ...connectionColumns(msg),
         msg.raw
       );
-      paramIndex += 6;
+      paramIndex += 11;
     });
 
     if (values.length === 0) return;
 
-    const query = 'INSERT INTO messages (time, port, message_type, callsign, data, raw_message) VALUES ' + values.join(',');
+    const query = 'INSERT INTO messages (time, port, message_type, callsign, data, direction, src_endpoint, dst_endpoint, connection_id, origin, raw_message) VALUES ' + values.join(',');
 
     await client.query(query, params);
   }
@@ -273,4 +281,35 @@ function createDbWriter(config) {
   };
 }
 
+/**
+ * Helper: Placeholder tuple "($n, $n+1, ...)" for a multi-row insert
+ */
+function placeholders(start, count) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push('$' + (start + i));
+  }
+  return '(' + items.join(', ') + ')';
+}
+
+/**
+ * Helper: Column value for fields where 0 and false are valid
+ */
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Helper: direction, src_endpoint, dst_endpoint, connection_id, origin column values
+ */
+function connectionColumns(msg) {
+  return [
+    msg.direction || null,
+    msg.src || null,
+    msg.dst || null,
+    msg.connectionId || null,
+    msg.origin || null
+  ];
+}
+
 module.exports = { createDbWriter };
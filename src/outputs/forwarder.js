@@ -0,0 +1,325 @@
+/**
+ * forwarder.js
+ * Stream raw captured lines to a central euroscope2mcp aggregator
+ *
+ * Each captured line is sent as one JSON object per line (TCP) or per
+ * message (WebSocket), in the recording format plus the host id:
+ * {"host":"tower-pc","timestamp":1736680000123,"port":6809,"parser":"fsd",
+ *  "label":"VATSIM FSD","data":"@N:BAW1:...","direction":"inbound",...}
+ *
+ * The first line of every connection is a hello carrying the host id and
+ * the shared token. The aggregator reads the stream with an ingest port
+ * (ingest-capture.js). Lines captured while disconnected or while the
+ * connection is congested are buffered up to bufferSize and sent on reconnect
+ * or once the socket has drained; close() sends what is buffered first.
+ */
+
+const net = require('net');
+const os = require('os');
+const EventEmitter = require('events');
+
+const TRANSPORTS = ['tcp', 'websocket'];
+const PROTOCOL_VERSION = 1;
+const WEBSOCKET_HIGH_WATER_MARK = 1024 * 1024; // bytes queued before a WebSocket counts as congested
+const WEBSOCKET_DRAIN_POLL = 100; // WebSocket has no 'drain' event
+
+/**
+ * Create a forwarder
+ * @param {Object} options - Configuration options
+ * @param {string} options.transport - 'tcp' (default) or 'websocket'
+ * @param {string} options.host - Aggregator hostname (default: localhost)
+ * @param {number} options.port - Aggregator ingest port (default: 6810)
+ * @param {string} options.url - WebSocket URL (default: ws://host:port)
+ * @param {string} options.hostId - Origin tag for this instance (default: hostname)
+ * @param {string} options.token - Shared token expected by the ingest port (optional)
+ * @param {number} options.bufferSize - Lines kept while disconnected (default: 10000)
+ * @param {number} options.reconnectDelay - Initial reconnect delay in ms, doubled up to 30s (default: 1000)
+ * @returns {Object} Forwarder with connect(), forward(captureData), close() and getStatus()
+ */
+function createForwarder(options = {}) {
+  const config = {
+    transport: options.transport || 'tcp',
+    host: options.host || 'localhost',
+    port: options.port || 6810,
+    url: options.url || null,
+    hostId: options.hostId || os.hostname(),
+    token: options.token || null,
+    bufferSize: options.bufferSize || 10000,
+    reconnectDelay: options.reconnectDelay || 1000
+  };
+
+  if (!TRANSPORTS.includes(config.transport)) {
+    throw new Error(`Unknown forwarder transport '${config.transport}' (expected ${TRANSPORTS.join(', ')})`);
+  }
+  if (config.transport === 'websocket' && typeof WebSocket === 'undefined') {
+    throw new Error('WebSocket forwarding requires a runtime with a global WebSocket (Bun, Node 22+)');
+  }
+
+  const target = config.transport === 'websocket'
+    ? config.url || `ws://${config.host}:${config.port}`
+    : `${config.host}:${config.port}`;
+
+  const emitter = new EventEmitter();
+  let connection = null; // net.Socket or WebSocket
+  let connected = false;
+  let closed = false;
+  let buffer = [];
+  let reconnectTimer = null;
+  let drainTimer = null;
+  let attempts = 0;
+
+  const stats = {
+    forwarded: 0,
+    buffered: 0,
+    dropped: 0,
+    reconnects: 0,
+    connectedSince: null,
+    lastError: null
+  };
+
+  /**
+   * Connect to the aggregator (reconnects automatically until close())
+   */
+  function connect() {
+    closed = false;
+
+    if (config.transport === 'websocket') {
+      connectWebSocket();
+    } else {
+      connectTcp();
+    }
+  }
+
+  /**
+   * Helper: Open a TCP connection
+   */
+  function connectTcp() {
+    const socket = net.connect(config.port, config.host);
+    connection = socket;
+
+    socket.on('connect', handleOpen);
+    socket.on('drain', flushBuffer);
+    socket.on('error', handleError);
+    socket.on('close', () => handleClose(socket));
+  }
+
+  /**
+   * Helper: Open a WebSocket connection
+   */
+  function connectWebSocket() {
+    const socket = new WebSocket(target);
+    connection = socket;
+
+    socket.addEventListener('open', handleOpen);
+    socket.addEventListener('error', (event) => handleError(new Error(event.message || `WebSocket error on ${target}`)));
+    socket.addEventListener('close', () => handleClose(socket));
+  }
+
+  /**
+   * Helper: Connection established; introduce this host and send buffered lines
+   */
+  function handleOpen() {
+    connected = true;
+    attempts = 0;
+    stats.connectedSince = Date.now();
+
+    send({ type: 'hello', host: config.hostId, token: config.token, version: PROTOCOL_VERSION });
+    flushBuffer();
+
+    emitter.emit('connected', { target, hostId: config.hostId });
+  }
+
+  /**
+   * Helper: Connection failed or broke
+   */
+  function handleError(err) {
+    stats.lastError = err.message;
+    emitter.emit('error', err);
+  }
+
+  /**
+   * Helper: Connection closed; schedule a reconnect with backoff
+   */
+  function handleClose(socket) {
+    if (connection !== socket) return;
+
+    const wasConnected = connected;
+    connection = null;
+    connected = false;
+    stats.connectedSince = null;
+    clearDrainTimer();
+
+    if (closed) return;
+
+    if (wasConnected) {
+      emitter.emit('disconnected', { target });
+    }
+
+    const delay = Math.min(config.reconnectDelay * Math.pow(2, attempts), 30000);
+    attempts++;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      stats.reconnects++;
+      connect();
+    }, delay);
+  }
+
+  /**
+   * Forward one captured line (capture-manager 'data' event payload)
+   * Lines that already came through an ingest port keep their origin
+   */
+  function forward(captureData) {
+    if (closed) return;
+
+    const entry = {
+      host: captureData.origin || config.hostId,
+      timestamp: captureData.timestamp || Date.now(),
+      port: captureData.originPort || captureData.port,
+      parser: captureData.parser,
+      label: captureData.label || null,
+      data: captureData.data,
+      direction: captureData.direction || null,
+      connectionId: captureData.connectionId || null,
+      src: captureData.src || null,
+      dst: captureData.dst || null
+    };
+
+    if (connected && buffer.length === 0 && !isCongested()) {
+      send(entry);
+      stats.forwarded++;
+      return;
+    }
+
+    buffer.push(entry);
+    if (buffer.length > config.bufferSize) {
+      buffer.shift();
+      stats.dropped++;
+    }
+    stats.buffered = buffer.length;
+    scheduleDrain();
+  }
+
+  /**
+   * Helper: Send buffered lines while the connection accepts them
+   */
+  function flushBuffer() {
+    while (connected && buffer.length > 0 && !isCongested()) {
+      send(buffer.shift());
+      stats.forwarded++;
+    }
+    stats.buffered = buffer.length;
+    scheduleDrain();
+  }
+
+  /**
+   * Helper: The socket has more queued than it wants
+   * TCP: 'drain' pending; WebSocket: bufferedAmount past WEBSOCKET_HIGH_WATER_MARK
+   */
+  function isCongested() {
+    if (connection === null) return false;
+    if (config.transport === 'websocket') {
+      return connection.bufferedAmount > WEBSOCKET_HIGH_WATER_MARK;
+    }
+    return connection.writableNeedDrain;
+  }
+
+  /**
+   * Helper: Retry a congested WebSocket later (TCP flushes on 'drain')
+   */
+  function scheduleDrain() {
+    if (config.transport !== 'websocket' || !connected || buffer.length === 0 || drainTimer) return;
+
+    drainTimer = setTimeout(() => {
+      drainTimer = null;
+      flushBuffer();
+    }, WEBSOCKET_DRAIN_POLL);
+  }
+
+  /**
+   * Helper: Stop retrying a congested WebSocket
+   */
+  function clearDrainTimer() {
+    if (drainTimer) {
+      clearTimeout(drainTimer);
+      drainTimer = null;
+    }
+  }
+
+  /**
+   * Helper: Write one JSON object
+   */
+  function send(entry) {
+    const json = JSON.stringify(entry);
+    if (config.transport === 'websocket') {
+      connection.send(json);
+    } else {
+      connection.write(json + '\n');
+    }
+  }
+
+  /**
+   * Stop forwarding and close the connection
+   * Buffered lines are sent first when connected; lines buffered while
+   * disconnected cannot be delivered and are counted as dropped
+   * @returns {Promise} Resolves when the connection is closed
+   */
+  function close() {
+    closed = true;
+    clearDrainTimer();
+
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+
+    if (connected) {
+      // end()/close() only go out after everything already queued
+      buffer.forEach(send);
+      stats.forwarded += buffer.length;
+    } else {
+      stats.dropped += buffer.length;
+    }
+    buffer = [];
+    stats.buffered = 0;
+
+    const socket = connection;
+    if (!socket) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      if (config.transport === 'websocket') {
+        socket.addEventListener('close', () => resolve());
+        socket.close();
+      } else {
+        socket.once('close', () => resolve());
+        socket.end();
+      }
+    });
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return {
+      target,
+      transport: config.transport,
+      hostId: config.hostId,
+      connected,
+      ...stats
+    };
+  }
+
+  return {
+    connect,
+    forward,
+    close,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+module.exports = { createForwarder, TRANSPORTS };
@@ -38,6 +38,16 @@ function createBaseParser(config = {}) {
       throw new Error('parse() must be implemented');
     },
 
+    /**
+     * Message type of a line without parsing it (optional)
+     * Lets the ingestion queue shed lines by type without parsing them
+     * @param {string} message - Raw message
+     * @returns {string|null} Message type, or null if unknown
+     */
+    identifyType(message) {
+      return null;
+    },
+
     /**
      * Validate parsed message (optional)
      * @param {Object} parsed - Parsed message
@@ -0,0 +1,255 @@
+/**
+ * grammar-parser.js
+ * Compile declarative parser definitions (JSON/YAML) into parser factories
+ *
+ * A definition describes the message types of a line protocol without code:
+ *
+ *   name: fsd-metar
+ *   delimiter: ":"
+ *   lookups:
+ *     kinds: { METAR: Weather report }
+ *   messages:
+ *     - type: METAR_RESPONSE
+ *       prefix: $AR
+ *       fields:
+ *         - { name: from }
+ *         - { name: to }
+ *         - { name: kind, lookup: kinds }
+ *         - { name: report, rest: true }
+ *       humanReadable: "METAR for {to}: {report}"
+ *
+ * The prefix is stripped before the line is split, so the first field is the
+ * text right after it. The compiled parser behaves like a hand-written one:
+ * canHandle() matches the prefixes, parse() returns { type, raw, parsed,
+ * humanReadable, timestamp }.
+ */
+
+const { readFileSync } = require('fs');
+const { extname, basename } = require('path');
+const {
+  createBaseParser,
+  splitMessage,
+  parseIntField,
+  parseFloatField
+} = require('./base-parser');
+
+const GRAMMAR_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const FIELD_TYPES = ['string', 'int', 'float', 'boolean', 'list', 'skip'];
+const TRUE_VALUES = ['1', 'true', 'T', 'Y', 'yes'];
+
+/**
+ * Read a grammar definition file
+ * @param {string} filePath - .json, .yaml or .yml file
+ * @returns {Object} Parsed definition
+ */
+function loadGrammarFile(filePath) {
+  const extension = extname(filePath).toLowerCase();
+  const content = readFileSync(filePath, 'utf-8');
+
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+
+  if (typeof Bun === 'undefined' || !Bun.YAML) {
+    throw new Error(`YAML parser definitions require Bun (${basename(filePath)}); use JSON under Node`);
+  }
+  return Bun.YAML.parse(content);
+}
+
+/**
+ * Compile a grammar definition into a parser factory
+ * @param {Object} definition - Grammar definition (see file header)
+ * @param {string} source - Where the definition came from, for error messages
+ * @returns {Function} Factory (config) => parser, usable with parserRegistry.register()
+ */
+function compileGrammar(definition, source = 'grammar') {
+  const grammar = validateGrammar(definition, source);
+
+  return function createGrammarParser(config = {}) {
+    const base = createBaseParser({
+      name: grammar.name,
+      version: grammar.version,
+      description: grammar.description,
+      ...config
+    });
+
+    return {
+      ...base,
+
+      canHandle(message) {
+        if (!message || message.length === 0) return false;
+        return grammar.messages.some(rule => matchPrefix(rule, message) !== null);
+      },
+
+      identifyType(message) {
+        const rule = grammar.messages.find(candidate => matchPrefix(candidate, message) !== null);
+        return rule ? rule.type : null;
+      },
+
+      parse(message) {
+        for (const rule of grammar.messages) {
+          const prefix = matchPrefix(rule, message);
+          if (prefix === null) continue;
+
+          const parsed = parseRule(rule, message.substring(prefix.length), grammar);
+          return {
+            type: rule.type,
+            raw: message,
+            parsed,
+            humanReadable: parsed ? renderTemplate(rule.humanReadable, parsed, rule.type) : 'Unable to parse message',
+            timestamp: Date.now()
+          };
+        }
+
+        return null;
+      },
+
+      getMetadata() {
+        return {
+          ...base.getMetadata(),
+          grammar: source,
+          messageTypes: grammar.messages.map(rule => rule.type)
+        };
+      }
+    };
+  };
+}
+
+/**
+ * Helper: Check a definition and fill in defaults
+ * Throws on the first problem so a broken file never registers a half-working parser
+ */
+function validateGrammar(definition, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid parser definition ${source}: ${message}`);
+  };
+
+  if (!definition || typeof definition !== 'object') fail('expected an object');
+  if (!definition.name || typeof definition.name !== 'string') fail('missing name');
+  if (!Array.isArray(definition.messages) || definition.messages.length === 0) fail('missing messages');
+
+  const lookups = definition.lookups || {};
+  const delimiter = definition.delimiter || ':';
+
+  const messages = definition.messages.map((rule, index) => {
+    const where = `messages[${index}]`;
+    if (!rule.type) fail(`${where} has no type`);
+
+    const prefixes = rule.prefixes || (rule.prefix !== undefined ? [rule.prefix] : []);
+    if (prefixes.length === 0 || prefixes.some(prefix => typeof prefix !== 'string' || prefix === '')) {
+      fail(`${where} (${rule.type}) needs a prefix or prefixes`);
+    }
+
+    const fields = (rule.fields || []).map((field, position) => {
+      const fieldWhere = `${where}.fields[${position}]`;
+      const type = field.type || 'string';
+
+      if (!FIELD_TYPES.includes(type)) fail(`${fieldWhere} has unknown type '${type}' (expected ${FIELD_TYPES.join(', ')})`);
+      if (type !== 'skip' && !field.name) fail(`${fieldWhere} has no name`);
+      if (field.rest && position !== rule.fields.length - 1) fail(`${fieldWhere} is rest but not the last field`);
+      if (typeof field.lookup === 'string' && !lookups[field.lookup]) fail(`${fieldWhere} uses unknown lookup '${field.lookup}'`);
+
+      return { ...field, type };
+    });
+
+    const required = fields.filter(field => !field.optional && !field.rest).length;
+
+    return {
+      type: rule.type,
+      prefixes: prefixes.slice().sort((a, b) => b.length - a.length),
+      delimiter: rule.delimiter || delimiter,
+      fields,
+      minFields: rule.minFields !== undefined ? rule.minFields : required,
+      humanReadable: rule.humanReadable || null
+    };
+  });
+
+  return {
+    name: definition.name,
+    version: definition.version || '1.0.0',
+    description: definition.description || 'Declarative parser (' + source + ')',
+    lookups,
+    messages
+  };
+}
+
+/**
+ * Helper: The rule prefix the message starts with, or null
+ */
+function matchPrefix(rule, message) {
+  const prefix = rule.prefixes.find(candidate => message.startsWith(candidate));
+  return prefix === undefined ? null : prefix;
+}
+
+/**
+ * Helper: Split the text after the prefix and convert every field
+ * @returns {Object|null} Parsed fields, null if there are fewer than minFields
+ */
+function parseRule(rule, body, grammar) {
+  const values = splitMessage(body, rule.delimiter);
+  if (values.length < rule.minFields) return null;
+
+  const parsed = {};
+
+  rule.fields.forEach((field, position) => {
+    if (field.type === 'skip') return;
+
+    const raw = field.rest ? values.slice(position).join(rule.delimiter) : values[position];
+    parsed[field.name] = convertField(field, raw, grammar.lookups);
+  });
+
+  return parsed;
+}
+
+/**
+ * Helper: Convert one raw field value by type, then map it through its lookup
+ */
+function convertField(field, raw, lookups) {
+  const fallback = field.default !== undefined ? field.default : null;
+  if (raw === undefined || raw === '') return fallback;
+
+  let value;
+  switch (field.type) {
+    case 'int':
+      value = parseIntField(raw, fallback);
+      break;
+    case 'float':
+      value = parseFloatField(raw, fallback);
+      break;
+    case 'boolean':
+      value = TRUE_VALUES.includes(raw);
+      break;
+    case 'list':
+      value = raw.split(field.separator || ' ').filter(Boolean);
+      break;
+    default:
+      value = raw;
+  }
+
+  if (!field.lookup) return value;
+
+  const table = typeof field.lookup === 'string' ? lookups[field.lookup] : field.lookup;
+  return Object.prototype.hasOwnProperty.call(table, value) ? table[value] : value;
+}
+
+/**
+ * Helper: Fill {field} placeholders; {type} is the message type
+ * Without a template the message type is described like fsd-parser does
+ */
+function renderTemplate(template, parsed, type) {
+  if (!template) return type.replace(/_/g, ' ').toLowerCase();
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (name === 'type') return type;
+    const value = parsed[name];
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join(' ') : String(value);
+  });
+}
+
+module.exports = {
+  compileGrammar,
+  loadGrammarFile,
+  GRAMMAR_EXTENSIONS,
+  FIELD_TYPES
+};
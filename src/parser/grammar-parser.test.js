@@ -0,0 +1,108 @@
+const { describe, test, expect } = require('bun:test');
+const { join } = require('path');
+const { compileGrammar, loadGrammarFile } = require('./grammar-parser');
+
+const EXAMPLE = join(__dirname, '../../parsers/example-grammar.yaml');
+
+const METAR = {
+  name: 'fsd-metar',
+  lookups: { kinds: { METAR: 'Weather report' } },
+  messages: [
+    {
+      type: 'METAR_RESPONSE',
+      prefix: '$AR',
+      fields: [
+        { name: 'from' },
+        { name: 'to' },
+        { name: 'kind', lookup: 'kinds' },
+        { name: 'report', rest: true }
+      ],
+      humanReadable: 'METAR for {to}: {report}'
+    },
+    {
+      type: 'METAR_REQUEST',
+      prefixes: ['$AX', '$AXX'],
+      fields: [
+        { type: 'skip' },
+        { name: 'station' },
+        { name: 'count', type: 'int', optional: true, default: 1 },
+        { name: 'ratio', type: 'float', optional: true },
+        { name: 'urgent', type: 'boolean', optional: true },
+        { name: 'options', type: 'list', separator: ',', optional: true },
+        { name: 'mode', lookup: { A: 'auto', M: 'manual' }, optional: true }
+      ]
+    }
+  ]
+};
+
+describe('grammar compiler', () => {
+  const parser = compileGrammar(METAR, 'metar.json')();
+
+  test('matches only the rule prefixes', () => {
+    expect(parser.canHandle('$ARSERVER:EDDF_APP:METAR:EDDF 121050Z')).toBe(true);
+    expect(parser.canHandle('$CQEDDF_APP:SERVER:RN')).toBe(false);
+    expect(parser.canHandle('')).toBe(false);
+    expect(parser.identifyType('$AXXEDDF_APP:EDDF')).toBe('METAR_REQUEST');
+    expect(parser.identifyType('#TMA:B:hi')).toBeNull();
+  });
+
+  test('splits fields after the prefix, applies lookups and keeps the rest together', () => {
+    const message = parser.parse('$ARSERVER:EDDF_APP:METAR:EDDF 121050Z 27010KT:Q1013');
+
+    expect(message).toMatchObject({
+      type: 'METAR_RESPONSE',
+      raw: '$ARSERVER:EDDF_APP:METAR:EDDF 121050Z 27010KT:Q1013',
+      parsed: { from: 'SERVER', to: 'EDDF_APP', kind: 'Weather report', report: 'EDDF 121050Z 27010KT:Q1013' },
+      humanReadable: 'METAR for EDDF_APP: EDDF 121050Z 27010KT:Q1013'
+    });
+  });
+
+  test('converts field types, fills defaults and drops skipped fields', () => {
+    const full = parser.parse('$AXXEDDF_APP:EDDF:3:0.5:Y:A,B:M').parsed;
+    expect(full).toEqual({ station: 'EDDF', count: 3, ratio: 0.5, urgent: true, options: ['A', 'B'], mode: 'manual' });
+
+    const minimal = parser.parse('$AXEDDF_APP:EDDF').parsed;
+    expect(minimal).toEqual({ station: 'EDDF', count: 1, ratio: null, urgent: null, options: null, mode: null });
+  });
+
+  test('prefers the longest matching prefix', () => {
+    expect(parser.parse('$AXXEDDF_APP:EDDF').parsed.station).toBe('EDDF');
+  });
+
+  test('describes the type when there is no template', () => {
+    expect(parser.parse('$AXEDDF_APP:EDDF').humanReadable).toBe('metar request');
+  });
+
+  test('leaves fields empty when there are fewer than required', () => {
+    const message = parser.parse('$ARSERVER:EDDF_APP');
+
+    expect(message.type).toBe('METAR_RESPONSE');
+    expect(message.parsed).toBeNull();
+    expect(message.humanReadable).toBe('Unable to parse message');
+  });
+
+  test('reports its message types in the metadata', () => {
+    expect(parser.getMetadata()).toMatchObject({ name: 'fsd-metar', grammar: 'metar.json', messageTypes: ['METAR_RESPONSE', 'METAR_REQUEST'] });
+  });
+
+  test('rejects broken definitions with the source and location', () => {
+    const invalid = (definition) => () => compileGrammar(definition, 'broken.yaml');
+
+    expect(invalid(null)).toThrow('Invalid parser definition broken.yaml: expected an object');
+    expect(invalid({ name: 'x', messages: [] })).toThrow('missing messages');
+    expect(invalid({ name: 'x', messages: [{ type: 'A' }] })).toThrow('messages[0] (A) needs a prefix or prefixes');
+    expect(invalid({ name: 'x', messages: [{ type: 'A', prefix: '#A', fields: [{ name: 'a', type: 'date' }] }] }))
+      .toThrow("messages[0].fields[0] has unknown type 'date'");
+    expect(invalid({ name: 'x', messages: [{ type: 'A', prefix: '#A', fields: [{ name: 'a', rest: true }, { name: 'b' }] }] }))
+      .toThrow('messages[0].fields[0] is rest but not the last field');
+    expect(invalid({ name: 'x', messages: [{ type: 'A', prefix: '#A', fields: [{ name: 'a', lookup: 'missing' }] }] }))
+      .toThrow("messages[0].fields[0] uses unknown lookup 'missing'");
+  });
+
+  test('compiles the bundled example grammar', () => {
+    const example = compileGrammar(loadGrammarFile(EXAMPLE), 'example-grammar.yaml')();
+
+    expect(example.parse('#CLR:EGLL_TWR:BAW1:TKOF:RWY 27L').humanReadable).toBe('EGLL_TWR to BAW1: Takeoff Clearance RWY 27L');
+    expect(example.parse('#RBK:BAW1:EGLL_TWR:LAND').parsed).toEqual({ from: 'BAW1', to: 'EGLL_TWR', clearanceType: 'Landing Clearance', correct: false });
+  });
+});
@@ -1,10 +1,18 @@
 /**
  * parser-registry.js
  * Registry for managing parser plugins
+ *
+ * Parsers loaded from a directory can be hot-reloaded: watchDirectory()
+ * re-reads changed files, validates the new parser and only then swaps it in.
+ * A file that fails to load or validate keeps the previous version.
  */
 
-const { readdirSync, existsSync, statSync } = require('fs');
-const { join, extname } = require('path');
+const { readdirSync, existsSync, statSync, watch } = require('fs');
+const { extname, basename, resolve } = require('path');
+const EventEmitter = require('events');
+const { compileGrammar, loadGrammarFile, GRAMMAR_EXTENSIONS } = require('./grammar-parser');
+
+const DEFAULT_RELOAD_DEBOUNCE = 250;
 
 /**
  * Create a parser registry
@@ -12,6 +20,11 @@ const { join, extname } = require('path');
 function createParserRegistry() {
   const parsers = new Map();
   const instances = new Map();
+  const sources = new Map(); // file path -> parser name
+  const emitter = new EventEmitter();
+
+  let watcher = null;
+  const pendingReloads = new Map(); // file path -> debounce timer
 
   /**
    * Register a parser factory function
@@ -28,7 +41,18 @@ function createParserRegistry() {
    */
   function unregister(name) {
     parsers.delete(name);
-    instances.delete(name);
+    clearParserInstances(name);
+  }
+
+  /**
+   * Helper: Drop cached instances of one parser (cache keys are name:config)
+   */
+  function clearParserInstances(name) {
+    for (const key of instances.keys()) {
+      if (key.startsWith(name + ':')) {
+        instances.delete(key);
+      }
+    }
   }
 
   /**
@@ -67,6 +91,18 @@ function createParserRegistry() {
     return instance;
   }
 
+  /**
+   * Compile and register a declarative parser definition
+   * @param {Object} definition - Grammar definition (see grammar-parser.js)
+   * @param {string} source - Where the definition came from, for error messages
+   * @returns {string} Registered parser name
+   */
+  function registerGrammar(definition, source) {
+    const factory = compileGrammar(definition, source);
+    register(definition.name, factory);
+    return definition.name;
+  }
+
   /**
    * Get all registered parser names
    */
@@ -99,27 +135,18 @@ function createParserRegistry() {
     let loaded = 0;
 
     files.forEach(file => {
-      if (extname(file) !== '.js') return;
+      if (!isParserFile(file)) return;
 
       try {
-        const filePath = join(dirPath, file);
+        const filePath = resolve(dirPath, file);
         const stat = statSync(filePath);
 
         if (!stat.isFile()) return;
 
-        const module = require(filePath);
-        const parserName = file.replace('.js', '');
-
-        // Check for factory function
-        if (typeof module === 'function') {
-          register(parserName, module);
-          loaded++;
-        } else if (module.createParser && typeof module.createParser === 'function') {
-          register(parserName, module.createParser);
-          loaded++;
-        } else if (module[`create${capitalize(parserName)}Parser`]) {
-          const factoryName = `create${capitalize(parserName)}Parser`;
-          register(parserName, module[factoryName]);
+        const candidate = loadParserFile(filePath);
+        if (candidate) {
+          register(candidate.name, candidate.factory);
+          sources.set(filePath, candidate.name);
           loaded++;
         }
       } catch (err) {
@@ -131,24 +158,208 @@ function createParserRegistry() {
   }
 
   /**
-   * Clear all instances (force reload)
+   * Helper: Read a parser file into { name, factory }, null if a .js file exports no factory
+   * Declarative definitions register under their own name, modules under the file name
    */
-  function clearInstances() {
-    instances.clear();
+  function loadParserFile(filePath) {
+    const file = basename(filePath);
+
+    if (extname(file).toLowerCase() !== '.js') {
+      const definition = loadGrammarFile(filePath);
+      return { name: definition.name, factory: compileGrammar(definition, file) };
+    }
+
+    const module = require(filePath);
+    const parserName = file.replace('.js', '');
+    const factoryName = `create${capitalize(parserName)}Parser`;
+
+    // Check for factory function
+    if (typeof module === 'function') {
+      return { name: parserName, factory: module };
+    } else if (module.createParser && typeof module.createParser === 'function') {
+      return { name: parserName, factory: module.createParser };
+    } else if (typeof module[factoryName] === 'function') {
+      return { name: parserName, factory: module[factoryName] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reload one parser file, validating the new version before swapping it in
+   * On any error the previous factory (and require cache entry) stays in place
+   * @param {string} filePath - Parser file
+   * @returns {Object} { name, file, version } of the reloaded parser
+   */
+  function reloadFile(filePath) {
+    const file = basename(filePath);
+    const previousName = sources.get(filePath) || null;
+    const cacheKey = extname(file).toLowerCase() === '.js' ? require.resolve(filePath) : null;
+    const previousModule = cacheKey ? require.cache[cacheKey] : undefined;
+
+    try {
+      if (cacheKey) {
+        delete require.cache[cacheKey];
+      }
+
+      const candidate = loadParserFile(filePath);
+      if (!candidate) {
+        throw new Error('no parser factory exported');
+      }
+
+      const metadata = validateParser(candidate.name, candidate.factory);
+
+      // Swap in: a renamed parser drops its old name
+      if (previousName && previousName !== candidate.name) {
+        unregister(previousName);
+      }
+      parsers.set(candidate.name, candidate.factory);
+      clearParserInstances(candidate.name);
+      sources.set(filePath, candidate.name);
+
+      const info = { name: candidate.name, file, version: metadata.version || null, timestamp: Date.now() };
+      emitter.emit('parser-reloaded', info);
+      return info;
+    } catch (err) {
+      if (cacheKey) {
+        if (previousModule) {
+          require.cache[cacheKey] = previousModule;
+        } else {
+          delete require.cache[cacheKey];
+        }
+      }
+
+      const info = { name: previousName, file, error: err.message, timestamp: Date.now() };
+      emitter.emit('parser-reload-failed', info);
+      throw new Error(`Reload of ${file} failed, keeping previous version: ${err.message}`);
+    }
+  }
+
+  /**
+   * Helper: Instantiate a candidate factory and check the parser interface
+   * @returns {Object} Parser metadata
+   */
+  function validateParser(name, factory) {
+    const instance = factory({});
+
+    if (!instance || typeof instance.canHandle !== 'function' || typeof instance.parse !== 'function') {
+      throw new Error(`parser '${name}' must implement canHandle() and parse()`);
+    }
+    if (typeof instance.init === 'function') {
+      instance.init();
+    }
+
+    // Must survive a line it does not handle
+    instance.canHandle('');
+
+    return instance.getMetadata ? instance.getMetadata() : { name };
+  }
+
+  /**
+   * Watch a parser directory and hot-reload changed files
+   * @param {string} dirPath - Directory previously passed to loadFromDirectory()
+   * @param {Object} options - { debounce } in ms, editors write files in several steps
+   */
+  function watchDirectory(dirPath, options = {}) {
+    if (!existsSync(dirPath)) {
+      console.warn(`Parser directory not found: ${dirPath}`);
+      return;
+    }
+
+    unwatch();
+    const debounce = options.debounce || DEFAULT_RELOAD_DEBOUNCE;
+
+    watcher = watch(dirPath, (eventType, file) => {
+      if (!file || !isParserFile(file)) return;
+
+      const filePath = resolve(dirPath, file);
+      clearTimeout(pendingReloads.get(filePath));
+      pendingReloads.set(filePath, setTimeout(() => {
+        pendingReloads.delete(filePath);
+        handleFileChange(filePath);
+      }, debounce));
+    });
+
+    watcher.on('error', (err) => {
+      console.error(`Parser watcher error on ${dirPath}:`, err.message);
+    });
+
+    console.log(`Watching ${dirPath} for parser changes`);
+  }
+
+  /**
+   * Helper: Reload a changed file; deleted files keep their parser until restart
+   */
+  function handleFileChange(filePath) {
+    if (!existsSync(filePath)) {
+      if (sources.has(filePath)) {
+        console.warn(`Parser file ${basename(filePath)} was removed; '${sources.get(filePath)}' stays registered until restart`);
+      }
+      return;
+    }
+
+    try {
+      const info = reloadFile(filePath);
+      console.log(`Reloaded parser '${info.name}' from ${info.file}`);
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+
+  /**
+   * Stop watching the parser directory
+   */
+  function unwatch() {
+    for (const timer of pendingReloads.values()) {
+      clearTimeout(timer);
+    }
+    pendingReloads.clear();
+
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+  }
+
+  /**
+   * Clear cached instances (force reload)
+   * @param {string} name - Only this parser's instances (optional)
+   */
+  function clearInstances(name) {
+    if (name) {
+      clearParserInstances(name);
+    } else {
+      instances.clear();
+    }
   }
 
   return {
     register,
+    registerGrammar,
     unregister,
     has,
     create,
     list,
     getMetadata,
     loadFromDirectory,
-    clearInstances
+    reloadFile,
+    watchDirectory,
+    unwatch,
+    clearInstances,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
   };
 }
 
+/**
+ * Helper: JavaScript modules and declarative definitions
+ */
+function isParserFile(file) {
+  const extension = extname(file).toLowerCase();
+  return extension === '.js' || GRAMMAR_EXTENSIONS.includes(extension);
+}
+
 /**
  * Helper: Capitalize first letter
  */
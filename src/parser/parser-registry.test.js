@@ -0,0 +1,86 @@
+const { describe, test, expect, beforeEach, afterEach, spyOn } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createParserRegistry } = require('./parser-registry');
+
+/**
+ * Helper: Source of a parser module answering every line with `type`
+ */
+function parserSource(type) {
+  return `module.exports = function createParser() {
+  return {
+    canHandle: () => true,
+    parse: line => ({ type: '${type}', raw: line }),
+    getMetadata: () => ({ name: 'echo', version: '${type}' })
+  };
+};
+`;
+}
+
+describe('parser hot reload', () => {
+  let dir;
+  let file;
+  let registry;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'parser-registry-'));
+    file = join(dir, 'echo.js');
+    fs.writeFileSync(file, parserSource('V1'));
+    spyOn(console, 'log').mockImplementation(() => {});
+    spyOn(console, 'error').mockImplementation(() => {});
+
+    registry = createParserRegistry();
+    registry.loadFromDirectory(dir);
+  });
+
+  afterEach(() => {
+    registry.unwatch();
+    console.log.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('swaps in a changed parser file', () => {
+    expect(registry.create('echo').parse('x').type).toBe('V1');
+
+    fs.writeFileSync(file, parserSource('V2'));
+    expect(registry.reloadFile(file)).toMatchObject({ name: 'echo', file: 'echo.js', version: 'V2' });
+
+    expect(registry.create('echo').parse('x').type).toBe('V2');
+  });
+
+  test('keeps the previous parser when the new file does not compile', () => {
+    const failures = [];
+    registry.on('parser-reload-failed', info => failures.push(info));
+
+    fs.writeFileSync(file, 'module.exports = function createParser( {');
+    expect(() => registry.reloadFile(file)).toThrow('Reload of echo.js failed, keeping previous version');
+
+    expect(failures).toMatchObject([{ name: 'echo', file: 'echo.js' }]);
+    expect(registry.create('echo').parse('x').type).toBe('V1');
+  });
+
+  test('keeps the previous parser when the new one lacks parse()', () => {
+    fs.writeFileSync(file, 'module.exports = () => ({ canHandle: () => true });');
+    expect(() => registry.reloadFile(file)).toThrow("parser 'echo' must implement canHandle() and parse()");
+
+    expect(registry.list()).toEqual(['echo']);
+    expect(registry.create('echo').parse('x').type).toBe('V1');
+
+    // A later fixed version still loads
+    fs.writeFileSync(file, parserSource('V3'));
+    registry.reloadFile(file);
+    expect(registry.create('echo').parse('x').type).toBe('V3');
+  });
+
+  test('a watched directory rolls back a broken save', async () => {
+    const failed = new Promise(resolve => registry.once('parser-reload-failed', resolve));
+    registry.watchDirectory(dir, { debounce: 10 });
+
+    fs.writeFileSync(file, 'throw new Error("half-written");');
+
+    expect((await failed).error).toBe('half-written');
+    expect(registry.create('echo').parse('x').type).toBe('V1');
+  });
+});
@@ -11,6 +11,52 @@ const {
   parseFloatField
 } = require('../base-parser');
 
+// Flight rules codes (ICAO item 8)
+const FLIGHT_RULES = {
+  I: 'IFR',
+  V: 'VFR',
+  Y: 'IFR then VFR',
+  Z: 'VFR then IFR',
+  D: 'DVFR',
+  S: 'SVFR'
+};
+
+// ICAO item 18 indicators
+const ITEM18_INDICATORS = [
+  'STS', 'PBN', 'NAV', 'COM', 'DAT', 'SUR', 'DEP', 'DEST', 'DOF', 'REG', 'EET', 'SEL', 'TYP',
+  'CODE', 'DLE', 'OPR', 'ORGN', 'PER', 'ALTN', 'RALT', 'TALT', 'RIF', 'RMK', 'RVR', 'RFP'
+];
+
+const ITEM18_PATTERN = new RegExp('(?:^|\\s)(' + ITEM18_INDICATORS.join('|') + ')/', 'g');
+
+// VATSIM voice capability markers in the remarks
+const VOICE_CAPABILITY = { V: 'voice', R: 'receive', T: 'text' };
+
+// Network ratings carried by #AA, #AP and $CR RN (index = rating number)
+const RATING_NAMES = ['', 'OBS', 'S1', 'S2', 'S3', 'C1', 'C2', 'C3', 'I1', 'I2', 'I3', 'SUP', 'ADM'];
+
+// $CR ATIS line kinds
+const ATIS_LINE_KINDS = { V: 'voice', T: 'text', Z: 'logoff', E: 'end' };
+
+// $CQ query types documented in docs/FSD_QUERY_TYPES.md -> typed field parser
+// (fsd-parser.test.js fails when the doc and this table list different types)
+const QUERY_PARSERS = {
+  ACC: parseConfigQuery,
+  WH: parseTargetQuery,
+  SC: parseScratchpadQuery,
+  TA: parseAltitudeQuery,
+  FA: parseAltitudeQuery,
+  IT: parseTargetQuery,
+  FP: parseTargetQuery,
+  BC: parseSquawkQuery,
+  HT: parseHandoffQuery,
+  DR: parseTargetQuery,
+  VT: parseVoiceTypeQuery,
+  ATC: parseTargetQuery,
+  NEWATIS: parseAtisQuery,
+  NEWINFO: parseInfoQuery
+};
+
 /**
  * Create FSD parser instance
  */
@@ -28,103 +74,71 @@ function createFsdParser(config = {}) {
     canHandle(message) {
       if (!message || message.length === 0) return false;
 
-      const prefixes = ['@S:', '@N:', '$FP', '$CQ', '#TM', '#PC', '#AP', '#ST', '%', '$ZC', '$CR', '$ZR', '#AA', '#DA'];
+      const prefixes = ['@S:', '@N:', '$FP', '$CQ', '#TM', '#PC', '#AP', '#ST', '%', '$ZC', '$CR', '$ZR', '#AA', '#DA', '#SB', '#DP'];
       return startsWithAny(message, prefixes);
     },
 
-    parse(message) {
-      // Split batched messages by \r\n
-      const subMessages = message.split('\\r\\n').filter(m => m.trim().length > 0);
-
-      // If only one message, parse normally
-      if (subMessages.length === 1) {
-        const type = identifyMessageType(message);
-        let parsed = null;
-
-        switch (type) {
-          case 'POSITION_SLOW':
-          case 'POSITION_FAST':
-            parsed = parsePosition(message);
-            break;
-          case 'FLIGHT_PLAN':
-            parsed = parseFlightPlan(message);
-            break;
-          case 'CLIENT_QUERY':
-            parsed = parseClientQuery(message);
-            break;
-          case 'TEXT_MESSAGE':
-            parsed = parseTextMessage(message);
-            break;
-          case 'CONTROLLER_POSITION':
-            parsed = parseControllerPosition(message);
-            break;
-          case 'AUTH_PILOT':
-            parsed = parseAuthPilot(message);
-            break;
-          case 'POSITION_TRANSMISSION':
-            parsed = parseStationPosition(message);
-            break;
-        }
-
-        return {
-          type,
-          raw: message,
-          parsed,
-          humanReadable: generateHumanReadable(type, parsed),
-          timestamp: Date.now()
-        };
-      }
-
-      // Multiple messages - parse each one
-      const parsedSubMessages = subMessages.map(subMsg => {
-        const type = identifyMessageType(subMsg);
-        let parsed = null;
-
-        switch (type) {
-          case 'POSITION_SLOW':
-          case 'POSITION_FAST':
-            parsed = parsePosition(subMsg);
-            break;
-          case 'FLIGHT_PLAN':
-            parsed = parseFlightPlan(subMsg);
-            break;
-          case 'CLIENT_QUERY':
-            parsed = parseClientQuery(subMsg);
-            break;
-          case 'TEXT_MESSAGE':
-            parsed = parseTextMessage(subMsg);
-            break;
-          case 'CONTROLLER_POSITION':
-            parsed = parseControllerPosition(subMsg);
-            break;
-          case 'AUTH_PILOT':
-            parsed = parseAuthPilot(subMsg);
-            break;
-          case 'POSITION_TRANSMISSION':
-            parsed = parseStationPosition(subMsg);
-            break;
-        }
+    identifyType(message) {
+      return identifyMessageType(message);
+    },
 
-        return {
-          type,
-          raw: subMsg,
-          parsed,
-          humanReadable: generateHumanReadable(type, parsed)
-        };
-      });
+    parse(message) {
+      // The capture layer frames the TCP stream on CRLF: one FSD line per call
+      const type = identifyMessageType(message);
+      const parsed = parseFields(type, message);
 
-      // Return with sub-messages array
       return {
-        type: 'BATCHED',
+        type,
         raw: message,
-        parsed: { subMessages: parsedSubMessages, count: parsedSubMessages.length },
-        humanReadable: parsedSubMessages.length + ' batched messages',
+        parsed,
+        humanReadable: config.humanReadable === false ? null : generateHumanReadable(type, parsed),
         timestamp: Date.now()
       };
     }
   };
 }
 
+/**
+ * Parse message fields for a message type
+ * @returns {Object|null} Parsed fields, or null for types without a field parser
+ */
+function parseFields(type, message) {
+  switch (type) {
+    case 'POSITION_SLOW':
+    case 'POSITION_FAST':
+      return parsePosition(message);
+    case 'FLIGHT_PLAN':
+      return parseFlightPlan(message);
+    case 'CLIENT_QUERY':
+      return parseClientQuery(message);
+    case 'TEXT_MESSAGE':
+      return parseTextMessage(message);
+    case 'CONTROLLER_POSITION':
+      return parseControllerPosition(message);
+    case 'AUTH_PILOT':
+      return parseAuthPilot(message);
+    case 'POSITION_TRANSMISSION':
+      return parseStationPosition(message);
+    case 'CLIENT_RESPONSE':
+      return parseClientResponse(message);
+    case 'SERVER_RESPONSE':
+      return parseServerResponse(message);
+    case 'CLIENT_ID':
+      return parseClientChallenge(message);
+    case 'AUTH_ADD':
+      return parseAuthAdd(message);
+    case 'AUTH_DELETE':
+    case 'PILOT_DELETE':
+      return parseDelete(message);
+    case 'PILOT_CLIENT':
+      return parsePilotClient(message);
+    case 'SERVER_BROADCAST':
+      return parseServerBroadcast(message);
+    default:
+      return null;
+  }
+}
+
 /**
  * Identify FSD message type
  */
@@ -143,6 +157,8 @@ function identifyMessageType(message) {
   if (message.startsWith('$ZR')) return 'SERVER_RESPONSE';
   if (message.startsWith('#AA')) return 'AUTH_ADD';
   if (message.startsWith('#DA')) return 'AUTH_DELETE';
+  if (message.startsWith('#DP')) return 'PILOT_DELETE';
+  if (message.startsWith('#SB')) return 'SERVER_BROADCAST';
   return 'UNKNOWN';
 }
 
@@ -163,47 +179,236 @@ function parsePosition(message) {
     altitude: parseIntField(fields[6]),
     groundSpeed: parseIntField(fields[7]),
     pbh: fields[8],
+    ...decodePbh(fields[8]),
     flags: fields[9]
   };
 }
 
+/**
+ * Helper: Decode a packed pitch/bank/heading value
+ * Bits 22-31 pitch, 12-21 bank, 2-11 heading (10 bits each, 1024 = 360°),
+ * bit 1 on ground. Pitch and bank are signed and stored negated (nose up
+ * and right wing down are negative on the wire).
+ * @returns {Object} { pitch, bank, heading, onGround } in degrees, nulls if not a number
+ */
+function decodePbh(value) {
+  const packed = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(packed)) {
+    return { pitch: null, bank: null, heading: null, onGround: null };
+  }
+
+  const bits = packed >>> 0;
+  const signed = raw => (raw >= 512 ? raw - 1024 : raw);
+  const degrees = raw => Math.round(raw * 360 / 1024 * 10) / 10;
+
+  return {
+    pitch: -degrees(signed((bits >>> 22) & 0x3ff)) || 0,
+    bank: -degrees(signed((bits >>> 12) & 0x3ff)) || 0,
+    heading: degrees((bits >>> 2) & 0x3ff),
+    onGround: (bits & 0x2) !== 0
+  };
+}
+
 /**
  * Parse flight plan ($FP)
- * Format: $FPCALLSIGN:...flight plan data...
+ * Format: $FPCALLSIGN:RECIPIENT:RULES:AIRCRAFT:TAS:DEP:DEPTIME:ACTDEPTIME:ALT:DEST:
+ *         HRS_ENROUTE:MIN_ENROUTE:HRS_FUEL:MIN_FUEL:ALTN:REMARKS:ROUTE
  */
 function parseFlightPlan(message) {
-  const callsignEnd = message.indexOf(':', 3);
-  if (callsignEnd === -1) return null;
+  const fields = splitMessage(message);
+  if (fields.length < 17) return null;
+
+  const remarks = fields[15];
 
   return {
-    callsign: message.substring(3, callsignEnd),
-    data: message.substring(callsignEnd + 1)
+    callsign: fields[0].substring(3),
+    recipient: fields[1],
+    flightRules: FLIGHT_RULES[fields[2]] || fields[2],
+    aircraft: parseAircraftType(fields[3]),
+    trueAirspeed: parseIntField(fields[4], null),
+    departure: fields[5],
+    proposedDepartureTime: fields[6],
+    actualDepartureTime: fields[7],
+    cruiseAltitude: parseCruiseAltitude(fields[8]),
+    destination: fields[9],
+    enrouteMinutes: parseIntField(fields[10]) * 60 + parseIntField(fields[11]),
+    fuelMinutes: parseIntField(fields[12]) * 60 + parseIntField(fields[13]),
+    alternate: fields[14],
+    remarks,
+    item18: parseItem18(remarks),
+    voiceCapability: parseVoiceCapability(remarks),
+    // The route is the last field; keep any stray separators in it
+    route: fields.slice(16).join(':').trim()
   };
 }
 
+/**
+ * Helper: Split aircraft type, wake category and equipment
+ * ICAO format: A320/M-SDE3FGHIRWY/LB1 (type/wake-equipment/surveillance)
+ * FAA format:  H/B744/L or B738/L ([prefix/]type/equipment suffix)
+ */
+function parseAircraftType(value) {
+  const icao = value.match(/^([A-Z0-9]{2,4})\/([LMHJ])-([^/]*)(?:\/(.*))?$/);
+  if (icao) {
+    return { code: value, type: icao[1], wake: icao[2], equipment: icao[3], surveillance: icao[4] || null };
+  }
+
+  const faa = value.match(/^(?:([A-Z])\/)?([A-Z0-9]{2,4})(?:\/([A-Z]))?$/);
+  if (faa) {
+    const wake = faa[1] === 'H' || faa[1] === 'J' ? faa[1] : null;
+    return { code: value, type: faa[2], wake, equipment: faa[3] || null, surveillance: null };
+  }
+
+  return { code: value, type: value || null, wake: null, equipment: null, surveillance: null };
+}
+
+/**
+ * Helper: Cruise altitude in feet (34000, FL340 and F340 forms), null for VFR or unknown
+ */
+function parseCruiseAltitude(value) {
+  const level = value.match(/^FL?(\d+)$/i);
+  if (level) return parseInt(level[1], 10) * 100;
+
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Helper: Split ICAO item 18 remarks into indicator -> value
+ * "PBN/A1B1 DOF/251113 RMK/TCAS /V/" -> { PBN: 'A1B1', DOF: '251113', RMK: 'TCAS' }
+ */
+function parseItem18(remarks) {
+  const text = remarks.replace(/\/[VRT]\//g, ' ');
+  const matches = Array.from(text.matchAll(ITEM18_PATTERN));
+  const item18 = {};
+
+  matches.forEach((match, index) => {
+    const start = match.index + match[0].length;
+    const end = index + 1 < matches.length ? matches[index + 1].index : text.length;
+    const value = text.substring(start, end).replace(/\s+/g, ' ').trim();
+
+    // Repeated indicators (e.g. two RMK/) are joined
+    item18[match[1]] = item18[match[1]] ? item18[match[1]] + ' ' + value : value;
+  });
+
+  return item18;
+}
+
+/**
+ * Helper: Voice capability from the /V/, /R/ or /T/ remarks marker
+ */
+function parseVoiceCapability(remarks) {
+  const marker = remarks.match(/\/([VRT])\//);
+  return marker ? VOICE_CAPABILITY[marker[1]] : null;
+}
+
 /**
  * Parse client query ($CQ)
  * Format: $CQCALLSIGN:@SERVER:TYPE:DATA
+ * DATA is split into typed fields by the QUERY_PARSERS entry for TYPE;
+ * undocumented types only keep the raw DATA
  */
 function parseClientQuery(message) {
   const fields = splitMessage(message);
-  if (fields.length < 4) return null;
+  if (fields.length < 3) return null;
 
-  const result = {
+  const queryType = fields[2];
+  const args = fields.slice(3);
+  const parseArgs = QUERY_PARSERS[queryType];
+
+  // Undocumented types keep only the raw arguments in data
+  return {
     callsign: fields[0].substring(3),
     server: fields[1],
-    queryType: fields[2],
-    data: fields.slice(3).join(':')
+    queryType,
+    data: args.join(':'),
+    ...(parseArgs ? parseArgs(args) : {})
   };
+}
 
-  // Try to parse JSON data
+/**
+ * Helper: WH, IT, FP, DR, ATC - TARGET
+ */
+function parseTargetQuery(args) {
+  return { target: args[0] || null };
+}
+
+/**
+ * Helper: ACC - {"config":{...}} aircraft configuration (JSON may contain ':')
+ */
+function parseConfigQuery(args) {
   try {
-    result.json = JSON.parse(result.data);
+    const json = JSON.parse(args.join(':'));
+    return { config: json && typeof json.config === 'object' ? json.config : null };
   } catch (e) {
-    // Not JSON, keep as string
+    return { config: null };
   }
+}
 
-  return result;
+/**
+ * Helper: SC - TARGET:NOTE, an empty note clears the scratch pad
+ */
+function parseScratchpadQuery(args) {
+  const note = args.slice(1).join(':');
+  return { target: args[0] || null, scratchpad: note || null, cleared: note === '' };
+}
+
+/**
+ * Helper: TA, FA - TARGET:ALTITUDE in feet, 0 cancels
+ */
+function parseAltitudeQuery(args) {
+  const altitude = parseIntField(args[1], null);
+  return { target: args[0] || null, altitude: altitude || null, cancelled: altitude === 0 };
+}
+
+/**
+ * Helper: BC - TARGET:SQUAWK
+ */
+function parseSquawkQuery(args) {
+  return { target: args[0] || null, squawk: args[1] ? args[1].padStart(4, '0') : null };
+}
+
+/**
+ * Helper: HT - TARGET:RECEIVING_CONTROLLER
+ */
+function parseHandoffQuery(args) {
+  return { target: args[0] || null, receiver: args[1] || null };
+}
+
+/**
+ * Helper: VT - TARGET:MODE (t, v or r)
+ */
+function parseVoiceTypeQuery(args) {
+  const mode = (args[1] || '').toUpperCase();
+  return { target: args[0] || null, voiceType: VOICE_CAPABILITY[mode] || args[1] || null };
+}
+
+/**
+ * Helper: NEWATIS - LETTER:LINE:LINE... with wind and QNH picked from the lines
+ * "W:34011KT Q1023" -> { atisCode: 'W', wind: { direction: 340, speed: 11, gust: null }, qnh: 1023 }
+ */
+function parseAtisQuery(args) {
+  const lines = args.slice(1).map(line => line.trim()).filter(Boolean);
+  const weather = lines.join(' ');
+  const wind = weather.match(/\b(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?KT\b/);
+  const qnh = weather.match(/\bQ(\d{3,4})\b/);
+
+  return {
+    atisCode: args[0] || null,
+    lines,
+    wind: wind ? {
+      direction: wind[1] === 'VRB' ? null : parseInt(wind[1], 10),
+      speed: parseInt(wind[2], 10),
+      gust: wind[3] ? parseInt(wind[3], 10) : null
+    } : null,
+    qnh: qnh ? parseInt(qnh[1], 10) : null
+  };
+}
+
+/**
+ * Helper: NEWINFO - LETTER
+ */
+function parseInfoQuery(args) {
+  return { infoCode: args[0] || null };
 }
 
 /**
@@ -263,6 +468,7 @@ function parseAuthPilot(message) {
 /**
  * Parse station position (#ST)
  * Format: #STCALLSIGN:LAT:LON:ALT_AGL:GS:FLAGS:VS
+ * FLAGS is packed like the PBH of @N/@S positions
  */
 function parseStationPosition(message) {
   const fields = splitMessage(message);
@@ -275,10 +481,172 @@ function parseStationPosition(message) {
     altitudeAGL: parseFloatField(fields[3]),
     groundSpeed: parseFloatField(fields[4]),
     flags: fields[5],
+    ...decodePbh(fields[5]),
     verticalSpeed: parseFloatField(fields[6])
   };
 }
 
+/**
+ * Parse client response ($CR)
+ * Format: $CRFROM:TO:TYPE:DATA
+ * RN:   $CRFROM:TO:RN:REAL_NAME:CERTIFICATE:RATING
+ * CAPS: $CRFROM:TO:CAPS:KEY=VALUE:KEY=VALUE...
+ * ATIS: $CRFROM:TO:ATIS:KIND:TEXT
+ */
+function parseClientResponse(message) {
+  const fields = splitMessage(message);
+  if (fields.length < 3) return null;
+
+  const result = {
+    from: fields[0].substring(3),
+    to: fields[1],
+    responseType: fields[2],
+    data: fields.slice(3).join(':')
+  };
+
+  switch (result.responseType) {
+    case 'RN':
+      result.realName = fields[3] || null;
+      result.certificate = fields[4] || null;
+      result.rating = parseIntField(fields[5], null);
+      break;
+
+    case 'CAPS':
+      result.capabilities = {};
+      fields.slice(3).forEach(pair => {
+        const [key, value] = pair.split('=');
+        if (key) result.capabilities[key] = value === '1';
+      });
+      break;
+
+    case 'ATIS':
+      result.atis = {
+        kind: ATIS_LINE_KINDS[fields[3]] || fields[3] || null,
+        text: fields.slice(4).join(':')
+      };
+      break;
+  }
+
+  return result;
+}
+
+/**
+ * Parse server response ($ZR)
+ * Format: $ZRCLIENT:SERVER:HASH
+ */
+function parseServerResponse(message) {
+  const fields = splitMessage(message);
+  if (fields.length < 3) return null;
+
+  return {
+    callsign: fields[0].substring(3),
+    server: fields[1],
+    hash: fields[2]
+  };
+}
+
+/**
+ * Parse client identification challenge ($ZC), answered with $ZR
+ * Format: $ZCFROM:TO:CHALLENGE
+ */
+function parseClientChallenge(message) {
+  const fields = splitMessage(message);
+  if (fields.length < 3) return null;
+
+  return {
+    from: fields[0].substring(3),
+    to: fields[1],
+    challenge: fields.slice(2).join(':')
+  };
+}
+
+/**
+ * Parse auth add (#AA)
+ * Format: #AACALLSIGN:SERVER:REAL_NAME:CID::RATING:PROTOCOL
+ */
+function parseAuthAdd(message) {
+  const fields = splitMessage(message);
+  if (fields.length < 7) return null;
+
+  const rating = parseIntField(fields[5]);
+
+  return {
+    callsign: fields[0].substring(3),
+    server: fields[1],
+    realName: fields[2],
+    cid: fields[3],
+    rating,
+    ratingName: RATING_NAMES[rating] || null,
+    protocol: parseIntField(fields[6])
+  };
+}
+
+/**
+ * Parse station or pilot disconnect (#DA, #DP)
+ * Format: #DACALLSIGN:CID
+ */
+function parseDelete(message) {
+  const fields = splitMessage(message);
+  if (fields[0].length <= 3) return null;
+
+  return {
+    callsign: fields[0].substring(3),
+    cid: fields[1] || null
+  };
+}
+
+/**
+ * Parse pilot client protocol message (#PC)
+ * Format: #PCFROM:TO:PROTOCOL:COMMAND:AIRCRAFT:DATA
+ * CCP:BC carries the assigned squawk (0 = none), CCP:IH initiates a handoff
+ */
+function parsePilotClient(message) {
+  const fields = splitMessage(message);
+  if (fields.length < 4) return null;
+
+  const result = {
+    from: fields[0].substring(3),
+    to: fields[1],
+    protocol: fields[2],
+    command: fields[3],
+    aircraft: fields[4] || null,
+    data: fields.slice(5).join(':')
+  };
+
+  if (result.protocol === 'CCP' && result.command === 'BC') {
+    result.squawk = result.data && result.data !== '0' ? result.data.padStart(4, '0') : null;
+  }
+
+  return result;
+}
+
+/**
+ * Parse server broadcast (#SB)
+ * Format: #SBFROM:TO:MESSAGE
+ * Plane info requests (PIR) and replies (PI:GEN:KEY=VALUE...) are decoded
+ */
+function parseServerBroadcast(message) {
+  const fields = splitMessage(message);
+  if (fields.length < 3) return null;
+
+  const result = {
+    from: fields[0].substring(3),
+    to: fields[1],
+    subType: fields[2],
+    message: fields.slice(2).join(':')
+  };
+
+  if (result.subType === 'PI' && fields[3] === 'GEN') {
+    result.planeInfo = {};
+    fields.slice(4).forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (separator > 0) result.planeInfo[pair.substring(0, separator)] = pair.substring(separator + 1);
+    });
+  }
+
+  return result;
+}
+
 /**
  * Generate human-readable description
  */
@@ -288,19 +656,15 @@ function generateHumanReadable(type, parsed) {
   switch (type) {
     case 'POSITION_FAST':
     case 'POSITION_SLOW':
-      return parsed.callsign + ' at ' + Math.round(parsed.altitude) + 'ft, ' +
-             Math.round(parsed.groundSpeed) + 'kts, squawk ' + parsed.squawk;
+      return parsed.callsign + (parsed.onGround ? ' on ground at ' : ' at ') + Math.round(parsed.altitude) + 'ft, ' +
+             Math.round(parsed.groundSpeed) + 'kts' + formatHeading(parsed) + ', squawk ' + parsed.squawk;
 
     case 'FLIGHT_PLAN':
-      const fpData = parsed.data || '';
-      const fpParts = fpData.split(':');
-      if (fpParts.length >= 9) {
-        const dep = fpParts[4] || '?';
-        const dest = fpParts[8] || '?';
-        const alt = fpParts[7] || '?';
-        return parsed.callsign + ' flight plan: ' + dep + ' to ' + dest + ' at FL' + Math.floor(alt/100);
-      }
-      return parsed.callsign + ' filed flight plan';
+      return parsed.callsign + ' ' + parsed.flightRules + ' flight plan: ' +
+             (parsed.departure || '?') + ' to ' + (parsed.destination || '?') +
+             (parsed.cruiseAltitude ? ' at ' + formatAltitude(parsed.cruiseAltitude) : '') +
+             (parsed.aircraft.type ? ', ' + parsed.aircraft.type : '') +
+             (parsed.trueAirspeed ? ', ' + parsed.trueAirspeed + ' kts' : '');
 
     case 'CLIENT_QUERY':
       return generateQueryReadable(parsed);
@@ -316,27 +680,98 @@ function generateHumanReadable(type, parsed) {
 
     case 'POSITION_TRANSMISSION':
       return parsed.callsign + ' station position at ' + Math.round(parsed.altitudeAGL) + 'm AGL, ' +
-             Math.round(parsed.groundSpeed) + ' m/s';
+             Math.round(parsed.groundSpeed) + ' m/s' + formatHeading(parsed);
 
     case 'AUTH_PILOT':
       return parsed.callsign + ' connected: ' + (parsed.realName || 'Unknown');
 
+    case 'AUTH_ADD':
+      return parsed.callsign + ' connected: ' + (parsed.realName || 'Unknown') +
+             (parsed.ratingName ? ' (' + parsed.ratingName + ')' : '');
+
+    case 'AUTH_DELETE':
+    case 'PILOT_DELETE':
+      return parsed.callsign + ' disconnected';
+
+    case 'CLIENT_RESPONSE':
+      return generateResponseReadable(parsed);
+
+    case 'SERVER_RESPONSE':
+      return parsed.callsign + ' answers server challenge';
+
+    case 'CLIENT_ID':
+      return parsed.from + ' challenges ' + parsed.to;
+
+    case 'PILOT_CLIENT':
+      if (parsed.command === 'BC') {
+        return parsed.from + ' ' + (parsed.squawk ? 'assigns squawk ' + parsed.squawk + ' to ' : 'clears squawk of ') + parsed.aircraft;
+      }
+      if (parsed.command === 'IH') {
+        return parsed.from + ' initiates handoff of ' + parsed.aircraft;
+      }
+      return parsed.from + ' ' + parsed.protocol + ' ' + parsed.command + (parsed.aircraft ? ' ' + parsed.aircraft : '');
+
+    case 'SERVER_BROADCAST':
+      if (parsed.subType === 'PIR') {
+        return parsed.from + ' requests plane info from ' + parsed.to;
+      }
+      if (parsed.planeInfo) {
+        const info = parsed.planeInfo;
+        return parsed.from + ' plane info: ' + ([info.EQUIPMENT, info.AIRLINE, info.LIVERY].filter(Boolean).join(' ') || 'generic');
+      }
+      return parsed.from + ' to ' + parsed.to + ': ' + parsed.message;
+
     default:
       return type.replace(/_/g, ' ').toLowerCase();
   }
 }
 
+/**
+ * Helper: ", heading 271°" for decoded positions, empty if there is no PBH
+ */
+function formatHeading(parsed) {
+  return parsed.heading === null ? '' : ', heading ' + String(Math.round(parsed.heading) % 360).padStart(3, '0') + '°';
+}
+
+/**
+ * Helper: Flight level from 10000 ft, feet below
+ */
+function formatAltitude(altitude) {
+  return altitude >= 10000 ? 'FL' + Math.round(altitude / 100) : altitude + ' ft';
+}
+
+/**
+ * Generate human-readable for client responses
+ */
+function generateResponseReadable(parsed) {
+  switch (parsed.responseType) {
+    case 'RN':
+      return parsed.from + ' real name: ' + (parsed.realName || 'Unknown') +
+             (parsed.rating !== null ? ' (' + (RATING_NAMES[parsed.rating] || 'rating ' + parsed.rating) + ')' : '');
+
+    case 'CAPS':
+      const enabled = Object.keys(parsed.capabilities).filter(key => parsed.capabilities[key]);
+      return parsed.from + ' capabilities: ' + (enabled.length > 0 ? enabled.join(', ') : 'none');
+
+    case 'ATIS':
+      return parsed.from + ' ATIS ' + parsed.atis.kind + (parsed.atis.text ? ': ' + parsed.atis.text : '');
+
+    default:
+      return parsed.from + ' responds ' + parsed.responseType + ' to ' + parsed.to;
+  }
+}
+
 /**
  * Generate human-readable for client queries
  */
 function generateQueryReadable(parsed) {
   const cs = parsed.callsign || '?';
-  const target = parsed.data.split(':')[0] || '';
+  const target = parsed.target || '';
 
   switch (parsed.queryType) {
     case 'ACC':
-      if (parsed.json && parsed.json.config) {
-        const config = parsed.json.config;
+      if (parsed.config) {
+        const config = parsed.config;
         const parts = [];
         if (config.on_ground !== undefined) parts.push(config.on_ground ? 'on ground' : 'airborne');
         if (config.flaps_pct !== undefined) parts.push('flaps ' + config.flaps_pct + '%');
@@ -360,16 +795,13 @@ function generateQueryReadable(parsed) {
       return cs + ' queries: who has ' + target + '?';
 
     case 'SC':
-      const note = parsed.data.split(':').slice(1).join(':');
-      return cs + ' sets scratch pad for ' + target + ': "' + (note || '(clear)') + '"';
+      return cs + ' sets scratch pad for ' + target + ': "' + (parsed.cleared ? '(clear)' : parsed.scratchpad) + '"';
 
     case 'TA':
-      const taAlt = parsed.data.split(':')[1];
-      return cs + ' assigns temp altitude to ' + target + ': ' + (taAlt === '0' ? 'cancel' : taAlt + ' ft');
+      return cs + ' assigns temp altitude to ' + target + ': ' + (parsed.cancelled ? 'cancel' : parsed.altitude + ' ft');
 
     case 'FA':
-      const faAlt = parsed.data.split(':')[1];
-      return cs + ' assigns final altitude to ' + target + ': ' + (faAlt === '0' ? 'cancel' : faAlt + ' ft');
+      return cs + ' assigns final altitude to ' + target + ': ' + (parsed.cancelled ? 'cancel' : parsed.altitude + ' ft');
 
     case 'IT':
       return cs + ' initiates radar contact with ' + target;
@@ -378,31 +810,30 @@ function generateQueryReadable(parsed) {
       return cs + ' requests flight plan for ' + target;
 
     case 'BC':
-      const squawk = parsed.data.split(':')[1];
-      return cs + ' assigns squawk ' + squawk + ' to ' + target;
+      return cs + ' assigns squawk ' + parsed.squawk + ' to ' + target;
 
     case 'HT':
-      const toController = parsed.data.split(':')[1];
-      return cs + ' hands off ' + target + ' to ' + toController;
+      return cs + ' hands off ' + target + ' to ' + parsed.receiver;
 
     case 'DR':
       return cs + ' clears ' + target + ' direct routing';
 
     case 'VT':
-      const vtype = parsed.data.split(':')[1];
-      const vtypeMap = { t: 'text-only', v: 'voice', r: 'receive' };
-      return cs + ' sets ' + target + ' voice type to ' + (vtypeMap[vtype] || vtype);
+      return cs + ' sets ' + target + ' voice type to ' + parsed.voiceType;
 
     case 'NEWATIS':
-      const atisParts = parsed.data.split(':');
-      return cs + ' broadcasts new ATIS ' + atisParts[0] + ': ' + atisParts.slice(1).join(' ');
+      return cs + ' broadcasts new ATIS ' + parsed.atisCode + ': ' + parsed.lines.join(' ');
+
+    case 'NEWINFO':
+      return cs + ' broadcasts new information ' + parsed.infoCode;
 
     case 'ATC':
       return cs + ' queries ATC info for ' + target;
 
     default:
-      return cs + ' query ' + parsed.queryType + ': ' + target;
+      return cs + ' query ' + parsed.queryType + (parsed.data ? ': ' + parsed.data : '');
   }
 }
 
 module.exports = createFsdParser;
+module.exports.QUERY_TYPES = Object.keys(QUERY_PARSERS);
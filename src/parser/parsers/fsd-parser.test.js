@@ -0,0 +1,217 @@
+const { describe, test, expect } = require('bun:test');
+const { readFileSync } = require('fs');
+const { join } = require('path');
+const createFsdParser = require('./fsd-parser');
+
+const QUERY_DOC = join(__dirname, '../../../docs/FSD_QUERY_TYPES.md');
+
+const parser = createFsdParser();
+
+describe('$CQ query types', () => {
+  const doc = readFileSync(QUERY_DOC, 'utf-8');
+
+  test('every type in the query type reference has a typed parser and vice versa', () => {
+    const reference = doc.substring(doc.indexOf('## Query Type Reference'), doc.indexOf('## Invalid/Corrupt Entries'));
+    const documented = [...reference.matchAll(/^### ([A-Z]+) - /gm)].map(match => match[1]);
+
+    expect(documented.slice().sort()).toEqual(createFsdParser.QUERY_TYPES.slice().sort());
+  });
+
+  test('the Parsed Fields table lists the same types', () => {
+    const table = doc.substring(doc.indexOf('### Parsed Fields'), doc.indexOf('### Database Schema Considerations'));
+    const listed = [...table.matchAll(/^\| ([A-Z, ]+) \| /gm)]
+      .filter(match => match[1] !== 'Query Type')
+      .flatMap(match => match[1].split(',').map(type => type.trim()));
+
+    expect(listed.sort()).toEqual(createFsdParser.QUERY_TYPES.slice().sort());
+  });
+
+  test('typed fields of a documented type', () => {
+    const message = parser.parse('$CQEDDF_APP:@94835:TA:DLH1:5000');
+    expect(message.type).toBe('CLIENT_QUERY');
+    expect(message.parsed).toMatchObject({ callsign: 'EDDF_APP', queryType: 'TA', target: 'DLH1', altitude: 5000, cancelled: false });
+  });
+
+  test('undocumented types keep only the raw arguments', () => {
+    const message = parser.parse('$CQEDDF_APP:SERVER:ZZ:DLH1:extra');
+    expect(message.parsed).toEqual({ callsign: 'EDDF_APP', server: 'SERVER', queryType: 'ZZ', data: 'DLH1:extra' });
+    expect(message.humanReadable).toBe('EDDF_APP query ZZ: DLH1:extra');
+  });
+});
+
+describe('$ZC client challenges', () => {
+  test('parses the challenge instead of leaving it unparsed', () => {
+    const message = parser.parse('$ZCEDDF_APP:DLH1:6b8a1f0c');
+    expect(message.type).toBe('CLIENT_ID');
+    expect(message.parsed).toEqual({ from: 'EDDF_APP', to: 'DLH1', challenge: '6b8a1f0c' });
+    expect(message.humanReadable).toBe('EDDF_APP challenges DLH1');
+  });
+
+  test('a truncated challenge has no fields', () => {
+    expect(parser.parse('$ZCEDDF_APP:DLH1').parsed).toBeNull();
+  });
+});
+
+describe('$FP flight plans', () => {
+  const line = '$FPBAW123:*A:I:A320/M-SDE3FGHIRWY/LB1:450:EGLL:1030:0:FL350:LFPG:1:05:3:15:EGLF:' +
+    'PBN/A1B1C1D1 DOF/250112 RMK/TCAS EQUIPPED /V/ RMK/CALLSIGN SPEEDBIRD:MID UL612 LFPG';
+
+  test('splits the fields, aircraft type and cruise level', () => {
+    const parsed = parser.parse(line).parsed;
+
+    expect(parsed).toMatchObject({
+      callsign: 'BAW123',
+      recipient: '*A',
+      flightRules: 'IFR',
+      aircraft: { code: 'A320/M-SDE3FGHIRWY/LB1', type: 'A320', wake: 'M', equipment: 'SDE3FGHIRWY', surveillance: 'LB1' },
+      trueAirspeed: 450,
+      departure: 'EGLL',
+      cruiseAltitude: 35000,
+      destination: 'LFPG',
+      enrouteMinutes: 65,
+      fuelMinutes: 195,
+      alternate: 'EGLF',
+      voiceCapability: 'voice',
+      route: 'MID UL612 LFPG'
+    });
+  });
+
+  test('splits item 18 remarks and joins repeated indicators', () => {
+    expect(parser.parse(line).parsed.item18).toEqual({
+      PBN: 'A1B1C1D1',
+      DOF: '250112',
+      RMK: 'TCAS EQUIPPED CALLSIGN SPEEDBIRD'
+    });
+  });
+
+  test('reads FAA aircraft codes, plain altitudes and empty remarks', () => {
+    const parsed = parser.parse('$FPN123AB:*A:V:H/B744/L:120:KJFK:1200:0:4500:KBOS:0:50:2:00:::').parsed;
+
+    expect(parsed.flightRules).toBe('VFR');
+    expect(parsed.aircraft).toEqual({ code: 'H/B744/L', type: 'B744', wake: 'H', equipment: 'L', surveillance: null });
+    expect(parsed.cruiseAltitude).toBe(4500);
+    expect(parsed.item18).toEqual({});
+    expect(parsed.voiceCapability).toBeNull();
+    expect(parsed.route).toBe('');
+  });
+
+  test('a truncated flight plan has no fields', () => {
+    expect(parser.parse('$FPBAW123:*A:I:A320').parsed).toBeNull();
+  });
+});
+
+describe('packed pitch/bank/heading', () => {
+  // 10-bit fields, 1024 units = 360°; pitch and bank are negated on the wire
+  const pack = (pitch, bank, heading, onGround) =>
+    (((pitch & 0x3ff) * 4194304) + ((bank & 0x3ff) << 12) + ((heading & 0x3ff) << 2) + (onGround ? 2 : 0));
+
+  test('decodes @N positions', () => {
+    const pbh = pack(-24, 20, 768, false); // nose up 8.4°, left wing down 7°, heading 270°
+    const parsed = parser.parse('@N:BAW123:1200:1:51.47000:-0.46000:3000:250:' + pbh + ':0').parsed;
+
+    expect(parsed).toMatchObject({ pbh: String(pbh), pitch: 8.4, bank: -7, heading: 270, onGround: false });
+  });
+
+  test('reads the signed 32-bit form of the same value', () => {
+    const pbh = pack(-24, 20, 768, false);
+    const parsed = parser.parse('@N:BAW123:1200:1:51.47000:-0.46000:3000:250:' + (pbh | 0) + ':0').parsed;
+
+    expect(parsed).toMatchObject({ pitch: 8.4, bank: -7, heading: 270 });
+  });
+
+  test('decodes the on-ground bit and level attitude', () => {
+    const parsed = parser.parse('@S:BAW123:1200:1:51.47000:-0.46000:80:0:' + pack(0, 0, 256, true) + ':0').parsed;
+
+    expect(parsed).toMatchObject({ pitch: 0, bank: 0, heading: 90, onGround: true });
+  });
+
+  test('decodes #ST flags like a PBH', () => {
+    const parsed = parser.parse('#STBAW123:51.47000:-0.46000:0:0:' + pack(0, 0, 512, true) + ':0').parsed;
+
+    expect(parsed).toMatchObject({ heading: 180, onGround: true, verticalSpeed: 0 });
+  });
+
+  test('leaves the attitude empty when the PBH is not a number', () => {
+    const parsed = parser.parse('@N:BAW123:1200:1:51.47000:-0.46000:3000:250:abc:0').parsed;
+
+    expect(parsed).toMatchObject({ pbh: 'abc', pitch: null, bank: null, heading: null, onGround: null });
+  });
+});
+
+describe('$CR client responses', () => {
+  test('real name, certificate and rating', () => {
+    const message = parser.parse('$CREDDF_APP:DLH1:RN:Jane Doe:EDDF:5');
+    expect(message.type).toBe('CLIENT_RESPONSE');
+    expect(message.parsed).toMatchObject({ from: 'EDDF_APP', to: 'DLH1', responseType: 'RN', realName: 'Jane Doe', certificate: 'EDDF', rating: 5 });
+    expect(message.humanReadable).toBe('EDDF_APP real name: Jane Doe (C1)');
+  });
+
+  test('capabilities and ATIS lines', () => {
+    const caps = parser.parse('$CRDLH1:EDDF_APP:CAPS:ATCINFO=1:MODELDESC=0:ACCONFIG=1');
+    expect(caps.parsed.capabilities).toEqual({ ATCINFO: true, MODELDESC: false, ACCONFIG: true });
+    expect(caps.humanReadable).toBe('DLH1 capabilities: ATCINFO, ACCONFIG');
+
+    const atis = parser.parse('$CREDDF_TWR:DLH1:ATIS:T:Frankfurt Tower, runway 25C: wind calm');
+    expect(atis.parsed.atis).toEqual({ kind: 'text', text: 'Frankfurt Tower, runway 25C: wind calm' });
+  });
+});
+
+describe('$ZR server responses', () => {
+  test('callsign, server and hash', () => {
+    const message = parser.parse('$ZRDLH1:SERVER:6b8a1f0c2d');
+    expect(message.type).toBe('SERVER_RESPONSE');
+    expect(message.parsed).toEqual({ callsign: 'DLH1', server: 'SERVER', hash: '6b8a1f0c2d' });
+    expect(message.humanReadable).toBe('DLH1 answers server challenge');
+  });
+});
+
+describe('#AA, #DA and #DP connects and disconnects', () => {
+  test('#AA names the controller and rating', () => {
+    const message = parser.parse('#AAEDDF_APP:SERVER:Jane Doe:1234567::5:100');
+    expect(message.type).toBe('AUTH_ADD');
+    expect(message.parsed).toEqual({
+      callsign: 'EDDF_APP', server: 'SERVER', realName: 'Jane Doe', cid: '1234567', rating: 5, ratingName: 'C1', protocol: 100
+    });
+    expect(message.humanReadable).toBe('EDDF_APP connected: Jane Doe (C1)');
+  });
+
+  test('#DA and #DP carry the callsign and CID', () => {
+    expect(parser.parse('#DAEDDF_APP:1234567')).toMatchObject({
+      type: 'AUTH_DELETE', parsed: { callsign: 'EDDF_APP', cid: '1234567' }, humanReadable: 'EDDF_APP disconnected'
+    });
+    expect(parser.parse('#DPDLH1')).toMatchObject({ type: 'PILOT_DELETE', parsed: { callsign: 'DLH1', cid: null } });
+  });
+
+  test('a truncated #AA has no fields', () => {
+    expect(parser.parse('#AAEDDF_APP:SERVER:Jane Doe').parsed).toBeNull();
+  });
+});
+
+describe('#PC pilot client commands', () => {
+  test('CCP BC assigns and clears squawks', () => {
+    const assigned = parser.parse('#PCEDDF_APP:@94835:CCP:BC:DLH1:721');
+    expect(assigned.type).toBe('PILOT_CLIENT');
+    expect(assigned.parsed).toMatchObject({ protocol: 'CCP', command: 'BC', aircraft: 'DLH1', squawk: '0721' });
+    expect(assigned.humanReadable).toBe('EDDF_APP assigns squawk 0721 to DLH1');
+
+    expect(parser.parse('#PCEDDF_APP:@94835:CCP:BC:DLH1:0').humanReadable).toBe('EDDF_APP clears squawk of DLH1');
+  });
+
+  test('CCP IH initiates a handoff', () => {
+    const message = parser.parse('#PCEDDF_APP:EDDF_TWR:CCP:IH:DLH1');
+    expect(message.parsed).toMatchObject({ from: 'EDDF_APP', to: 'EDDF_TWR', command: 'IH', aircraft: 'DLH1' });
+    expect(message.humanReadable).toBe('EDDF_APP initiates handoff of DLH1');
+  });
+});
+
+describe('#SB server broadcasts', () => {
+  test('plane info requests and replies', () => {
+    const request = parser.parse('#SBEDDF_APP:DLH1:PIR');
+    expect(request).toMatchObject({ type: 'SERVER_BROADCAST', parsed: { subType: 'PIR' } });
+    expect(request.humanReadable).toBe('EDDF_APP requests plane info from DLH1');
+
+    const reply = parser.parse('#SBDLH1:EDDF_APP:PI:GEN:EQUIPMENT=A320:AIRLINE=DLH:LIVERY=DLH');
+    expect(reply.parsed.planeInfo).toEqual({ EQUIPMENT: 'A320', AIRLINE: 'DLH', LIVERY: 'DLH' });
+    expect(reply.humanReadable).toBe('DLH1 plane info: A320 DLH DLH');
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * ingest-queue.js
+ * Bounded queue between a capture port and parsing/outputs
+ *
+ * Captured lines are queued and processed one at a time, so a slow output
+ * (database, many WebSocket clients) delays the queue instead of piling up
+ * unresolved promises. When the queue is full the policy decides what gives:
+ *
+ * - 'block':        pause the capture source until the queue has drained to half;
+ *                   sources that cannot pause are bounded at twice maxSize (drop-oldest)
+ * - 'drop-oldest':  discard the oldest queued line
+ * - 'drop-by-type': discard the oldest line of the first listed type present
+ *                   (e.g. POSITION_FAST first), falling back to the oldest line
+ *
+ * Types come from the cheap classify() when a line is queued (the parser's
+ * identifyType()), so lines are only parsed when they are processed, never
+ * just to be dropped.
+ */
+
+const POLICIES = ['block', 'drop-oldest', 'drop-by-type'];
+
+const DEFAULT_QUEUE = {
+  maxSize: 10000,
+  policy: 'drop-by-type',
+  dropTypes: ['POSITION_FAST', 'POSITION_TRANSMISSION', 'POSITION_SLOW']
+};
+
+/**
+ * Create an ingestion queue
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxSize - Queued lines before the policy applies (default: 10000)
+ * @param {string} options.policy - 'block', 'drop-oldest' or 'drop-by-type' (default)
+ * @param {Array<string>} options.dropTypes - Message types shed first by 'drop-by-type', in order
+ * @param {Function} options.classify - (item) => message type|null; cheap, called once on push (optional)
+ * @param {Function} options.parse - (item) => message|null; called once per item, only for items that are processed
+ * @param {Function} options.process - async (message) => void; awaited before the next item
+ * @param {Function} options.onBackpressure - (blocked) => boolean; pause/resume the source, false if unsupported
+ * @param {Function} options.onError - (err, item) => void; parse or process threw, the queue moves on (optional)
+ * @returns {Object} Queue with push(item), clear() and getStats()
+ */
+function createIngestQueue(options) {
+  const config = {
+    maxSize: options.maxSize || DEFAULT_QUEUE.maxSize,
+    policy: options.policy || DEFAULT_QUEUE.policy,
+    dropTypes: options.dropTypes || DEFAULT_QUEUE.dropTypes
+  };
+
+  if (!POLICIES.includes(config.policy)) {
+    throw new Error(`Unknown queue policy '${config.policy}' (expected ${POLICIES.join(', ')})`);
+  }
+
+  const classify = options.classify || (() => null);
+  const parse = options.parse;
+  const processMessage = options.process;
+  const onBackpressure = options.onBackpressure || (() => false);
+  const onError = options.onError || (() => {});
+
+  // Entries are linked twice: in arrival order and, for dropTypes, per type,
+  // so the oldest line overall or of a type is removed in constant time
+  let entries = createList('prev', 'next'); // { item, type, prev, next, typePrev, typeNext }
+  let byType = new Map(); // drop type -> list of its queued entries
+  let draining = false;
+  let blocked = false;
+
+  const stats = {
+    enqueued: 0,
+    processed: 0,
+    errors: 0,
+    dropped: 0,
+    droppedByType: {},
+    maxDepth: 0,
+    blockedCount: 0
+  };
+
+  /**
+   * Queue a captured item, applying the overflow policy when full
+   */
+  function push(item) {
+    if (entries.size >= config.maxSize) {
+      overflow();
+    }
+
+    const entry = { item, type: classify(item) || null };
+    entries.append(entry);
+    if (config.policy === 'drop-by-type' && config.dropTypes.includes(entry.type)) {
+      typeList(entry.type).append(entry);
+    }
+
+    stats.enqueued++;
+    stats.maxDepth = Math.max(stats.maxDepth, entries.size);
+
+    drain();
+  }
+
+  /**
+   * Apply the policy to a full queue
+   */
+  function overflow() {
+    if (config.policy === 'block') {
+      if (!blocked) {
+        blocked = onBackpressure(true) !== false;
+        if (blocked) stats.blockedCount++;
+      }
+      // Lines already in flight when the source paused (or a source that cannot pause)
+      if (!blocked || entries.size >= config.maxSize * 2) {
+        drop(entries.head);
+      }
+      return;
+    }
+
+    if (config.policy === 'drop-by-type') {
+      for (const type of config.dropTypes) {
+        const list = byType.get(type);
+        if (list && list.head) {
+          drop(list.head);
+          return;
+        }
+      }
+    }
+
+    drop(entries.head);
+  }
+
+  /**
+   * Helper: Remove one queued entry without parsing it and count it
+   */
+  function drop(entry) {
+    remove(entry);
+
+    const type = entry.type || 'UNPARSED';
+    stats.dropped++;
+    stats.droppedByType[type] = (stats.droppedByType[type] || 0) + 1;
+  }
+
+  /**
+   * Helper: Unlink an entry from the queue and its type list
+   */
+  function remove(entry) {
+    entries.remove(entry);
+    const list = entry.type !== null ? byType.get(entry.type) : null;
+    if (list) list.remove(entry);
+  }
+
+  /**
+   * Helper: Per-type list of a drop type, created on first use
+   */
+  function typeList(type) {
+    let list = byType.get(type);
+    if (!list) {
+      list = createList('typePrev', 'typeNext');
+      byType.set(type, list);
+    }
+    return list;
+  }
+
+  /**
+   * Process queued entries one at a time
+   * A line that fails to parse or process is counted and handed to onError, it never stalls the queue
+   */
+  async function drain() {
+    if (draining) return;
+    draining = true;
+
+    try {
+      while (entries.head) {
+        const entry = entries.head;
+        remove(entry);
+
+        try {
+          const message = parse(entry.item);
+          if (message) {
+            await processMessage(message);
+          }
+          stats.processed++;
+        } catch (err) {
+          stats.errors++;
+          onError(err, entry.item);
+        }
+
+        if (blocked && entries.size <= config.maxSize / 2) {
+          blocked = false;
+          onBackpressure(false);
+        }
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  /**
+   * Discard everything queued (e.g. when the port is removed)
+   */
+  function clear() {
+    entries = createList('prev', 'next');
+    byType = new Map();
+    if (blocked) {
+      blocked = false;
+      onBackpressure(false);
+    }
+  }
+
+  /**
+   * Get queue depth and counters
+   */
+  function getStats() {
+    return {
+      depth: entries.size,
+      blocked,
+      ...stats,
+      droppedByType: { ...stats.droppedByType },
+      config: { ...config }
+    };
+  }
+
+  return {
+    push,
+    clear,
+    getStats
+  };
+}
+
+/**
+ * Helper: Doubly linked list over entry fields (prevKey/nextKey), so an entry
+ * can sit in several lists and be removed from any of them in constant time
+ */
+function createList(prevKey, nextKey) {
+  const list = {
+    head: null,
+    tail: null,
+    size: 0,
+
+    append(entry) {
+      entry[prevKey] = list.tail;
+      entry[nextKey] = null;
+      if (list.tail) {
+        list.tail[nextKey] = entry;
+      } else {
+        list.head = entry;
+      }
+      list.tail = entry;
+      list.size++;
+    },
+
+    remove(entry) {
+      if (entry[prevKey] === undefined) return; // not in this list
+
+      if (entry[prevKey]) {
+        entry[prevKey][nextKey] = entry[nextKey];
+      } else {
+        list.head = entry[nextKey];
+      }
+      if (entry[nextKey]) {
+        entry[nextKey][prevKey] = entry[prevKey];
+      } else {
+        list.tail = entry[prevKey];
+      }
+      entry[prevKey] = undefined;
+      entry[nextKey] = undefined;
+      list.size--;
+    }
+  };
+
+  return list;
+}
+
+module.exports = { createIngestQueue, POLICIES, DEFAULT_QUEUE };
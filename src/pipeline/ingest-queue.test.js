@@ -0,0 +1,149 @@
+const { describe, test, expect } = require('bun:test');
+const { createIngestQueue } = require('./ingest-queue');
+
+/**
+ * Queue whose processing is held until release() so items pile up
+ */
+function createHeldQueue(options) {
+  const parsed = [];
+  const processed = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  const queue = createIngestQueue({
+    classify: item => item.type,
+    parse: item => {
+      parsed.push(item.id);
+      return { type: item.type, id: item.id };
+    },
+    process: async message => {
+      await gate;
+      processed.push(message.id);
+    },
+    ...options
+  });
+
+  return { queue, parsed, processed, release };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ingest queue', () => {
+  test('processes items in arrival order', async () => {
+    const { queue, processed, release } = createHeldQueue({ maxSize: 10 });
+    [1, 2, 3].forEach(id => queue.push({ id, type: 'TEXT_MESSAGE' }));
+    release();
+    await settle();
+
+    expect(processed).toEqual([1, 2, 3]);
+    expect(queue.getStats().processed).toBe(3);
+  });
+
+  test('drop-by-type sheds the oldest line of the first listed type without parsing it', async () => {
+    const { queue, parsed, processed, release } = createHeldQueue({
+      maxSize: 3,
+      policy: 'drop-by-type',
+      dropTypes: ['POSITION_FAST', 'POSITION_SLOW']
+    });
+
+    // 1 is taken for processing (and parsed) at once, 2-4 wait
+    queue.push({ id: 1, type: 'TEXT_MESSAGE' });
+    queue.push({ id: 2, type: 'POSITION_SLOW' });
+    queue.push({ id: 3, type: 'POSITION_FAST' });
+    queue.push({ id: 4, type: 'POSITION_FAST' });
+    queue.push({ id: 5, type: 'TEXT_MESSAGE' }); // full: drops 3, the oldest POSITION_FAST
+    queue.push({ id: 6, type: 'TEXT_MESSAGE' }); // drops 4
+    queue.push({ id: 7, type: 'TEXT_MESSAGE' }); // no POSITION_FAST left: drops 2
+
+    expect(parsed).toEqual([1]);
+    const stats = queue.getStats();
+    expect(stats.depth).toBe(3);
+    expect(stats.droppedByType).toEqual({ POSITION_FAST: 2, POSITION_SLOW: 1 });
+
+    release();
+    await settle();
+    expect(processed).toEqual([1, 5, 6, 7]);
+    expect(parsed).toEqual([1, 5, 6, 7]);
+  });
+
+  test('drop-by-type falls back to the oldest line', async () => {
+    const { queue, processed, release } = createHeldQueue({ maxSize: 2, policy: 'drop-by-type', dropTypes: ['POSITION_FAST'] });
+    [1, 2, 3, 4].forEach(id => queue.push({ id, type: 'TEXT_MESSAGE' }));
+
+    expect(queue.getStats().droppedByType).toEqual({ TEXT_MESSAGE: 1 });
+    release();
+    await settle();
+    expect(processed).toEqual([1, 3, 4]);
+  });
+
+  test('unclassified lines are counted as UNPARSED when dropped', () => {
+    const { queue } = createHeldQueue({ maxSize: 1, policy: 'drop-oldest', classify: () => null });
+    [1, 2, 3].forEach(id => queue.push({ id }));
+
+    expect(queue.getStats().droppedByType).toEqual({ UNPARSED: 1 });
+  });
+
+  test('block pauses the source and releases it at half depth', async () => {
+    const calls = [];
+    const { queue, release } = createHeldQueue({ maxSize: 2, policy: 'block', onBackpressure: blocked => calls.push(blocked) });
+    [1, 2, 3, 4].forEach(id => queue.push({ id, type: 'TEXT_MESSAGE' }));
+
+    expect(queue.getStats().blocked).toBe(true);
+    expect(queue.getStats().dropped).toBe(0);
+
+    release();
+    await settle();
+    expect(calls).toEqual([true, false]);
+    expect(queue.getStats().processed).toBe(4);
+  });
+
+  test('a source that cannot pause is bounded at twice maxSize', () => {
+    const { queue } = createHeldQueue({ maxSize: 2, policy: 'block', onBackpressure: () => false });
+    [1, 2, 3, 4, 5, 6].forEach(id => queue.push({ id, type: 'TEXT_MESSAGE' }));
+
+    expect(queue.getStats().depth).toBe(2);
+    expect(queue.getStats().dropped).toBe(3);
+  });
+
+  test('stays fast when overloaded', () => {
+    const { queue } = createHeldQueue({ maxSize: 10000, policy: 'drop-by-type', dropTypes: ['POSITION_FAST'] });
+    const start = Date.now();
+
+    for (let id = 0; id < 100000; id++) {
+      queue.push({ id, type: id % 10 === 0 ? 'TEXT_MESSAGE' : 'POSITION_FAST' });
+    }
+
+    expect(queue.getStats().depth).toBe(10000);
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+
+  test('counts a line whose parser throws and keeps draining', async () => {
+    const errors = [];
+    const processed = [];
+    const queue = createIngestQueue({
+      parse: item => {
+        if (item.id === 2) throw new Error('bad line');
+        return item;
+      },
+      process: async message => { processed.push(message.id); },
+      onError: (err, item) => errors.push([err.message, item.id])
+    });
+
+    [1, 2, 3].forEach(id => queue.push({ id }));
+    await settle();
+    queue.push({ id: 4 });
+    await settle();
+
+    expect(processed).toEqual([1, 3, 4]);
+    expect(errors).toEqual([['bad line', 2]]);
+    expect(queue.getStats()).toMatchObject({ processed: 3, errors: 1, depth: 0 });
+  });
+
+  test('clear empties the queue', () => {
+    const { queue } = createHeldQueue({ maxSize: 10 });
+    [1, 2, 3].forEach(id => queue.push({ id, type: 'TEXT_MESSAGE' }));
+    queue.clear();
+
+    expect(queue.getStats().depth).toBe(0);
+  });
+});
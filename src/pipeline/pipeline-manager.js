@@ -6,7 +6,15 @@
 const { createCaptureManager } = require('../capture/capture-manager');
 const { createParserRegistry } = require('../parser/parser-registry');
 const { createEventPipeline } = require('./event-pipeline');
-const { join } = require('path');
+const { createIngestQueue, POLICIES } = require('./ingest-queue');
+const { formatDiagnostic } = require('../capture/tshark-discovery');
+const { createSessionRecorder } = require('../capture/session-recorder');
+const { createForwarder } = require('../outputs/forwarder');
+const { createQuarantine } = require('./quarantine');
+const { join, basename } = require('path');
+
+const DEFAULT_RECORDING_FILE = './recordings/session.jsonl';
+const REPLAY_PORT_BASE = 65000; // Replays without an explicit port get a free port label from here
 
 /**
  * Create pipeline manager
@@ -14,13 +22,26 @@ const { join } = require('path');
 function createPipelineManager(config) {
   const captureManager = createCaptureManager({
     interface: config.capture.interface,
-    tsharkPath: config.capture.tsharkPath
+    tsharkPath: config.capture.tsharkPath,
+    probeDuration: config.capture.probeDuration,
+    restart: config.capture.restart
   });
 
   const parserRegistry = createParserRegistry();
   const eventPipeline = createEventPipeline();
 
+  const queues = new Map(); // port -> ingestion queue
+
+  // Parser options: config.parsers per parser, overridden by the port's parserOptions
+  const parserOptions = { ...(config.parsers || {}) }; // parser name -> options
+  const portParserOptions = new Map(); // 'port:parser' -> overrides set at runtime
+  const disabledPorts = new Set(); // 'port:parser' already warned about a disabled parser
+  const parseStats = new Map(); // port -> { parsed, unhandled, errors, lastUnhandled }
+
   let isRunning = false;
+  let recorder = null;
+  let forwarder = null;
+  let quarantine = null;
 
   /**
    * Initialize the pipeline
@@ -41,6 +62,16 @@ function createPipelineManager(config) {
       console.warn('Could not load custom parsers:', err.message);
     }
 
+    // Hot-reload changed parser files without a restart
+    const reload = config.parserReload;
+    if (reload && reload.enabled) {
+      try {
+        parserRegistry.watchDirectory(customParsersPath, { debounce: reload.debounce });
+      } catch (err) {
+        console.warn('Could not watch custom parsers:', err.message);
+      }
+    }
+
     // Configure ports from config
     config.capture.ports.forEach(portConfig => {
       try {
@@ -55,41 +86,454 @@ function createPipelineManager(config) {
     captureManager.on('port-error', (info) => {
       console.error(`Port ${info.port} error:`, info.error);
     });
+    captureManager.on('port-diagnostic', (info) => {
+      const report = formatDiagnostic(info.diagnostic);
+      if (info.diagnostic.error) {
+        console.error(report);
+      } else if (info.diagnostic.warnings.length > 0) {
+        console.warn(report);
+      } else {
+        console.log(report);
+      }
+    });
+    captureManager.on('port-restarting', (info) => {
+      console.warn(`Port ${info.port}: capture exited (code ${info.code}), restarting in ${info.delay}ms (attempt ${info.attempt})`);
+    });
+    captureManager.on('port-stopped', (info) => {
+      if (info.requested === false && !info.finished) {
+        const cause = info.error || `exited with code ${info.code}`;
+        console.error(`Port ${info.port}: capture stopped (${cause}) and will not be restarted`);
+      }
+    });
+    captureManager.on('port-finished', (info) => {
+      const counts = info.packets !== undefined ? `${info.packets} packets, ${info.lines} lines` : `${info.lines} lines`;
+      console.log(`Port ${info.port}: finished reading ${info.file} (${counts})`);
+    });
+
+    const recording = config.capture.recording;
+    if (recording && recording.enabled) {
+      enableRecording(recording);
+    }
+
+    const forwarding = config.outputs.forwarder;
+    if (forwarding && forwarding.enabled) {
+      enableForwarding(forwarding);
+    }
+
+    const quarantineConfig = config.capture.quarantine;
+    if (quarantineConfig && quarantineConfig.enabled) {
+      quarantine = createQuarantine(quarantineConfig);
+      quarantine.on('error', (err) => {
+        console.error('Quarantine error:', err.message);
+      });
+    }
   }
 
   /**
    * Handle incoming capture data
    */
-  async function handleCaptureData(captureData) {
-    const { port, parser: parserName, data } = captureData;
+  function handleCaptureData(captureData) {
+    // Record and forward raw lines before parsing; replayed lines are already in a recording
+    if (captureData.source !== 'replay') {
+      if (recorder) recorder.record(captureData);
+      if (forwarder) forwarder.forward(captureData);
+    }
+
+    getQueue(captureData.port).push(captureData);
+  }
 
+  /**
+   * Helper: Ingestion queue of a port, created on its first line
+   * Options are capture.queue overridden by the port's own queue settings
+   */
+  function getQueue(port) {
+    let queue = queues.get(port);
+    if (!queue) {
+      const portConfig = captureManager.getPortConfig(port) || {};
+      queue = createIngestQueue({
+        ...(config.capture.queue || {}),
+        ...(portConfig.queue || {}),
+        classify: classifyCaptureData,
+        parse: parseCaptureData,
+        process: processMessage,
+        onBackpressure: (blocked) => captureManager.setBackpressure(port, blocked),
+        onError: (err, captureData) => handleQueueError(port, err, captureData)
+      });
+      queues.set(port, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Message type of a captured line without parsing it (for the queue's drop-by-type)
+   * The first parser of the chain that handles the line decides; null if it cannot tell
+   */
+  function classifyCaptureData(captureData) {
+    for (const name of toParserChain(captureData.parser)) {
+      try {
+        const options = resolveParserOptions(name, captureData.port);
+        if (options.enabled === false) continue;
+
+        const parser = parserRegistry.create(name, options);
+        if (!parser.canHandle(captureData.data)) continue;
+        return parser.identifyType ? parser.identifyType(captureData.data) || null : null;
+      } catch (err) {
+        return null; // Reported when the line is parsed
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a captured line into an enriched message (null if dropped)
+   * The port's parser chain is tried in order and the first parser that
+   * handles the line wins; unhandled lines go to the port's fallback.
+   * Lines no parser could make sense of are also quarantined (see quarantine.js)
+   */
+  function parseCaptureData(captureData) {
+    const { port, parser, data, timestamp, direction, connectionId, src, dst, origin, originPort } = captureData;
+    const chain = toParserChain(parser);
+    const stats = getParseStats(port);
+
+    let parserName = null;
+    let parsedMessage = null;
+    const failures = []; // { parser, reason, error } per parser that accepted the line but failed
+
+    for (const name of chain) {
+      parsedMessage = tryParser(name, port, data, failures);
+      if (parsedMessage) {
+        parserName = name;
+        break;
+      }
+    }
+
+    if (parsedMessage) {
+      stats.parsed[parserName] = (stats.parsed[parserName] || 0) + 1;
+      quarantineIncomplete(port, data, parserName, parsedMessage, timestamp);
+    } else {
+      stats.unhandled++;
+      stats.lastUnhandled = data;
+      quarantineFailure(port, data, chain, failures, timestamp);
+
+      const fallback = resolveFallback(port);
+      if (fallback === 'drop') {
+        return null;
+      }
+      if (fallback !== 'keep') {
+        parsedMessage = tryParser(fallback, port, data);
+        parserName = parsedMessage ? fallback : null;
+      }
+      if (!parsedMessage) {
+        parsedMessage = {
+          type: 'UNHANDLED',
+          raw: data,
+          parsed: null,
+          humanReadable: 'Not handled by ' + chain.join(', '),
+          timestamp: Date.now()
+        };
+      }
+    }
+
+    // Add port and connection metadata; captures replaying recorded traffic supply the original time
+    return {
+      ...parsedMessage,
+      timestamp: timestamp || parsedMessage.timestamp,
+      port,
+      parserName,
+      direction,
+      connectionId,
+      src,
+      dst,
+      origin,
+      originPort
+    };
+  }
+
+  /**
+   * Helper: Run one parser on a line with this port's options
+   * A parser that accepts the line but returns nothing or throws is added to failures
+   * @returns {Object|null} Parsed message, null if disabled, not handled or failed
+   */
+  function tryParser(name, port, data, failures = []) {
     try {
-      // Get or create parser instance
-      const parser = parserRegistry.create(parserName, {});
+      const options = resolveParserOptions(name, port);
+      if (options.enabled === false) {
+        warnDisabled(port, name);
+        return null;
+      }
 
-      // Check if parser can handle this message
+      const parser = parserRegistry.create(name, options);
       if (!parser.canHandle(data)) {
-        return;
+        return null;
       }
 
-      // Parse the message
       const parsedMessage = parser.parse(data);
-
       if (!parsedMessage) {
-        return;
+        failures.push({ parser: name, reason: 'null', error: null });
+        return null;
       }
+      return parsedMessage;
+    } catch (err) {
+      failures.push({ parser: name, reason: 'error', error: err.message });
+      getParseStats(port).errors++;
+      console.error(`Error parsing message from port ${port} with '${name}':`, err.message);
+      return null;
+    }
+  }
 
-      // Add port metadata
-      const enrichedMessage = {
-        ...parsedMessage,
+  /**
+   * Helper: A queued line threw outside the parsers (parser options, an output); log and quarantine it
+   */
+  function handleQueueError(port, err, captureData) {
+    console.error(`Port ${port}: failed to process line:`, err.message);
+    if (quarantine) {
+      quarantine.add({
+        timestamp: captureData.timestamp,
         port,
-        parserName
+        data: captureData.data,
+        reason: 'error',
+        error: err.message
+      });
+    }
+  }
+
+  /**
+   * Helper: Quarantine a line no parser of the chain parsed
+   * A parser error outranks an empty result, which outranks no parser accepting the line
+   */
+  function quarantineFailure(port, data, chain, failures, timestamp) {
+    if (!quarantine) return;
+
+    const failure = failures.find(entry => entry.reason === 'error') || failures[0];
+    quarantine.add({
+      timestamp,
+      port,
+      data,
+      reason: failure ? failure.reason : 'unhandled',
+      parser: failure ? failure.parser : chain.join(', '),
+      error: failure ? failure.error : null
+    });
+  }
+
+  /**
+   * Helper: Quarantine a parsed line of an UNKNOWN type, or of a known type without parsed fields
+   */
+  function quarantineIncomplete(port, data, parserName, message, timestamp) {
+    if (!quarantine) return;
+
+    let reason = null;
+    if (message.type === 'UNKNOWN') {
+      reason = 'unknown';
+    } else if (message.parsed === null || message.parsed === undefined) {
+      reason = 'unparsed';
+    }
+
+    if (reason) {
+      quarantine.add({ timestamp, port, data, reason, parser: parserName, type: message.type });
+    }
+  }
+
+  /**
+   * Helper: Per-port counters of lines parsed per parser and unhandled lines
+   */
+  function getParseStats(port) {
+    let stats = parseStats.get(port);
+    if (!stats) {
+      stats = { parsed: {}, unhandled: 0, errors: 0, lastUnhandled: null };
+      parseStats.set(port, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Helper: Fallback for lines no parser of the chain handled
+   * 'keep' (UNHANDLED message), 'drop' or the name of a parser
+   */
+  function resolveFallback(port) {
+    const portConfig = captureManager.getPortConfig(port) || {};
+    return portConfig.fallback || config.capture.fallback || 'keep';
+  }
+
+  /**
+   * Helper: Options for a parser on a port
+   * The port's overrides only apply to parsers in the port's own chain
+   * (replayed and ingested lines may name another parser)
+   */
+  function resolveParserOptions(parserName, port) {
+    return { ...(parserOptions[parserName] || {}), ...(getPortOverrides(port, parserName) || {}) };
+  }
+
+  /**
+   * Helper: A port's option overrides for one parser of its chain
+   * A single parser port takes parserOptions as is, a chain keys them by parser name
+   */
+  function getPortOverrides(port, parserName) {
+    const portConfig = captureManager.getPortConfig(port) || {};
+    const chain = toParserChain(portConfig.parser);
+    if (!chain.includes(parserName)) return null;
+
+    const key = port + ':' + parserName;
+    if (portParserOptions.has(key)) return portParserOptions.get(key);
+    if (!portConfig.parserOptions) return null;
+    return chain.length > 1 ? portConfig.parserOptions[parserName] || null : portConfig.parserOptions;
+  }
+
+  /**
+   * Helper: Log once per port and parser that a disabled parser is skipped
+   */
+  function warnDisabled(port, parserName) {
+    const key = port + ':' + parserName;
+    if (disabledPorts.has(key)) return;
+    disabledPorts.add(key);
+    console.warn(`Port ${port}: parser '${parserName}' is disabled, skipping it`);
+  }
+
+  /**
+   * Get the options of every registered parser and the per-port overrides
+   * @returns {Array} [{ name, version, description, enabled, options, ports: { port: overrides } }]
+   */
+  function getParserOptions() {
+    return parserRegistry.list().map(name => {
+      const options = parserOptions[name] || {};
+      const ports = {};
+
+      captureManager.listPorts().forEach(port => {
+        const overrides = getPortOverrides(port, name);
+        if (overrides && Object.keys(overrides).length > 0) {
+          ports[port] = overrides;
+        }
+      });
+
+      return {
+        ...parserRegistry.getMetadata(name),
+        name,
+        enabled: options.enabled !== false,
+        options,
+        ports
       };
+    });
+  }
+
+  /**
+   * Change parser options for all ports, or the overrides of one port
+   * Keys are merged into the current options; a null value removes the key.
+   * The parser is instantiated with the result first, options it rejects are not applied.
+   * @param {string} name - Parser name
+   * @param {Object} changes - Options to set (e.g. { enabled: false })
+   * @param {number} port - Only change this port's overrides (optional)
+   * @returns {Object} Options now in effect (for the port, if given)
+   */
+  function setParserOptions(name, changes, port) {
+    if (!parserRegistry.has(name)) {
+      throw new Error(`Parser '${name}' not registered`);
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Parser options must be an object');
+    }
+    if (changes.enabled !== undefined && changes.enabled !== null && typeof changes.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+
+    const forPort = port !== undefined && port !== null;
+    let current = parserOptions[name] || {};
+    if (forPort) {
+      const portConfig = captureManager.getPortConfig(port);
+      if (!portConfig) {
+        throw new Error(`Port ${port} not found`);
+      }
+      const chain = toParserChain(portConfig.parser);
+      if (!chain.includes(name)) {
+        throw new Error(`Port ${port} uses parser${chain.length > 1 ? 's' : ''} ${chain.map(entry => `'${entry}'`).join(', ')}, not '${name}'`);
+      }
+      current = getPortOverrides(port, name) || {};
+    }
+
+    const next = { ...current };
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === null) {
+        delete next[key];
+      } else {
+        next[key] = changes[key];
+      }
+    });
 
-      // Send to event pipeline
-      await eventPipeline.processMessage(enrichedMessage);
+    // Let the factory reject the options before they reach live traffic
+    parserRegistry.create(name, forPort ? { ...(parserOptions[name] || {}), ...next } : next);
+
+    if (forPort) {
+      portParserOptions.set(port + ':' + name, next);
+      disabledPorts.delete(port + ':' + name);
+    } else {
+      parserOptions[name] = next;
+      disabledPorts.clear();
+    }
+    parserRegistry.clearInstances(name);
+
+    return forPort ? resolveParserOptions(name, port) : next;
+  }
+
+  /**
+   * Get per-port parsing counters: lines per parser, unhandled lines and parser errors
+   */
+  function getParsingStatus() {
+    const ports = {};
+    let unhandled = 0;
+
+    for (const [port, stats] of parseStats.entries()) {
+      ports[port] = { ...stats, parsed: { ...stats.parsed }, fallback: resolveFallback(port) };
+      unhandled += stats.unhandled;
+    }
+
+    return { unhandled, ports };
+  }
+
+  /**
+   * Get quarantined lines and the counters per line prefix
+   * @param {Object} filter - { port, reason, prefix, limit } (see quarantine.list)
+   * @returns {Object|null} { status, prefixes, entries }, or null if quarantine is disabled
+   */
+  function getQuarantine(filter = {}) {
+    if (!quarantine) {
+      return null;
+    }
+
+    return {
+      status: quarantine.getStatus(),
+      prefixes: quarantine.getPrefixes(),
+      entries: quarantine.list(filter)
+    };
+  }
+
+  /**
+   * Forget quarantined lines and prefix counters (the file is kept)
+   * @returns {boolean} false if quarantine is disabled
+   */
+  function clearQuarantine() {
+    if (!quarantine) {
+      return false;
+    }
+
+    quarantine.clear();
+    return true;
+  }
+
+  /**
+   * Flush and close the quarantine file
+   */
+  async function closeQuarantine() {
+    if (quarantine) {
+      await quarantine.close();
+    }
+  }
+
+  /**
+   * Send a parsed message to the event pipeline
+   */
+  async function processMessage(message) {
+    try {
+      await eventPipeline.processMessage(message);
     } catch (err) {
-      console.error(`Error processing message from port ${port}:`, err.message);
+      console.error(`Error processing message from port ${message.port}:`, err.message);
     }
   }
 
@@ -131,10 +575,39 @@ function createPipelineManager(config) {
     isRunning = false;
   }
 
+  /**
+   * Stop capturing and release what holds files, sockets and watchers
+   * Shared by the entry points before the process exits; a failing step does not skip the others
+   */
+  async function shutdown() {
+    stop();
+    parserRegistry.unwatch();
+
+    for (const step of [disableRecording, disableForwarding, closeQuarantine]) {
+      try {
+        await step();
+      } catch (err) {
+        console.error(`Shutdown: ${step.name} failed:`, err.message);
+      }
+    }
+  }
+
   /**
    * Add a port dynamically
    */
   function addPort(portConfig) {
+    if (portConfig.queue && portConfig.queue.policy && !POLICIES.includes(portConfig.queue.policy)) {
+      throw new Error(`Unknown queue policy '${portConfig.queue.policy}' (expected ${POLICIES.join(', ')})`);
+    }
+    if (portConfig.fallback !== undefined && portConfig.fallback !== 'keep' && portConfig.fallback !== 'drop' &&
+        !parserRegistry.has(portConfig.fallback)) {
+      throw new Error(`Unknown fallback '${portConfig.fallback}' (expected keep, drop or a parser name)`);
+    }
+    if (portConfig.parserOptions !== undefined &&
+        (!portConfig.parserOptions || typeof portConfig.parserOptions !== 'object' || Array.isArray(portConfig.parserOptions))) {
+      throw new Error('parserOptions must be an object');
+    }
+
     captureManager.addPort(portConfig);
 
     // Start immediately if pipeline is running
@@ -147,16 +620,214 @@ function createPipelineManager(config) {
    * Remove a port
    */
   function removePort(port) {
+    const queue = queues.get(port);
+    if (queue) {
+      queue.clear();
+      queues.delete(port);
+    }
+    for (const key of portParserOptions.keys()) {
+      if (key.startsWith(port + ':')) portParserOptions.delete(key);
+    }
+    for (const key of disabledPorts) {
+      if (key.startsWith(port + ':')) disabledPorts.delete(key);
+    }
+    parseStats.delete(port);
+
     return captureManager.removePort(port);
   }
 
+  /**
+   * Start recording every raw captured line to a JSONL file
+   * @param {Object} options - { file } (default: ./recordings/session.jsonl)
+   * @returns {Object} Recording status
+   */
+  function enableRecording(options = {}) {
+    if (recorder) {
+      throw new Error(`Already recording to ${recorder.getStatus().file}`);
+    }
+
+    recorder = createSessionRecorder({ file: options.file || DEFAULT_RECORDING_FILE });
+    recorder.on('error', (err) => {
+      console.error('Recording error:', err.message);
+    });
+
+    console.log(`Recording captured lines to ${options.file || DEFAULT_RECORDING_FILE}`);
+    return recorder.getStatus();
+  }
+
+  /**
+   * Stop recording and close the file
+   * @returns {Promise<Object|null>} Final recording status, or null if not recording
+   */
+  async function disableRecording() {
+    if (!recorder) {
+      return null;
+    }
+
+    const finished = recorder;
+    recorder = null;
+    await finished.close();
+    return finished.getStatus();
+  }
+
+  /**
+   * Start streaming every raw captured line to an aggregator's ingest port
+   * @param {Object} options - Forwarder options (see outputs/forwarder.js)
+   * @returns {Object} Forwarder status
+   */
+  function enableForwarding(options = {}) {
+    if (forwarder) {
+      throw new Error(`Already forwarding to ${forwarder.getStatus().target}`);
+    }
+
+    forwarder = createForwarder(options);
+    forwarder.on('connected', (info) => {
+      console.log(`Forwarding captured lines to ${info.target} as ${info.hostId}`);
+    });
+    forwarder.on('disconnected', (info) => {
+      console.warn(`Forwarder disconnected from ${info.target}, buffering until reconnected`);
+    });
+    forwarder.on('error', (err) => {
+      console.error('Forwarder error:', err.message);
+    });
+    forwarder.connect();
+
+    return forwarder.getStatus();
+  }
+
+  /**
+   * Stop forwarding and close the connection
+   * @returns {Promise<Object|null>} Final forwarder status, or null if not forwarding
+   */
+  async function disableForwarding() {
+    if (!forwarder) {
+      return null;
+    }
+
+    const finished = forwarder;
+    forwarder = null;
+    await finished.close();
+    return finished.getStatus();
+  }
+
+  /**
+   * Replay a recording through the capture manager as a new port
+   * @param {Object} options - Replay options
+   * @param {string} options.file - Recording (.jsonl) to replay
+   * @param {number} options.speed - 0 = as fast as possible, 1 = real time (default), N = N×
+   * @param {number|string} options.from - Window start (epoch ms or ISO time)
+   * @param {number|string} options.to - Window end (epoch ms or ISO time)
+   * @param {Array<number>} options.ports - Only replay lines recorded on these ports
+   * @param {string} options.parser - Parser for lines recorded without one (default: fsd)
+   * @param {number} options.port - Port label for the replay (default: first free from 65000)
+   * @returns {number} Port of the replay
+   */
+  function replay(options = {}) {
+    if (!options.file) {
+      throw new Error('replay requires file');
+    }
+
+    const port = options.port || nextReplayPort();
+
+    captureManager.addPort({
+      port,
+      parser: options.parser || 'fsd',
+      source: 'replay',
+      label: options.label || `Replay ${basename(options.file)}`,
+      replay: {
+        file: options.file,
+        speed: options.speed,
+        from: options.from,
+        to: options.to,
+        ports: options.ports
+      }
+    });
+    captureManager.startPort(port);
+
+    return port;
+  }
+
+  /**
+   * Pause, resume or seek a replay
+   * @param {number} port - Replay port (optional when only one replay is configured)
+   * @param {string} action - 'pause', 'resume' or 'seek'
+   * @param {*} value - Seek target (epoch ms or ISO time)
+   * @returns {Object} Playback state
+   */
+  function controlReplay(port, action, value) {
+    return captureManager.controlPort(port || findReplayPort(), action, value);
+  }
+
+  /**
+   * Stop a replay and remove its port; other ports are left alone
+   * @param {number} port - Replay port (optional when only one replay is configured)
+   * @returns {number} Port of the removed replay
+   */
+  function stopReplay(port) {
+    const target = port || findReplayPort();
+    const portConfig = captureManager.getPortConfig(target);
+    if (!portConfig || portConfig.source !== 'replay') {
+      throw new Error(`Port ${target} is not a replay`);
+    }
+
+    removePort(target);
+    return target;
+  }
+
+  /**
+   * Helper: First unused replay port label
+   */
+  function nextReplayPort() {
+    const used = captureManager.listPorts();
+    let port = REPLAY_PORT_BASE;
+    while (used.includes(port)) port++;
+    return port;
+  }
+
+  /**
+   * Helper: The only replay port, for controls that omit the port
+   */
+  function findReplayPort() {
+    const replays = captureManager.getStatus().ports.filter(p => p.source === 'replay');
+    if (replays.length !== 1) {
+      throw new Error(replays.length === 0 ? 'No replay configured' : 'Several replays configured; specify port');
+    }
+    return replays[0].port;
+  }
+
+  /**
+   * Get ingestion queue depth and drop counters, totalled and per port
+   */
+  function getQueueStatus() {
+    const ports = {};
+    let depth = 0;
+    let dropped = 0;
+
+    for (const [port, queue] of queues.entries()) {
+      const stats = queue.getStats();
+      ports[port] = stats;
+      depth += stats.depth;
+      dropped += stats.dropped;
+    }
+
+    return { depth, dropped, ports };
+  }
+
   /**
    * Get comprehensive status
    */
   function getStatus() {
+    const capture = captureManager.getStatus();
+
     return {
       isRunning,
-      capture: captureManager.getStatus(),
+      health: !isRunning ? 'stopped' : capture.degraded ? 'degraded' : 'ok',
+      capture,
+      queue: getQueueStatus(),
+      parsing: getParsingStatus(),
+      quarantine: quarantine ? quarantine.getStatus() : null,
+      recording: recorder ? recorder.getStatus() : null,
+      forwarder: forwarder ? forwarder.getStatus() : null,
       pipeline: eventPipeline.getStats(),
       parsers: parserRegistry.list()
     };
@@ -180,8 +851,21 @@ function createPipelineManager(config) {
     init,
     start,
     stop,
+    shutdown,
     addPort,
     removePort,
+    enableRecording,
+    disableRecording,
+    enableForwarding,
+    disableForwarding,
+    getParserOptions,
+    setParserOptions,
+    getQuarantine,
+    clearQuarantine,
+    closeQuarantine,
+    replay,
+    controlReplay,
+    stopReplay,
     registerOutput,
     unregisterOutput,
     getStatus,
@@ -193,4 +877,12 @@ function createPipelineManager(config) {
   };
 }
 
+/**
+ * Helper: A port's parser setting as a chain ('fsd' or ['example', 'fsd', 'raw'])
+ */
+function toParserChain(parser) {
+  if (Array.isArray(parser)) return parser;
+  return parser ? [parser] : [];
+}
+
 module.exports = { createPipelineManager };
@@ -0,0 +1,193 @@
+const { describe, test, expect, beforeEach, afterEach, spyOn } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createPipelineManager } = require('./pipeline-manager');
+const { getDefaultConfig } = require('../config/default-config');
+const { createBaseParser } = require('../parser/base-parser');
+const { buildPcap, buildTcpFrame } = require('../../test/fixtures/pcap-builder');
+
+const PORT = 6809;
+const CLEARANCE = {
+  name: 'clearance',
+  messages: [{ type: 'CLEARANCE', prefix: '#CLR:', fields: [{ name: 'from' }, { name: 'to' }, { name: 'clearance' }] }]
+};
+
+// Accepts every line and throws, so the chain has to move on
+function createBrokenParser(config = {}) {
+  return {
+    ...createBaseParser({ name: 'broken', ...config }),
+    canHandle: () => true,
+    parse: () => {
+      throw new Error('broken on purpose');
+    }
+  };
+}
+
+// Accepts every line and returns nothing
+function createEmptyParser(config = {}) {
+  return {
+    ...createBaseParser({ name: 'empty', ...config }),
+    canHandle: () => true,
+    parse: () => null
+  };
+}
+
+// Accepts every line and types it with its `tag` option
+function createTaggedParser(config = {}) {
+  return {
+    ...createBaseParser({ name: 'tagged', ...config }),
+    canHandle: () => true,
+    parse: line => ({ type: config.tag || 'UNTAGGED', raw: line })
+  };
+}
+
+describe('parser chains and fallback', () => {
+  let dir;
+  let pipeline;
+  let messages;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'pipeline-chain-'));
+
+    const config = getDefaultConfig();
+    config.capture.ports = [];
+    config.capture.quarantine.file = null;
+    config.parserReload.enabled = false;
+
+    pipeline = createPipelineManager(config);
+    pipeline.init();
+    pipeline.parserRegistry.registerGrammar(CLEARANCE, 'clearance.json');
+    pipeline.parserRegistry.register('broken', createBrokenParser);
+    pipeline.parserRegistry.register('empty', createEmptyParser);
+    pipeline.parserRegistry.register('tagged', createTaggedParser);
+
+    messages = [];
+    pipeline.on('message', message => messages.push(message));
+  });
+
+  afterEach(() => {
+    pipeline.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function run(portConfig, lines, beforeStart) {
+    const file = join(dir, 'session.pcap');
+    const endpoints = { src: '10.0.0.2', dst: '10.0.0.1', srcPort: 50000, dstPort: PORT };
+    fs.writeFileSync(file, buildPcap([
+      { timestamp: Date.now(), data: buildTcpFrame({ ...endpoints, seq: 1000, payload: lines.join('\r\n') + '\r\n' }) }
+    ]));
+
+    const finished = new Promise(resolve => pipeline.captureManager.once('port-finished', resolve));
+    pipeline.addPort({ port: PORT, source: 'pcap', pcap: { file }, ...portConfig });
+    if (beforeStart) beforeStart();
+    pipeline.captureManager.startPort(PORT);
+    await finished;
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    return messages.map(message => [message.parserName, message.type]);
+  }
+
+  test('the first parser of the chain that handles a line wins', async () => {
+    const result = await run({ parser: ['clearance', 'fsd'] }, ['#CLR:EGLL_TWR:BAW1:TKOF', '#TMA:B:hi']);
+
+    expect(result).toEqual([['clearance', 'CLEARANCE'], ['fsd', 'TEXT_MESSAGE']]);
+    expect(pipeline.getStatus().parsing.ports[PORT].parsed).toEqual({ clearance: 1, fsd: 1 });
+  });
+
+  test('keeps unhandled lines as UNHANDLED by default', async () => {
+    const result = await run({ parser: ['clearance'] }, ['#TMA:B:hi']);
+
+    expect(result).toEqual([[null, 'UNHANDLED']]);
+    expect(messages[0].humanReadable).toBe('Not handled by clearance');
+    expect(pipeline.getStatus().parsing.ports[PORT]).toMatchObject({ unhandled: 1, lastUnhandled: '#TMA:B:hi', fallback: 'keep' });
+  });
+
+  test('drops unhandled lines with fallback drop', async () => {
+    const result = await run({ parser: ['clearance'], fallback: 'drop' }, ['#TMA:B:hi', '#CLR:EGLL_TWR:BAW1:TKOF']);
+
+    expect(result).toEqual([['clearance', 'CLEARANCE']]);
+    expect(pipeline.getStatus().parsing.ports[PORT].unhandled).toBe(1);
+  });
+
+  test('hands unhandled lines to a fallback parser', async () => {
+    const result = await run({ parser: ['clearance'], fallback: 'raw' }, ['#TMA:B:hi']);
+
+    expect(result).toEqual([['raw', messages[0].type]]);
+    expect(messages[0].raw).toBe('#TMA:B:hi');
+  });
+
+  test('moves past a parser that throws and quarantines nothing when a later one parses', async () => {
+    const errors = spyOn(console, 'error').mockImplementation(() => {});
+    const result = await run({ parser: ['broken', 'fsd'] }, ['#TMA:B:hi']);
+    errors.mockRestore();
+
+    expect(result).toEqual([['fsd', 'TEXT_MESSAGE']]);
+    expect(pipeline.getStatus().parsing.ports[PORT].errors).toBe(1);
+    expect(pipeline.getQuarantine().entries).toEqual([]);
+  });
+
+  test('quarantines a line every parser of the chain failed on, error first', async () => {
+    const errors = spyOn(console, 'error').mockImplementation(() => {});
+    const result = await run({ parser: ['empty', 'broken'] }, ['#CLR:EGLL_TWR']);
+    errors.mockRestore();
+
+    expect(result).toEqual([[null, 'UNHANDLED']]);
+    expect(pipeline.getQuarantine().entries).toMatchObject([
+      { reason: 'error', parser: 'broken', error: 'broken on purpose', data: '#CLR:EGLL_TWR' }
+    ]);
+  });
+
+  test('a handled line without fields stops the chain and is quarantined as unparsed', async () => {
+    const result = await run({ parser: ['clearance', 'raw'] }, ['#CLR:EGLL_TWR']);
+
+    expect(result).toEqual([['clearance', 'CLEARANCE']]);
+    expect(pipeline.getQuarantine().entries).toMatchObject([{ reason: 'unparsed', parser: 'clearance', type: 'CLEARANCE' }]);
+  });
+
+  test('shutdown flushes the recording before it resolves', async () => {
+    const file = join(dir, 'recording.jsonl');
+    const logs = spyOn(console, 'log').mockImplementation(() => {});
+    pipeline.enableRecording({ file });
+    await run({ parser: 'fsd' }, ['#TMA:B:hi']);
+    await pipeline.shutdown();
+    logs.mockRestore();
+
+    expect(fs.readFileSync(file, 'utf8')).toContain('#TMA:B:hi');
+    expect(pipeline.getStatus().recording).toBe(null);
+  });
+
+  test('setParserOptions with a port overrides the shared options on that port only', async () => {
+    pipeline.setParserOptions('tagged', { tag: 'SHARED' });
+    pipeline.addPort({ port: PORT + 1, source: 'pcap', pcap: { file: join(dir, 'other.pcap') }, parser: 'tagged' });
+    expect(pipeline.setParserOptions('tagged', { tag: 'OTHER' }, PORT + 1)).toEqual({ tag: 'OTHER' });
+
+    const result = await run({ parser: ['tagged'] }, ['one'], () => {
+      expect(pipeline.setParserOptions('tagged', { tag: 'OVERRIDE' }, PORT)).toEqual({ tag: 'OVERRIDE' });
+    });
+
+    expect(result).toEqual([['tagged', 'OVERRIDE']]);
+    expect(pipeline.getParserOptions().find(entry => entry.name === 'tagged')).toMatchObject({
+      options: { tag: 'SHARED' },
+      ports: { [PORT]: { tag: 'OVERRIDE' }, [PORT + 1]: { tag: 'OTHER' } }
+    });
+
+    // Removing the key falls back to the shared options
+    expect(pipeline.setParserOptions('tagged', { tag: null }, PORT + 1)).toEqual({ tag: 'SHARED' });
+  });
+
+  test('shared parser options apply to ports without an override', async () => {
+    pipeline.setParserOptions('tagged', { tag: 'SHARED' });
+    pipeline.addPort({ port: PORT + 1, source: 'pcap', pcap: { file: join(dir, 'other.pcap') }, parser: 'tagged' });
+    pipeline.setParserOptions('tagged', { tag: 'OTHER' }, PORT + 1);
+
+    expect(await run({ parser: 'tagged' }, ['one'])).toEqual([['tagged', 'SHARED']]);
+  });
+
+  test('setParserOptions refuses a port whose chain lacks the parser', () => {
+    pipeline.addPort({ port: PORT, source: 'pcap', pcap: { file: join(dir, 'session.pcap') }, parser: ['clearance', 'fsd'] });
+
+    expect(() => pipeline.setParserOptions('tagged', { tag: 'X' }, PORT)).toThrow("Port 6809 uses parsers 'clearance', 'fsd', not 'tagged'");
+    expect(() => pipeline.setParserOptions('tagged', { tag: 'X' }, 7000)).toThrow('Port 7000 not found');
+  });
+});
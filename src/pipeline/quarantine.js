@@ -0,0 +1,281 @@
+/**
+ * quarantine.js
+ * Keep captured lines the parsers could not make sense of, for protocol coverage work
+ *
+ * A line is quarantined with one of these reasons:
+ *
+ * - 'unhandled': no parser of the port's chain accepted it (canHandle)
+ * - 'null':      a parser accepted it but parse() returned nothing
+ * - 'error':     a parser threw
+ * - 'unknown':   parsed, but the message type is UNKNOWN
+ * - 'unparsed':  the message type is known but its fields could not be parsed
+ *
+ * The latest entries are kept in memory (ring of `size` entries) and, with a
+ * file, appended as JSONL. The file is rotated to <file>.1 (replacing the
+ * previous one) when it reaches maxFileSize, so it never exceeds twice that:
+ * {"timestamp":1736680000123,"port":6809,"reason":"unhandled","prefix":"#SL",
+ *  "parser":"fsd","type":null,"error":null,"data":"#SLLON_CTR:BAW1:..."}
+ *
+ * Counters per line prefix ('#SL', '$XX', '@N' ...) are kept for every line,
+ * so the most frequent uncovered messages stay visible after the ring wraps.
+ * Past maxPrefixes distinct prefixes (free-form non-FSD input), new prefixes
+ * are counted together under '(other)'.
+ */
+
+const fs = require('fs');
+const { dirname } = require('path');
+const EventEmitter = require('events');
+
+const REASONS = ['unhandled', 'null', 'error', 'unknown', 'unparsed'];
+const DEFAULT_SIZE = 1000;
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_PREFIXES = 200;
+const MAX_PREFIX_LENGTH = 8;
+const OTHER_PREFIX = '(other)';
+
+/**
+ * Create a quarantine store
+ * @param {Object} options - Configuration options
+ * @param {number} options.size - Entries kept in memory (default: 1000)
+ * @param {string} options.file - JSONL file to append to (optional, created with its directory if missing)
+ * @param {number} options.maxFileSize - Bytes before the file is rotated to <file>.1 (default: 10 MB)
+ * @param {number} options.maxPrefixes - Distinct prefixes counted before new ones go to '(other)' (default: 200)
+ * @returns {Object} Quarantine with add(entry), list(filter), getPrefixes(), clear(), close() and getStatus()
+ */
+function createQuarantine(options = {}) {
+  const size = options.size || DEFAULT_SIZE;
+  const file = options.file || null;
+  const maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  const maxPrefixes = options.maxPrefixes || DEFAULT_MAX_PREFIXES;
+  const emitter = new EventEmitter();
+
+  let entries = [];
+  const prefixes = new Map(); // prefix -> { count, reasons, lastSeen, example }
+
+  const stats = {
+    total: 0,
+    reasons: {},
+    lastTimestamp: null,
+    lastError: null,
+    fileSize: 0,
+    rotations: 0
+  };
+
+  let stream = null;
+  let rotated = Promise.resolve(); // resolves once rotated-out streams are flushed
+  if (file) {
+    fs.mkdirSync(dirname(file), { recursive: true });
+    stats.fileSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    stream = openStream();
+  }
+
+  /**
+   * Quarantine one line
+   * @param {Object} entry - { port, reason, data, parser, type, error, timestamp }
+   * @returns {Object} Stored entry
+   */
+  function add(entry) {
+    if (!REASONS.includes(entry.reason)) {
+      throw new Error(`Unknown quarantine reason '${entry.reason}' (expected ${REASONS.join(', ')})`);
+    }
+
+    const stored = {
+      timestamp: entry.timestamp || Date.now(),
+      port: entry.port,
+      reason: entry.reason,
+      prefix: linePrefix(entry.data),
+      parser: entry.parser || null,
+      type: entry.type || null,
+      error: entry.error || null,
+      data: entry.data
+    };
+
+    entries.push(stored);
+    if (entries.length > size) {
+      entries.shift();
+    }
+
+    const key = prefixes.has(stored.prefix) || prefixes.size < maxPrefixes ? stored.prefix : OTHER_PREFIX;
+    let counter = prefixes.get(key);
+    if (!counter) {
+      counter = { count: 0, reasons: {}, lastSeen: null, example: null };
+      prefixes.set(key, counter);
+    }
+    counter.count++;
+    counter.reasons[stored.reason] = (counter.reasons[stored.reason] || 0) + 1;
+    counter.lastSeen = stored.timestamp;
+    counter.example = stored.data;
+
+    stats.total++;
+    stats.reasons[stored.reason] = (stats.reasons[stored.reason] || 0) + 1;
+    stats.lastTimestamp = stored.timestamp;
+
+    if (stream) {
+      write(JSON.stringify(stored) + '\n');
+    }
+
+    emitter.emit('quarantined', stored);
+    return stored;
+  }
+
+  /**
+   * Helper: Append a line, rotating the file first when it would pass maxFileSize
+   */
+  function write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (stats.fileSize > 0 && stats.fileSize + bytes > maxFileSize) {
+      rotate();
+    }
+
+    stream.write(line);
+    stats.fileSize += bytes;
+  }
+
+  /**
+   * Helper: Move the file to <file>.1 and continue in a new file
+   * Writes still pending on the old stream land in the renamed file
+   */
+  function rotate() {
+    try {
+      fs.renameSync(file, file + '.1');
+    } catch (err) {
+      stats.lastError = err.message;
+      emitter.emit('error', err);
+      return;
+    }
+
+    const previous = stream;
+    rotated = Promise.all([rotated, new Promise(resolve => previous.end(resolve))]);
+    stream = openStream();
+    stats.fileSize = 0;
+    stats.rotations++;
+  }
+
+  /**
+   * Helper: Append stream to the file, errors reported through 'error'
+   * The file is opened synchronously so it exists (and can be rotated) right away
+   */
+  function openStream() {
+    const created = fs.createWriteStream(file, { fd: fs.openSync(file, 'a') });
+    created.on('error', (err) => {
+      stats.lastError = err.message;
+      emitter.emit('error', err);
+    });
+    return created;
+  }
+
+  /**
+   * Get quarantined entries, newest first
+   * @param {Object} filter - Query filter
+   * @param {number} filter.port - Port (optional)
+   * @param {string} filter.reason - Reason (optional)
+   * @param {string} filter.prefix - Line prefix, or '(other)' for prefixes past maxPrefixes (optional)
+   * @param {number} filter.limit - Maximum number of entries (default: all)
+   */
+  function list(filter = {}) {
+    const limit = filter.limit || entries.length;
+    const result = [];
+
+    for (let i = entries.length - 1; i >= 0 && result.length < limit; i--) {
+      const entry = entries[i];
+      if (filter.port !== undefined && filter.port !== null && entry.port !== filter.port) continue;
+      if (filter.reason && entry.reason !== filter.reason) continue;
+      if (filter.prefix && !matchesPrefix(entry, filter.prefix)) continue;
+      result.push(entry);
+    }
+
+    return result;
+  }
+
+  /**
+   * Helper: Entry has the prefix; '(other)' matches prefixes without a counter of their own
+   */
+  function matchesPrefix(entry, prefix) {
+    if (prefix === OTHER_PREFIX) return !prefixes.has(entry.prefix) || entry.prefix === OTHER_PREFIX;
+    return entry.prefix === prefix;
+  }
+
+  /**
+   * Get counters per line prefix, most frequent first
+   * @returns {Array} [{ prefix, count, reasons: { reason: n }, lastSeen, example }]
+   */
+  function getPrefixes() {
+    return Array.from(prefixes.entries())
+      .map(([prefix, counter]) => ({ prefix, ...counter, reasons: { ...counter.reasons } }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Forget all entries and counters (the file is kept)
+   */
+  function clear() {
+    entries = [];
+    prefixes.clear();
+    stats.total = 0;
+    stats.reasons = {};
+    stats.lastTimestamp = null;
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise} Resolves when everything is written
+   */
+  function close() {
+    const current = new Promise((resolve) => {
+      if (!stream || stream.closed || stream.destroyed) {
+        resolve();
+        return;
+      }
+      stream.end(resolve);
+    });
+    return Promise.all([rotated, current]).then(() => {});
+  }
+
+  /**
+   * Get current status
+   */
+  function getStatus() {
+    return {
+      file,
+      maxFileSize: file ? maxFileSize : null,
+      size,
+      stored: entries.length,
+      prefixes: prefixes.size,
+      ...stats,
+      reasons: { ...stats.reasons }
+    };
+  }
+
+  return {
+    add,
+    list,
+    getPrefixes,
+    clear,
+    close,
+    getStatus,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+/**
+ * Helper: Protocol prefix of a line, used to group quarantined lines
+ * FSD packets are '#XX' / '$XX', '@N' (pilot position) or '%' (ATC position);
+ * anything else is grouped by its text up to the first ':' or space
+ */
+function linePrefix(data) {
+  if (!data) return '(empty)';
+
+  const fsd = /^([#$][A-Za-z]{2}|@[A-Za-z]|%)/.exec(data);
+  if (fsd) return fsd[1];
+
+  const head = data.split(/[:\s]/)[0];
+  return head ? head.substring(0, MAX_PREFIX_LENGTH) : '(empty)';
+}
+
+module.exports = {
+  createQuarantine,
+  linePrefix,
+  REASONS
+};
@@ -0,0 +1,84 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createQuarantine, linePrefix } = require('./quarantine');
+
+describe('linePrefix', () => {
+  test('groups FSD packets by their prefix', () => {
+    expect(linePrefix('#SLLON_CTR:BAW1:x')).toBe('#SL');
+    expect(linePrefix('$XXunknown')).toBe('$XX');
+    expect(linePrefix('@N:BAW1:1200')).toBe('@N');
+    expect(linePrefix('%EGLL_TWR:18500')).toBe('%');
+  });
+
+  test('groups other text by its first word', () => {
+    expect(linePrefix('hello world')).toBe('hello');
+    expect(linePrefix('averyveryverylongword:x')).toBe('averyver');
+    expect(linePrefix('')).toBe('(empty)');
+  });
+});
+
+describe('quarantine', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'quarantine-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the latest entries newest first and filters them', () => {
+    const quarantine = createQuarantine({ size: 2 });
+    quarantine.add({ port: 1, reason: 'unhandled', data: '$XXa' });
+    quarantine.add({ port: 1, reason: 'error', data: '#SLb', error: 'boom' });
+    quarantine.add({ port: 2, reason: 'unhandled', data: '$XXc' });
+
+    expect(quarantine.list().map(entry => entry.data)).toEqual(['$XXc', '#SLb']);
+    expect(quarantine.list({ reason: 'error' }).map(entry => entry.error)).toEqual(['boom']);
+    expect(quarantine.list({ port: 2, limit: 5 }).length).toBe(1);
+    expect(quarantine.getPrefixes()[0]).toMatchObject({ prefix: '$XX', count: 2, reasons: { unhandled: 2 } });
+    expect(quarantine.getStatus()).toMatchObject({ total: 3, stored: 2, reasons: { unhandled: 2, error: 1 } });
+  });
+
+  test('rejects unknown reasons', () => {
+    const quarantine = createQuarantine();
+    expect(() => quarantine.add({ port: 1, reason: 'odd', data: 'x' })).toThrow(/Unknown quarantine reason/);
+  });
+
+  test('groups prefixes past maxPrefixes under (other)', () => {
+    const quarantine = createQuarantine({ maxPrefixes: 2 });
+    ['alpha 1', 'beta 2', 'gamma 3', 'delta 4', 'alpha 5'].forEach(data => quarantine.add({ port: 1, reason: 'unhandled', data }));
+
+    const prefixes = quarantine.getPrefixes();
+    expect(prefixes.map(counter => [counter.prefix, counter.count])).toEqual([['alpha', 2], ['(other)', 2], ['beta', 1]]);
+    expect(quarantine.list({ prefix: '(other)' }).map(entry => entry.data)).toEqual(['delta 4', 'gamma 3']);
+  });
+
+  test('appends JSONL and rotates the file at maxFileSize', async () => {
+    const file = join(dir, 'logs', 'quarantine.jsonl');
+    const quarantine = createQuarantine({ file, maxFileSize: 1000 });
+
+    // ~430 bytes per line: two lines fit, the third rotates
+    for (let i = 0; i < 5; i++) {
+      quarantine.add({ port: 1, reason: 'unhandled', data: '$XX' + 'x'.repeat(300) + i });
+    }
+    await quarantine.close();
+
+    const lastDigit = (path) => fs.readFileSync(path, 'utf-8').trim().split('\n').map(line => JSON.parse(line).data.slice(-1));
+    expect(lastDigit(file)).toEqual(['4']);
+    expect(lastDigit(file + '.1')).toEqual(['2', '3']);
+    expect(quarantine.getStatus()).toMatchObject({ rotations: 2, fileSize: fs.statSync(file).size });
+  });
+
+  test('clear forgets entries and counters', () => {
+    const quarantine = createQuarantine();
+    quarantine.add({ port: 1, reason: 'unhandled', data: '$XXa' });
+    quarantine.clear();
+
+    expect(quarantine.list()).toEqual([]);
+    expect(quarantine.getPrefixes()).toEqual([]);
+  });
+});
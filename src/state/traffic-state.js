@@ -0,0 +1,275 @@
+/**
+ * traffic-state.js
+ * Live picture of aircraft, controllers and recent messages built from the pipeline
+ */
+
+const EventEmitter = require('events');
+
+const FACILITY_NAMES = ['OBS', 'FSS', 'DEL', 'GND', 'TWR', 'APP', 'CTR', 'DEP'];
+
+/**
+ * Create traffic state tracker
+ * @param {Object} pipeline - Pipeline manager (or event pipeline) to subscribe to
+ * @param {Object} options - Configuration options
+ * @param {number} options.historySize - Number of recent messages to keep per message type
+ * @param {number} options.staleTimeout - Drop entities not heard from for this long (ms of wall-clock time;
+ *   firstSeen/lastSeen keep the message time, which is the original time for pcap files and replays)
+ * @returns {Object} Traffic state with query functions and change events
+ */
+function createTrafficState(pipeline, options = {}) {
+  const emitter = new EventEmitter();
+  const config = {
+    historySize: options.historySize || 1000,
+    staleTimeout: options.staleTimeout || 300000
+  };
+
+  const aircraft = new Map(); // callsign -> aircraft state
+  const controllers = new Map(); // callsign -> controller state
+  const history = new Map(); // message type -> recent messages (oldest first)
+  let sequence = 0;
+
+  /**
+   * Handle a message from the pipeline
+   */
+  function handleMessage(message) {
+    // Separate history per type so frequent position updates don't evict rare messages
+    const type = message.type || 'UNKNOWN';
+    if (!history.has(type)) {
+      history.set(type, []);
+    }
+
+    const typeHistory = history.get(type);
+    typeHistory.push({ sequence: sequence++, message });
+    if (typeHistory.length > config.historySize) {
+      typeHistory.shift();
+    }
+
+    const parsed = message.parsed;
+    if (!parsed) return;
+
+    const timestamp = message.timestamp || Date.now();
+
+    switch (message.type) {
+      case 'POSITION_FAST':
+      case 'POSITION_SLOW':
+        updateAircraft(parsed.callsign, {
+          squawk: parsed.squawk,
+          rating: parsed.rating,
+          latitude: parsed.latitude,
+          longitude: parsed.longitude,
+          altitude: parsed.altitude,
+          groundSpeed: parsed.groundSpeed,
+          heading: parsed.heading,
+          pitch: parsed.pitch,
+          bank: parsed.bank,
+          onGround: parsed.onGround
+        }, message, timestamp);
+        break;
+
+      case 'FLIGHT_PLAN':
+        updateAircraft(parsed.callsign, { flightPlan: parsed }, message, timestamp);
+        emitter.emit('flight-plan-updated', { callsign: parsed.callsign });
+        break;
+
+      case 'AUTH_PILOT':
+        updateAircraft(parsed.callsign, {
+          cid: parsed.cid,
+          realName: parsed.realName
+        }, message, timestamp);
+        break;
+
+      case 'CONTROLLER_POSITION':
+        updateController(parsed, message, timestamp);
+        break;
+    }
+  }
+
+  /**
+   * Merge fields into an aircraft entry
+   */
+  function updateAircraft(callsign, fields, message, timestamp) {
+    if (!callsign) return;
+
+    const existing = aircraft.get(callsign);
+    aircraft.set(callsign, {
+      ...(existing || { callsign, firstSeen: timestamp }),
+      ...fields,
+      port: message.port,
+      lastSeen: timestamp,
+      lastReceived: Date.now()
+    });
+
+    emitter.emit('aircraft-updated', { callsign, isNew: !existing });
+  }
+
+  /**
+   * Merge a controller position into a controller entry
+   */
+  function updateController(parsed, message, timestamp) {
+    if (!parsed.callsign) return;
+
+    const existing = controllers.get(parsed.callsign);
+    controllers.set(parsed.callsign, {
+      ...(existing || { callsign: parsed.callsign, firstSeen: timestamp }),
+      frequency: formatFrequency(parsed.frequency),
+      facility: parsed.facility,
+      facilityName: FACILITY_NAMES[parsed.facility] || 'UNK',
+      rating: parsed.rating,
+      visualRange: parsed.visualRange,
+      latitude: parsed.latitude,
+      longitude: parsed.longitude,
+      port: message.port,
+      lastSeen: timestamp,
+      lastReceived: Date.now()
+    });
+
+    emitter.emit('controller-updated', { callsign: parsed.callsign, isNew: !existing });
+  }
+
+  /**
+   * Remove entities that have not been heard from within staleTimeout
+   * Measured by arrival, so old recordings are not pruned as soon as they are loaded
+   */
+  function pruneStale() {
+    const cutoff = Date.now() - config.staleTimeout;
+
+    for (const [callsign, entry] of aircraft.entries()) {
+      if (entry.lastReceived < cutoff) {
+        aircraft.delete(callsign);
+        emitter.emit('aircraft-removed', { callsign });
+      }
+    }
+    for (const [callsign, entry] of controllers.entries()) {
+      if (entry.lastReceived < cutoff) {
+        controllers.delete(callsign);
+        emitter.emit('controller-removed', { callsign });
+      }
+    }
+  }
+
+  /**
+   * List all active aircraft
+   */
+  function listAircraft() {
+    pruneStale();
+    return Array.from(aircraft.values());
+  }
+
+  /**
+   * Get a single aircraft by callsign (case-insensitive)
+   */
+  function getAircraft(callsign) {
+    pruneStale();
+    return aircraft.get(String(callsign).toUpperCase()) || null;
+  }
+
+  /**
+   * List all active controllers
+   */
+  function listControllers() {
+    pruneStale();
+    return Array.from(controllers.values());
+  }
+
+  /**
+   * Get a single controller by callsign (case-insensitive)
+   */
+  function getController(callsign) {
+    pruneStale();
+    return controllers.get(String(callsign).toUpperCase()) || null;
+  }
+
+  /**
+   * Get recent messages, newest first
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.type - Message type (e.g. TEXT_MESSAGE)
+   * @param {Array} filter.types - Several message types
+   * @param {string} filter.callsign - Callsign appearing in the message
+   * @param {number} filter.port - Capture port
+   * @param {number} filter.since - Only messages after this timestamp (ms)
+   * @param {number} filter.limit - Maximum number of messages (default: 50)
+   */
+  function getRecentMessages(filter = {}) {
+    const limit = filter.limit || 50;
+    const callsign = filter.callsign ? String(filter.callsign).toUpperCase() : null;
+    const types = filter.types || (filter.type ? [filter.type] : Array.from(history.keys()));
+
+    const candidates = types
+      .flatMap(type => history.get(type) || [])
+      .sort((a, b) => b.sequence - a.sequence);
+
+    const results = [];
+
+    for (const { message } of candidates) {
+      if (results.length >= limit) break;
+      if (filter.port && message.port !== filter.port) continue;
+      if (filter.since && message.timestamp < filter.since) continue;
+      if (callsign && !messageMentions(message, callsign)) continue;
+
+      results.push(message);
+    }
+
+    return results;
+  }
+
+  /**
+   * Clear all tracked state
+   */
+  function clear() {
+    aircraft.clear();
+    controllers.clear();
+    history.clear();
+  }
+
+  pipeline.on('message', handleMessage);
+
+  // Prune periodically so removal events fire even when nobody is querying
+  const pruneTimer = setInterval(pruneStale, Math.min(config.staleTimeout, 30000));
+  if (pruneTimer.unref) pruneTimer.unref();
+
+  /**
+   * Stop listening to the pipeline
+   */
+  function close() {
+    pipeline.off('message', handleMessage);
+    clearInterval(pruneTimer);
+  }
+
+  return {
+    listAircraft,
+    getAircraft,
+    listControllers,
+    getController,
+    getRecentMessages,
+    clear,
+    close,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    off: emitter.off.bind(emitter)
+  };
+}
+
+/**
+ * Helper: Check whether a message involves a callsign
+ */
+function messageMentions(message, callsign) {
+  const parsed = message.parsed || {};
+  const fields = [parsed.callsign, parsed.from, parsed.to];
+
+  if (fields.some(value => value && String(value).toUpperCase() === callsign)) {
+    return true;
+  }
+
+  return Boolean(message.raw && message.raw.toUpperCase().includes(callsign));
+}
+
+/**
+ * Helper: Convert FSD frequency field (e.g. "18500") to MHz string ("118.500")
+ */
+function formatFrequency(frequency) {
+  const value = parseFloat(frequency);
+  if (isNaN(value)) return null;
+  return (value / 1000 + 100).toFixed(3);
+}
+
+module.exports = { createTrafficState };
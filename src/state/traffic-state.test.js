@@ -0,0 +1,105 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { createTrafficState } = require('./traffic-state');
+const { createPipelineManager } = require('../pipeline/pipeline-manager');
+const { getDefaultConfig } = require('../config/default-config');
+const { buildPcap, buildTcpFrame, TCP_FLAGS } = require('../../test/fixtures/pcap-builder');
+
+const OLD_TIME = Date.UTC(2024, 0, 15, 12, 0, 0); // far older than staleTimeout
+const POSITION = '@N:BAW123:1200:1:51.47000:-0.46000:3000:250:0:0';
+const CONTROLLER = '%EGLL_TWR:18500:4:50:5:51.47000:-0.46000:0';
+
+describe('traffic state with recorded timestamps', () => {
+  test('keeps entities whose message time is older than staleTimeout', () => {
+    const pipeline = new EventEmitter();
+    const state = createTrafficState(pipeline, { staleTimeout: 60000 });
+
+    pipeline.emit('message', {
+      type: 'POSITION_FAST',
+      timestamp: OLD_TIME,
+      parsed: { callsign: 'BAW123', latitude: 51.47, longitude: -0.46 }
+    });
+    pipeline.emit('message', {
+      type: 'CONTROLLER_POSITION',
+      timestamp: OLD_TIME,
+      parsed: { callsign: 'EGLL_TWR', frequency: '18500', facility: 4 }
+    });
+
+    expect(state.listAircraft().map(a => a.callsign)).toEqual(['BAW123']);
+    expect(state.getAircraft('BAW123').lastSeen).toBe(OLD_TIME);
+    expect(state.listControllers().map(c => c.callsign)).toEqual(['EGLL_TWR']);
+    state.close();
+  });
+});
+
+describe('traffic state fed by the pipeline', () => {
+  let dir;
+  let pipeline;
+  let state;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'traffic-state-'));
+
+    const config = getDefaultConfig();
+    config.capture.ports = [];
+    config.capture.quarantine.enabled = false;
+    config.parserReload.enabled = false;
+
+    pipeline = createPipelineManager(config);
+    pipeline.init();
+    state = createTrafficState(pipeline);
+  });
+
+  afterEach(() => {
+    state.close();
+    pipeline.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads an old pcap file', async () => {
+    const file = join(dir, 'old.pcap');
+    const client = { src: '10.0.0.2', dst: '10.0.0.1', srcPort: 50000, dstPort: 6809 };
+    const payload = POSITION + '\r\n' + CONTROLLER + '\r\n';
+    fs.writeFileSync(file, buildPcap([
+      { timestamp: OLD_TIME, data: buildTcpFrame({ ...client, seq: 1000, flags: TCP_FLAGS.SYN }) },
+      { timestamp: OLD_TIME + 10, data: buildTcpFrame({ ...client, seq: 1001, payload }) }
+    ]));
+
+    const finished = waitFor(pipeline.captureManager, 'port-finished');
+    pipeline.addPort({ port: 6809, parser: 'fsd', source: 'pcap', pcap: { file } });
+    pipeline.captureManager.startPort(6809);
+    await finished;
+    await settle();
+
+    expect(state.getAircraft('BAW123')).not.toBeNull();
+    expect(state.getAircraft('BAW123').lastSeen).toBe(OLD_TIME + 10);
+    expect(state.getController('EGLL_TWR')).not.toBeNull();
+  });
+
+  test('replays an old recording', async () => {
+    const file = join(dir, 'old.jsonl');
+    fs.writeFileSync(file, [POSITION, CONTROLLER].map((data, index) =>
+      JSON.stringify({ timestamp: OLD_TIME + index, port: 6809, parser: 'fsd', data })).join('\n') + '\n');
+
+    const finished = waitFor(pipeline.captureManager, 'port-finished');
+    pipeline.replay({ file, speed: 0 });
+    await finished;
+    await settle();
+
+    expect(state.getAircraft('BAW123')).not.toBeNull();
+    expect(state.getAircraft('BAW123').lastSeen).toBe(OLD_TIME);
+    expect(state.getController('EGLL_TWR')).not.toBeNull();
+  });
+});
+
+function waitFor(emitter, event) {
+  return new Promise(resolve => emitter.on(event, resolve));
+}
+
+// Let the ingestion queue drain into the event pipeline
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
@@ -14,6 +14,8 @@ let autoScroll = true;
 let paused = false;
 let messageCount = 0;
 let messageBuffer = [];
+let activeTab = 'messages';
+let quarantinePrefix = '';
 
 // DOM elements
 const elements = {
@@ -32,7 +34,16 @@ const elements = {
   statMessages: document.getElementById('stat-messages'),
   statRate: document.getElementById('stat-rate'),
   statPorts: document.getElementById('stat-ports'),
-  statUptime: document.getElementById('stat-uptime')
+  statUptime: document.getElementById('stat-uptime'),
+  statHealth: document.getElementById('stat-health'),
+  statUnhandled: document.getElementById('stat-unhandled'),
+  tabs: document.querySelectorAll('.tab'),
+  quarantineCount: document.getElementById('quarantine-count'),
+  quarantineReason: document.getElementById('quarantine-reason'),
+  quarantinePrefixes: document.getElementById('quarantine-prefixes'),
+  quarantineEntries: document.getElementById('quarantine-entries'),
+  btnQuarantineRefresh: document.getElementById('btn-quarantine-refresh'),
+  btnQuarantineClear: document.getElementById('btn-quarantine-clear')
 };
 
 /**
@@ -99,6 +110,16 @@ function handleWebSocketMessage(message) {
       handleCommandResult(message);
       break;
 
+    case 'parser-reloaded':
+      addNotice(`Parser '${message.data.name}' reloaded from ${message.data.file}` +
+        (message.data.version ? ` (v${message.data.version})` : ''), 'ok', message.data.timestamp);
+      break;
+
+    case 'parser-reload-failed':
+      addNotice(`Reload of ${message.data.file} failed, keeping previous version: ${message.data.error}`,
+        'error', message.data.timestamp);
+      break;
+
     case 'error':
       console.error('Server error:', message.message);
       break;
@@ -198,7 +219,9 @@ function addMessage(message) {
     <div class="message-header">
       <span class="message-timestamp">[${timestamp}]</span>
       <span class="message-port">Port ${message.port}</span>
+      ${message.origin ? `<span class="message-origin">${escapeHtml(message.origin)}</span>` : ''}
       <span class="message-type">${message.type}</span>
+      ${formatConnection(message)}
     </div>
   `;
 
@@ -278,6 +301,42 @@ function addMessage(message) {
   updateTypeFilter(message.type);
 }
 
+/**
+ * Add a system notice (parser reloads) to the message stream, ignoring filters
+ */
+function addNotice(text, level, time) {
+  const timestamp = new Date(time || Date.now()).toLocaleTimeString('en-US', {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const noticeEl = document.createElement('div');
+  noticeEl.className = 'message message-notice notice-' + level;
+  noticeEl.innerHTML = `<span class="message-timestamp">[${timestamp}]</span> ${escapeHtml(text)}`;
+  elements.messages.appendChild(noticeEl);
+
+  if (autoScroll) {
+    elements.messages.parentElement.scrollTop = elements.messages.parentElement.scrollHeight;
+  }
+}
+
+/**
+ * Format direction, endpoints and connection id for the message header
+ */
+function formatConnection(message) {
+  if (!message.direction) {
+    return '';
+  }
+
+  const arrow = message.direction === 'outbound' ? '⬆ out' : '⬇ in';
+  const endpoints = message.src && message.dst ? ` ${message.src} → ${message.dst}` : '';
+  const connection = message.connectionId ? ` #${message.connectionId}` : '';
+
+  return `<span class="message-direction ${message.direction}">${arrow}${escapeHtml(endpoints)}${connection}</span>`;
+}
+
 /**
  * Update status display
  */
@@ -300,6 +359,20 @@ function updateStatus(status) {
     updatePortFilter(status.capture.ports);
   }
 
+  if (status.parsing) {
+    elements.statUnhandled.textContent = status.parsing.unhandled;
+    elements.statUnhandled.title = Object.keys(status.parsing.ports).map(port => {
+      const p = status.parsing.ports[port];
+      return `Port ${port}: ${p.unhandled} unhandled (${p.fallback})` + (p.lastUnhandled ? `, last: ${p.lastUnhandled}` : '');
+    }).join('\n');
+  }
+
+  if (status.quarantine) {
+    elements.quarantineCount.textContent = status.quarantine.total;
+  }
+
+  updateHealth(status);
+
   // Update button states
   if (status.isRunning) {
     elements.btnStart.disabled = true;
@@ -310,6 +383,103 @@ function updateStatus(status) {
   }
 }
 
+/**
+ * Update capture health indicator (ok / degraded / failed / stopped)
+ */
+function updateHealth(status) {
+  const ports = status.capture ? status.capture.ports : [];
+  const unhealthy = ports.filter(p => p.enabled && (p.health === 'degraded' || p.health === 'failed'));
+
+  let health = status.health || 'stopped';
+  if (health === 'degraded' && unhealthy.some(p => p.health === 'failed')) {
+    health = 'failed';
+  }
+
+  elements.statHealth.textContent = health;
+  elements.statHealth.className = 'health-' + health;
+  elements.statHealth.title = unhealthy.map(p => {
+    const exit = p.lastExitCode !== null ? `, last exit code ${p.lastExitCode}` : '';
+    const error = p.lastError ? `, ${p.lastError}` : '';
+    return `Port ${p.port}: ${p.health}, ${p.restarts} restarts${exit}${error}`;
+  }).join('\n');
+}
+
+/**
+ * Switch between the live message stream and the quarantine
+ */
+function showTab(tab) {
+  activeTab = tab;
+  elements.tabs.forEach(button => {
+    button.classList.toggle('active', button.dataset.tab === tab);
+    document.getElementById('tab-' + button.dataset.tab).classList.toggle('hidden', button.dataset.tab !== tab);
+  });
+
+  if (tab === 'quarantine') {
+    loadQuarantine();
+  }
+}
+
+/**
+ * Fetch quarantined lines (filtered by reason and selected prefix) and prefix counters
+ */
+function loadQuarantine() {
+  const params = new URLSearchParams();
+  if (elements.quarantineReason.value) params.set('reason', elements.quarantineReason.value);
+  if (quarantinePrefix) params.set('prefix', quarantinePrefix);
+
+  fetch('/api/quarantine?' + params.toString())
+    .then(response => response.json())
+    .then(renderQuarantine)
+    .catch(err => {
+      elements.quarantineEntries.innerHTML = `<div class="empty-state">${escapeHtml(err.message)}</div>`;
+    });
+}
+
+/**
+ * Render the prefix counter table and the quarantined lines
+ */
+function renderQuarantine(result) {
+  if (!result.entries) {
+    elements.quarantinePrefixes.innerHTML = '';
+    elements.quarantineEntries.innerHTML = `<div class="empty-state">${escapeHtml(result.message || 'Quarantine unavailable')}</div>`;
+    return;
+  }
+
+  elements.quarantineCount.textContent = result.status.total;
+
+  elements.quarantinePrefixes.innerHTML = result.prefixes.map(counter => {
+    const reasons = Object.keys(counter.reasons).map(reason => `${reason} ${counter.reasons[reason]}`).join(', ');
+    const selected = counter.prefix === quarantinePrefix ? ' class="selected"' : '';
+    return `<tr data-prefix="${escapeHtml(counter.prefix)}"${selected}>` +
+      `<td>${escapeHtml(counter.prefix)}</td>` +
+      `<td>${counter.count}</td>` +
+      `<td>${escapeHtml(reasons)}</td>` +
+      `<td>${new Date(counter.lastSeen).toLocaleTimeString('en-US', { hour12: false })}</td>` +
+      `<td>${escapeHtml(counter.example)}</td>` +
+      '</tr>';
+  }).join('');
+
+  if (result.entries.length === 0) {
+    elements.quarantineEntries.innerHTML = '<div class="empty-state">No quarantined lines</div>';
+    return;
+  }
+
+  elements.quarantineEntries.innerHTML = result.entries.map(entry => {
+    const timestamp = new Date(entry.timestamp).toLocaleTimeString('en-US', { hour12: false });
+    const detail = entry.error || entry.type || entry.parser || '';
+    return '<div class="message">' +
+      '<div class="message-header">' +
+      `<span class="message-timestamp">[${timestamp}]</span>` +
+      `<span class="message-port">Port ${entry.port}</span>` +
+      `<span class="message-type">${escapeHtml(entry.prefix)}</span>` +
+      `<span class="quarantine-reason">${escapeHtml(entry.reason)}</span>` +
+      `<span>${escapeHtml(detail)}</span>` +
+      '</div>' +
+      `<div class="message-raw">${escapeHtml(entry.data)}</div>` +
+      '</div>';
+  }).join('');
+}
+
 /**
  * Update port filter dropdown
  */
@@ -446,6 +616,32 @@ elements.pauseCheckbox.addEventListener('change', (e) => {
   paused = e.target.checked;
 });
 
+elements.tabs.forEach(button => {
+  button.addEventListener('click', () => {
+    showTab(button.dataset.tab);
+  });
+});
+
+elements.quarantineReason.addEventListener('change', loadQuarantine);
+
+elements.quarantinePrefixes.addEventListener('click', (e) => {
+  const row = e.target.closest('tr');
+  if (!row) return;
+  // Clicking the selected prefix again shows every prefix
+  quarantinePrefix = row.dataset.prefix === quarantinePrefix ? '' : row.dataset.prefix;
+  loadQuarantine();
+});
+
+elements.btnQuarantineRefresh.addEventListener('click', loadQuarantine);
+
+elements.btnQuarantineClear.addEventListener('click', () => {
+  fetch('/api/quarantine/clear', { method: 'POST' })
+    .then(() => {
+      quarantinePrefix = '';
+      loadQuarantine();
+    });
+});
+
 /**
  * Utility functions
  */
@@ -485,6 +681,16 @@ function setsEqual(a, b) {
 // Initialize
 connectWebSocket();
 
+// Refresh counters (uptime, unhandled lines) and an open quarantine tab that change without a port event
+setInterval(() => {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'get-status' }));
+  }
+  if (activeTab === 'quarantine') {
+    loadQuarantine();
+  }
+}, 5000);
+
 // Show empty state initially
 if (elements.messages.children.length === 0) {
   elements.messages.innerHTML = '<div class="empty-state">Waiting for messages...</div>';
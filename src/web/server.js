@@ -4,14 +4,39 @@
  */
 
 const { readFileSync, existsSync } = require('fs');
-const { join } = require('path');
+const { join, dirname, isAbsolute } = require('path');
+const { createLiveMcpServer } = require('../mcp');
+const { createHttpTransport } = require('../mcp/http-transport');
+
+const DEFAULT_QUARANTINE_LIMIT = 200;
+const DEFAULT_RECORDINGS_DIR = './recordings';
 
 /**
  * Create web server with WebSocket support
  */
 function createWebServer(pipeline, config) {
   const webConfig = config.outputs.web;
+  const mcpConfig = config.outputs.mcp || {};
   const clients = new Set();
+  let httpServer = null;
+
+  // Recording and replay files named by clients must stay inside this directory
+  const recording = config.capture.recording || {};
+  const recordingsDir = recording.file ? dirname(recording.file) : DEFAULT_RECORDINGS_DIR;
+
+  // MCP Streamable HTTP endpoint sharing this pipeline
+  // Its traffic state and database pool are its own and released in stop()
+  let mcpTransport = null;
+  let mcpLive = null;
+  if (mcpConfig.enabled) {
+    mcpLive = createLiveMcpServer(pipeline, config);
+    mcpTransport = createHttpTransport(mcpLive.server, {
+      allowedOrigins: mcpConfig.allowedOrigins,
+      sessionTimeout: mcpConfig.sessionTimeout,
+      token: mcpConfig.token,
+      maxSessions: mcpConfig.maxSessions
+    });
+  }
 
   /**
    * Broadcast message to all connected WebSocket clients
@@ -38,6 +63,37 @@ function createWebServer(pipeline, config) {
     });
   });
 
+  /**
+   * Push status to all clients when a capture crashes, restarts or gives up
+   */
+  pipeline.captureManager.on('port-health', () => {
+    broadcast({
+      type: 'status-update',
+      data: pipeline.getStatus()
+    });
+  });
+
+  /**
+   * Push status when a replay finishes
+   */
+  pipeline.captureManager.on('port-finished', () => {
+    broadcast({
+      type: 'status-update',
+      data: pipeline.getStatus()
+    });
+  });
+
+  /**
+   * Tell clients when a parser file was hot-reloaded or rejected
+   */
+  pipeline.parserRegistry.on('parser-reloaded', (info) => {
+    broadcast({ type: 'parser-reloaded', data: info });
+  });
+
+  pipeline.parserRegistry.on('parser-reload-failed', (info) => {
+    broadcast({ type: 'parser-reload-failed', data: info });
+  });
+
   /**
    * Handle WebSocket messages from clients
    */
@@ -98,7 +154,7 @@ function createWebServer(pipeline, config) {
           break;
 
         case 'add-port':
-          pipeline.addPort(params);
+          pipeline.addPort(withRecordingPaths(params));
           result = { success: true, message: `Port ${params.port} added` };
           break;
 
@@ -107,6 +163,43 @@ function createWebServer(pipeline, config) {
           result = { success: true, message: `Port ${params.port} removed` };
           break;
 
+        case 'start-recording':
+          result = { success: true, message: 'Recording started', recording: pipeline.enableRecording(withRecordingPaths(params)) };
+          break;
+
+        case 'stop-recording':
+          pipeline.disableRecording().then(recording => {
+            ws.send(JSON.stringify({
+              type: 'command-result',
+              action,
+              result: { success: true, message: 'Recording stopped', recording }
+            }));
+          }).catch(err => {
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: err.message
+            }));
+          });
+          return;
+
+        case 'replay':
+          const replayPort = pipeline.replay(withRecordingPaths(params));
+          result = { success: true, message: `Replaying ${params.file} on port ${replayPort}`, port: replayPort };
+          break;
+
+        case 'replay-pause':
+        case 'replay-resume':
+        case 'replay-seek':
+          const playbackAction = action.replace('replay-', '');
+          const playback = pipeline.controlReplay(params.port, playbackAction, params.time);
+          result = { success: true, message: `Replay ${playbackAction}`, playback };
+          break;
+
+        case 'replay-stop':
+          const stoppedPort = pipeline.stopReplay(params.port);
+          result = { success: true, message: `Replay on port ${stoppedPort} removed` };
+          break;
+
         default:
           result = { success: false, message: `Unknown command: ${action}` };
       }
@@ -176,6 +269,47 @@ function createWebServer(pipeline, config) {
       });
     }
 
+    // GET /api/parsers/options
+    if (method === 'GET' && pathname === '/api/parsers/options') {
+      return Response.json({ parsers: pipeline.getParserOptions() });
+    }
+
+    // POST /api/parsers/options
+    if (method === 'POST' && pathname === '/api/parsers/options') {
+      return withJsonBody(request, body => {
+        try {
+          const options = pipeline.setParserOptions(body.parser, body.options, body.port);
+          const scope = body.port !== undefined ? ` on port ${body.port}` : '';
+          return Response.json({ success: true, message: `Options of '${body.parser}' updated${scope}`, options });
+        } catch (err) {
+          return Response.json({ success: false, message: err.message }, { status: 400 });
+        }
+      });
+    }
+
+    // GET /api/quarantine?port=&reason=&prefix=&limit=
+    if (method === 'GET' && pathname === '/api/quarantine') {
+      const params = new URL(request.url).searchParams;
+      const quarantine = pipeline.getQuarantine({
+        port: params.has('port') ? parseInt(params.get('port'), 10) : undefined,
+        reason: params.get('reason') || undefined,
+        prefix: params.get('prefix') || undefined,
+        limit: parseInt(params.get('limit'), 10) || DEFAULT_QUARANTINE_LIMIT
+      });
+      if (!quarantine) {
+        return Response.json({ success: false, message: 'Quarantine is disabled (capture.quarantine.enabled)' }, { status: 404 });
+      }
+      return Response.json(quarantine);
+    }
+
+    // POST /api/quarantine/clear
+    if (method === 'POST' && pathname === '/api/quarantine/clear') {
+      if (!pipeline.clearQuarantine()) {
+        return Response.json({ success: false, message: 'Quarantine is disabled (capture.quarantine.enabled)' }, { status: 400 });
+      }
+      return Response.json({ success: true, message: 'Quarantine cleared' });
+    }
+
     // POST /api/capture/start
     if (method === 'POST' && pathname === '/api/capture/start') {
       try {
@@ -198,9 +332,9 @@ function createWebServer(pipeline, config) {
 
     // POST /api/ports/add
     if (method === 'POST' && pathname === '/api/ports/add') {
-      return request.json().then(body => {
+      return withJsonBody(request, body => {
         try {
-          pipeline.addPort(body);
+          pipeline.addPort(withRecordingPaths(body));
           return Response.json({ success: true, message: `Port ${body.port} added` });
         } catch (err) {
           return Response.json({ success: false, message: err.message }, { status: 400 });
@@ -210,7 +344,7 @@ function createWebServer(pipeline, config) {
 
     // POST /api/ports/remove
     if (method === 'POST' && pathname === '/api/ports/remove') {
-      return request.json().then(body => {
+      return withJsonBody(request, body => {
         try {
           pipeline.removePort(body.port);
           return Response.json({ success: true, message: `Port ${body.port} removed` });
@@ -220,16 +354,124 @@ function createWebServer(pipeline, config) {
       });
     }
 
+    // GET /api/recording
+    if (method === 'GET' && pathname === '/api/recording') {
+      return Response.json({ recording: pipeline.getStatus().recording });
+    }
+
+    // POST /api/recording/start
+    if (method === 'POST' && pathname === '/api/recording/start') {
+      return withJsonBody(request, body => {
+        try {
+          const recording = pipeline.enableRecording(withRecordingPaths(body));
+          return Response.json({ success: true, message: 'Recording started', recording });
+        } catch (err) {
+          return Response.json({ success: false, message: err.message }, { status: 400 });
+        }
+      });
+    }
+
+    // POST /api/recording/stop
+    if (method === 'POST' && pathname === '/api/recording/stop') {
+      return pipeline.disableRecording()
+        .then(recording => Response.json({ success: true, message: 'Recording stopped', recording }))
+        .catch(err => Response.json({ success: false, message: err.message }, { status: 500 }));
+    }
+
+    // POST /api/replay/start
+    if (method === 'POST' && pathname === '/api/replay/start') {
+      return withJsonBody(request, body => {
+        try {
+          const port = pipeline.replay(withRecordingPaths(body));
+          return Response.json({ success: true, message: `Replaying ${body.file} on port ${port}`, port });
+        } catch (err) {
+          return Response.json({ success: false, message: err.message }, { status: 400 });
+        }
+      });
+    }
+
+    // POST /api/replay/pause, /api/replay/resume, /api/replay/seek
+    const control = pathname.match(/^\/api\/replay\/(pause|resume|seek)$/);
+    if (method === 'POST' && control) {
+      return withJsonBody(request, body => {
+        try {
+          const playback = pipeline.controlReplay(body.port, control[1], body.time);
+          return Response.json({ success: true, playback });
+        } catch (err) {
+          return Response.json({ success: false, message: err.message }, { status: 400 });
+        }
+      });
+    }
+
+    // POST /api/replay/stop
+    if (method === 'POST' && pathname === '/api/replay/stop') {
+      return withJsonBody(request, body => {
+        try {
+          const port = pipeline.stopReplay(body.port);
+          return Response.json({ success: true, message: `Replay on port ${port} removed` });
+        } catch (err) {
+          return Response.json({ success: false, message: err.message }, { status: 400 });
+        }
+      });
+    }
+
     return Response.json({ error: 'Not Found' }, { status: 404 });
   }
 
+  /**
+   * Helper: Call handler with the JSON request body (empty object when there is none)
+   * A body that is not JSON is answered with 400 before the handler runs
+   */
+  function withJsonBody(request, handler) {
+    return request.text().then(text => {
+      let body;
+      try {
+        body = text ? JSON.parse(text) : {};
+      } catch (err) {
+        return Response.json({ success: false, message: 'Invalid JSON body' }, { status: 400 });
+      }
+      return handler(body);
+    });
+  }
+
+  /**
+   * Helper: Copy of client options with file names resolved inside the recordings directory
+   * Covers recording/replay options ({ file }) and file-based ports ({ source, pcap|replay: { file } })
+   */
+  function withRecordingPaths(options = {}) {
+    const result = { ...options };
+    if (result.file !== undefined) {
+      result.file = resolveRecordingPath(result.file);
+    }
+
+    ['pcap', 'replay'].forEach(source => {
+      if (result[source] && result[source].file !== undefined) {
+        result[source] = { ...result[source], file: resolveRecordingPath(result[source].file) };
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Helper: Resolve a client-supplied file name against the recordings directory
+   * Absolute paths and '..' segments are rejected so clients cannot reach other files
+   */
+  function resolveRecordingPath(file) {
+    if (typeof file !== 'string' || file === '' || isAbsolute(file) || file.split(/[\\/]/).includes('..')) {
+      throw new Error(`file must be a path inside ${recordingsDir} (no absolute paths or '..')`);
+    }
+    return join(recordingsDir, file);
+  }
+
   /**
    * Start the server
    */
   function start() {
-    const server = Bun.serve({
+    httpServer = Bun.serve({
       port: webConfig.port,
       hostname: webConfig.host,
+      idleTimeout: 60, // Must exceed the MCP SSE keep-alive interval
 
       fetch(request, server) {
         const url = new URL(request.url);
@@ -244,6 +486,12 @@ function createWebServer(pipeline, config) {
           return undefined;
         }
 
+        // MCP Streamable HTTP transport
+        if (pathname === '/mcp' && mcpTransport) {
+          const client = server.requestIP(request);
+          return mcpTransport.handleRequest(request, client ? client.address : null);
+        }
+
         // API routes
         if (pathname.startsWith('/api/')) {
           return handleApi(request, pathname);
@@ -276,13 +524,41 @@ function createWebServer(pipeline, config) {
     });
 
     console.log(`Web server started on http://${webConfig.host}:${webConfig.port}`);
-    return server;
+    if (mcpTransport) {
+      console.log(`MCP endpoint available at http://${webConfig.host}:${webConfig.port}/mcp`);
+    }
+    return httpServer;
+  }
+
+  /**
+   * Stop the server and release the MCP endpoint (sessions, traffic state, database pool)
+   * @returns {Promise} Resolves once the database pool is closed
+   */
+  async function stop() {
+    if (httpServer) {
+      httpServer.stop(true);
+      httpServer = null;
+    }
+    pipeline.unregisterOutput('websocket');
+
+    if (mcpTransport) {
+      mcpTransport.close();
+    }
+    if (mcpLive) {
+      mcpLive.trafficState.close();
+      if (mcpLive.dbReader) {
+        await mcpLive.dbReader.close();
+      }
+      mcpLive = null;
+    }
   }
 
   return {
     start,
+    stop,
     broadcast,
-    clients
+    clients,
+    mcpTransport
   };
 }
 
@@ -0,0 +1,110 @@
+const { describe, test, expect, beforeAll, afterAll, spyOn } = require('bun:test');
+const { createWebServer } = require('./server');
+const { createPipelineManager } = require('../pipeline/pipeline-manager');
+const { getDefaultConfig } = require('../config/default-config');
+
+const PORT = 43000;
+const BASE = `http://127.0.0.1:${PORT}`;
+
+describe('web server API', () => {
+  let pipeline;
+  let web;
+
+  beforeAll(() => {
+    const config = getDefaultConfig();
+    config.capture.ports = [];
+    config.capture.quarantine.enabled = false;
+    config.parserReload.enabled = false;
+    config.outputs.web = { enabled: true, port: PORT, host: '127.0.0.1' };
+    config.outputs.mcp.enabled = false;
+
+    pipeline = createPipelineManager(config);
+    pipeline.init();
+    web = createWebServer(pipeline, config);
+    web.start();
+  });
+
+  afterAll(async () => {
+    await web.stop();
+    pipeline.stop();
+  });
+
+  function post(path, body) {
+    return fetch(BASE + path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+  }
+
+  test('answers a malformed JSON body with 400 on every JSON endpoint', async () => {
+    const paths = ['/api/parsers/options', '/api/ports/add', '/api/ports/remove', '/api/recording/start',
+      '/api/replay/start', '/api/replay/pause', '/api/replay/stop'];
+
+    for (const path of paths) {
+      const response = await post(path, '{not json');
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ success: false, message: 'Invalid JSON body' });
+    }
+  });
+
+  test('keeps the endpoint error for a valid body', async () => {
+    const response = await post('/api/replay/stop', JSON.stringify({ port: 1234 }));
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).success).toBe(false);
+  });
+
+  test('reports a recording that fails to close instead of rejecting', async () => {
+    const disableRecording = pipeline.disableRecording;
+    pipeline.disableRecording = () => Promise.reject(new Error('disk full'));
+
+    const response = await post('/api/recording/stop', '');
+    pipeline.disableRecording = disableRecording;
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ success: false, message: 'disk full' });
+  });
+
+  test('answers a failed stop-recording command over WebSocket', async () => {
+    const disableRecording = pipeline.disableRecording;
+    pipeline.disableRecording = () => Promise.reject(new Error('disk full'));
+
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT}/ws`);
+    await new Promise(resolve => ws.addEventListener('open', resolve));
+    const reply = new Promise(resolve => ws.addEventListener('message', event => resolve(JSON.parse(event.data))));
+    ws.send(JSON.stringify({ type: 'command', action: 'stop-recording' }));
+
+    expect(await reply).toEqual({ type: 'error', message: 'disk full' });
+    pipeline.disableRecording = disableRecording;
+    ws.close();
+  });
+});
+
+
+describe('web server stop', () => {
+  test('closes MCP sessions and stops serving', async () => {
+    const config = getDefaultConfig();
+    config.capture.ports = [];
+    config.capture.quarantine.enabled = false;
+    config.parserReload.enabled = false;
+    config.outputs.web = { enabled: true, port: PORT, host: '127.0.0.1' };
+
+    const pipeline = createPipelineManager(config);
+    pipeline.init();
+    const logs = spyOn(console, 'log').mockImplementation(() => {});
+    const web = createWebServer(pipeline, config);
+    web.start();
+    logs.mockRestore();
+
+    const response = await fetch(BASE + '/mcp', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } })
+    });
+    expect(response.status).toBe(200);
+    expect(web.mcpTransport.getStats().sessions).toBe(1);
+
+    await web.stop();
+    pipeline.stop();
+
+    expect(web.mcpTransport.getStats().sessions).toBe(0);
+    await expect(fetch(BASE + '/api/status')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * pcap-builder.js
+ * Build small pcap/pcapng captures and Ethernet/IPv4/TCP or UDP frames for tests
+ */
+
+const TCP_FLAGS = { FIN: 0x01, SYN: 0x02, RST: 0x04, PSH: 0x08, ACK: 0x10 };
+
+/**
+ * Build an Ethernet + IPv4 + TCP frame
+ * @param {Object} segment - { src, dst, srcPort, dstPort, seq, flags, payload }
+ * @returns {Buffer} Frame for link type 1 (Ethernet)
+ */
+function buildTcpFrame(segment) {
+  const payload = Buffer.from(segment.payload || '');
+  const ethernet = Buffer.alloc(14);
+  ethernet.writeUInt16BE(0x0800, 12);
+
+  const ip = Buffer.alloc(20);
+  ip[0] = 0x45;
+  ip.writeUInt16BE(20 + 20 + payload.length, 2);
+  ip[8] = 64;
+  ip[9] = 6;
+  writeIpv4(ip, 12, segment.src || '10.0.0.2');
+  writeIpv4(ip, 16, segment.dst || '10.0.0.1');
+
+  const tcp = Buffer.alloc(20);
+  tcp.writeUInt16BE(segment.srcPort, 0);
+  tcp.writeUInt16BE(segment.dstPort, 2);
+  tcp.writeUInt32BE(segment.seq >>> 0, 4);
+  tcp[12] = 5 << 4;
+  tcp[13] = segment.flags === undefined ? TCP_FLAGS.ACK | TCP_FLAGS.PSH : segment.flags;
+
+  return Buffer.concat([ethernet, ip, tcp, payload]);
+}
+
+/**
+ * Build an Ethernet + IPv4 + UDP frame
+ * @param {Object} datagram - { src, dst, srcPort, dstPort, payload }
+ * @returns {Buffer} Frame for link type 1 (Ethernet)
+ */
+function buildUdpFrame(datagram) {
+  const payload = Buffer.from(datagram.payload || '');
+  const ethernet = Buffer.alloc(14);
+  ethernet.writeUInt16BE(0x0800, 12);
+
+  const ip = Buffer.alloc(20);
+  ip[0] = 0x45;
+  ip.writeUInt16BE(20 + 8 + payload.length, 2);
+  ip[8] = 64;
+  ip[9] = 17;
+  writeIpv4(ip, 12, datagram.src || '10.0.0.2');
+  writeIpv4(ip, 16, datagram.dst || '10.0.0.1');
+
+  const udp = Buffer.alloc(8);
+  udp.writeUInt16BE(datagram.srcPort, 0);
+  udp.writeUInt16BE(datagram.dstPort, 2);
+  udp.writeUInt16BE(8 + payload.length, 4);
+
+  return Buffer.concat([ethernet, ip, udp, payload]);
+}
+
+/**
+ * Build a classic (microsecond) pcap capture
+ * @param {Array} packets - [{ timestamp (ms), data (frame) }]
+ * @returns {Buffer}
+ */
+function buildPcap(packets) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xa1b2c3d4, 0);
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(65535, 16);
+  header.writeUInt32LE(1, 20);
+
+  const records = packets.map(packet => {
+    const record = Buffer.alloc(16);
+    record.writeUInt32LE(Math.floor(packet.timestamp / 1000), 0);
+    record.writeUInt32LE((packet.timestamp % 1000) * 1000, 4);
+    record.writeUInt32LE(packet.data.length, 8);
+    record.writeUInt32LE(packet.data.length, 12);
+    return Buffer.concat([record, packet.data]);
+  });
+
+  return Buffer.concat([header, ...records]);
+}
+
+/**
+ * Build a pcapng capture with one Ethernet interface and enhanced packet blocks
+ * @param {Array} packets - [{ timestamp (ms), data (frame) }]
+ * @param {Object} options - { tsresol } if_tsresol option byte (default: microseconds)
+ * @returns {Buffer}
+ */
+function buildPcapng(packets, options = {}) {
+  const shbBody = Buffer.alloc(16);
+  shbBody.writeUInt32LE(0x1a2b3c4d, 0);
+  shbBody.writeUInt16LE(1, 4);
+  shbBody.writeInt32LE(-1, 8);
+  shbBody.writeInt32LE(-1, 12);
+
+  let idbBody = Buffer.alloc(8);
+  idbBody.writeUInt16LE(1, 0);
+  idbBody.writeUInt32LE(65535, 4);
+  let resolution = 1e-6;
+  if (options.tsresol !== undefined) {
+    const option = Buffer.alloc(12);
+    option.writeUInt16LE(9, 0);
+    option.writeUInt16LE(1, 2);
+    option[4] = options.tsresol;
+    idbBody = Buffer.concat([idbBody, option]);
+    resolution = options.tsresol & 0x80 ? Math.pow(2, -(options.tsresol & 0x7f)) : Math.pow(10, -options.tsresol);
+  }
+
+  const blocks = [block(0x0a0d0d0a, shbBody), block(0x00000001, idbBody)];
+
+  packets.forEach(packet => {
+    const ticks = Math.round(packet.timestamp / 1000 / resolution);
+    const body = Buffer.alloc(20);
+    body.writeUInt32LE(0, 0);
+    body.writeUInt32LE(Math.floor(ticks / 4294967296), 4);
+    body.writeUInt32LE(ticks % 4294967296, 8);
+    body.writeUInt32LE(packet.data.length, 12);
+    body.writeUInt32LE(packet.data.length, 16);
+    blocks.push(block(0x00000006, Buffer.concat([body, pad4(packet.data)])));
+  });
+
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Helper: pcapng block with type, total length and trailing length
+ */
+function block(type, body) {
+  const length = 12 + body.length;
+  const head = Buffer.alloc(8);
+  head.writeUInt32LE(type, 0);
+  head.writeUInt32LE(length, 4);
+  const tail = Buffer.alloc(4);
+  tail.writeUInt32LE(length, 0);
+  return Buffer.concat([head, body, tail]);
+}
+
+function pad4(data) {
+  const padding = (4 - (data.length % 4)) % 4;
+  return padding ? Buffer.concat([data, Buffer.alloc(padding)]) : data;
+}
+
+function writeIpv4(buffer, offset, address) {
+  address.split('.').forEach((part, index) => {
+    buffer[offset + index] = parseInt(part, 10);
+  });
+}
+
+module.exports = {
+  TCP_FLAGS,
+  buildTcpFrame,
+  buildUdpFrame,
+  buildPcap,
+  buildPcapng
+};